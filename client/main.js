@@ -11,20 +11,38 @@ const WS_URL = API_URL
   : `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws`;
 
 // Import Quordle engine
-import { createGame, submitGuess, setCurrentGuess, validateGuess, getSolvedCount, computeKeyboardBoardMap } from "../engine/src/game.ts";
+import { createGame, submitGuess, setCurrentGuess, validateGuess, getSolvedCount, computeKeyboardBoardMap, isSupportedBoardCount, SUPPORTED_BOARD_COUNTS } from "../engine/src/game.ts";
+import { checkHardMode } from "../engine/src/hardMode.ts";
+import { analyzeGame } from "../engine/src/analysis.ts";
+import { encodeShareCode, decodeShareCode } from "../engine/src/shareCode.ts";
+import { encodeChallenge, decodeChallenge, getChallengeId, isChallengeToken } from "../engine/src/challenge.ts";
+import { createEvilGame } from "../engine/src/evil.ts";
+import { getBoardLies } from "../engine/src/fibble.ts";
+import { getGameName, getShareText } from "../engine/src/shareText.ts";
 import { evaluateGuess } from "../engine/src/evaluator.ts";
-import { getQuordleWords, isValidGuess } from "../engine/src/words.ts";
-import { getDailyTargets } from "../engine/src/daily.ts";
-import { getLanguageConfig, isValidGuessForLanguage, getQuordleWordsForLanguage } from "../engine/src/languageConfig.ts";
+import { DEFAULT_RESCUE_STARTERS, getDailyPuzzleKey, getDailyTargets, getPracticeTargets, createPracticeSeed, isPracticeSeed, MAX_PRACTICE_SEED } from "../engine/src/daily.ts";
+import { rateDifficulty, formatParResult, DIFFICULTY_LABELS } from "../engine/src/difficulty.ts";
+import { getLanguage, getLanguages, isLanguage } from "../engine/src/languages.ts";
+import { graphemeLength, splitGraphemes } from "../engine/src/graphemes.ts";
+import { getDefinition } from "../engine/src/dictionary.ts";
+import { getLanguageConfig, isSupportedWordLength, isValidGuessForLanguage } from "../engine/src/languageConfig.ts";
 import { isHangulSyllable, decomposeHangul, composeHangul, isConsonant, isVowel, canBeOnset, canBeCoda, combineCodas, splitCompoundCoda, combineVowels, splitCompoundVowel, ONSETS, VOWELS } from "../engine/src/jamo.ts";
 
 // Will eventually store the authenticated user's access_token
 let auth;
 let gameState;
 let guessError = null; // Error message for invalid guesses
-let gameMode = "daily"; // "daily" | "practice"
+let gameMode = "daily"; // "daily" | "practice" | "shared" (a decoded share code, never saved) | "challenge"
 let uiScreen = "game"; // "game" | "results"
-let currentLanguage = localStorage.getItem('quordle_language') || 'en'; // 'en' | 'ko'
+let currentLanguage = getSavedLanguage(); // A registered language code, e.g. 'en' or 'ko'
+let hardModePref = localStorage.getItem('quordle_hard_mode') === 'true'; // Applied to new games
+let evilModePref = localStorage.getItem('quordle_evil_mode') === 'true'; // New dailies and practice games dodge guesses
+let sequenceModePref = localStorage.getItem('quordle_sequence_mode') === 'true'; // New games unlock their boards one at a time
+let rescueModePref = localStorage.getItem('quordle_rescue_mode') === 'true'; // New games start with starter guesses filled in
+let fibbleModePref = localStorage.getItem('quordle_fibble_mode') === 'true'; // New games tell one lie per row
+let boardCountPref = getSavedBoardCount(); // Boards of dailies and practice games, from Dordle (2) to Duotrigordle (32)
+let wordLengthPrefs = getSavedWordLengths(); // Word length per language code, for languages with lists of several lengths
+let learnerModePref = localStorage.getItem('quordle_learner_mode') === 'true'; // Romanization for languages that have one
 
 // Discord context for server-side persistence
 let discordUserId = null;
@@ -36,9 +54,15 @@ let userProfile = { displayName: 'Player', avatarUrl: null }; // Current user's
 // WebSocket connection
 let ws = null;
 let wsReconnectTimeout = null;
-let leaderboardEn = []; // English room leaderboard
-let leaderboardKo = []; // Korean room leaderboard
+let leaderboards = {}; // Room leaderboard per daily puzzle key (a language code for the standard daily)
 let initialStateApplied = false; // Prevents double init from WS STATE + REST join race
+let serverDifficulty = null; // Difficulty and par of the joined daily, rated by the server; null until it says
+let analysisCache = { state: null, analysis: null }; // Post-game analysis of the last rendered results
+let rescueSeed = null; // Seed of the current Rescue practice game, needed for its share code
+let practiceSeed = null; // Number of the current practice puzzle ("Practice #48213"); null for older saves
+let sharedSource = null; // Where the targets of the open shared game came from (daily date or embedded)
+let challengeToken = null; // Token of the open challenge; its game is saved under the challenge's id
+let challengeLeaderboard = null; // Results of the open challenge, from the server
 
 // ========== WEBSOCKET CONNECTION ==========
 function getUserProfile() {
@@ -69,22 +93,12 @@ function connectWebSocket() {
   ws.onopen = () => {
     console.log('WebSocket connected');
     // Don't send daily JOIN if we're in practice mode — it would overwrite the practice game
-    if (gameMode === 'practice') {
-      console.log('Skipping daily JOIN — currently in practice mode');
+    if (gameMode !== 'daily') {
+      console.log(`Skipping daily JOIN — currently in ${gameMode} mode`);
       return;
     }
     // Send JOIN message with profile and guild context (for announcements)
-    const dateKey = getTodayDateKey();
-    userProfile = getUserProfile();
-    ws.send(JSON.stringify({
-      type: 'JOIN',
-      roomId: discordRoomId,
-      dateKey,
-      visibleUserId: discordUserId,
-      profile: userProfile,
-      guildId: discordGuildId,
-      language: currentLanguage,
-    }));
+    sendDailyJoin();
   };
 
   ws.onmessage = (event) => {
@@ -112,14 +126,41 @@ function connectWebSocket() {
   };
 }
 
+/**
+ * JOIN today's daily in the current puzzle (language and board count), with the
+ * modes chosen for it; `options` overrides them, e.g. a hard mode focus board.
+ */
+function sendDailyJoin(options = {}) {
+  if (!ws || ws.readyState !== WebSocket.OPEN || !discordUserId || !discordRoomId) return;
+  userProfile = getUserProfile();
+  serverDifficulty = null; // The STATE reply brings the joined puzzle's
+  ws.send(JSON.stringify({
+    type: 'JOIN',
+    roomId: discordRoomId,
+    dateKey: getTodayDateKey(),
+    visibleUserId: discordUserId,
+    profile: userProfile,
+    guildId: discordGuildId,
+    language: currentLanguage,
+    boardCount: boardCountPref,
+    wordLength: getWordLengthPref(),
+    hardMode: hardModePref,
+    evil: evilModePref,
+    sequence: sequenceModePref,
+    rescue: rescueModePref,
+    fibble: fibbleModePref,
+    ...options,
+  }));
+}
+
 function handleServerMessage(message) {
   console.log('Server message:', message.type, message);
 
   switch (message.type) {
     case 'STATE':
       // Ignore daily STATE messages while in practice mode to prevent overwriting the practice game
-      if (gameMode === 'practice') {
-        console.log('Ignoring STATE message — currently in practice mode');
+      if (gameMode !== 'daily') {
+        console.log(`Ignoring STATE message — currently in ${gameMode} mode`);
         break;
       }
       // Update game state from server
@@ -127,6 +168,7 @@ function handleServerMessage(message) {
         initialStateApplied = true;
         gameState = message.playerState.gameState;
         gameMode = message.playerState.mode || 'daily';
+        serverDifficulty = message.playerState.difficulty ?? null;
         guessError = null;
         if (gameState.gameOver) uiScreen = "results";
         saveGameState();
@@ -136,22 +178,19 @@ function handleServerMessage(message) {
       break;
 
     case 'LEADERBOARD':
-      // Update leaderboard for the appropriate language
+      // Update leaderboard for the appropriate puzzle
       if (window.DEBUG_LEADERBOARD) {
         console.log('[LEADERBOARD DEBUG] Received message:', message);
         console.log('[LEADERBOARD DEBUG] message.leaderboard:', message.leaderboard);
         console.log('[LEADERBOARD DEBUG] leaderboard length:', message.leaderboard?.length);
       }
       {
-        const lbLang = message.language || currentLanguage;
-        if (lbLang === 'ko') {
-          leaderboardKo = message.leaderboard || [];
-        } else {
-          leaderboardEn = message.leaderboard || [];
-        }
+        // Servers from before variant dailies only name the language
+        const lbPuzzle = message.puzzle || message.language || getCurrentPuzzle();
+        leaderboards[lbPuzzle] = message.leaderboard || [];
       }
-      // Also fetch the other language's leaderboard via REST
-      fetchOtherLanguageLeaderboard();
+      // Also fetch the other languages' leaderboards via REST
+      fetchOtherLanguageLeaderboards();
       renderLeaderboard();
       break;
 
@@ -187,10 +226,18 @@ function sendGuessViaWebSocket(guess) {
     visibleUserId: discordUserId,
     guess,
     language: currentLanguage,
+    boardCount: gameState.boards.length,
+    wordLength: getGameWordLength(),
+    meta: getGuessMeta(),
   }));
   return true;
 }
 
+// Client context the server records with each guess in its event log
+function getGuessMeta() {
+  return { client: discordChannelId ? 'discord' : 'web', clientTime: Date.now() };
+}
+
 // ========== TOAST NOTIFICATIONS ==========
 function showToast(message, duration = 3000) {
   // Remove existing toast
@@ -213,17 +260,23 @@ function showToast(message, duration = 3000) {
 }
 
 // ========== LOCAL STORAGE PERSISTENCE ==========
-function getStorageKeyDaily() { return `quordle_daily_${currentLanguage}`; }
+function getStorageKeyDaily() { return `quordle_daily_${getCurrentPuzzle()}`; }
 function getStorageKeyPractice() { return `quordle_practice_${currentLanguage}`; }
+function getStorageKeyChallenge(token) { return `quordle_challenge_${getChallengeId(token)}`; }
 
 function saveGameState() {
+  if (gameMode === "shared") return; // Someone else's game
   try {
-    const key = gameMode === "daily" ? getStorageKeyDaily() : getStorageKeyPractice();
+    const key = gameMode === "daily" ? getStorageKeyDaily()
+      : gameMode === "challenge" ? getStorageKeyChallenge(challengeToken)
+      : getStorageKeyPractice();
     const payload = {
       gameState,
       gameMode,
       language: currentLanguage,
       dateKey: gameMode === "daily" ? getTodayDateKey() : null,
+      rescueSeed: gameMode === "practice" ? rescueSeed : null,
+      practiceSeed: gameMode === "practice" ? practiceSeed : null,
     };
     localStorage.setItem(key, JSON.stringify(payload));
   } catch (e) {
@@ -258,6 +311,8 @@ function loadPracticeState() {
       if (parsed.gameState) {
         gameState = parsed.gameState;
         gameMode = "practice";
+        rescueSeed = parsed.rescueSeed ?? null;
+        practiceSeed = parsed.practiceSeed ?? null;
         return true;
       }
     }
@@ -267,6 +322,23 @@ function loadPracticeState() {
   return false;
 }
 
+// A challenge already started on this device, so reopening its link resumes it
+function loadChallengeState(token) {
+  try {
+    const challengeData = localStorage.getItem(getStorageKeyChallenge(token));
+    if (challengeData) {
+      const parsed = JSON.parse(challengeData);
+      if (parsed.gameState) {
+        gameState = parsed.gameState;
+        return true;
+      }
+    }
+  } catch (e) {
+    console.warn("Failed to load challenge game state:", e);
+  }
+  return false;
+}
+
 function clearGameStorage() {
   try {
     localStorage.removeItem(getStorageKeyDaily());
@@ -284,7 +356,7 @@ async function serverJoinGame() {
     const response = await fetch(`${API_URL}/api/game/join`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ roomId: discordRoomId, userId: discordUserId, dateKey, language: currentLanguage }),
+      body: JSON.stringify({ roomId: discordRoomId, userId: discordUserId, dateKey, language: currentLanguage, boardCount: boardCountPref, wordLength: getWordLengthPref(), hardMode: hardModePref, evil: evilModePref, sequence: sequenceModePref, rescue: rescueModePref, fibble: fibbleModePref }),
     });
     if (!response.ok) return null;
     return await response.json();
@@ -301,7 +373,7 @@ async function serverSubmitGuess(guess) {
     const response = await fetch(`${API_URL}/api/game/guess`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ roomId: discordRoomId, userId: discordUserId, guess, dateKey, language: currentLanguage }),
+      body: JSON.stringify({ roomId: discordRoomId, userId: discordUserId, guess, dateKey, language: currentLanguage, boardCount: gameState.boards.length, wordLength: getGameWordLength(), meta: getGuessMeta() }),
     });
     if (!response.ok) return null;
     return await response.json();
@@ -426,6 +498,7 @@ function setupLeaveNotification() {
       gameState: gameState ? {
         guessCount: gameState.guessCount,
         solvedCount: gameState.boards?.filter(b => b.solved).length || 0,
+        totalBoards: gameState.boards?.length || 4,
         gameOver: gameState.gameOver,
         won: gameState.won,
       } : null,
@@ -460,6 +533,24 @@ function getTodayDateKey() {
 }
 
 function initQuordleGame() {
+  // A `?share=` code opens that finished game instead of today's daily
+  const shareCode = new URLSearchParams(window.location.search).get('share');
+  if (shareCode && openSharedGame(shareCode)) return;
+  // A `?challenge=` token opens a friend's hand-picked puzzle
+  const challenge = new URLSearchParams(window.location.search).get('challenge');
+  if (challenge && openChallenge(challenge)) return;
+  // A `?practice=` link opens that numbered practice puzzle, so friends can race it
+  const practice = getRequestedPractice();
+  if (practice) {
+    currentLanguage = practice.language; // Not persisted, like shared games
+    boardCountPref = practice.boardCount;
+    if (practice.wordLength) wordLengthPrefs = { ...wordLengthPrefs, [currentLanguage]: practice.wordLength };
+    sequenceModePref = practice.sequence;
+    rescueModePref = practice.rescue;
+    fibbleModePref = practice.fibble;
+    startPracticeGame(practice.seed);
+    return;
+  }
   // For daily mode, try server-side persistence first
   initDailyFromServer();
 }
@@ -474,10 +565,11 @@ async function initDailyFromServer() {
     const serverState = await serverJoinGame();
     // Only apply server state if WS hasn't already delivered it (prevents double init)
     // and if we're still in daily mode (user may have switched to practice while awaiting)
-    if (serverState && serverState.gameState && gameMode !== 'practice' && !initialStateApplied) {
+    if (serverState && serverState.gameState && gameMode === 'daily' && !initialStateApplied) {
       initialStateApplied = true;
       gameState = serverState.gameState;
       gameMode = serverState.gameMode || "daily";
+      serverDifficulty = serverState.difficulty ?? null;
       guessError = null;
       if (gameState.gameOver) uiScreen = "results";
       // Also save to localStorage as backup
@@ -499,9 +591,7 @@ async function initDailyFromServer() {
 
   // No valid save, start fresh daily
   gameMode = "daily";
-  const dateKey = getTodayDateKey();
-  const targetWords = getDailyTargets(dateKey, currentLanguage);
-  gameState = createGame({ targetWords, language: currentLanguage });
+  gameState = createDailyGame();
   guessError = null;
   saveGameState();
   renderApp();
@@ -522,37 +612,42 @@ const renderGame = renderApp;
 function renderGameScreen() {
   const app = document.querySelector('#app');
   const solvedCount = gameState.boards.filter(b => b.solved).length;
+  const boardCount = gameState.boards.length;
   const lang = currentLanguage;
 
   // Minimal status bar when game is over (full results on Results screen)
   const statusHtml = gameState.gameOver
     ? `<div class="game-status game-status-done">
-        ${gameState.won ? '🎉' : '💔'} ${gameState.won ? 'Won' : 'Lost'} · ${solvedCount}/4 · ${gameState.guessCount} guesses
+        ${gameState.won ? '🎉' : '💔'} ${gameState.won ? 'Won' : 'Lost'} · ${solvedCount}/${boardCount} · ${gameState.guessCount} guesses
+        ${renderDailyDifficulty()}
         <button class="results-link-btn">View Results →</button>
       </div>`
     : `<div class="game-status">
-        Solved: ${solvedCount}/4 | Guesses: ${gameState.guessCount}/${gameState.maxGuesses}
+        Solved: ${solvedCount}/${boardCount} | Guesses: ${gameState.guessCount}/${gameState.maxGuesses}
+        ${renderDailyDifficulty()}
       </div>`;
 
-  // Language toggle
-  const langToggle = `
-    <div class="lang-toggle">
-      <button class="lang-btn ${lang === 'en' ? 'lang-btn-active' : ''}" data-lang="en">🇺🇸 EN</button>
-      <button class="lang-btn ${lang === 'ko' ? 'lang-btn-active' : ''}" data-lang="ko">🇰🇷 KO</button>
-    </div>
-  `;
+  const langToggle = renderLanguageToggle();
 
   app.innerHTML = `
-    <div class="quordle-container ${lang === 'ko' ? 'lang-ko' : 'lang-en'}">
+    <div class="quordle-container lang-${lang}">
       <div class="game-header">
-        <h1 class="game-title">Quordle${gameMode === 'practice' ? ' <span class="mode-badge">Practice</span>' : ''}</h1>
+        <h1 class="game-title">${getGameName(boardCount)}${renderModeBadge()}${renderVariantBadges()}</h1>
+        ${renderBoardCountToggle()}
+        ${renderWordLengthToggle()}
+        ${renderHardModeToggle()}
+        ${renderEvilModeToggle()}
+        ${renderSequenceModeToggle()}
+        ${renderRescueModeToggle()}
+        ${renderFibbleModeToggle()}
+        ${renderLearnerToggle()}
         ${langToggle}
       </div>
       
       ${statusHtml}
       
       <div class="game-layout">
-        <div class="boards-grid">
+        <div class="boards-grid ${boardCount > 4 ? 'boards-grid-wide' : ''}">
           ${gameState.boards.map((board, i) => renderBoard(board, i)).join('')}
         </div>
         
@@ -563,11 +658,338 @@ function renderGameScreen() {
       
       ${renderCurrentGuess()}
       
-      ${currentLanguage === 'ko' ? renderKoreanKeyboard() : renderKeyboard()}
+      ${renderKeyboard()}
+    </div>
+  `;
+}
+
+function renderLanguageToggle() {
+  return `
+    <div class="lang-toggle">
+      ${getLanguages().map(({ code, flag }) => `
+        <button class="lang-btn ${code === currentLanguage ? 'lang-btn-active' : ''}" data-lang="${code}">${flag} ${code.toUpperCase()}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Practice games switch puzzles (board count, word length) only before their first guess;
+// every daily puzzle has its own save, so the daily can always switch
+function isPuzzleLocked() {
+  return gameMode === 'practice' && hasPlayerGuessed() && !gameState.gameOver;
+}
+
+function renderBoardCountToggle() {
+  if (gameMode !== 'daily' && gameMode !== 'practice') return '';
+  const locked = isPuzzleLocked();
+  return `
+    <div class="boards-toggle">
+      ${SUPPORTED_BOARD_COUNTS.map(count => `
+        <button class="boards-btn ${count === gameState.boards.length ? 'boards-btn-active' : ''}" data-boards="${count}" ${locked ? 'disabled' : ''} title="${getGameName(count)}">${count}</button>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Only for languages with lists of more than one word length
+function renderWordLengthToggle() {
+  if (gameMode !== 'daily' && gameMode !== 'practice') return '';
+  const { supportedWordLengths } = getLanguageConfig(currentLanguage);
+  if (supportedWordLengths.length < 2) return '';
+  const { unit } = getLanguage(currentLanguage);
+  const locked = isPuzzleLocked();
+  return `
+    <div class="length-toggle">
+      ${[...supportedWordLengths].sort((a, b) => a - b).map(length => `
+        <button class="length-btn ${length === getGameWordLength() ? 'length-btn-active' : ''}" data-length="${length}" ${locked ? 'disabled' : ''} title="${length} ${unit.other}">${length}</button>
+      `).join('')}
     </div>
   `;
 }
 
+function renderModeBadge() {
+  if (gameMode === 'practice') return ` <span class="mode-badge">Practice${practiceSeed ? ` #${practiceSeed}` : ''}</span>`;
+  if (gameMode === 'shared') return ' <span class="mode-badge">Shared</span>';
+  if (gameMode === 'challenge') return ' <span class="mode-badge">Challenge</span>';
+  return '';
+}
+
+function renderVariantBadges() {
+  const sequenceBadge = gameState.sequence ? ' <span class="mode-badge">Sequence</span>' : '';
+  const rescueBadge = gameState.starterCount > 0 ? ' <span class="mode-badge">Rescue</span>' : '';
+  const evilBadge = gameState.evil ? ' <span class="mode-badge mode-badge-evil">Evil</span>' : '';
+  const fibbleBadge = gameState.fibble ? ' <span class="mode-badge mode-badge-fibble">Fibble</span>' : '';
+  return sequenceBadge + rescueBadge + evilBadge + fibbleBadge + (gameState.hardMode ? ' <span class="mode-badge mode-badge-hard">Hard</span>' : '');
+}
+
+// Today's difficulty and par; practice, shared and evil games have no par.
+// The server rates dailies, so only games played without one are rated here.
+function getDailyDifficulty() {
+  if (gameMode !== 'daily' || gameState.evil) return null;
+  if (discordUserId && discordRoomId) return serverDifficulty;
+  return rateDifficulty(gameState.boards.map(b => b.targetWord), gameState.language, gameState.wordLength);
+}
+
+function renderDailyDifficulty() {
+  const difficulty = getDailyDifficulty();
+  if (!difficulty) return '';
+  return `<span class="daily-difficulty daily-difficulty-${difficulty.level}">Today: ${DIFFICULTY_LABELS[difficulty.level]} (par ${difficulty.par})</span>`;
+}
+
+// Results-screen stat: a win scored against par, or just the par after a loss
+function renderParStat() {
+  const difficulty = getDailyDifficulty();
+  if (!difficulty) return '';
+  const value = gameState.won ? formatParResult(gameState.guessCount, difficulty.par) : difficulty.par;
+  return `
+    <div class="results-stat">
+      <span class="results-stat-value">${value}</span>
+      <span class="results-stat-label">${gameState.won ? `vs par ${difficulty.par}` : 'par'}</span>
+    </div>
+  `;
+}
+
+// Whether the player has made a guess of their own (Rescue starters don't count)
+function hasPlayerGuessed() {
+  return gameState.guessCount > (gameState.starterCount || 0);
+}
+
+// Hard mode can only be switched before the first guess, like Wordle.
+// Evil games have no fixed hints to hold players to, and Fibble hints may be lies.
+function renderHardModeToggle() {
+  if (gameState.gameOver || gameState.evil || gameState.fibble) return '';
+  const locked = hasPlayerGuessed();
+  const title = locked
+    ? 'Hard mode can only be changed before the first guess'
+    : 'Every guess must reuse revealed hints. Tap a board number to only enforce that board.';
+  return `
+    <button class="hard-btn ${gameState.hardMode ? 'hard-btn-active' : ''}" ${locked ? 'disabled' : ''} title="${title}">🔥 Hard</button>
+  `;
+}
+
+// Evil mode deals different boards, so it too can only be switched before the first guess
+function renderEvilModeToggle() {
+  if (gameState.gameOver || (gameMode !== 'daily' && gameMode !== 'practice')) return '';
+  const locked = hasPlayerGuessed();
+  const title = locked
+    ? 'Evil mode can only be changed before the first guess'
+    : 'No answers are picked up front: every board gives the feedback that leaves it the most words';
+  return `
+    <button class="evil-btn ${gameState.evil ? 'evil-btn-active' : ''}" ${locked ? 'disabled' : ''} title="${title}">😈 Evil</button>
+  `;
+}
+
+// Sequence mode unlocks boards one at a time, so it too can only be switched before the first guess.
+// Evil boards have no answers to reveal in order.
+function renderSequenceModeToggle() {
+  if (gameState.gameOver || gameState.evil || (gameMode !== 'daily' && gameMode !== 'practice')) return '';
+  const locked = hasPlayerGuessed();
+  const title = locked
+    ? 'Sequence mode can only be changed before the first guess'
+    : 'Boards unlock one at a time: solving a board opens the next, replaying every guess onto it';
+  return `
+    <button class="sequence-btn ${gameState.sequence ? 'sequence-btn-active' : ''}" ${locked ? 'disabled' : ''} title="${title}">⛓️ Sequence</button>
+  `;
+}
+
+// Rescue mode deals the game with starter guesses filled in, before the player's first guess
+function renderRescueModeToggle() {
+  if (gameState.gameOver || gameState.evil || (gameMode !== 'daily' && gameMode !== 'practice')) return '';
+  const locked = hasPlayerGuessed();
+  const title = locked
+    ? 'Rescue mode can only be changed before the first guess'
+    : `The game starts with ${DEFAULT_RESCUE_STARTERS} guesses already made for you: solve every board with the rest`;
+  return `
+    <button class="rescue-btn ${gameState.starterCount > 0 ? 'rescue-btn-active' : ''}" ${locked ? 'disabled' : ''} title="${title}">🛟 Rescue</button>
+  `;
+}
+
+// Fibble mode deals the game with lying rows, so it too can only be switched before the first guess
+function renderFibbleModeToggle() {
+  if (gameState.gameOver || gameState.evil || (gameMode !== 'daily' && gameMode !== 'practice')) return '';
+  const locked = hasPlayerGuessed();
+  const title = locked
+    ? 'Fibble mode can only be changed before the first guess'
+    : 'One tile on every row lies about its colour until the game is over (no hard mode)';
+  return `
+    <button class="fibble-btn ${gameState.fibble ? 'fibble-btn-active' : ''}" ${locked ? 'disabled' : ''} title="${title}">🤥 Fibble</button>
+  `;
+}
+
+// Learner mode: romanization under tiles, answers and keys, for languages that can romanize
+function getLearnerRomanize() {
+  return learnerModePref ? getLanguage(currentLanguage).romanize ?? null : null;
+}
+
+function renderLearnerToggle() {
+  if (!getLanguage(currentLanguage).romanize) return '';
+  return `
+    <button class="learner-btn ${learnerModePref ? 'learner-btn-active' : ''}" title="Show romanization under tiles, answers and keys">Aa Romanize</button>
+  `;
+}
+
+/** Post-game analysis for the current game, computed once per finished game state */
+function getGameAnalysis() {
+  if (analysisCache.state !== gameState) {
+    analysisCache = { state: gameState, analysis: analyzeGame(gameState) };
+  }
+  return analysisCache.analysis;
+}
+
+function formatBits(bits, signed = false) {
+  const sign = signed && bits > 0 ? '+' : '';
+  return `${sign}${bits.toFixed(1)}`;
+}
+
+const RESULT_LABELS = { correct: 'green', present: 'yellow', absent: 'grey' };
+const RESULT_SQUARES = { correct: '🟩', present: '🟨', absent: '⬛' };
+
+// Fibble: every lie the boards told, revealed with the answers
+function renderFibbleLies() {
+  if (!gameState.fibble) return '';
+  const { display } = getLanguage(currentLanguage);
+  const boardsHtml = gameState.boards.map((board, i) => {
+    const lies = getBoardLies(board);
+    if (lies.length === 0) return '';
+    const liesHtml = lies.map(lie => {
+      const letter = splitGraphemes(board.guesses[lie.guessIndex])[lie.index];
+      return `<span class="fibble-lie" title="Guess ${lie.guessIndex + 1}, tile ${lie.index + 1}">${display(letter)} ${RESULT_SQUARES[lie.shown]}→${RESULT_SQUARES[lie.actual]}</span>`;
+    }).join('');
+    return `<div class="fibble-lies-board"><span class="answer-number">#${i + 1}</span>${liesHtml}</div>`;
+  }).join('');
+
+  return `
+    <div class="fibble-lies">
+      <div class="answers-title">Lies told</div>
+      ${boardsHtml}
+    </div>
+  `;
+}
+
+// Per-guess skill/luck breakdown shown on the results screen; evil boards leave nothing to luck
+function renderAnalysis() {
+  if (gameState.evil) return '';
+  const { display, strings } = getLanguage(currentLanguage);
+  const analysis = getGameAnalysis();
+  if (analysis.guesses.length === 0) return '';
+
+  const guessesHtml = analysis.guesses.map(g => {
+    const boardRows = g.boards.map(b => `
+      <tr>
+        <td>#${b.boardIndex + 1}</td>
+        <td>${b.candidatesBefore}</td>
+        <td>${b.candidatesAfter}</td>
+        <td>${formatBits(b.expectedBits)}</td>
+        <td>${formatBits(b.actualBits)}</td>
+      </tr>
+    `).join('');
+    const bestHtml = g.bestGuess && g.bestGuess !== g.guess
+      ? `<div class="analysis-best">Best: <span class="analysis-word">${display(g.bestGuess)}</span> (${formatBits(g.bestExpectedBits)} bits)</div>`
+      : `<div class="analysis-best">Best available guess ✓</div>`;
+
+    return `
+      <details class="analysis-guess ${g.isStarter ? 'analysis-guess-starter' : ''}">
+        <summary>
+          <span class="analysis-guess-number">${g.guessNumber}</span>
+          <span class="analysis-word">${display(g.guess)}</span>
+          <span class="analysis-stat">${g.isStarter ? 'starter' : `skill ${Math.round(g.skill * 100)}%`}</span>
+          <span class="analysis-stat">luck ${formatBits(g.luck, true)}</span>
+        </summary>
+        <table class="analysis-boards">
+          <tr><th>Board</th><th>Before</th><th>After</th><th>Expected</th><th>Actual</th></tr>
+          ${boardRows}
+        </table>
+        ${bestHtml}
+      </details>
+    `;
+  }).join('');
+
+  return `
+    <div class="analysis">
+      <div class="answers-title">${strings.guessAnalysis}</div>
+      <div class="analysis-summary">
+        Skill ${Math.round(analysis.skill * 100)}% · Luck ${formatBits(analysis.luck, true)} bits
+      </div>
+      ${guessesHtml}
+    </div>
+  `;
+}
+
+// Daily date for the share text header; practice games (and shared ones) have none
+function getShareDateKey() {
+  if (gameMode === 'daily') return getTodayDateKey();
+  if (gameMode === 'shared' && sharedSource.type === 'daily') return sharedSource.dateKey;
+  return undefined;
+}
+
+function getSharePracticeSeed() {
+  return gameMode === 'practice' && practiceSeed ? practiceSeed : undefined;
+}
+
+// Emoji results preview, copy buttons, and a box to paste someone else's share code
+function renderShareCodePanel() {
+  const shareText = getShareText(gameState, { dateKey: getShareDateKey(), practiceSeed: getSharePracticeSeed(), grids: true });
+  // A challenge's share code would embed its words, spoiling it for anyone yet to play;
+  // evil games can't be rebuilt from their answers, nor Fibble games from their guesses
+  const copyCodeBtn = gameMode === 'shared' || gameMode === 'challenge' || gameState.evil || gameState.fibble
+    ? ''
+    : `<button class="results-btn results-btn-secondary share-code-copy-btn">🔗 Copy share code</button>`;
+  return `
+    <div class="share-code">
+      <pre class="share-text">${shareText}</pre>
+      <div class="results-actions">
+        <button class="results-btn results-btn-secondary share-text-copy-btn">📋 Copy results</button>
+        ${copyCodeBtn}
+      </div>
+      <form class="share-code-form">
+        <input class="share-code-input" type="text" placeholder="Paste a share code or challenge" autocomplete="off" spellcheck="false">
+        <button class="results-btn results-btn-secondary" type="submit">Open</button>
+      </form>
+    </div>
+  `;
+}
+
+// A box to start a numbered practice puzzle, plus a link to the one just played
+function renderPracticeSeedPanel() {
+  const copyLinkBtn = gameMode === 'practice' && practiceSeed
+    ? `<button class="results-btn results-btn-secondary practice-link-copy-btn">🔗 Copy link to Practice #${practiceSeed}</button>`
+    : '';
+  return `
+    <div class="practice-seed">
+      ${copyLinkBtn}
+      <form class="practice-seed-form">
+        <input class="practice-seed-input" type="number" min="1" max="${MAX_PRACTICE_SEED}" placeholder="Practice #" inputmode="numeric">
+        <button class="results-btn results-btn-secondary" type="submit">Play</button>
+      </form>
+    </div>
+  `;
+}
+
+// A box to pick four words for friends to solve
+function renderChallengeForm() {
+  const { defaultWordLength: wordLength, unit } = getLanguage(currentLanguage);
+  return `
+    <form class="challenge-form">
+      <input class="challenge-input" type="text" placeholder="Challenge friends: four ${wordLength}-${unit.one} answers" autocomplete="off" spellcheck="false">
+      <button class="results-btn results-btn-secondary" type="submit">Create</button>
+    </form>
+  `;
+}
+
+// The open challenge's results, kept apart from the room's daily leaderboards
+function renderChallengeLeaderboard() {
+  if (gameMode !== 'challenge' || !challengeLeaderboard) return '';
+  return `<div class="challenge-leaderboard">${renderSingleLeaderboard('🎯 Challenge Leaderboard', challengeLeaderboard)}</div>`;
+}
+
+// Offline definition under a revealed answer; empty for words the dictionary lacks
+function renderAnswerDefinition(word, lang) {
+  const entry = getDefinition(word, lang);
+  if (!entry) return '';
+  const gloss = entry.gloss ? ` <span class="answer-gloss">(${entry.gloss})</span>` : '';
+  return `<span class="answer-definition">${entry.definition}${gloss}</span>`;
+}
+
 function renderResultsScreen() {
   const app = document.querySelector('#app');
   const solvedCount = gameState.boards.filter(b => b.solved).length;
@@ -575,25 +997,23 @@ function renderResultsScreen() {
   const message = gameState.won ? 'You Won!' : 'Game Over';
   const bannerClass = gameState.won ? 'results-won' : 'results-lost';
   const lang = currentLanguage;
+  const { display, strings } = getLanguage(lang);
+  const romanize = getLearnerRomanize();
 
-  // Language toggle
-  const langToggle = `
-    <div class="lang-toggle">
-      <button class="lang-btn ${lang === 'en' ? 'lang-btn-active' : ''}" data-lang="en">🇺🇸 EN</button>
-      <button class="lang-btn ${lang === 'ko' ? 'lang-btn-active' : ''}" data-lang="ko">🇰🇷 KO</button>
-    </div>
-  `;
+  const langToggle = renderLanguageToggle();
 
   // Answers reveal (always show on results)
   const answersHtml = `
     <div class="answers-reveal">
-      <div class="answers-title">${lang === 'ko' ? '정답' : 'Answers'}</div>
+      <div class="answers-title">${strings.answers}</div>
       <div class="answers-list">
         ${gameState.boards.map((board, i) => `
           <div class="answer-item ${board.solved ? 'answer-solved' : 'answer-missed'}">
             <span class="answer-number">#${i + 1}</span>
-            <span class="answer-word">${lang === 'ko' ? board.targetWord : board.targetWord.toUpperCase()}</span>
+            <span class="answer-word">${display(board.targetWord)}</span>
+            ${romanize ? `<span class="answer-roman">${romanize(board.targetWord)}</span>` : ''}
             ${board.solved ? '<span class="answer-status">✓</span>' : '<span class="answer-status">✗</span>'}
+            ${renderAnswerDefinition(board.targetWord, lang)}
           </div>
         `).join('')}
       </div>
@@ -606,11 +1026,13 @@ function renderResultsScreen() {
   const newPracticeBtn = gameMode === 'practice'
     ? `<button class="results-btn results-btn-primary new-game-btn">New Practice Round</button>`
     : '';
+  const leaveSharedBtn = `<button class="results-btn results-btn-primary leave-shared-btn">Play Today's Daily</button>`;
 
   app.innerHTML = `
-    <div class="quordle-container ${lang === 'ko' ? 'lang-ko' : 'lang-en'}">
+    <div class="quordle-container lang-${lang}">
       <div class="game-header">
-        <h1 class="game-title">Quordle${gameMode === 'practice' ? ' <span class="mode-badge">Practice</span>' : ''}</h1>
+        <h1 class="game-title">Quordle${renderModeBadge()}${renderVariantBadges()}</h1>
+        ${renderLearnerToggle()}
         ${langToggle}
       </div>
       
@@ -618,25 +1040,37 @@ function renderResultsScreen() {
         <div class="results-card ${bannerClass}">
           <div class="results-icon">${icon}</div>
           <div class="results-message">${message}</div>
+          ${renderDailyDifficulty()}
           <div class="results-stats">
             <div class="results-stat">
               <span class="results-stat-value">${solvedCount}</span>
-              <span class="results-stat-label">of 4 solved</span>
+              <span class="results-stat-label">of ${gameState.boards.length} solved</span>
             </div>
             <div class="results-stat">
               <span class="results-stat-value">${gameState.guessCount}</span>
               <span class="results-stat-label">guesses</span>
             </div>
+            ${renderParStat()}
           </div>
           ${answersHtml}
+          ${renderFibbleLies()}
+          ${renderAnalysis()}
         </div>
         
         <div class="results-actions">
           ${backBtn}
-          ${gameMode === 'daily' ? practiceBtn : newPracticeBtn}
+          ${gameMode === 'daily' ? practiceBtn : gameMode === 'shared' || gameMode === 'challenge' ? leaveSharedBtn : newPracticeBtn}
         </div>
 
-        ${gameMode === 'daily' ? `<div class="results-footer">${lang === 'ko' ? '내일 다시 도전하세요!' : 'Come back tomorrow for the next Daily'}</div>` : ''}
+        ${renderChallengeLeaderboard()}
+
+        ${renderShareCodePanel()}
+
+        ${renderChallengeForm()}
+
+        ${renderPracticeSeedPanel()}
+
+        ${gameMode === 'daily' ? `<div class="results-footer">${strings.comeBackTomorrow}</div>` : ''}
       </div>
       
       <div class="keyboard-spacer"></div>
@@ -651,25 +1085,23 @@ function renderLeaderboard() {
   }
 }
 
-/** Fetch the other language's leaderboard via REST API */
-function fetchOtherLanguageLeaderboard() {
+/** Fetch the other languages' standard daily leaderboards via REST API */
+function fetchOtherLanguageLeaderboards() {
   if (!discordRoomId) return;
   const dateKey = getTodayDateKey();
-  const otherLang = currentLanguage === 'ko' ? 'en' : 'ko';
-  const url = `${API_URL}/api/room/${discordRoomId}/${dateKey}/leaderboard?language=${otherLang}`;
-  fetch(url)
-    .then(res => res.ok ? res.json() : null)
-    .then(data => {
-      if (data && data.leaderboard) {
-        if (otherLang === 'ko') {
-          leaderboardKo = data.leaderboard;
-        } else {
-          leaderboardEn = data.leaderboard;
+  for (const { code: otherLang } of getLanguages()) {
+    if (otherLang === getCurrentPuzzle()) continue;
+    const url = `${API_URL}/api/room/${discordRoomId}/${dateKey}/leaderboard?language=${otherLang}`;
+    fetch(url)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (data && data.leaderboard) {
+          leaderboards[otherLang] = data.leaderboard;
+          renderLeaderboard();
         }
-        renderLeaderboard();
-      }
-    })
-    .catch(err => console.warn('Failed to fetch other language leaderboard:', err));
+      })
+      .catch(err => console.warn(`Failed to fetch ${otherLang} leaderboard:`, err));
+  }
 }
 
 function renderLeaderboardEntries(leaderboard) {
@@ -677,6 +1109,11 @@ function renderLeaderboardEntries(leaderboard) {
     const isYou = entry.visibleUserId === discordUserId;
     const statusIcon = entry.gameOver ? (entry.won ? '🏆' : '💀') : '🎮';
     const youBadge = isYou ? ' <span class="you-badge">(You)</span>' : '';
+    const hardBadge = entry.hardMode ? ' <span class="hard-badge" title="Hard mode">🔥</span>' : '';
+    const evilBadge = entry.evil ? ' <span class="hard-badge" title="Evil mode">😈</span>' : '';
+    const sequenceBadge = entry.sequence ? ' <span class="hard-badge" title="Sequence mode">⛓️</span>' : '';
+    const rescueBadge = entry.rescue ? ' <span class="hard-badge" title="Rescue mode">🛟</span>' : '';
+    const fibbleBadge = entry.fibble ? ' <span class="hard-badge" title="Fibble mode">🤥</span>' : '';
 
     // Get display name and avatar from profile, with fallback to visibleUserId
     const profile = entry.profile || {};
@@ -692,10 +1129,11 @@ function renderLeaderboardEntries(leaderboard) {
         <span class="leaderboard-status">${statusIcon}</span>
         <div class="leaderboard-profile">
           ${avatarHtml}
-          <span class="leaderboard-name">${displayName}${youBadge}</span>
+          <span class="leaderboard-name">${displayName}${hardBadge}${evilBadge}${sequenceBadge}${rescueBadge}${fibbleBadge}${youBadge}</span>
         </div>
-        <span class="leaderboard-score">${entry.solvedCount}/4</span>
+        <span class="leaderboard-score">${entry.solvedCount}/${entry.boardCount ?? 4}</span>
         <span class="leaderboard-guesses">${entry.guessCount}g</span>
+        ${entry.won && entry.par ? `<span class="leaderboard-par">${formatParResult(entry.guessCount, entry.par)}</span>` : ''}
       </div>
     `;
   }).join('');
@@ -719,24 +1157,30 @@ function renderSingleLeaderboard(title, leaderboard) {
 }
 
 function renderLeaderboardContent() {
-  const enHtml = renderSingleLeaderboard('🇺🇸 English Leaderboard', leaderboardEn);
-  const koHtml = renderSingleLeaderboard('🇰🇷 Korean Leaderboard', leaderboardKo);
-
-  // Show the current language's leaderboard first
-  if (currentLanguage === 'ko') {
-    return koHtml + enHtml;
-  }
-  return enHtml + koHtml;
+  // Show the current puzzle's leaderboard first, then every other language's standard daily
+  const { flag, name, unit, defaultWordLength } = getLanguage(currentLanguage);
+  const wordLength = getWordLengthPref();
+  const variant = (boardCountPref !== 4 ? ` ${getGameName(boardCountPref)}` : '')
+    + (wordLength !== defaultWordLength ? ` · ${wordLength} ${unit.other}` : '');
+  const current = renderSingleLeaderboard(`${flag} ${name}${variant} Leaderboard`, leaderboards[getCurrentPuzzle()]);
+  const others = getLanguages()
+    .filter(({ code }) => code !== getCurrentPuzzle())
+    .map(({ code, flag, name }) => renderSingleLeaderboard(`${flag} ${name} Leaderboard`, leaderboards[code]));
+  return [current, ...others].join('');
 }
 
 // renderBanner removed — game status is now inline in renderGameScreen,
 // full results are in renderResultsScreen
 
+// Word length of the current game (saves from before variable lengths use the language default)
+function getGameWordLength() {
+  return gameState.wordLength ?? getLanguageConfig(currentLanguage).wordLength;
+}
+
 function renderBoard(board, index) {
   const rows = [];
   const currentGuessIndex = gameState.guessCount; // 0-based index for current input row
-  const lang = currentLanguage;
-  const wordLen = getLanguageConfig(lang).wordLength;
+  const wordLen = getGameWordLength();
   const emptyStr = ' '.repeat(wordLen);
 
   // Determine solve row index (0-based) if board is solved
@@ -748,40 +1192,57 @@ function renderBoard(board, index) {
     if (solveRowIndex !== null && i > solveRowIndex) {
       rows.push(renderRow(emptyStr, null, false, true, null)); // condensed empty
     } else {
-      const koResult = (lang === 'ko' && board.koResults) ? board.koResults[i] : null;
-      rows.push(renderRow(board.guesses[i], board.results[i], false, true, koResult)); // condensed with result
+      const koResult = board.koResults ? board.koResults[i] : null;
+      const jaResult = board.jaResults ? board.jaResults[i] : null;
+      // Fibble: the lying tile is only given away once the game is over
+      const lie = gameState.gameOver && board.truth && board.truth.lies[i] !== null
+        ? { index: board.truth.lies[i], actual: board.truth.results[i][board.truth.lies[i]] }
+        : null;
+      rows.push(renderRow(board.guesses[i], board.results[i], false, true, koResult, jaResult, lie)); // condensed with result
     }
   }
 
-  // Current guess row (full tiles, only if board not solved and game not over)
-  if (!board.solved && !gameState.gameOver && board.guesses.length < gameState.maxGuesses) {
-    // Pad current guess for display
-    const displayGuess = lang === 'ko'
-      ? (gameState.currentGuess + compositionDisplayChar()).padEnd(wordLen, ' ')
-      : gameState.currentGuess.padEnd(wordLen, ' ');
+  // Current guess row (full tiles, only if board not solved, not locked and game not over)
+  const acceptsGuess = !board.solved && !board.locked && !gameState.gameOver;
+  if (acceptsGuess && board.guesses.length < gameState.maxGuesses) {
+    // Current guess plus any syllable still being composed; renderRow pads it to the word length
+    const displayGuess = gameState.currentGuess + compositionDisplayChar();
     rows.push(renderRow(displayGuess, null, true, false, null)); // full tiles
   }
 
   // Empty rows after current (condensed empty)
-  const emptyRowStart = board.solved || gameState.gameOver ? board.guesses.length : board.guesses.length + 1;
+  const emptyRowStart = acceptsGuess ? board.guesses.length + 1 : board.guesses.length;
   for (let i = emptyRowStart; i < gameState.maxGuesses; i++) {
     rows.push(renderRow(emptyStr, null, false, true, null)); // condensed empty
   }
 
-  const solvedClass = board.solved ? 'board-solved' : '';
+  // Sequence mode: locked boards are greyed out until the previous board is solved
+  const solvedClass = board.solved ? 'board-solved' : board.locked ? 'board-locked' : '';
+  const isFocus = gameState.hardMode && gameState.focusBoard === index;
   return `
     <div class="board ${solvedClass}">
-      <div class="board-number">#${index + 1}</div>
+      <div class="board-number ${isFocus ? 'board-number-focus' : ''}" data-board="${index}">${board.locked ? '🔒' : isFocus ? '🎯' : '#'}${index + 1}</div>
       ${rows.join('')}
     </div>
   `;
 }
 
-function renderRow(guess, result, isCurrent = false, isCondensed = false, koResult = null) {
-  const lang = currentLanguage;
-  const wordLen = getLanguageConfig(lang).wordLength;
-  // For Korean, split by character. For English, split by letter.
-  const chars = lang === 'ko' ? Array.from(guess.padEnd(wordLen, ' ')) : guess.padEnd(wordLen, ' ').split('');
+function renderRow(guess, result, isCurrent = false, isCondensed = false, koResult = null, jaResult = null, lie = null) {
+  const { display, syllables } = getLanguage(currentLanguage);
+  const romanize = getLearnerRomanize();
+  const wordLen = getGameWordLength();
+  // One tile per grapheme cluster, so letters with combining marks (e.g. Hindi) stay whole
+  const chars = splitGraphemes(guess);
+  while (chars.length < wordLen) chars.push(' ');
+  // Jamo-sequence mode: space the tiles of each syllable apart from the next
+  const syllableEnds = new Set();
+  if (syllables && guess.trim()) {
+    let end = -1;
+    for (const syllable of syllables(guess.trim())) {
+      end += splitGraphemes(syllable).length;
+      syllableEnds.add(end);
+    }
+  }
 
   const tiles = chars.map((ch, i) => {
     let tileClass = 'tile';
@@ -790,13 +1251,24 @@ function renderRow(guess, result, isCurrent = false, isCondensed = false, koResu
     } else if (isCurrent && ch.trim()) {
       tileClass += ' tile-filled';
     }
+    if (syllableEnds.has(i) && i < wordLen - 1) {
+      tileClass += ' tile-syllable-end';
+    }
+    const lieTitle = lie && lie.index === i ? ` title="Lied: really ${RESULT_LABELS[lie.actual]}"` : '';
+    if (lieTitle) {
+      tileClass += ' tile-lie';
+    }
 
-    // Display character
-    const display = lang === 'ko' ? ch.trim() : ch.trim().toUpperCase();
+    // Learner mode: every tile makes room for a reading, so rows keep one height
+    let romanHtml = '';
+    if (romanize) {
+      tileClass += ' tile-with-roman';
+      romanHtml = `<span class="tile-roman">${ch.trim() ? romanize(ch) : ''}</span>`;
+    }
 
     // Jamo hint indicators (Korean only, for non-correct scored tiles)
     let jamoHintHtml = '';
-    if (lang === 'ko' && koResult && koResult[i] && koResult[i].jamoHints && result && result[i] !== 'correct') {
+    if (koResult && koResult[i] && koResult[i].jamoHints && result && result[i] !== 'correct') {
       const h = koResult[i].jamoHints;
       tileClass += ' tile-with-jamo';
       jamoHintHtml = `
@@ -808,7 +1280,15 @@ function renderRow(guess, result, isCurrent = false, isCondensed = false, koResu
       `;
     }
 
-    return `<div class="${tileClass}">${display}${jamoHintHtml}</div>`;
+    // Kana hint badge (Japanese only): ゛ for a dakuten/handakuten away, 小 for a size away
+    let kanaHintHtml = '';
+    const kanaHint = jaResult && jaResult[i] ? jaResult[i].kanaHint : null;
+    if (kanaHint) {
+      const title = kanaHint.variant === 'dakuten' ? '濁点・半濁点違い' : '大小違い';
+      kanaHintHtml = `<span class="kana-hint kana-hint-${kanaHint.status}" title="${title}">${kanaHint.variant === 'dakuten' ? '゛' : '小'}</span>`;
+    }
+
+    return `<div class="${tileClass}"${lieTitle}>${display(ch.trim())}${romanHtml}${jamoHintHtml}${kanaHintHtml}</div>`;
   }).join('');
 
   const rowClass = isCondensed ? 'row row-condensed' : 'row';
@@ -817,10 +1297,8 @@ function renderRow(guess, result, isCurrent = false, isCondensed = false, koResu
 
 function renderCurrentGuess() {
   if (gameState.gameOver) return '';
-  const lang = currentLanguage;
-  const displayText = lang === 'ko'
-    ? (gameState.currentGuess + compositionDisplayChar()) || '—'
-    : (gameState.currentGuess.toUpperCase() || '—');
+  const { display } = getLanguage(currentLanguage);
+  const displayText = display(gameState.currentGuess + compositionDisplayChar()) || '—';
   const errorHtml = guessError
     ? `<div class="guess-error">${guessError}</div>`
     : '';
@@ -832,64 +1310,45 @@ function renderCurrentGuess() {
   `;
 }
 
+/**
+ * Columns for the per-key board indicator: 2 boards → 2×1, 4 → 2×2, 8 → 4×2,
+ * 16 → 4×4, 32 → 8×4. Rows follow from the board count.
+ */
+function getBoardGridColumns(boardCount) {
+  return 2 ** Math.ceil(Math.log2(boardCount) / 2);
+}
+
 function renderBoardGrid(boardStatuses, key) {
   const entry = boardStatuses[key];
   if (!entry || entry.every(s => s === null)) return '';
   const dotClass = (status) => status ? `kbd-${status}` : '';
-  return `<span class="key-board-grid">${entry.map((s, i) => `<span class="kbd-dot ${dotClass(s)}" data-board="${i}"></span>`).join('')
+  const cols = getBoardGridColumns(entry.length);
+  const rows = Math.ceil(entry.length / cols);
+  return `<span class="key-board-grid" style="--grid-cols: ${cols}; --grid-rows: ${rows}">${entry.map((s, i) => `<span class="kbd-dot ${dotClass(s)}" data-board="${i}"></span>`).join('')
     }</span>`;
 }
 
-function renderKeyboard() {
-  const rows = [
-    ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
-    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-    ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', '⌫']
-  ];
-
-  const boardStatuses = computeKeyboardBoardMap(gameState);
-
-  return `
-    <div class="keyboard">
-      ${rows.map(row => `
-        <div class="keyboard-row">
-          ${row.map(key => {
-    const lowerKey = key.toLowerCase();
-    const widthClass = key.length > 1 ? 'key-wide' : '';
-    const grid = key.length === 1 ? renderBoardGrid(boardStatuses, lowerKey) : '';
-    return `<button class="key ${widthClass}" data-key="${key}">${grid}<span class="key-label">${key}</span></button>`;
-  }).join('')}
-        </div>
-      `).join('')}
-    </div>
-  `;
-}
-
-// ========== KOREAN KEYBOARD (두벌식) ==========
-function renderKoreanKeyboard() {
-  // Standard 2-set (두벌식) layout:
-  // Row 1: ㅂ ㅈ ㄷ ㄱ ㅅ ㅛ ㅕ ㅑ ㅐ ㅔ
-  // Row 2: ㅁ ㄴ ㅇ ㄹ ㅎ ㅗ ㅓ ㅏ ㅣ
-  // Row 3: ENTER ㅋ ㅌ ㅊ ㅍ ㅠ ㅜ ㅡ ⌫
-  // Row 4 (doubles): ㅃ ㅉ ㄸ ㄲ ㅆ (toggled via ⇧)
-  const rows = [
-    ['ㅂ', 'ㅈ', 'ㄷ', 'ㄱ', 'ㅅ', 'ㅛ', 'ㅕ', 'ㅑ', 'ㅐ', 'ㅔ'],
-    ['ㅁ', 'ㄴ', 'ㅇ', 'ㄹ', 'ㅎ', 'ㅗ', 'ㅓ', 'ㅏ', 'ㅣ'],
-    ['ENTER', 'ㅋ', 'ㅌ', 'ㅊ', 'ㅍ', 'ㅠ', 'ㅜ', 'ㅡ', '⌫'],
-    ['⇧', 'ㅃ', 'ㅉ', 'ㄸ', 'ㄲ', 'ㅆ'],
-  ];
+// Special keys: submit, delete, and ⇧ (which only labels the row of doubled consonants)
+const SPECIAL_KEYS = ['ENTER', '⌫', '⇧'];
 
+function renderKeyboard() {
+  const { code, keyboard, normalize } = getLanguage(currentLanguage);
+  const romanize = getLearnerRomanize();
+  const modifiers = keyboard.modifiers || {};
   const boardStatuses = computeKeyboardBoardMap(gameState);
 
   return `
-    <div class="keyboard keyboard-ko">
-      ${rows.map(row => `
+    <div class="keyboard keyboard-${code}">
+      ${keyboard.rows.map(row => `
         <div class="keyboard-row">
           ${row.map(key => {
-    const isSpecial = (key === 'ENTER' || key === '⌫' || key === '⇧');
-    const widthClass = isSpecial ? 'key-wide' : '';
-    const grid = !isSpecial ? renderBoardGrid(boardStatuses, key) : '';
-    return `<button class="key ${widthClass}" data-key="${key}">${grid}<span class="key-label">${key}</span></button>`;
+    const isSpecial = SPECIAL_KEYS.includes(key);
+    // Modifier keys (e.g. Japanese ゛) change the last character, so they have no status
+    const isModifier = key in modifiers;
+    const widthClass = isSpecial ? 'key-wide' : isModifier ? 'key-modifier' : '';
+    const grid = !isSpecial && !isModifier ? renderBoardGrid(boardStatuses, normalize(key)) : '';
+    const roman = romanize && !isSpecial && !isModifier ? `<span class="key-roman">${romanize(key)}</span>` : '';
+    return `<button class="key ${widthClass}" data-key="${key}">${grid}<span class="key-label">${key}</span>${roman}</button>`;
   }).join('')}
         </div>
       `).join('')}
@@ -940,8 +1399,8 @@ function imeFinalize() {
  *   - display: the current in-progress composition character (for display only)
  */
 function imeProcessJamo(jamo) {
-  const wordLen = getLanguageConfig('ko').wordLength;
-  const currentLen = gameState.currentGuess.length;
+  const wordLen = getGameWordLength();
+  const currentLen = graphemeLength(gameState.currentGuess);
 
   if (isConsonant(jamo)) {
     if (!imeState.onset && !imeState.vowel) {
@@ -1070,86 +1529,91 @@ function handleKeyPress(key) {
   if (gameState.gameOver) return;
 
   const lang = currentLanguage;
-  const wordLen = getLanguageConfig(lang).wordLength;
-
-  if (lang === 'ko') {
-    // ===== Korean mode =====
-    if (key === 'ENTER') {
-      // Finalize any IME composition first
-      const finalChar = imeFinalize();
-      if (finalChar) {
-        gameState = setCurrentGuess(gameState, gameState.currentGuess + finalChar);
+  const { keyboard, strings, validateCharRegex } = getLanguage(lang);
+  // Hangul input composes jamo keys into syllables before they reach the guess
+  const composing = keyboard.input === 'hangul';
+  const wordLen = getGameWordLength();
+
+  if (key === 'ENTER') {
+    // Finalize any IME composition first
+    const finalChar = composing ? imeFinalize() : '';
+    if (finalChar) {
+      gameState = setCurrentGuess(gameState, gameState.currentGuess + finalChar);
+    }
+    if (graphemeLength(gameState.currentGuess) === wordLen) {
+      if (!isValidGuessForLanguage(gameState.currentGuess, lang, wordLen)) {
+        guessError = strings.notInWordList;
+        renderApp();
+        setupKeyboardListeners();
+        return;
       }
-      if (gameState.currentGuess.length === wordLen) {
-        if (!isValidGuessForLanguage(gameState.currentGuess, 'ko')) {
-          guessError = '단어 목록에 없습니다';
-          renderApp();
-          setupKeyboardListeners();
-          return;
-        }
-        const validation = validateGuess(gameState.currentGuess, 'ko');
-        if (validation.valid) {
-          guessError = null;
-          submitGuessWithPersistence(gameState.currentGuess);
-        }
+      const validation = validateGuess(gameState.currentGuess, lang, wordLen);
+      if (validation.valid) {
+        guessError = null;
+        submitGuessWithPersistence(gameState.currentGuess);
       }
-    } else if (key === '⌫' || key === 'BACKSPACE') {
+    }
+  } else if (key === '⌫' || key === 'BACKSPACE') {
+    guessError = null;
+    // With an empty IME, remove the last committed character
+    if (!composing || !imeBackspace().modified) {
+      gameState = setCurrentGuess(gameState, splitGraphemes(gameState.currentGuess).slice(0, -1).join(''));
+    }
+    renderApp();
+    setupKeyboardListeners();
+  } else if (key === '⇧') {
+    // Shift key — handled by the double consonant keys directly
+    return;
+  } else if (keyboard.modifiers?.[key]) {
+    // Modifier key, e.g. ゛ turns a trailing か into が
+    const chars = splitGraphemes(gameState.currentGuess);
+    if (chars.length > 0) {
+      chars.push(keyboard.modifiers[key](chars.pop()));
       guessError = null;
-      const result = imeBackspace();
-      if (!result.modified) {
-        // IME was empty, remove last committed syllable
-        gameState = setCurrentGuess(gameState, gameState.currentGuess.slice(0, -1));
-      }
+      gameState = setCurrentGuess(gameState, chars.join(''));
       renderApp();
       setupKeyboardListeners();
-    } else if (key === '⇧') {
-      // Shift key — handled by the double consonant keys directly
-      return;
-    } else if (isConsonant(key) || isVowel(key)) {
+    }
+  } else if (composing) {
+    if (isConsonant(key) || isVowel(key)) {
       // Check if we'd exceed word length with committed chars
-      const { committed, display } = imeProcessJamo(key);
+      const { committed } = imeProcessJamo(key);
       if (committed) {
-        if (gameState.currentGuess.length < wordLen) {
+        if (graphemeLength(gameState.currentGuess) < wordLen) {
           gameState = setCurrentGuess(gameState, gameState.currentGuess + committed);
         }
+        // Committing the last syllable (the 2nd, or the 3rd in 3-syllable games) fills the
+        // word; drop the syllable its trailing jamo started so no extra tile appears
+        if (graphemeLength(gameState.currentGuess) >= wordLen) {
+          imeReset();
+        }
       }
       guessError = null;
       renderApp();
       setupKeyboardListeners();
     }
-  } else {
-    // ===== English mode =====
-    if (key === 'ENTER') {
-      if (gameState.currentGuess.length === wordLen) {
-        if (!isValidGuess(gameState.currentGuess)) {
-          guessError = 'Not in word list';
-          renderApp();
-          setupKeyboardListeners();
-          return;
-        }
-        const validation = validateGuess(gameState.currentGuess);
-        if (validation.valid) {
-          guessError = null;
-          submitGuessWithPersistence(gameState.currentGuess);
-        }
-      }
-    } else if (key === '⌫' || key === 'BACKSPACE') {
+  } else if (key.length === 1 && validateCharRegex.test(key)) {
+    if (graphemeLength(gameState.currentGuess) < wordLen) {
       guessError = null;
-      gameState = setCurrentGuess(gameState, gameState.currentGuess.slice(0, -1));
+      gameState = setCurrentGuess(gameState, gameState.currentGuess + key);
       renderApp();
       setupKeyboardListeners();
-    } else if (key.length === 1 && /^[A-Z]$/i.test(key)) {
-      if (gameState.currentGuess.length < wordLen) {
-        guessError = null;
-        gameState = setCurrentGuess(gameState, gameState.currentGuess + key.toLowerCase());
-        renderApp();
-        setupKeyboardListeners();
-      }
     }
   }
 }
 
 async function submitGuessWithPersistence(guess) {
+  // Hard mode: reject guesses that ignore a revealed hint (the server enforces this too)
+  if (gameState.hardMode) {
+    const violation = checkHardMode(gameState, guess);
+    if (violation) {
+      guessError = violation.message;
+      renderApp();
+      setupKeyboardListeners();
+      return;
+    }
+  }
+
   // Immediately clear currentGuess to prevent double-submit.
   // In the WS path, state update is async (server responds with STATE),
   // so without this, a rapid second Enter press would pass the length === 5
@@ -1182,6 +1646,7 @@ async function submitGuessWithPersistence(guess) {
   gameState = submitGuess(gameState, guess);
   if (gameState.gameOver) uiScreen = "results";
   saveGameState();
+  if (gameState.gameOver && gameMode === 'challenge') submitChallengeResult();
   renderApp();
   setupKeyboardListeners();
 }
@@ -1204,6 +1669,61 @@ function setupKeyboardListeners() {
     });
   });
 
+  // Board count toggle buttons
+  document.querySelectorAll('.boards-btn').forEach(btn => {
+    btn.addEventListener('click', () => setBoardCount(Number(btn.dataset.boards)));
+  });
+
+  // Word length toggle buttons
+  document.querySelectorAll('.length-btn').forEach(btn => {
+    btn.addEventListener('click', () => setWordLength(Number(btn.dataset.length)));
+  });
+
+  // Hard mode toggle
+  const hardBtn = document.querySelector('.hard-btn');
+  if (hardBtn) {
+    hardBtn.addEventListener('click', () => setHardMode(!gameState.hardMode, null));
+  }
+
+  // Evil mode toggle
+  const evilBtn = document.querySelector('.evil-btn');
+  if (evilBtn) {
+    evilBtn.addEventListener('click', () => setEvilMode(!gameState.evil));
+  }
+
+  // Sequence mode toggle
+  const sequenceBtn = document.querySelector('.sequence-btn');
+  if (sequenceBtn) {
+    sequenceBtn.addEventListener('click', () => setSequenceMode(!gameState.sequence));
+  }
+
+  // Rescue mode toggle
+  const rescueBtn = document.querySelector('.rescue-btn');
+  if (rescueBtn) {
+    rescueBtn.addEventListener('click', () => setRescueMode(!(gameState.starterCount > 0)));
+  }
+
+  // Fibble mode toggle
+  const fibbleBtn = document.querySelector('.fibble-btn');
+  if (fibbleBtn) {
+    fibbleBtn.addEventListener('click', () => setFibbleMode(!gameState.fibble));
+  }
+
+  // Learner mode toggle
+  const learnerBtn = document.querySelector('.learner-btn');
+  if (learnerBtn) {
+    learnerBtn.addEventListener('click', () => setLearnerMode(!learnerModePref));
+  }
+
+  // Board numbers pick the hard mode focus board (before the first guess)
+  document.querySelectorAll('.board-number').forEach(el => {
+    el.addEventListener('click', () => {
+      if (!gameState.hardMode || hasPlayerGuessed()) return;
+      const index = Number(el.dataset.board);
+      setHardMode(true, gameState.focusBoard === index ? null : index);
+    });
+  });
+
   // Practice button (on results screen)
   const practiceBtn = document.querySelector('.practice-btn');
   if (practiceBtn) {
@@ -1222,6 +1742,59 @@ function setupKeyboardListeners() {
     });
   }
 
+  // Numbered practice puzzles (results screen)
+  const practiceLinkBtn = document.querySelector('.practice-link-copy-btn');
+  if (practiceLinkBtn) {
+    practiceLinkBtn.addEventListener('click', copyPracticeLink);
+  }
+
+  const practiceSeedForm = document.querySelector('.practice-seed-form');
+  if (practiceSeedForm) {
+    practiceSeedForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const seed = Number(practiceSeedForm.querySelector('.practice-seed-input').value);
+      if (isPracticeSeed(seed)) startPracticeGame(seed);
+      else showToast(`Practice puzzles are numbered 1 to ${MAX_PRACTICE_SEED}`);
+    });
+  }
+
+  // Share codes (results screen)
+  const shareTextBtn = document.querySelector('.share-text-copy-btn');
+  if (shareTextBtn) {
+    shareTextBtn.addEventListener('click', copyShareText);
+  }
+
+  const shareCopyBtn = document.querySelector('.share-code-copy-btn');
+  if (shareCopyBtn) {
+    shareCopyBtn.addEventListener('click', copyShareCode);
+  }
+
+  const shareForm = document.querySelector('.share-code-form');
+  if (shareForm) {
+    shareForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const code = shareForm.querySelector('.share-code-input').value.trim();
+      if (!code) return;
+      if (isChallengeToken(code)) openChallenge(code);
+      else openSharedGame(code);
+    });
+  }
+
+  // Challenges (results screen)
+  const challengeForm = document.querySelector('.challenge-form');
+  if (challengeForm) {
+    challengeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const words = challengeForm.querySelector('.challenge-input').value.split(/[\s,]+/).filter(Boolean);
+      copyChallengeLink(words);
+    });
+  }
+
+  const leaveSharedBtn = document.querySelector('.leave-shared-btn');
+  if (leaveSharedBtn) {
+    leaveSharedBtn.addEventListener('click', leaveSharedGame);
+  }
+
   // Back to puzzle button (results → game screen with frozen boards)
   const backBtn = document.querySelector('.back-to-puzzle-btn');
   if (backBtn) {
@@ -1243,58 +1816,400 @@ function setupKeyboardListeners() {
   }
 }
 
-// ========== QWERTY → 두벌식 (Dubeolsik) MAPPING ==========
-// Maps physical QWERTY keys to Korean jamo so users can type Korean
-// without switching their OS keyboard layout.
-const QWERTY_TO_JAMO = {
-  // Lowercase (unshifted)
-  'q': 'ㅂ', 'w': 'ㅈ', 'e': 'ㄷ', 'r': 'ㄱ', 't': 'ㅅ',
-  'y': 'ㅛ', 'u': 'ㅕ', 'i': 'ㅑ', 'o': 'ㅐ', 'p': 'ㅔ',
-  'a': 'ㅁ', 's': 'ㄴ', 'd': 'ㅇ', 'f': 'ㄹ', 'g': 'ㅎ',
-  'h': 'ㅗ', 'j': 'ㅓ', 'k': 'ㅏ', 'l': 'ㅣ',
-  'z': 'ㅋ', 'x': 'ㅌ', 'c': 'ㅊ', 'v': 'ㅍ',
-  'b': 'ㅠ', 'n': 'ㅜ', 'm': 'ㅡ',
-  // Uppercase (shifted) — double consonants + compound vowels
-  'Q': 'ㅃ', 'W': 'ㅉ', 'E': 'ㄸ', 'R': 'ㄲ', 'T': 'ㅆ',
-  'O': 'ㅒ', 'P': 'ㅖ',
-};
-
 // Physical keyboard listener
 document.addEventListener('keydown', (e) => {
   if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target instanceof HTMLInputElement) return; // e.g. the share code box
 
-  if (e.key === 'Enter') {
+  const { keyboard, validateCharRegex } = getLanguage(currentLanguage);
+  const ch = e.key;
+  if (ch === 'Enter') {
     handleKeyPress('ENTER');
-  } else if (e.key === 'Backspace') {
+  } else if (ch === 'Backspace') {
     handleKeyPress('BACKSPACE');
-  } else if (currentLanguage === 'ko') {
-    const ch = e.key;
-    // First, try QWERTY → jamo mapping (for users typing on English keyboard)
-    const mapped = QWERTY_TO_JAMO[ch];
-    if (mapped) {
-      e.preventDefault();
-      handleKeyPress(mapped);
-    }
+  } else if (keyboard.physicalKeys?.[ch]) {
+    // Mapped physical key, e.g. QWERTY → 두벌식 so Korean can be typed without switching the OS layout
+    e.preventDefault();
+    handleKeyPress(keyboard.physicalKeys[ch]);
+  } else if (keyboard.input === 'hangul') {
     // Also accept raw jamo from a physical Korean keyboard / OS IME
-    else if (ch.length === 1 && (isConsonant(ch) || isVowel(ch))) {
+    if (ch.length === 1 && (isConsonant(ch) || isVowel(ch))) {
       e.preventDefault();
       handleKeyPress(ch);
     }
-  } else if (/^[a-zA-Z]$/.test(e.key)) {
-    handleKeyPress(e.key.toUpperCase());
+  } else if (ch.length === 1 && validateCharRegex.test(ch)) {
+    handleKeyPress(ch);
   }
 });
 
-// Start a new practice round (random targets)
-function startPracticeGame() {
+// Fibble practice games (one lying tile per row) lie from the practice puzzle's seed,
+// so everyone racing it is told the same lies
+function getPracticeFibble(seed) {
+  return fibbleModePref ? { seed: `practice:${seed}` } : undefined;
+}
+
+// Rescue practice games (pre-filled starters) are seeded by the practice puzzle,
+// so everyone racing it gets the same starters
+function getPracticeRescue(seed) {
+  return rescueModePref ? { seed: `practice:${seed}` } : undefined;
+}
+
+/**
+ * Practice puzzle requested with `?practice=48213` (and optionally `&lang=ko`,
+ * `&boards=8`, `&length=6`, `&sequence=1`, `&rescue=1` and `&fibble=1`), or null when the link has no valid practice number.
+ * The word length is null for the language's default or an unsupported length.
+ */
+function getRequestedPractice() {
+  const params = new URLSearchParams(window.location.search);
+  const seed = Number(params.get('practice'));
+  if (!isPracticeSeed(seed)) return null;
+  const requestedLanguage = params.get('lang');
+  const language = isLanguage(requestedLanguage) ? requestedLanguage : currentLanguage;
+  const boardCount = Number(params.get('boards'));
+  const wordLength = Number(params.get('length'));
+  return {
+    seed,
+    language,
+    boardCount: isSupportedBoardCount(boardCount) ? boardCount : 4,
+    wordLength: isSupportedWordLength(language, wordLength) ? wordLength : null,
+    sequence: params.get('sequence') === '1',
+    rescue: params.get('rescue') === '1',
+    fibble: params.get('fibble') === '1',
+  };
+}
+
+// Link to the current practice puzzle, in the current language, board count, length and variant
+function getPracticeLink() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('share');
+  url.searchParams.set('practice', String(practiceSeed));
+  url.searchParams.set('lang', currentLanguage);
+  if (gameState.boards.length !== 4) url.searchParams.set('boards', String(gameState.boards.length));
+  else url.searchParams.delete('boards');
+  if (getGameWordLength() !== getLanguage(currentLanguage).defaultWordLength) url.searchParams.set('length', String(getGameWordLength()));
+  else url.searchParams.delete('length');
+  if (gameState.sequence) url.searchParams.set('sequence', '1');
+  else url.searchParams.delete('sequence');
+  if (gameState.starterCount > 0) url.searchParams.set('rescue', '1');
+  else url.searchParams.delete('rescue');
+  if (gameState.fibble) url.searchParams.set('fibble', '1');
+  else url.searchParams.delete('fibble');
+  return url.toString();
+}
+
+async function copyPracticeLink() {
+  try {
+    await navigator.clipboard.writeText(getPracticeLink());
+    showToast(`Link to Practice #${practiceSeed} copied`);
+  } catch (e) {
+    console.warn('Failed to copy practice link:', e);
+    showToast('Could not copy the link');
+  }
+}
+
+// Create a numbered practice game (a random one by default) in the current language
+function createPracticeGame(seed = createPracticeSeed()) {
+  const wordLength = getWordLengthPref();
+  if (evilModePref) {
+    // Evil boards are dealt from the seed; Sequence and Rescue need fixed answers
+    rescueSeed = null;
+    practiceSeed = seed;
+    return createEvilGame({ seed: `practice:${seed}`, language: currentLanguage, boardCount: boardCountPref, wordLength });
+  }
+  const targetWords = getPracticeTargets(seed, currentLanguage, boardCountPref, wordLength);
+  const rescue = getPracticeRescue(seed);
+  const fibble = getPracticeFibble(seed);
+  rescueSeed = rescue ? rescue.seed : null;
+  practiceSeed = seed;
+  return createGame({
+    targetWords,
+    language: currentLanguage,
+    wordLength,
+    hardMode: hardModePref && !fibble,
+    sequence: sequenceModePref,
+    rescue,
+    fibble,
+  });
+}
+
+// ========== SHARE CODES ==========
+
+/**
+ * Share code for the finished game. Dailies replay from their date (keeping the answers
+ * out of the code); anything else, or a daily whose targets don't match, embeds its targets.
+ */
+function getShareCode() {
+  const dateKey = getTodayDateKey();
+  const isDaily = gameMode === 'daily'
+    && getDailyTargets(dateKey, gameState.language, gameState.boards.length, gameState.wordLength)
+      .every((word, i) => word === gameState.boards[i].targetWord);
+  const source = isDaily ? { type: 'daily', dateKey } : { type: 'targets' };
+  // Daily Rescue starters are seeded by the date
+  return encodeShareCode(gameState, source, (gameMode === 'daily' ? dateKey : rescueSeed) ?? undefined);
+}
+
+// Copied results are pasted into Discord, so the grids go behind spoiler tags
+async function copyShareText() {
+  try {
+    await navigator.clipboard.writeText(getShareText(gameState, { dateKey: getShareDateKey(), practiceSeed: getSharePracticeSeed(), grids: true, spoilerFree: true }));
+    showToast('Results copied');
+  } catch (e) {
+    console.warn('Failed to copy results:', e);
+    showToast('Could not copy the results');
+  }
+}
+
+async function copyShareCode() {
+  try {
+    await navigator.clipboard.writeText(getShareCode());
+    showToast('Share code copied');
+  } catch (e) {
+    console.warn('Failed to copy share code:', e);
+    showToast('Could not copy the share code');
+  }
+}
+
+/**
+ * Open someone's finished game from a share code. The engine replays every guess,
+ * so the boards (and Korean jamo hints) are rebuilt rather than trusted.
+ * Returns false, leaving the current game alone, when the code is invalid.
+ */
+function openSharedGame(code) {
+  let shared;
+  try {
+    shared = decodeShareCode(code);
+  } catch (e) {
+    console.warn('Invalid share code:', e);
+    showToast(`Invalid share code: ${e.message}`);
+    return false;
+  }
+
+  saveGameState();
+  gameMode = 'shared';
+  gameState = shared.state;
+  sharedSource = shared.source;
+  currentLanguage = shared.state.language; // Not persisted; restored by leaveSharedGame
+  uiScreen = 'results';
+  imeReset();
+  guessError = null;
+  renderApp();
+  setupKeyboardListeners();
+  return true;
+}
+
+// Back from a shared game or a challenge to the player's own daily, in their own language
+function leaveSharedGame() {
+  currentLanguage = getSavedLanguage();
+  gameMode = 'daily';
+  uiScreen = 'game';
+  initialStateApplied = false;
+  initDailyFromServer();
+}
+
+// ========== CHALLENGES ==========
+
+// Link that opens a challenge token; the words stay hidden in the token
+function getChallengeLink(token) {
+  const url = new URL(window.location.href);
+  for (const param of ['share', 'practice', 'lang']) url.searchParams.delete(param);
+  url.searchParams.set('challenge', token);
+  return url.toString();
+}
+
+/**
+ * Create a challenge from four words picked by the player, in the current language,
+ * and copy its link. Challenges use the standard word length, which the server
+ * knows the answers of, so their results can be collected.
+ */
+async function copyChallengeLink(words) {
+  let token;
+  try {
+    token = encodeChallenge(words, currentLanguage);
+    const { defaultWordLength: wordLength, unit } = getLanguage(currentLanguage);
+    if (decodeChallenge(token).wordLength !== wordLength) {
+      throw new Error(`Challenges use ${wordLength}-${unit.one} words`);
+    }
+  } catch (e) {
+    showToast(e.message);
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(getChallengeLink(token));
+    showToast('Challenge link copied');
+  } catch (e) {
+    console.warn('Failed to copy challenge link:', e);
+    showToast('Could not copy the link');
+  }
+}
+
+/**
+ * Open a challenge token: a fresh game on its words, or the one already started
+ * on this device. Returns false, leaving the current game alone, when the token is invalid.
+ */
+function openChallenge(token) {
+  let challenge;
+  try {
+    challenge = decodeChallenge(token);
+  } catch (e) {
+    console.warn('Invalid challenge:', e);
+    showToast(`Invalid challenge: ${e.message}`);
+    return false;
+  }
+
+  saveGameState();
+  gameMode = 'challenge';
+  challengeToken = token.trim();
+  challengeLeaderboard = null;
+  currentLanguage = challenge.language; // Not persisted; restored by leaveSharedGame
+  if (!loadChallengeState(challengeToken)) {
+    gameState = createGame({ ...challenge, hardMode: hardModePref });
+  }
+  uiScreen = gameState.gameOver ? 'results' : 'game';
+  imeReset();
+  guessError = null;
+  saveGameState();
+  renderApp();
+  setupKeyboardListeners();
+  if (gameState.gameOver) fetchChallengeLeaderboard();
+  return true;
+}
+
+function applyChallengeLeaderboard(data) {
+  if (!data || !data.leaderboard || gameMode !== 'challenge') return;
+  challengeLeaderboard = data.leaderboard;
+  if (uiScreen === 'results') {
+    renderApp();
+    setupKeyboardListeners();
+  }
+}
+
+/** Send a finished challenge to the server, which replays the guesses and ranks the result */
+function submitChallengeResult() {
+  if (!discordUserId) return;
+  fetch(`${API_URL}/api/challenge/result`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      token: challengeToken,
+      userId: discordUserId,
+      profile: getUserProfile(),
+      guesses: gameState.boards[0].guesses,
+      hardMode: gameState.hardMode,
+      focusBoard: gameState.focusBoard ?? undefined,
+    }),
+  })
+    .then(res => res.ok ? res.json() : null)
+    .then(applyChallengeLeaderboard)
+    .catch(err => console.warn('Failed to submit challenge result:', err));
+}
+
+function fetchChallengeLeaderboard() {
+  fetch(`${API_URL}/api/challenge/${getChallengeId(challengeToken)}/leaderboard`)
+    .then(res => res.ok ? res.json() : null)
+    .then(applyChallengeLeaderboard)
+    .catch(err => console.warn('Failed to fetch challenge leaderboard:', err));
+}
+
+/**
+ * Switch hard mode (and its focus board) for the current game, before the first guess.
+ * The choice is remembered for future games; daily games re-JOIN so the server enforces it too.
+ */
+function setHardMode(enabled, focusBoard) {
+  if (hasPlayerGuessed() || gameState.gameOver) return;
+
+  hardModePref = enabled;
+  localStorage.setItem('quordle_hard_mode', String(enabled));
+  gameState = { ...gameState, hardMode: enabled, focusBoard: enabled ? focusBoard : null };
+  guessError = null;
+  saveGameState();
+
+  if (gameMode === 'daily') {
+    sendDailyJoin({ focusBoard: gameState.focusBoard ?? undefined });
+  }
+
+  renderApp();
+  setupKeyboardListeners();
+}
+
+/**
+ * Switch evil mode for the current daily or practice game, before the first guess.
+ * The game is dealt afresh (the same puzzle number for practice games); the choice is
+ * remembered for future games, and daily games re-JOIN so the server deals the same boards.
+ */
+function setEvilMode(enabled) {
+  if (hasPlayerGuessed() || gameState.gameOver) return;
+
+  evilModePref = enabled;
+  localStorage.setItem('quordle_evil_mode', String(enabled));
+  redealGame();
+}
+
+/**
+ * Switch Sequence mode for the current daily or practice game, before the first guess.
+ * Like evil mode, the game is dealt afresh and the choice is remembered for future games.
+ */
+function setSequenceMode(enabled) {
+  if (hasPlayerGuessed() || gameState.gameOver) return;
+
+  sequenceModePref = enabled;
+  localStorage.setItem('quordle_sequence_mode', String(enabled));
+  redealGame();
+}
+
+/**
+ * Switch Rescue mode for the current daily or practice game, before the first guess.
+ * The game is dealt afresh with its starters filled in, or without them.
+ */
+function setRescueMode(enabled) {
+  if (hasPlayerGuessed() || gameState.gameOver) return;
+
+  rescueModePref = enabled;
+  localStorage.setItem('quordle_rescue_mode', String(enabled));
+  redealGame();
+}
+
+/**
+ * Switch Fibble mode for the current daily or practice game, before the first guess.
+ * The game is dealt afresh, without hard mode while the rows lie.
+ */
+function setFibbleMode(enabled) {
+  if (hasPlayerGuessed() || gameState.gameOver) return;
+
+  fibbleModePref = enabled;
+  localStorage.setItem('quordle_fibble_mode', String(enabled));
+  redealGame();
+}
+
+// Deal the current daily or practice game again after a variant switch
+function redealGame() {
+  gameState = gameMode === 'daily' ? createDailyGame() : createPracticeGame(practiceSeed ?? undefined);
+  guessError = null;
+  imeReset();
+  saveGameState();
+
+  if (gameMode === 'daily') {
+    sendDailyJoin();
+  }
+
+  renderApp();
+  setupKeyboardListeners();
+}
+
+// Learner mode can change at any time; it is remembered for every language that can romanize
+function setLearnerMode(enabled) {
+  learnerModePref = enabled;
+  localStorage.setItem('quordle_learner_mode', String(enabled));
+  renderApp();
+  setupKeyboardListeners();
+}
+
+// Start a practice round: the numbered puzzle `seed`, or a random one
+function startPracticeGame(seed) {
   gameMode = "practice";
   uiScreen = "game";
   initialStateApplied = false;
   imeReset();
-  const targetWords = currentLanguage === 'ko'
-    ? getQuordleWordsForLanguage('ko')
-    : getQuordleWords();
-  gameState = createGame({ targetWords, language: currentLanguage });
+  gameState = createPracticeGame(seed);
   guessError = null;
   saveGameState(); // Save new practice game
   renderApp();
@@ -1302,6 +2217,81 @@ function startPracticeGame() {
 }
 window.startPractice = startPracticeGame; // Keep for backwards compat
 
+// Today's daily in the current puzzle: its scheduled answers, or evil boards dealt from the date
+function createDailyGame() {
+  const wordLength = getWordLengthPref();
+  if (evilModePref) {
+    return createEvilGame({ seed: getTodayDateKey(), language: currentLanguage, boardCount: boardCountPref, wordLength });
+  }
+  const targetWords = getDailyTargets(getTodayDateKey(), currentLanguage, boardCountPref, wordLength);
+  // Rescue starters and Fibble lies are seeded by the date, as the server seeds them
+  const rescue = rescueModePref ? { seed: getTodayDateKey() } : undefined;
+  const fibble = fibbleModePref ? { seed: getTodayDateKey() } : undefined;
+  return createGame({
+    targetWords,
+    language: currentLanguage,
+    wordLength,
+    hardMode: hardModePref && !fibble,
+    sequence: sequenceModePref,
+    rescue,
+    fibble,
+  });
+}
+
+// Key of the daily being played, as the server keys rooms and leaderboards
+function getCurrentPuzzle() {
+  return getDailyPuzzleKey(currentLanguage, boardCountPref, getWordLengthPref());
+}
+
+// Word length chosen for the current language, or its default
+function getWordLengthPref() {
+  const length = wordLengthPrefs[currentLanguage];
+  return isSupportedWordLength(currentLanguage, length) ? length : getLanguage(currentLanguage).defaultWordLength;
+}
+
+/**
+ * Switch the board count, from Dordle to Duotrigordle. Every count has its own daily
+ * and leaderboard, so like a language switch this loads or deals that daily and re-JOINs.
+ * A practice game is dealt afresh with the same puzzle number.
+ */
+function setBoardCount(count) {
+  if (count === gameState.boards.length || !isSupportedBoardCount(count) || isPuzzleLocked()) return;
+
+  saveGameState();
+  boardCountPref = count;
+  localStorage.setItem('quordle_board_count', String(count));
+  openCurrentPuzzle();
+}
+
+// Switch the word length of the current language; like the board count, each length has its own daily
+function setWordLength(length) {
+  if (length === getGameWordLength() || !isSupportedWordLength(currentLanguage, length) || isPuzzleLocked()) return;
+
+  saveGameState();
+  wordLengthPrefs = { ...wordLengthPrefs, [currentLanguage]: length };
+  localStorage.setItem('quordle_word_lengths', JSON.stringify(wordLengthPrefs));
+  openCurrentPuzzle();
+}
+
+// After a board count or length switch: the practice puzzle dealt afresh, or the puzzle's daily
+function openCurrentPuzzle() {
+  if (gameMode === 'practice') {
+    startPracticeGame(practiceSeed ?? undefined);
+    return;
+  }
+
+  imeReset();
+  guessError = null;
+  if (!loadGameState()) {
+    gameState = createDailyGame();
+    saveGameState();
+  }
+  uiScreen = gameState.gameOver ? "results" : "game";
+  sendDailyJoin();
+  renderApp();
+  setupKeyboardListeners();
+}
+
 // Reset game - clears storage and starts fresh
 function resetGame() {
   clearGameStorage();
@@ -1309,9 +2299,7 @@ function resetGame() {
   uiScreen = "game";
   initialStateApplied = false;
   imeReset();
-  const dateKey = getTodayDateKey();
-  const targetWords = getDailyTargets(dateKey, currentLanguage);
-  gameState = createGame({ targetWords, language: currentLanguage });
+  gameState = createDailyGame();
   guessError = null;
   saveGameState();
   renderApp();
@@ -1319,12 +2307,36 @@ function resetGame() {
 }
 window.resetGame = resetGame; // Keep for backwards compat
 
+// Saved board count preference; falls back to Quordle's 4
+function getSavedBoardCount() {
+  const saved = Number(localStorage.getItem('quordle_board_count'));
+  return isSupportedBoardCount(saved) ? saved : 4;
+}
+
+// Saved word length preferences by language code; lengths are checked when used
+function getSavedWordLengths() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('quordle_word_lengths') || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+// Saved language preference; falls back to English if it is missing or no longer registered
+function getSavedLanguage() {
+  const saved = localStorage.getItem('quordle_language');
+  return isLanguage(saved) ? saved : 'en';
+}
+
 // Switch language mode
 function switchLanguage(newLang) {
   if (newLang === currentLanguage) return;
 
   // Save current game before switching
   saveGameState();
+  // From a shared game or a challenge, the language buttons lead back to the player's own daily
+  if (gameMode === 'shared' || gameMode === 'challenge') gameMode = 'daily';
 
   // Switch language
   currentLanguage = newLang;
@@ -1336,34 +2348,17 @@ function switchLanguage(newLang) {
   if (gameMode === 'daily') {
     if (!loadGameState()) {
       // No saved daily for this language, create new one
-      const dateKey = getTodayDateKey();
-      const targetWords = getDailyTargets(dateKey, currentLanguage);
-      gameState = createGame({ targetWords, language: currentLanguage });
+      gameState = createDailyGame();
       saveGameState();
     }
     if (gameState.gameOver) uiScreen = "results";
     else uiScreen = "game";
 
     // Re-JOIN via WebSocket so the server creates/loads player state for the new language
-    if (ws && ws.readyState === WebSocket.OPEN && discordUserId && discordRoomId) {
-      const dateKey = getTodayDateKey();
-      userProfile = getUserProfile();
-      ws.send(JSON.stringify({
-        type: 'JOIN',
-        roomId: discordRoomId,
-        dateKey,
-        visibleUserId: discordUserId,
-        profile: userProfile,
-        guildId: discordGuildId,
-        language: currentLanguage,
-      }));
-    }
+    sendDailyJoin();
   } else {
     // Practice mode — start fresh for new language
-    const targetWords = currentLanguage === 'ko'
-      ? getQuordleWordsForLanguage('ko')
-      : getQuordleWords();
-    gameState = createGame({ targetWords, language: currentLanguage });
+    gameState = createPracticeGame();
     uiScreen = "game";
     saveGameState();
   }
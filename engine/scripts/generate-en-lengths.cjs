@@ -0,0 +1,59 @@
+/**
+ * Generate English word lists for non-5-letter Quordle variants.
+ *
+ * Produces, for each length in LENGTHS:
+ *   - enWords{N}.txt: answer words (SCOWL frequency tiers 10–20, base forms only)
+ *   - enGuessWords{N}.txt: additional valid guesses (SCOWL tiers 10–50)
+ *
+ * The 5-letter lists (words.ts + guessWords.txt) are hand-curated and not touched.
+ *
+ * Usage: node scripts/generate-en-lengths.cjs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const wordlist = require('wordlist-english');
+
+const LENGTHS = [4, 6, 7];
+const ANSWER_TIERS = [10, 20];
+const GUESS_TIERS = [10, 20, 35, 40, 50];
+
+const isPlainWord = (w) => /^[a-z]+$/.test(w);
+
+// Inflected forms make poor answers: drop plurals/3rd-person -s (but keep -ss/-us/-is)
+// and, for longer words, past-tense -ed.
+function looksInflected(word) {
+  if (/s$/.test(word) && !/(ss|us|is)$/.test(word)) return true;
+  if (word.length >= 6 && /ed$/.test(word)) return true;
+  return false;
+}
+
+function collect(tiers) {
+  const words = new Set();
+  for (const tier of tiers) {
+    for (const w of wordlist[`english/${tier}`]) {
+      if (isPlainWord(w)) words.add(w);
+    }
+  }
+  return words;
+}
+
+const answerPool = collect(ANSWER_TIERS);
+const guessPool = collect(GUESS_TIERS);
+
+for (const len of LENGTHS) {
+  const answerList = [...answerPool]
+    .filter(w => w.length === len && !looksInflected(w))
+    .sort();
+  const answerSet = new Set(answerList);
+  const guessList = [...guessPool]
+    .filter(w => w.length === len && !answerSet.has(w))
+    .sort();
+
+  console.log(`${len} letters — answers: ${answerList.length}, extra guesses: ${guessList.length}`);
+
+  fs.writeFileSync(path.join(__dirname, '..', 'src', `enWords${len}.txt`), answerList.join('\n') + '\n');
+  fs.writeFileSync(path.join(__dirname, '..', 'src', `enGuessWords${len}.txt`), guessList.join('\n') + '\n');
+}
+
+console.log(`Written enWords{${LENGTHS.join(',')}}.txt and enGuessWords{${LENGTHS.join(',')}}.txt`);
@@ -1,11 +1,26 @@
 /**
- * Generate 2-syllable Korean word lists for Quordle.
- * 
+ * Generate 2- and 3-syllable Korean word lists for Quordle.
+ *
+ * The arrays below are candidates, not the lists themselves. Each candidate is
+ * looked up in the bundled offline dictionary (koDictionary.tsv) and tagged with
+ * its part of speech and frequency band:
+ *   - words missing from the dictionary are rejected: verb and adjective stems
+ *     (가볍, 깨끗), truncated compounds (강아, 초콜) and misspellings (벗꽃)
+ *   - proper nouns (서울, 한강) are rejected
+ *   - answer candidates that are not common nouns (freq 1–2) become guesses only
+ *
  * Produces:
- *   - koWords.txt: ~2000+ answer words (common, well-known 2-syllable Korean words)
- *   - koGuessWords.txt: ~1000+ additional valid guess words
- * 
- * All words are exactly 2 composed Hangul syllable blocks ([\uAC00-\uD7A3]{2}).
+ *   - koWords.txt / koGuessWords.txt: 2-syllable answers and extra valid guesses
+ *   - koWords3.txt / koGuessWords3.txt: the same for 3-syllable words
+ *   - koWordReport.tsv: every rejected or demoted candidate, with the reason
+ *   - the KO_WORD_LIST block in server/server.js, copied from koWords.txt so the
+ *     server's dailies match the client's
+ *
+ * Every word in a list is exactly that many composed Hangul syllable blocks
+ * ([\uAC00-\uD7A3]{2} or {3}). Pass --syllables=2 or --syllables=3 to write only
+ * one pair of files.
+ *
+ * Usage: node scripts/generate-ko-2syl.cjs [--syllables=2|3]
  */
 
 // Common 2-syllable Korean words — curated list of nouns, verbs, adjectives
@@ -242,6 +257,18 @@ const answerWords = [
   '연차', '월차', '병가', '출산', '육아', '돌봄', '양육', '보육',
   '교육', '학습', '독서', '필기', '암기', '복습', '예습', '자습',
   '수행', '달성', '성취', '업적', '공로', '공헌', '기여', '참여',
+
+  // === Everyday words added straight to koWords.txt ===
+  '가루', '가위', '가짜', '갈비', '강남', '경찰', '공기', '공주', '과일',
+  '관심', '교통', '국수', '군대', '그늘', '기름', '꼬리', '노트', '놀이',
+  '농부', '단추', '달걀', '담배', '동물', '마루', '메달', '모기', '모습',
+  '목욕', '문장', '물건', '물결', '미소', '바늘', '방향', '보물', '보석',
+  '봉투', '부부', '부채', '불꽃', '빨래', '사람', '사슴', '상자', '상추',
+  '서양', '선물', '설날', '소녀', '소풍', '속담', '수건', '순서', '승리',
+  '식당', '식물', '안녕', '얼굴', '얼음', '연못', '연필', '영웅', '오리',
+  '왕자', '위험', '음식', '의사', '이불', '인형', '자석', '자연', '점심',
+  '주먹', '진주', '창고', '천사', '청소', '촛불', '추석', '키위', '파도',
+  '풍선', '피자', '한강', '햇살', '휴지', '흑백', '흰색',
 ];
 
 const guessWords = [
@@ -479,28 +506,222 @@ const guessWords = [
   '회의', '회전', '효과', '효도', '효리', '효율', '후반', '후보',
   '후원', '휴가', '휴식', '휴일', '휴전', '흐름', '흔적', '흡수',
   '희망', '희생',
+
+  // === Guesses added straight to koGuessWords.txt ===
+  '가게', '가구', '가난', '가능', '가득', '가라', '가련', '가볍', '가사',
+  '가속', '가시', '가요', '가정', '가져', '가지', '가축', '가출', '가평',
+  '가해', '가혹', '가훈', '각별', '각오', '각자', '각종', '각지', '간결',
+  '간단', '간략', '간병', '간부', '간신', '간절', '간접', '간직', '간편',
+  '간혹', '감귤', '감당', '감성', '감속', '감수', '감원', '감지', '감탄',
+  '갑옷', '갑자', '강당', '강렬', '강북', '강산', '강습', '강요', '강조',
+  '개간', '개막', '개인', '객관', '거기', '거대', '거두', '거듭', '건너',
+  '건포', '겁나', '격차', '격투', '견고', '견디', '견본', '견해', '결국',
+  '결백', '결심', '결합', '경각', '경의', '경향', '경호', '계급', '계속',
+  '고개', '고마', '고심', '고용', '곡식', '곤충', '공략', '공통', '관념',
+  '관할', '광산', '광야', '괴물', '교감', '교내', '교무', '교원', '교정',
+  '교차', '교체', '구형', '국기', '국적', '국회', '군주', '굴뚝', '궁전',
+  '귀신', '귓볼', '그곳', '그날', '그녀', '그때', '그런', '그렇', '근래',
+  '글씨', '글자', '금방', '금붕', '금융', '급격', '급히', '긍정', '기각',
+  '기기', '기반', '기법', '기생', '기숙', '기이', '기조', '기회', '긴팔',
+  '깃발', '깔때', '꿀벌', '나누', '나중', '나타', '나팔', '낚시', '남기',
+  '낮잠', '내기', '내다', '냉동', '냉면', '논밭', '논술', '누구', '누리',
+  '눈꽃', '눈보', '다가', '다급', '다루', '다만', '다시', '다행', '단기',
+  '담기', '당뇨', '대선', '대신', '대포', '더욱', '도감', '도깨', '도망',
+  '도자', '도장', '도토', '독재', '독특', '동안', '두루', '뒷문', '따라',
+  '때로', '또한', '러닝', '레몬', '레슬', '로그', '리듬', '마차', '막대',
+  '만들', '만약', '만일', '맛집', '매듭', '매실', '매우', '맹꽁', '먹이',
+  '메기', '메시', '명곡', '명단', '명랑', '명확', '모둠', '모든', '모형',
+  '목숨', '몸살', '못자', '묘지', '무죄', '무척', '미역', '바둑', '바래',
+  '바퀴', '반기', '반려', '반면', '반문', '반칙', '발톱', '밧줄', '방벽',
+  '방울', '배탈', '벌금', '벌써', '법안', '벗꽃', '벼락', '벼룩', '변비',
+  '변호', '별로', '볏짚', '병동', '병리', '보관', '보다', '복권', '복용',
+  '봄비', '봉쇄', '부종', '분류', '분배', '불면', '불빛', '비석', '빈칸',
+  '뿔소', '사계', '사라', '사퇴', '사형', '삽화', '상기', '상무', '상승',
+  '상징', '새장', '샛별', '생기', '생년', '서랍', '서로', '서울', '석양',
+  '석탄', '세기', '소방', '손톱', '솔직', '송이', '송진', '쇠고', '수돗',
+  '수레', '수비', '수저', '수탉', '시기', '시민', '식기', '식빵', '신경',
+  '신나', '신랑', '신부', '실시', '쌀밥', '썰매', '아궁', '아까', '아끼',
+  '아내', '아름', '아마', '아무', '아주', '아직', '악화', '안뜰', '알맞',
+  '알약', '암벽', '야간', '야생', '야자', '약초', '양봉', '어느', '어디',
+  '어려', '어항', '억새', '언급', '엄격', '엄청', '업종', '여러', '여전',
+  '연봉', '연합', '열심', '염색', '염증', '엽서', '옛날', '오두', '오류',
+  '오히', '올챙', '와플', '왜냐', '외양', '요청', '용돈', '용서', '우리',
+  '우물', '원가', '원두', '원서', '원장', '월드', '월세', '위대', '위법',
+  '유채', '유행', '의심', '의존', '이것', '이번', '이용', '이점', '인공',
+  '인류', '일찍', '잎새', '자꾸', '자라', '자리', '자주', '잔디', '잔치',
+  '잣나', '장난', '재건', '재수', '적당', '적응', '적절', '전봇', '점점',
+  '접속', '정기', '제고', '조랑', '죽림', '죽순', '쥐덫', '즉시', '진단',
+  '짚신', '짜증', '짝꿍', '쪽배', '차고', '찬물', '참깨', '찹쌀', '채소',
+  '채점', '천문', '철봉', '철새', '첫날', '청둥', '초밥', '총액', '총장',
+  '추상', '취미', '치약', '친척', '칠판', '칫솔', '카드', '카레', '카메',
+  '콩팥', '크기', '키워', '타조', '탄산', '태극', '통나', '통제', '통화',
+  '투쟁', '판결', '판다', '패배', '패션', '폐업', '폐지', '포장', '폭발',
+  '폭풍', '풍습', '풍토', '프로', '피리', '하루', '하반', '학급', '학위',
+  '한글', '한눈', '한두', '한마', '한참', '할인', '함께', '합창', '해먹',
+  '해빛', '햇볕', '햇빛', '혁명', '협약', '호흡', '혼란', '혼자', '홍시',
+  '홍합', '화덕', '화재', '확실', '횃불', '훈련', '훈육', '휴게', '휴대',
+  '흥미', '흥분',
 ];
 
-// Deduplicate
-const answerSet = new Set(answerWords.filter(w => w.length === 2 && /^[\uAC00-\uD7A3]+$/.test(w)));
-const guessSet = new Set(guessWords.filter(w => w.length === 2 && /^[\uAC00-\uD7A3]+$/.test(w)));
+// Common 3-syllable Korean words (answers) and extra valid 3-syllable guesses
+const answerWords3 = [
+  '간호사', '강아지', '개구리', '개나리', '거북이', '게임기', '결혼식', '경제학', '경찰관', '경찰서',
+  '계산기', '고구마', '고등어', '고양이', '공무원', '공휴일', '과학자', '관광객', '교과서', '교차로',
+  '그림자', '금요일', '기념일', '기와집', '기차역', '기차표', '김치전', '까마귀', '꽃다발', '나뭇잎',
+  '남동생', '냉장고', '너구리', '노래방', '놀이터', '농구공', '눈보라', '눈사람', '다람쥐', '달팽이',
+  '대통령', '대학교', '대학생', '도서관', '도시락', '독수리', '돌고래', '돌멩이', '동화책', '된장국',
+  '드라마', '떡볶이', '라디오', '만화책', '망아지', '망원경', '메뚜기', '모래밭', '목도리', '목소리',
+  '목요일', '무궁화', '무지개', '문화재', '물리학', '미술관', '미역국', '미용사', '미용실', '민들레',
+  '바나나', '바닷가', '박람회', '박물관', '반바지', '발가락', '발바닥', '밥그릇', '백화점', '변호사',
+  '별자리', '병아리', '보름달', '복숭아', '부엉이', '불고기', '비둘기', '비빔밥', '비행기', '산책로',
+  '삼겹살', '색연필', '생물학', '선생님', '선풍기', '성적표', '세계사', '세탁기', '세탁소', '소나기',
+  '소나무', '소방관', '소방서', '소설가', '손가락', '손바닥', '손수건', '손전등', '송아지', '수영복',
+  '수영장', '수요일', '수평선', '수학자', '숟가락', '시금치', '시험지', '신문지', '신호등', '심리학',
+  '쓰레기', '아가씨', '아버지', '아저씨', '아침밥', '앵무새', '야구장', '양배추', '어린이', '어머니',
+  '엉덩이', '에어컨', '여동생', '여행지', '영화관', '예술가', '오렌지', '오징어', '옥수수', '온도계',
+  '올림픽', '올빼미', '옷걸이', '외국인', '요리사', '우체국', '운동장', '운동화', '운동회', '원숭이',
+  '원피스', '월드컵', '월요일', '윷놀이', '은하수', '음식점', '음악회', '이메일', '이슬비', '인내심',
+  '인터넷', '일요일', '입학식', '자동차', '자물쇠', '자신감', '자전거', '자존심', '잠자리', '장난감',
+  '저녁밥', '전시회', '전화기', '젓가락', '정류장', '정치인', '졸업식', '종아리', '주전자', '주차장',
+  '줄넘기', '중학생', '지렁이', '지우개', '지평선', '지하철', '진달래', '짜장면', '책가방', '책임감',
+  '청바지', '청소기', '청소년', '체육관', '초가집', '초승달', '초인종', '초콜릿', '축구공', '출근길',
+  '카메라', '칼국수', '캥거루', '컴퓨터', '케이크', '코끼리', '콩나물', '태권도', '태극기', '태양계',
+  '터미널', '토마토', '토요일', '퇴근길', '티셔츠', '팔꿈치', '편의점', '편지지', '폭포수', '피아노',
+  '한국인', '한글날', '할머니', '해파리', '햄버거', '허벅지', '현미경', '호기심', '호랑이', '호박죽',
+  '화요일', '회사원', '휴게소', '휴대폰', '휴지통',
+];
 
-// Remove any guess words that are already in the answer set
-for (const w of answerSet) {
-  guessSet.delete(w);
-}
+const guessWords3 = [
+  '가로등', '가운데', '감기약', '거짓말', '건전지', '공연장', '관광지', '교육청', '구급차', '기관차',
+  '기숙사', '꽃가게', '나그네', '낚시꾼', '냉면집', '노란색', '녹음기', '농구장', '눈물샘', '다리미',
+  '단골집', '대합실', '도깨비', '동물원', '동아리', '두루미', '들국화', '뚝배기', '마라톤', '막걸리',
+  '만년필', '맞춤법', '매운탕', '머리띠', '면도기', '모기장', '목걸이', '문방구', '물고기', '미끄럼',
+  '바구니', '바느질', '반딧불', '발자국', '방송국', '번데기', '보물섬', '보자기', '부채꼴', '분식집',
+  '빨간색', '빨래판', '사다리', '사진기', '새벽녘', '생선회', '생일날', '설거지', '소방차', '소풍날',
+  '수돗물', '수박씨', '순두부', '스케치', '승강기', '시골집', '신혼집', '쌍둥이', '아이돌', '악어새',
+  '안경점', '야구공', '약수터', '여름날', '연못가', '열대어', '영화표', '오솔길', '우주선', '우편함',
+  '응급실', '이야기', '인형극', '잔디밭', '장독대', '저금통', '전기차', '정원사', '제과점', '주머니',
+  '주황색', '지름길', '참기름', '창문틀', '책꽂이', '체온계', '축구장', '콩국수', '타자기', '탁구공',
+  '택배원', '테니스', '파란색', '팔씨름', '편지함', '풍선껌', '학용품', '할인점', '해수욕', '핸드폰',
+  '화장실', '화장품', '회오리', '휘파람', '흰머리',
+];
 
 const fs = require('fs');
 const path = require('path');
 
-const answerList = [...answerSet].sort();
-const guessList = [...guessSet].sort();
+const SRC_DIR = path.join(__dirname, '..', 'src');
+const DICTIONARY_FILE = path.join(__dirname, 'koDictionary.tsv');
+const REPORT_FILE = path.join(__dirname, 'koWordReport.tsv');
+const SERVER_FILE = path.join(__dirname, '..', '..', 'server', 'server.js');
 
-console.log(`Answer words: ${answerList.length}`);
-console.log(`Guess words: ${guessList.length}`);
-console.log(`Total valid guesses: ${answerList.length + guessList.length}`);
+/** Answers must be common nouns: verbs, adverbs and rare or technical words are guess-only */
+const ANSWER_POS = new Set(['noun']);
+const ANSWER_MAX_FREQ = 2;
 
-fs.writeFileSync(path.join(__dirname, '..', 'src', 'koWords.txt'), answerList.join('\n') + '\n');
-fs.writeFileSync(path.join(__dirname, '..', 'src', 'koGuessWords.txt'), guessList.join('\n') + '\n');
+const LISTS = [
+  { syllables: 2, answers: answerWords, guesses: guessWords, answerFile: 'koWords.txt', guessFile: 'koGuessWords.txt' },
+  { syllables: 3, answers: answerWords3, guesses: guessWords3, answerFile: 'koWords3.txt', guessFile: 'koGuessWords3.txt' },
+];
+
+const only = process.argv.find(arg => arg.startsWith('--syllables='));
+const selected = only ? LISTS.filter(l => l.syllables === Number(only.split('=')[1])) : LISTS;
+if (selected.length === 0) {
+  console.error(`Unsupported ${only} (expected 2 or 3)`);
+  process.exit(1);
+}
+
+/** Parse koDictionary.tsv into word → { pos, freq } */
+function loadDictionary(file) {
+  const dictionary = new Map();
+  for (const [index, line] of fs.readFileSync(file, 'utf8').split('\n').entries()) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    const [word, pos, freq] = line.split('\t');
+    if (!word || !pos || !/^[123]$/.test(freq)) {
+      throw new Error(`${path.basename(file)}:${index + 1}: expected word<TAB>pos<TAB>freq (1-3)`);
+    }
+    dictionary.set(word.normalize('NFC'), { pos, freq: Number(freq) });
+  }
+  return dictionary;
+}
 
-console.log('Written koWords.txt and koGuessWords.txt');
+/**
+ * Vet one candidate: `{ list }` when it belongs in the answers or guesses,
+ * otherwise `{ reason }` for the report.
+ */
+function classify(word, syllables, isAnswerCandidate, dictionary) {
+  if (word.length !== syllables || !/^[\uAC00-\uD7A3]+$/.test(word)) {
+    return { reason: `not ${syllables} Hangul syllables` };
+  }
+  const entry = dictionary.get(word);
+  if (!entry) return { reason: 'not in dictionary' };
+  if (entry.pos === 'proper') return { entry, reason: 'proper noun' };
+  if (!isAnswerCandidate) return { entry, list: 'guesses' };
+  if (!ANSWER_POS.has(entry.pos)) return { entry, list: 'guesses', reason: `${entry.pos}, not a noun` };
+  if (entry.freq > ANSWER_MAX_FREQ) return { entry, list: 'guesses', reason: `rare (freq ${entry.freq})` };
+  return { entry, list: 'answers' };
+}
+
+/** Replace the entries of `const KO_WORD_LIST = [...]` in server.js, ten words per line */
+function syncServerList(words) {
+  const source = fs.readFileSync(SERVER_FILE, 'utf8');
+  const block = /(const KO_WORD_LIST = \[\n)[^\]]*(\];)/;
+  if (!block.test(source)) throw new Error('KO_WORD_LIST not found in server/server.js');
+  const lines = [];
+  for (let i = 0; i < words.length; i += 10) {
+    lines.push('  ' + words.slice(i, i + 10).map(w => `'${w}',`).join(' ') + '\n');
+  }
+  fs.writeFileSync(SERVER_FILE, source.replace(block, (_, open, close) => open + lines.join('') + close));
+}
+
+const dictionary = loadDictionary(DICTIONARY_FILE);
+const report = [];
+
+for (const { syllables, answers, guesses, answerFile, guessFile } of selected) {
+  const answerSet = new Set();
+  const guessSet = new Set();
+  const seen = new Set();
+  const candidates = [
+    ...answers.map(word => [word, true]),
+    ...guesses.map(word => [word, false]),
+  ];
+
+  for (const [raw, isAnswerCandidate] of candidates) {
+    const word = raw.normalize('NFC');
+    // A word listed as both an answer and a guess candidate is vetted as an answer
+    if (seen.has(word)) continue;
+    seen.add(word);
+
+    const { entry, list, reason } = classify(word, syllables, isAnswerCandidate, dictionary);
+    if (list === 'answers') answerSet.add(word);
+    if (list === 'guesses') guessSet.add(word);
+    if (reason) {
+      report.push([word, syllables, isAnswerCandidate ? 'answer' : 'guess', list ?? 'rejected', entry?.pos ?? '-', entry?.freq ?? '-', reason]);
+    }
+  }
+
+  const answerList = [...answerSet].sort();
+  const guessList = [...guessSet].sort();
+  const rejected = report.filter(r => r[1] === syllables && r[3] === 'rejected').length;
+
+  console.log(`${syllables} syllables — answer words: ${answerList.length}`);
+  console.log(`${syllables} syllables — guess words: ${guessList.length}`);
+  console.log(`${syllables} syllables — rejected candidates: ${rejected}`);
+
+  fs.writeFileSync(path.join(SRC_DIR, answerFile), answerList.join('\n') + '\n');
+  fs.writeFileSync(path.join(SRC_DIR, guessFile), guessList.join('\n') + '\n');
+  console.log(`Written ${answerFile} and ${guessFile}`);
+
+  // The server only hosts dailies at the default (2-syllable) length
+  if (syllables === 2) {
+    syncServerList(answerList);
+    console.log('Updated KO_WORD_LIST in server/server.js');
+  }
+}
+
+const header = [
+  '# Korean word-list candidates that did not make their list, written by generate-ko-2syl.cjs.',
+  '# outcome "rejected": left out entirely; "guesses": an answer candidate kept as a guess only.',
+  ['word', 'syllables', 'candidate', 'outcome', 'pos', 'freq', 'reason'].join('\t'),
+];
+fs.writeFileSync(REPORT_FILE, [...header, ...report.map(r => r.join('\t'))].join('\n') + '\n');
+console.log(`Written ${path.basename(REPORT_FILE)} (${report.length} entries)`);
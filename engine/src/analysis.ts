@@ -0,0 +1,150 @@
+/**
+ * Post-game skill and luck analysis.
+ *
+ * Replays a finished game from `BoardState.guesses` and `results`: for every guess
+ * and every board still in play it measures how many candidate answers remained
+ * before and after, the information the guess was expected to give (skill) and
+ * the information it actually gave (luck), and compares it with the best guess
+ * the solver could find at that point.
+ */
+
+import type { BoardState, GameState, WordLists } from './types.js';
+import { getCandidates, getGuessInformation, suggestGuess } from './solver.js';
+import { getLanguageConfig } from './languageConfig.js';
+import { getTrueGameState } from './fibble.js';
+
+/** Evaluation budget per best-guess search; lower than the solver default to keep analysis snappy */
+const ANALYSIS_MAX_EVALUATIONS = 500_000;
+
+/** One guess's effect on one board */
+export interface BoardGuessAnalysis {
+    boardIndex: number;
+    candidatesBefore: number;
+    candidatesAfter: number;
+    /** Information the guess was expected to give on this board, in bits */
+    expectedBits: number;
+    /** Information it actually gave: log2(before / after) */
+    actualBits: number;
+}
+
+/** Analysis of a single guess across every board still in play */
+export interface GuessAnalysis {
+    /** 1-based guess number */
+    guessNumber: number;
+    guess: string;
+    /** Pre-filled by Rescue mode rather than chosen by the player */
+    isStarter: boolean;
+    boards: BoardGuessAnalysis[];
+    expectedBits: number;
+    actualBits: number;
+    /** Best split guess the solver found, and its expected bits */
+    bestGuess: string | null;
+    bestExpectedBits: number;
+    /** expectedBits / bestExpectedBits, capped at 1 (1 = as good as the best guess) */
+    skill: number;
+    /** actualBits - expectedBits (positive = luckier than expected) */
+    luck: number;
+}
+
+/** Whole-game analysis; skill and luck summaries exclude Rescue starters */
+export interface GameAnalysis {
+    guesses: GuessAnalysis[];
+    /** Mean skill of the player's own guesses (1 when there are none) */
+    skill: number;
+    /** Total luck of the player's own guesses, in bits */
+    luck: number;
+}
+
+/** The board as it stood before its `count`-th guess */
+function boardBeforeGuess(board: BoardState, count: number): BoardState {
+    return {
+        ...board,
+        guesses: board.guesses.slice(0, count),
+        results: board.results.slice(0, count),
+        ...(board.koResults ? { koResults: board.koResults.slice(0, count) } : {}),
+        ...(board.jaResults ? { jaResults: board.jaResults.slice(0, count) } : {}),
+        solved: false,
+        solvedOnGuess: null,
+    };
+}
+
+/**
+ * Whether a board was in play when guess `guessNumber` was made: not yet solved and,
+ * in Sequence mode, already unlocked (the previous board solved on an earlier guess).
+ */
+function isInPlay(state: GameState, boardIndex: number, guessNumber: number): boolean {
+    const board = state.boards[boardIndex];
+    if (board.guesses.length < guessNumber) return false;
+    if (board.solvedOnGuess !== null && board.solvedOnGuess < guessNumber) return false;
+    if (state.sequence && boardIndex > 0) {
+        const previous = state.boards[boardIndex - 1].solvedOnGuess;
+        return previous !== null && previous < guessNumber;
+    }
+    return true;
+}
+
+/**
+ * Analyzes every guess of a game.
+ * Candidates come from `lists`, by default the game's language and word length lists.
+ * Fibble games are analyzed from what the boards really said, not the lies shown.
+ */
+export function analyzeGame(game: GameState, lists?: WordLists): GameAnalysis {
+    const state = getTrueGameState(game);
+    const language = state.language || 'en';
+    const wordLists = lists ?? getLanguageConfig(language, state.wordLength);
+    const starterCount = state.starterCount || 0;
+    const guesses: GuessAnalysis[] = [];
+
+    for (let guessIdx = 0; guessIdx < state.guessCount; guessIdx++) {
+        const guessNumber = guessIdx + 1;
+        const guess = state.boards[0].guesses[guessIdx];
+        const boardsBefore: BoardState[] = [];
+        const boards: BoardGuessAnalysis[] = [];
+
+        state.boards.forEach((board, boardIndex) => {
+            if (!isInPlay(state, boardIndex, guessNumber)) return;
+
+            const before = boardBeforeGuess(board, guessIdx);
+            const candidatesBefore = getCandidates(before, wordLists, language);
+            const candidatesAfter = getCandidates(boardBeforeGuess(board, guessNumber), wordLists, language);
+            // Targets outside the lists (custom games) still leave at least one possibility
+            const afterCount = Math.max(1, candidatesAfter.length);
+            const beforeCount = Math.max(afterCount, candidatesBefore.length);
+
+            boardsBefore.push(before);
+            boards.push({
+                boardIndex,
+                candidatesBefore: candidatesBefore.length,
+                candidatesAfter: candidatesAfter.length,
+                expectedBits: getGuessInformation(guess, candidatesBefore, language),
+                actualBits: Math.log2(beforeCount / afterCount),
+            });
+        });
+
+        const expectedBits = boards.reduce((sum, b) => sum + b.expectedBits, 0);
+        const actualBits = boards.reduce((sum, b) => sum + b.actualBits, 0);
+        const best = suggestGuess(boardsBefore, wordLists, language, { maxEvaluations: ANALYSIS_MAX_EVALUATIONS });
+        // The thinned search can miss the player's guess; never rank it above the player's
+        const bestExpectedBits = Math.max(best?.bits ?? 0, expectedBits);
+
+        guesses.push({
+            guessNumber,
+            guess,
+            isStarter: guessIdx < starterCount,
+            boards,
+            expectedBits,
+            actualBits,
+            bestGuess: best && best.bits >= expectedBits ? best.guess : guess,
+            bestExpectedBits,
+            skill: bestExpectedBits > 0 ? Math.min(1, expectedBits / bestExpectedBits) : 1,
+            luck: actualBits - expectedBits,
+        });
+    }
+
+    const own = guesses.filter((g) => !g.isStarter);
+    return {
+        guesses,
+        skill: own.length > 0 ? own.reduce((sum, g) => sum + g.skill, 0) / own.length : 1,
+        luck: own.reduce((sum, g) => sum + g.luck, 0),
+    };
+}
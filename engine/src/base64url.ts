@@ -0,0 +1,73 @@
+/**
+ * Byte encodings for share codes and challenge tokens: UTF-8 and unpadded,
+ * URL-safe base64.
+ */
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/** UTF-8 bytes of a string */
+export function utf8Encode(text: string): number[] {
+    const bytes: number[] = [];
+    for (const ch of text) {
+        const cp = ch.codePointAt(0)!;
+        if (cp < 0x80) {
+            bytes.push(cp);
+        } else if (cp < 0x800) {
+            bytes.push(0xc0 | (cp >> 6), 0x80 | (cp & 0x3f));
+        } else if (cp < 0x10000) {
+            bytes.push(0xe0 | (cp >> 12), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+        } else {
+            bytes.push(0xf0 | (cp >> 18), 0x80 | ((cp >> 12) & 0x3f), 0x80 | ((cp >> 6) & 0x3f), 0x80 | (cp & 0x3f));
+        }
+    }
+    return bytes;
+}
+
+/** The string encoded by UTF-8 bytes */
+export function utf8Decode(bytes: number[]): string {
+    let text = '';
+    for (let i = 0; i < bytes.length;) {
+        const b = bytes[i];
+        const extra = b < 0x80 ? 0 : b >= 0xf0 ? 3 : b >= 0xe0 ? 2 : 1;
+        let cp = extra === 0 ? b : b & (0x3f >> extra);
+        for (let j = 1; j <= extra; j++) {
+            cp = (cp << 6) | (bytes[i + j] & 0x3f);
+        }
+        text += String.fromCodePoint(cp);
+        i += extra + 1;
+    }
+    return text;
+}
+
+/** Unpadded base64url text of bytes, safe in URLs */
+export function toBase64Url(bytes: number[]): string {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const chunk = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+        const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+        for (let j = 0; j < chars; j++) {
+            out += BASE64URL[(chunk >> (18 - 6 * j)) & 0x3f];
+        }
+    }
+    return out;
+}
+
+/** Bytes of unpadded base64url text; throws on characters outside the alphabet */
+export function fromBase64Url(text: string): number[] {
+    const bytes: number[] = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const ch of text) {
+        const value = BASE64URL.indexOf(ch);
+        if (value === -1) {
+            throw new Error(`Invalid base64url character: ${ch}`);
+        }
+        buffer = (buffer << 6) | value;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes.push((buffer >> bits) & 0xff);
+        }
+    }
+    return bytes;
+}
@@ -0,0 +1,158 @@
+/**
+ * Boards and the guesses played on them: what submitGuess does once a guess is
+ * valid. In Fibble mode each row tells its lie (see fibble.ts); in Sequence
+ * mode solving a board unlocks the next one, which replays every guess so far.
+ *
+ * No word-list files are imported here, so the server, which cannot load them,
+ * applies guesses with the same code as the client.
+ */
+
+import type { BoardState, BoardTruth, GameState, Language } from './types.js';
+import { isSolved } from './evaluator.js';
+import { getLanguage } from './languages.js';
+import { getLie } from './fibble.js';
+
+/**
+ * Creates an initial board state for a single word
+ */
+export function createBoardState(targetWord: string, locked: boolean = false): BoardState {
+    return {
+        // Lower-cased but not normalized: targets keep their accents even when guesses fold them
+        targetWord: targetWord.toLowerCase(),
+        guesses: [],
+        results: [],
+        solved: false,
+        solvedOnGuess: null,
+        ...(locked ? { locked } : {}),
+    };
+}
+
+/**
+ * Applies one guess to a board. `guessNumber` is the 1-based game guess count
+ * after this guess, recorded as `solvedOnGuess` when it solves the board.
+ * In Fibble mode `fibble` names the board, so the row tells its lie.
+ */
+export function applyGuessToBoard(
+    board: BoardState,
+    guess: string,
+    guessNumber: number,
+    language: Language,
+    fibble?: { seed: string; boardIndex: number },
+): BoardState {
+    if (board.solved) {
+        // Board already solved, just add the guess for display
+        const prevResult = board.results[board.results.length - 1];
+        const prevKoResult = board.koResults?.[board.koResults.length - 1];
+        const prevJaResult = board.jaResults?.[board.jaResults.length - 1];
+        return {
+            ...board,
+            guesses: [...board.guesses, guess],
+            results: [...board.results, prevResult], // Repeat last result
+            ...(prevKoResult ? {
+                koResults: [...(board.koResults || []), prevKoResult],
+            } : {}),
+            ...(prevJaResult ? {
+                jaResults: [...(board.jaResults || []), prevJaResult],
+            } : {}),
+            ...(board.truth ? { truth: repeatTruth(board.truth) } : {}),
+        };
+    }
+
+    // Languages with sub-character hints (Korean jamo, Japanese kana) also return a koResult / jaResult
+    const { result, koResult, jaResult } = getLanguage(language).evaluate(guess, board.targetWord);
+    const solved = isSolved(result);
+    if (fibble) {
+        // The solving row tells the truth; any other row gets one lying tile
+        const lie = solved ? null : getLie(fibble.seed, fibble.boardIndex, guessNumber, result);
+        const shown = lie ? result.map((r, i) => i === lie.index ? lie.shown : r) : result;
+        const truth = board.truth ?? { results: [], lies: [] };
+        return {
+            ...board,
+            guesses: [...board.guesses, guess],
+            results: [...board.results, shown],
+            truth: {
+                results: [...truth.results, result],
+                ...(koResult ? { koResults: [...(truth.koResults || []), koResult] } : {}),
+                ...(jaResult ? { jaResults: [...(truth.jaResults || []), jaResult] } : {}),
+                lies: [...truth.lies, lie ? lie.index : null],
+            },
+            solved,
+            solvedOnGuess: solved ? guessNumber : null,
+        };
+    }
+
+    return {
+        ...board,
+        guesses: [...board.guesses, guess],
+        results: [...board.results, result],
+        ...(koResult ? { koResults: [...(board.koResults || []), koResult] } : {}),
+        ...(jaResult ? { jaResults: [...(board.jaResults || []), jaResult] } : {}),
+        solved,
+        solvedOnGuess: solved ? guessNumber : null,
+    };
+}
+
+/** A solved Fibble board's truth, with its last row repeated like its shown results */
+function repeatTruth(truth: BoardTruth): BoardTruth {
+    const prevKoResult = truth.koResults?.[truth.koResults.length - 1];
+    const prevJaResult = truth.jaResults?.[truth.jaResults.length - 1];
+    return {
+        results: [...truth.results, truth.results[truth.results.length - 1]],
+        ...(prevKoResult ? { koResults: [...(truth.koResults || []), prevKoResult] } : {}),
+        ...(prevJaResult ? { jaResults: [...(truth.jaResults || []), prevJaResult] } : {}),
+        lies: [...truth.lies, null],
+    };
+}
+
+/**
+ * Sequence mode: unlocks the board after each solved board and replays every guess
+ * made so far onto it. A replayed guess may solve it outright, unlocking the next one.
+ * Such a board keeps the row that solved it as `solvedOnGuess`, even when that is
+ * earlier than the guess that unlocked it: rows, grids and the solver all read it as
+ * a row index, and the game's score is its guess count either way.
+ */
+export function unlockSequenceBoards(boards: BoardState[], language: Language, fibble?: { seed: string }): BoardState[] {
+    // Board 1 is never locked, so it has seen every guess
+    const history = boards[0].guesses;
+    const unlocked = [...boards];
+
+    for (let i = 1; i < unlocked.length; i++) {
+        if (!unlocked[i].locked || !unlocked[i - 1].solved) continue;
+        let board: BoardState = { ...unlocked[i], locked: false };
+        history.forEach((guess, idx) => {
+            board = applyGuessToBoard(board, guess, idx + 1, language, fibble && { ...fibble, boardIndex: i });
+        });
+        unlocked[i] = board;
+    }
+
+    return unlocked;
+}
+
+/**
+ * Plays a guess, already validated and normalized, on every board in play and
+ * returns the updated game state; locked Sequence boards wait to be unlocked.
+ * Evil games pick their own feedback (see applyEvilGuess).
+ */
+export function applyGuess(state: GameState, normalizedGuess: string): GameState {
+    const language = state.language || 'en';
+    const newGuessCount = state.guessCount + 1;
+    let newBoards = state.boards.map((board, boardIndex) => board.locked
+        ? board
+        : applyGuessToBoard(board, normalizedGuess, newGuessCount, language, state.fibble && { ...state.fibble, boardIndex }));
+    if (state.sequence) {
+        newBoards = unlockSequenceBoards(newBoards, language, state.fibble);
+    }
+
+    const allSolved = newBoards.every((b) => b.solved);
+    const outOfGuesses = newGuessCount >= state.maxGuesses;
+    const gameOver = allSolved || outOfGuesses;
+
+    return {
+        ...state,
+        boards: newBoards,
+        currentGuess: '',
+        guessCount: newGuessCount,
+        gameOver,
+        won: allSolved,
+    };
+}
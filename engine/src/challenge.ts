@@ -0,0 +1,172 @@
+/**
+ * Challenge tokens: four answer words picked by a player, packed into a short,
+ * URL-safe string that others open to play them.
+ *
+ * The words are obfuscated so a token doesn't give them away at a glance: the
+ * payload is XORed with a mulberry32 keystream seeded from a random salt that
+ * leads the token. This is not encryption (anyone with the engine can decode a
+ * token), it only keeps the answers out of plain sight in links and chat.
+ * A checksum inside the obfuscated bytes catches tokens that were cut short or
+ * mistyped, and decoding re-checks every word against the answer list.
+ *
+ * Format: `c<version>.<base64url(salt + obfuscated(checksum + UTF-8 JSON array))>`.
+ * Bump CHALLENGE_TOKEN_VERSION and keep a decoder for old versions whenever the
+ * payload layout changes.
+ *
+ * This module imports no word-list files, so the server uses it directly.
+ */
+
+import type { Language } from './types.js';
+import { getLanguage, isLanguage } from './languages.js';
+import { graphemeLength, splitGraphemes } from './graphemes.js';
+import { fromBase64Url, toBase64Url, utf8Decode, utf8Encode } from './base64url.js';
+import { mulberry32, stringToSeed } from './random.js';
+
+export const CHALLENGE_TOKEN_VERSION = 1;
+
+/** Every challenge is a standard four-board Quordle */
+export const CHALLENGE_BOARD_COUNT = 4;
+
+const TOKEN_PREFIX = `c${CHALLENGE_TOKEN_VERSION}.`;
+const SALT_BYTES = 4;
+const CHECKSUM_BYTES = 2;
+
+/** A decoded challenge: everything createGame needs */
+export interface Challenge {
+    language: Language;
+    wordLength: number;
+    targetWords: string[];
+}
+
+/** Version 1 payload, in array order */
+type PayloadV1 = [
+    language: Language,
+    wordLength: number,
+    /** The target words concatenated */
+    targets: string,
+];
+
+/** XORs bytes with the keystream of `seed`; applying it twice restores the bytes */
+function applyKeystream(bytes: number[], seed: number): number[] {
+    const random = mulberry32(seed);
+    return bytes.map((byte) => byte ^ Math.floor(random() * 256));
+}
+
+function checksumBytes(text: string): number[] {
+    const hash = stringToSeed(text);
+    return [(hash >>> 8) & 0xff, hash & 0xff];
+}
+
+/**
+ * The answers a player picked, spelled as in the answer list (so accents folded
+ * away on input or syllables typed for jamo tiles still match). Throws unless
+ * there are four different answer words of one length.
+ */
+function resolveChallengeWords(words: readonly string[], language: Language): { wordLength: number; targetWords: string[] } {
+    if (words.length !== CHALLENGE_BOARD_COUNT) {
+        throw new Error(`A challenge needs ${CHALLENGE_BOARD_COUNT} different words`);
+    }
+    const { normalize, wordLists } = getLanguage(language);
+    const typed = words.map((word) => word.trim().toLowerCase());
+    const wordLength = graphemeLength(normalize(typed[0]));
+    const lists = wordLists[wordLength];
+    if (!lists) {
+        throw new Error(`Unsupported word length for ${language}: ${wordLength}`);
+    }
+
+    const targetWords = typed.map((word) => {
+        const answer = lists.answerWords.includes(word)
+            ? word
+            : lists.answerWords.find((candidate) => normalize(candidate) === normalize(word));
+        if (!answer) {
+            throw new Error(`Not an answer word: ${word}`);
+        }
+        return answer;
+    });
+    if (new Set(targetWords).size !== CHALLENGE_BOARD_COUNT) {
+        throw new Error(`A challenge needs ${CHALLENGE_BOARD_COUNT} different words`);
+    }
+    return { wordLength, targetWords };
+}
+
+/** Whether text looks like a challenge token rather than a share code (it may still be invalid) */
+export function isChallengeToken(text: string): boolean {
+    return /^c\d+\./.test(text.trim());
+}
+
+/**
+ * Encodes four answer words as a challenge token. Throws if the words are not
+ * four different answers of one length in `language`.
+ *
+ * @param words - The picked words, as typed; they are normalized and matched to the answer list
+ * @param language - Language whose answer lists the words come from
+ * @param random - Source of the salt, so tests can make tokens reproducible
+ *
+ * @example
+ * ```ts
+ * const token = encodeChallenge(['crane', 'pious', 'lymph', 'dwarf']);
+ * const { targetWords, language, wordLength } = decodeChallenge(token);
+ * createGame({ targetWords, language, wordLength });
+ * ```
+ */
+export function encodeChallenge(words: readonly string[], language: Language = 'en', random: () => number = Math.random): string {
+    const { wordLength, targetWords } = resolveChallengeWords(words, language);
+    const payload: PayloadV1 = [language, wordLength, targetWords.join('')];
+    const json = JSON.stringify(payload);
+
+    const salt = Array.from({ length: SALT_BYTES }, () => Math.floor(random() * 256));
+    const seed = salt.reduce((value, byte) => (value << 8) | byte, 0) >>> 0;
+    const body = applyKeystream([...checksumBytes(json), ...utf8Encode(json)], seed);
+    return `${TOKEN_PREFIX}${toBase64Url([...salt, ...body])}`;
+}
+
+/**
+ * Decodes a challenge token. Throws if the token is malformed, from an unknown
+ * version, or holds words that are not answers in its language.
+ */
+export function decodeChallenge(token: string): Challenge {
+    const trimmed = token.trim();
+    if (!trimmed.startsWith(TOKEN_PREFIX)) {
+        throw new Error(`Unsupported challenge token version: ${trimmed.slice(0, trimmed.indexOf('.') + 1) || trimmed}`);
+    }
+
+    let payload: PayloadV1;
+    try {
+        const bytes = fromBase64Url(trimmed.slice(TOKEN_PREFIX.length));
+        const seed = bytes.slice(0, SALT_BYTES).reduce((value, byte) => (value << 8) | byte, 0) >>> 0;
+        const body = applyKeystream(bytes.slice(SALT_BYTES), seed);
+        const json = utf8Decode(body.slice(CHECKSUM_BYTES));
+        if (bytes.length <= SALT_BYTES + CHECKSUM_BYTES
+            || checksumBytes(json).some((byte, i) => byte !== body[i])) {
+            throw new Error('Checksum mismatch');
+        }
+        payload = JSON.parse(json);
+    } catch {
+        throw new Error('Malformed challenge token');
+    }
+    if (!Array.isArray(payload) || payload.length !== 3
+        || !Number.isInteger(payload[1]) || payload[1] < 1 || typeof payload[2] !== 'string') {
+        throw new Error('Malformed challenge token');
+    }
+
+    const [language, wordLength, targets] = payload;
+    if (!isLanguage(language)) {
+        throw new Error(`Unsupported challenge language: ${language}`);
+    }
+    const chars = splitGraphemes(targets);
+    if (chars.length !== wordLength * CHALLENGE_BOARD_COUNT) {
+        throw new Error('Malformed challenge token');
+    }
+    const words = Array.from({ length: CHALLENGE_BOARD_COUNT }, (_, i) =>
+        chars.slice(i * wordLength, (i + 1) * wordLength).join(''));
+    return { language, ...resolveChallengeWords(words, language) };
+}
+
+/**
+ * Short id of a challenge, for keeping its results apart from other puzzles.
+ * Each token is its own challenge: the same words picked twice get new salts,
+ * and so new ids.
+ */
+export function getChallengeId(token: string): string {
+    return stringToSeed(token.trim()).toString(36);
+}
@@ -1,40 +1,22 @@
-import { getLanguageConfig } from './languageConfig.js';
-import type { Language } from './types.js';
-
 /**
- * Converts a dateKey string to a numeric seed.
- * Uses a simple hash function (djb2) for consistent results.
+ * Daily puzzles: the target words for each date, the same for every player.
  *
- * @param dateKey - The date key string (e.g., "2026-02-07")
- * @returns A 32-bit unsigned integer seed
- */
-function dateKeyToSeed(dateKey: string): number {
-    let hash = 5381;
-    for (let i = 0; i < dateKey.length; i++) {
-        // hash * 33 ^ charCode (djb2 algorithm)
-        hash = ((hash << 5) + hash) ^ dateKey.charCodeAt(i);
-    }
-    // Ensure positive 32-bit integer
-    return hash >>> 0;
-}
-
-/**
- * Mulberry32 - A simple and fast 32-bit seeded PRNG.
- * Produces deterministic pseudo-random numbers given the same seed.
+ * From SCHEDULE_START on, answers are dealt from a shuffled deck: each cycle is
+ * a seeded permutation of the answer list, cut into one hand per day, so no
+ * answer repeats within a cycle. A cycle's first days avoid the words of the
+ * previous cycle's last days, so no answer comes back within the language's
+ * repeat window either. A language's daily calendar can fix the answers of
+ * chosen dates (holidays, themed days); the words it displaces take the
+ * calendar words' places elsewhere in the cycle.
  *
- * @param seed - The 32-bit seed value
- * @returns A function that returns the next pseudo-random number in [0, 1)
+ * Picks depend only on the date and the registered lists, never on earlier
+ * games, so client and server agree as long as they register the same lists.
+ * This module imports no word-list files, so the server uses it directly.
  */
-function mulberry32(seed: number): () => number {
-    let state = seed >>> 0;
-    return () => {
-        state = (state + 0x6d2b79f5) >>> 0;
-        let t = state;
-        t = Math.imul(t ^ (t >>> 15), t | 1);
-        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-    };
-}
+
+import type { Language, LanguageDefinition } from './types.js';
+import { getLanguage, registerLanguage } from './languages.js';
+import { mulberry32, stringToSeed } from './random.js';
 
 /**
  * Selects n distinct indices from an array using Fisher-Yates partial shuffle.
@@ -62,14 +44,143 @@ function selectDistinctIndices(length: number, count: number, random: () => numb
 }
 
 /**
- * Gets 4 deterministic target words for a given date key.
- * The same dateKey will always return the same 4 distinct words.
+ * First date dealt by the scheduler. Earlier dates keep their independent picks,
+ * so share codes and leaderboards of past dailies stay valid.
+ */
+export const SCHEDULE_START = '2026-11-01';
+
+/** Days before a daily answer may come back, for languages without a dailyRepeatWindow */
+export const DEFAULT_REPEAT_WINDOW = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_START_TIME = Date.parse(SCHEDULE_START);
+
+/** Days from SCHEDULE_START to a "YYYY-MM-DD" dateKey (negative before it), or null for other keys */
+function getDayNumber(dateKey: string): number | null {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return null;
+    const time = Date.parse(dateKey);
+    return Number.isNaN(time) ? null : Math.round((time - SCHEDULE_START_TIME) / DAY_MS);
+}
+
+/** Answer list of a registered language for a word length (its default when omitted) */
+function getAnswerWords(definition: LanguageDefinition, wordLength?: number): readonly string[] {
+    const length = wordLength ?? definition.defaultWordLength;
+    const lists = definition.wordLists[length];
+    if (!lists) {
+        throw new Error(`Unsupported word length for ${definition.code}: ${length}`);
+    }
+    return lists.answerWords;
+}
+
+/** Everything that decides one kind of daily (language, board count, word length) */
+interface DailyDeck {
+    seedInput: string;
+    words: readonly string[];
+    boardCount: number;
+    /** Days dealt from one permutation of `words` */
+    cycleDays: number;
+    window: number;
+    /** Fixed answers by day number; only the standard daily has a calendar */
+    calendar: ReadonlyMap<number, readonly string[]>;
+}
+
+/**
+ * One cycle's hands, before avoiding the previous cycle: a seeded shuffle of the
+ * answer list with the calendar's dates fixed
+ */
+function dealCycle(deck: DailyDeck, cycle: number): string[][] {
+    const random = mulberry32(stringToSeed(`${deck.seedInput}#${cycle}`));
+    const order = [...deck.words];
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    const days = Array.from({ length: deck.cycleDays }, (_, day) =>
+        order.slice(day * deck.boardCount, (day + 1) * deck.boardCount));
+
+    const firstDay = cycle * deck.cycleDays;
+    const fixedDays = new Set<number>();
+    for (const [dayNumber, words] of deck.calendar) {
+        const day = dayNumber - firstDay;
+        if (day < 0 || day >= deck.cycleDays) continue;
+        // Each calendar word that is dealt elsewhere trades places with a word it displaces
+        const displaced = days[day].filter((word) => !words.includes(word));
+        for (const word of words) {
+            if (days[day].includes(word)) continue;
+            const other = days.findIndex((hand, i) => !fixedDays.has(i) && i !== day && hand.includes(word));
+            if (other !== -1) {
+                days[other][days[other].indexOf(word)] = displaced.shift()!;
+            }
+        }
+        days[day] = [...words];
+        fixedDays.add(day);
+    }
+    return days;
+}
+
+/** Dealt cycles per deck, built on first use (re-registering a language starts afresh) */
+const cycleCache = new WeakMap<LanguageDefinition, Map<string, string[][]>>();
+
+/** One cycle's hands, with its first days clear of the previous cycle's last days */
+function getCycle(definition: LanguageDefinition, deck: DailyDeck, cycle: number): string[][] {
+    let cycles = cycleCache.get(definition);
+    if (!cycles) {
+        cycles = new Map();
+        cycleCache.set(definition, cycles);
+    }
+    const key = `${deck.seedInput}#${cycle}`;
+    const cached = cycles.get(key);
+    if (cached) return cached;
+
+    const days = dealCycle(deck, cycle);
+    const recent = new Set(dealCycle(deck, cycle - 1).slice(-deck.window).flat());
+    const fixed = new Set(Array.from(deck.calendar.keys(), (dayNumber) => dayNumber - cycle * deck.cycleDays));
+
+    // Recent words in the first `window` days swap with fresh words from the middle
+    // days; the last `window` days stay as dealt, so the next cycle can rely on them
+    let middleDay = deck.window;
+    let middleSlot = 0;
+    const nextFresh = (): [number, number] | null => {
+        for (; middleDay < deck.cycleDays - deck.window; middleDay++, middleSlot = 0) {
+            if (fixed.has(middleDay)) continue;
+            for (; middleSlot < deck.boardCount; middleSlot++) {
+                if (!recent.has(days[middleDay][middleSlot])) return [middleDay, middleSlot++];
+            }
+        }
+        return null;
+    };
+    for (let day = 0; day < deck.window; day++) {
+        if (fixed.has(day)) continue;
+        for (let slot = 0; slot < deck.boardCount; slot++) {
+            if (!recent.has(days[day][slot])) continue;
+            const fresh = nextFresh();
+            if (!fresh) break;
+            const [freshDay, freshSlot] = fresh;
+            [days[day][slot], days[freshDay][freshSlot]] = [days[freshDay][freshSlot], days[day][slot]];
+        }
+    }
+
+    cycles.set(key, days);
+    return days;
+}
+
+/**
+ * Gets deterministic target words for a given date key.
+ * The same dateKey always returns the same distinct words.
  *
- * Uses mulberry32 PRNG seeded from the dateKey for deterministic selection.
- * This is a pure function with no side effects.
+ * From SCHEDULE_START on, words are dealt by the no-repeat scheduler described
+ * above; within a language's repeat window (`dailyRepeatWindow`, capped at a
+ * third of a cycle) no answer comes back. Earlier dates, and keys that are not
+ * "YYYY-MM-DD" dates, pick words independently with the mulberry32 PRNG.
+ * The language's daily calendar applies to the standard daily: 4 boards of
+ * the default word length. Calendar days are taken as given, even if one of
+ * their words was an answer a few days before.
  *
  * @param dateKey - A date string in "YYYY-MM-DD" format (or any unique string)
- * @returns A tuple of 4 distinct 5-letter words for the daily puzzle
+ * @param language - Language whose answer list is used
+ * @param boardCount - Number of boards (4 for Quordle, 8 for Octordle, ...)
+ * @param wordLength - Word length; defaults to the language's standard length
+ * @returns An array of `boardCount` distinct words for the daily puzzle
  *
  * @example
  * ```ts
@@ -77,19 +188,187 @@ function selectDistinctIndices(length: number, count: number, random: () => numb
  * // Always returns the same 4 words for '2026-02-07'
  * ```
  */
-export function getDailyTargets(dateKey: string, language: Language = 'en'): [string, string, string, string] {
+export function getDailyTargets(dateKey: string, language: Language = 'en', boardCount: number = 4, wordLength?: number): string[] {
+    const definition = getLanguage(language);
+    const wordList = getAnswerWords(definition, wordLength);
+    const length = wordLength ?? definition.defaultWordLength;
     // Append language suffix to seed input so each language gets unique daily words.
-    // English omits suffix for backward compatibility (same dailies as before).
-    const seedInput = language === 'en' ? dateKey : `${dateKey}:${language}`;
-    const seed = dateKeyToSeed(seedInput);
-    const random = mulberry32(seed);
-    const wordList = getLanguageConfig(language).answerWords;
-    const indices = selectDistinctIndices(wordList.length, 4, random);
-
-    return [
-        wordList[indices[0]],
-        wordList[indices[1]],
-        wordList[indices[2]],
-        wordList[indices[3]],
-    ];
+    // English's suffix is empty for backward compatibility (same dailies as before).
+    const { dailySeedSuffix = `:${language}` } = definition;
+    let seedInput = dateKey + dailySeedSuffix;
+    let variant = '';
+    // Non-Quordle variants get their own seed so an Octordle doesn't share its first 4 words with the Quordle
+    if (boardCount !== 4) {
+        variant += `:x${boardCount}`;
+    }
+    // Likewise for non-default word lengths
+    if (length !== definition.defaultWordLength) {
+        variant += `:len${length}`;
+    }
+    seedInput += variant;
+    if (boardCount > wordList.length) {
+        throw new Error(`Cannot pick ${boardCount} distinct words from list of ${wordList.length}`);
+    }
+
+    const dayNumber = getDayNumber(dateKey);
+    if (dayNumber === null || dayNumber < 0) {
+        const random = mulberry32(stringToSeed(seedInput));
+        const indices = selectDistinctIndices(wordList.length, boardCount, random);
+        return indices.map((idx) => wordList[idx]);
+    }
+
+    const cycleDays = Math.floor(wordList.length / boardCount);
+    const deck: DailyDeck = {
+        seedInput: `schedule${dailySeedSuffix}${variant}`,
+        words: wordList,
+        boardCount,
+        cycleDays,
+        window: Math.min(definition.dailyRepeatWindow ?? DEFAULT_REPEAT_WINDOW, Math.floor(cycleDays / 3)),
+        calendar: variant ? new Map() : getCalendarDays(definition, wordList),
+    };
+    const cycle = Math.floor(dayNumber / cycleDays);
+    return [...getCycle(definition, deck, cycle)[dayNumber - cycle * cycleDays]];
+}
+
+/**
+ * Key of a daily puzzle, for the server's rooms and leaderboards: the language
+ * code for the standard daily, with the board count and word length appended
+ * like getDailyTargets' seed otherwise, e.g. "en:x8" or "ko:len3".
+ */
+export function getDailyPuzzleKey(language: Language = 'en', boardCount: number = 4, wordLength?: number): string {
+    const length = wordLength ?? getLanguage(language).defaultWordLength;
+    let key = language;
+    if (boardCount !== 4) {
+        key += `:x${boardCount}`;
+    }
+    if (length !== getLanguage(language).defaultWordLength) {
+        key += `:len${length}`;
+    }
+    return key;
+}
+
+/** A language's calendar keyed by day number, checked against the standard daily's answers */
+function getCalendarDays(definition: LanguageDefinition, answerWords: readonly string[]): Map<number, readonly string[]> {
+    const days = new Map<number, readonly string[]>();
+    for (const [dateKey, words] of definition.dailyCalendar ?? []) {
+        const dayNumber = getDayNumber(dateKey);
+        if (dayNumber === null || dayNumber < 0) continue;
+        if (words.length !== 4 || new Set(words).size !== 4) {
+            throw new Error(`Calendar entry for ${dateKey} (${definition.code}) needs 4 distinct words`);
+        }
+        const unknown = words.find((word) => !answerWords.includes(word));
+        if (unknown) {
+            throw new Error(`Calendar word for ${dateKey} (${definition.code}) is not an answer: ${unknown}`);
+        }
+        days.set(dayNumber, words);
+    }
+    return days;
+}
+
+/**
+ * Parse a daily calendar: one `date<TAB>language<TAB>words` line per fixed
+ * daily, e.g. "2026-12-25\ten\tmerry jolly gifts carol". Blank lines and
+ * lines starting with `#` are skipped.
+ *
+ * @returns The fixed answers (lower-case, NFC) by language, then by dateKey
+ */
+export function parseDailyCalendar(text: string): Map<Language, Map<string, string[]>> {
+    const calendars = new Map<Language, Map<string, string[]>>();
+    for (const line of text.split('\n')) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        const [dateKey, language, words] = line.split('\t').map((field) => field.trim());
+        if (getDayNumber(dateKey ?? '') === null || !language || !words) {
+            throw new Error(`Malformed calendar line: ${line}`);
+        }
+        if (!calendars.has(language)) calendars.set(language, new Map());
+        calendars.get(language)!.set(dateKey, words.split(/\s+/).map((word) => word.normalize('NFC').toLowerCase()));
+    }
+    return calendars;
+}
+
+/** Attach a daily calendar (see parseDailyCalendar) to its registered languages */
+export function registerDailyCalendar(text: string): void {
+    for (const [language, dailyCalendar] of parseDailyCalendar(text)) {
+        registerLanguage({ ...getLanguage(language), dailyCalendar });
+    }
+}
+
+/** Practice seeds run from 1 to this, so every puzzle reads as "Practice #48213" or shorter */
+export const MAX_PRACTICE_SEED = 99_999;
+
+/** A random practice seed */
+export function createPracticeSeed(random: () => number = Math.random): number {
+    return 1 + Math.floor(random() * MAX_PRACTICE_SEED);
+}
+
+/** Check that a value (e.g. a parsed URL parameter) is a practice seed */
+export function isPracticeSeed(value: unknown): value is number {
+    return Number.isInteger(value) && (value as number) >= 1 && (value as number) <= MAX_PRACTICE_SEED;
+}
+
+/**
+ * Gets the target words of a numbered practice puzzle.
+ * Uses the same mulberry32 path as getDailyTargets (with a "practice:" seed), so
+ * everyone playing the same seed, language, board count and length gets the same words.
+ *
+ * @param seed - Practice seed, from 1 to MAX_PRACTICE_SEED
+ * @param language - Language whose answer list is used
+ * @param boardCount - Number of boards
+ * @param wordLength - Word length; defaults to the language's standard length
+ * @returns An array of `boardCount` distinct words
+ */
+export function getPracticeTargets(seed: number, language: Language = 'en', boardCount: number = 4, wordLength?: number): string[] {
+    if (!isPracticeSeed(seed)) {
+        throw new Error(`Invalid practice seed: ${seed}`);
+    }
+    const definition = getLanguage(language);
+    const wordList = getAnswerWords(definition, wordLength);
+    const length = wordLength ?? definition.defaultWordLength;
+    const { dailySeedSuffix = `:${language}` } = definition;
+    let seedInput = `practice:${seed}${dailySeedSuffix}`;
+    if (boardCount !== 4) {
+        seedInput += `:x${boardCount}`;
+    }
+    if (length !== definition.defaultWordLength) {
+        seedInput += `:len${length}`;
+    }
+    if (boardCount > wordList.length) {
+        throw new Error(`Cannot pick ${boardCount} distinct words from list of ${wordList.length}`);
+    }
+    const random = mulberry32(stringToSeed(seedInput));
+    return selectDistinctIndices(wordList.length, boardCount, random).map((idx) => wordList[idx]);
+}
+
+/** Starter guesses pre-filled by Rescue mode when no count is given */
+export const DEFAULT_RESCUE_STARTERS = 3;
+
+/**
+ * Gets deterministic Rescue-mode starter guesses for a seed key.
+ * Uses the same mulberry32 path as getDailyTargets (with a ":rescue" seed suffix),
+ * so every player given the same key gets the same starters. Words in `exclude`
+ * (normally the targets) are never picked, so no starter solves a board outright.
+ *
+ * @param seedKey - Shared seed, e.g. the date key of the puzzle
+ * @param language - Language whose answer list is used
+ * @param count - Number of starter guesses
+ * @param wordLength - Word length; defaults to the language's standard length
+ * @param exclude - Words that must not be picked
+ * @returns An array of `count` distinct starter words
+ */
+export function getRescueStarters(
+    seedKey: string,
+    language: Language = 'en',
+    count: number = DEFAULT_RESCUE_STARTERS,
+    wordLength?: number,
+    exclude: readonly string[] = [],
+): string[] {
+    const excluded = new Set(exclude.map((word) => word.toLowerCase()));
+    const wordList = getAnswerWords(getLanguage(language), wordLength).filter((word) => !excluded.has(word));
+    if (count > wordList.length) {
+        throw new Error(`Cannot pick ${count} distinct words from list of ${wordList.length}`);
+    }
+    const random = mulberry32(stringToSeed(`${seedKey}:rescue`));
+    const indices = selectDistinctIndices(wordList.length, count, random);
+
+    return indices.map((idx) => wordList[idx]);
 }
@@ -0,0 +1,58 @@
+/**
+ * Offline dictionary: short definitions of answer words, shown with the answers
+ * once a game is over.
+ *
+ * Definitions are tab-separated files with one `word<TAB>definition[<TAB>gloss]`
+ * line per word; blank lines and lines starting with `#` are skipped.
+ * languageConfig.ts attaches the bundled files to their languages, and the
+ * server reads them from disk, so this module imports no data files itself.
+ */
+
+import type { Definition, Language } from './types.js';
+import { getLanguage } from './languages.js';
+
+/** Parse a definitions file into a map keyed by (NFC) word */
+export function parseDefinitions(text: string): Map<string, Definition> {
+    const definitions = new Map<string, Definition>();
+    for (const line of text.split('\n')) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        const [word, definition, gloss] = line.split('\t').map((field) => field.trim());
+        if (!word || !definition) {
+            throw new Error(`Malformed definition line: ${line}`);
+        }
+        definitions.set(word.normalize('NFC'), gloss ? { definition, gloss } : { definition });
+    }
+    return definitions;
+}
+
+/** The definition of a word, or undefined when the language has none for it */
+export function getDefinition(word: string, language: Language): Definition | undefined {
+    return getLanguage(language).definitions?.get(word);
+}
+
+/**
+ * A finished game's answers with their definitions, one spoiler-tagged line each
+ * (e.g. "||apple|| — a round fruit"), grouped into blocks of at most `maxLength`
+ * characters: Discord embed fields hold 1024. A line too long for a block of its
+ * own keeps only the answer.
+ */
+export function getAnswerBlocks(answers: readonly string[], language: Language, maxLength: number = 1024): string[] {
+    const { display } = getLanguage(language);
+    const lines = answers.map((word) => {
+        const answer = `||${display(word)}||`;
+        const entry = getDefinition(word, language);
+        const line = entry ? `${answer} — ${entry.definition}${entry.gloss ? ` (${entry.gloss})` : ''}` : answer;
+        return line.length <= maxLength ? line : answer;
+    });
+
+    const blocks: string[] = [];
+    for (const line of lines) {
+        const last = blocks.length - 1;
+        if (last >= 0 && blocks[last].length + 1 + line.length <= maxLength) {
+            blocks[last] += `\n${line}`;
+        } else {
+            blocks.push(line);
+        }
+    }
+    return blocks;
+}
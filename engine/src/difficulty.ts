@@ -0,0 +1,222 @@
+/**
+ * Puzzle difficulty: how hard a set of target words is, and the par for it.
+ *
+ * Three measures go into the rating: how rare the answers' letters are among
+ * the language's answers (rare letters are found late), how little the
+ * answers share with each other (shared letters make each guess count on
+ * several boards), and how many guesses the solver takes to clear every board.
+ * Par is the guess count a good player should aim for on that puzzle.
+ *
+ * Ratings need only the registered answer lists, so the server and bot rate
+ * dailies with the same numbers as the client.
+ */
+
+import type { BoardState, Language } from './types.js';
+import { getLanguage } from './languages.js';
+import { graphemeLength, splitGraphemes } from './graphemes.js';
+import { toJamoSequence } from './jamo.js';
+import { getCandidates, suggestGuess } from './solver.js';
+
+/** Difficulty bands, from easiest to hardest */
+export type DifficultyLevel = 'easy' | 'medium' | 'hard' | 'expert';
+
+/** A puzzle's difficulty; see rateDifficulty */
+export interface DifficultyRating {
+    /** Overall difficulty, 0 (easiest) to 1 (hardest) */
+    score: number;
+    level: DifficultyLevel;
+    /** Guesses a good player should aim for */
+    par: number;
+    /** How uncommon the answers' letters are among the language's answers, 0–1 */
+    rarity: number;
+    /** Share of the answers' distinct letters found in more than one answer, 0–1 */
+    overlap: number;
+    /** Guesses the solver takes to clear every board */
+    solverGuesses: number;
+}
+
+/** Display names of the difficulty levels */
+export const DIFFICULTY_LABELS: Readonly<Record<DifficultyLevel, string>> = {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard',
+    expert: 'Expert',
+};
+
+/** Lowest score of each level above 'easy' */
+const LEVEL_THRESHOLDS: readonly [DifficultyLevel, number][] = [
+    ['expert', 0.6],
+    ['hard', 0.45],
+    ['medium', 0.3],
+];
+
+/** Weights of the solver, rarity and overlap measures in the score */
+const SOLVER_WEIGHT = 0.6;
+const RARITY_WEIGHT = 0.25;
+const OVERLAP_WEIGHT = 0.15;
+
+/**
+ * Evaluation budget per solver guess. Far below the solver's default: the rating
+ * only needs a steady estimate, and dailies are rated on page load.
+ */
+const RATING_MAX_EVALUATIONS = 60_000;
+
+/**
+ * A word's distinct letters. Hangul syllables count by their jamo: syllables
+ * are seldom shared between words, but jamo hints carry over between boards.
+ */
+function getLetters(word: string): Set<string> {
+    return new Set(splitGraphemes(toJamoSequence(word)));
+}
+
+/** Mean share of answers containing each of a word's distinct letters */
+function getCommonness(word: string, letterShares: ReadonlyMap<string, number>): number {
+    const letters = getLetters(word);
+    let total = 0;
+    for (const letter of letters) total += letterShares.get(letter) ?? 0;
+    return total / letters.size;
+}
+
+/** Commonness of every answer in a list, worked out once per list */
+const commonnessCache = new WeakMap<readonly string[], { letterShares: Map<string, number>; values: number[] }>();
+
+/** Share of the answers in `answerWords` whose letters are more common than `word`'s */
+function getRarity(word: string, answerWords: readonly string[]): number {
+    let cached = commonnessCache.get(answerWords);
+    if (!cached) {
+        const letterShares = new Map<string, number>();
+        for (const answer of answerWords) {
+            for (const letter of getLetters(answer)) {
+                letterShares.set(letter, (letterShares.get(letter) ?? 0) + 1 / answerWords.length);
+            }
+        }
+        cached = { letterShares, values: answerWords.map((answer) => getCommonness(answer, letterShares)) };
+        commonnessCache.set(answerWords, cached);
+    }
+    const commonness = getCommonness(word, cached.letterShares);
+    return cached.values.filter((value) => value > commonness).length / answerWords.length;
+}
+
+/** Share of the distinct letters across `words` that more than one word contains */
+function getOverlap(words: readonly string[]): number {
+    const counts = new Map<string, number>();
+    for (const word of words) {
+        for (const letter of getLetters(word)) {
+            counts.set(letter, (counts.get(letter) ?? 0) + 1);
+        }
+    }
+    const shared = [...counts.values()].filter((count) => count > 1).length;
+    return counts.size === 0 ? 0 : shared / counts.size;
+}
+
+/**
+ * Plays the puzzle with the solver: a board down to one candidate is solved
+ * straight away, otherwise the guess that best splits the boards is played.
+ * Returns the guess on which each board was solved; boards still unsolved at
+ * `limit` guesses count as solved on the guesses after it.
+ *
+ * The solver only guesses answers, so a rating doesn't depend on the guess list
+ * (the server registers its answers alone).
+ */
+function playSolver(targetWords: readonly string[], language: Language, wordLength: number, limit: number): number[] {
+    const { answerWords } = getLanguage(language).wordLists[wordLength];
+    const lists = { answerWords, guessWords: new Set(answerWords) };
+    const { evaluate } = getLanguage(language);
+    let boards: BoardState[] = targetWords.map((targetWord) => ({
+        targetWord, guesses: [], results: [], solved: false, solvedOnGuess: null,
+    }));
+
+    const solvedOn: number[] = [];
+    let guesses = 0;
+    while (boards.length > 0 && guesses < limit) {
+        const known = boards
+            .map((board) => getCandidates(board, lists, language))
+            .find((candidates) => candidates.length === 1);
+        const guess = known?.[0]
+            ?? suggestGuess(boards, lists, language, { maxEvaluations: RATING_MAX_EVALUATIONS })?.guess;
+        if (!guess) break;
+        guesses++;
+        if (boards.some((board) => board.targetWord === guess)) solvedOn.push(guesses);
+        boards = boards
+            .filter((board) => board.targetWord !== guess)
+            .map((board) => {
+                const { result, koResult, jaResult } = evaluate(guess, board.targetWord);
+                return {
+                    ...board,
+                    guesses: [...board.guesses, guess],
+                    results: [...board.results, result],
+                    ...(koResult ? { koResults: [...(board.koResults ?? []), koResult] } : {}),
+                    ...(jaResult ? { jaResults: [...(board.jaResults ?? []), jaResult] } : {}),
+                };
+            });
+    }
+    return [...solvedOn, ...boards.map((_, i) => guesses + i + 1)];
+}
+
+/** Ratings per language, keyed by the target words (re-registering a language starts afresh) */
+const ratingCache = new WeakMap<object, Map<string, DifficultyRating>>();
+
+/**
+ * Rates how hard a set of target words is to solve, with the par for it.
+ * Ratings are deterministic and cached, so rating a daily on every render is cheap.
+ *
+ * @param targetWords - The puzzle's answers, one per board
+ * @param language - Language whose answer lists and evaluator are used
+ * @param wordLength - Word length; defaults to the length of the target words
+ *
+ * @example
+ * ```ts
+ * const { level, par } = rateDifficulty(getDailyTargets(dateKey));
+ * // `Today: ${DIFFICULTY_LABELS[level]} (par ${par})`
+ * ```
+ */
+export function rateDifficulty(targetWords: readonly string[], language: Language = 'en', wordLength?: number): DifficultyRating {
+    const definition = getLanguage(language);
+    const length = wordLength ?? graphemeLength(targetWords[0] ?? '');
+    const lists = definition.wordLists[length];
+    if (!lists) {
+        throw new Error(`Unsupported word length for ${language}: ${length}`);
+    }
+
+    let ratings = ratingCache.get(definition);
+    if (!ratings) {
+        ratings = new Map();
+        ratingCache.set(definition, ratings);
+    }
+    const key = targetWords.join(',');
+    const cached = ratings.get(key);
+    if (cached) return cached;
+
+    // Same budget as getDefaultMaxGuesses: one guess more per board beyond four
+    const boardCount = targetWords.length;
+    const maxGuesses = definition.maxGuesses + boardCount - 4;
+
+    const rarity = targetWords.reduce((sum, word) => sum + getRarity(word, lists.answerWords), 0) / boardCount;
+    const overlap = getOverlap(targetWords);
+    const solvedOn = playSolver(targetWords, language, length, maxGuesses);
+    const solverGuesses = Math.max(...solvedOn);
+
+    // Solving a board with each of the first guesses is the floor, solving every board
+    // on the last guess the ceiling; the turn of every board counts, not just the last
+    const floor = (boardCount * (boardCount + 1)) / 2;
+    const turns = solvedOn.reduce((sum, turn) => sum + turn, 0);
+    const solverPart = Math.min(1, Math.max(0, (turns - floor) / Math.max(1, boardCount * maxGuesses - floor)));
+    const score = SOLVER_WEIGHT * solverPart + RARITY_WEIGHT * rarity + OVERLAP_WEIGHT * (1 - overlap);
+    const level = LEVEL_THRESHOLDS.find(([, threshold]) => score >= threshold)?.[0] ?? 'easy';
+    // Par runs from one guess above the floor up to the whole budget
+    const par = Math.min(maxGuesses, boardCount + 1 + Math.round(score * (maxGuesses - boardCount - 1)));
+
+    const rating: DifficultyRating = { score, level, par, rarity, overlap, solverGuesses };
+    ratings.set(key, rating);
+    return rating;
+}
+
+/**
+ * A won game's guess count measured against par, golf style: "E" at par,
+ * "-2" two guesses under, "+1" one over.
+ */
+export function formatParResult(guessCount: number, par: number): string {
+    const diff = guessCount - par;
+    if (diff === 0) return 'E';
+    return diff > 0 ? `+${diff}` : `${diff}`;
+}
@@ -1,16 +1,18 @@
 import type { GuessResult, LetterResult } from './types.js';
+import { splitGraphemes } from './graphemes.js';
 
 /**
  * Evaluates a guess against a target word.
  * Returns an array of LetterResults indicating correct/present/absent for each letter.
+ * Letters are grapheme clusters, so a letter with combining marks is one letter.
  *
  * Algorithm:
  * 1. First pass: mark all correct letters
  * 2. Second pass: mark present letters (accounting for letter frequency)
  */
 export function evaluateGuess(guess: string, target: string): GuessResult {
-    const guessLower = guess.toLowerCase();
-    const targetLower = target.toLowerCase();
+    const guessLower = splitGraphemes(guess.toLowerCase());
+    const targetLower = splitGraphemes(target.toLowerCase());
 
     if (guessLower.length !== targetLower.length) {
         throw new Error(`Guess length (${guessLower.length}) must match target length (${targetLower.length})`);
@@ -0,0 +1,56 @@
+/**
+ * Japanese-specific evaluator with kana-level results + dakuten / size hints.
+ *
+ * Layer 1: Whole kana comparison (same as English letter comparison).
+ * Layer 2: For absent kana, a hint when the guessed kana differs from a target
+ *          kana only by its voicing mark (か/が/ぱ) or its size (つ/っ).
+ */
+
+import type { JaKanaResult, KanaHint } from './types.js';
+import { evaluateGuess } from './evaluator.js';
+import { isSmallKana, kanaBase } from './kana.js';
+
+/** How two kana with the same base differ: in size if exactly one is small, else in voicing */
+function kanaVariant(guessed: string, target: string): KanaHint['variant'] {
+    return isSmallKana(guessed) !== isSmallKana(target) ? 'size' : 'dakuten';
+}
+
+/**
+ * Full Japanese evaluation: kana-level results + kana hints for absent kana.
+ *
+ * Mirrors the Korean jamo hints: target kana matched green or yellow in layer 1
+ * are used up, and each remaining target kana can back at most one hint —
+ * same-position near-matches first, then near-matches elsewhere.
+ */
+export function evaluateGuessJa(guess: string, target: string): JaKanaResult[] {
+    const kanaResults = evaluateGuess(guess, target);
+
+    // --- Target kana not used up by layer 1 ---
+    const remaining = Array.from(target);
+    for (let i = 0; i < guess.length; i++) {
+        if (kanaResults[i] === 'absent') continue;
+        remaining.splice(remaining.indexOf(guess[i]), 1);
+    }
+
+    const hints: (KanaHint | null)[] = new Array(guess.length).fill(null);
+    const take = (i: number, index: number, status: KanaHint['status']) => {
+        hints[i] = { status, variant: kanaVariant(guess[i], remaining[index]) };
+        remaining.splice(index, 1);
+    };
+
+    // --- Pass 1: near-match at the same position ---
+    for (let i = 0; i < guess.length; i++) {
+        if (kanaResults[i] !== 'absent' || kanaBase(guess[i]) !== kanaBase(target[i])) continue;
+        const index = remaining.indexOf(target[i]);
+        if (index !== -1) take(i, index, 'correct');
+    }
+
+    // --- Pass 2: near-match elsewhere in the target ---
+    for (let i = 0; i < guess.length; i++) {
+        if (kanaResults[i] !== 'absent' || hints[i]) continue;
+        const index = remaining.findIndex((ch) => kanaBase(ch) === kanaBase(guess[i]));
+        if (index !== -1) take(i, index, 'present');
+    }
+
+    return kanaResults.map((kana, i) => ({ kana, kanaHint: hints[i] }));
+}
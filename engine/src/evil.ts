@@ -0,0 +1,171 @@
+/**
+ * Evil mode, after Absurdle: the boards have no answers to begin with. Each
+ * keeps a pool of candidate answers and answers every guess with the feedback
+ * that leaves the largest pool, so the answer is only fixed once a single
+ * candidate remains.
+ *
+ * The answer list is dealt into one pool per board from a seed, so the boards
+ * never settle on the same word and everyone playing a seed faces the same
+ * boards. Like the daily scheduler, this module imports no word-list files, so
+ * the server plays evil dailies with it directly.
+ */
+
+import type { BoardCount, EvilBoardState, EvilGameState, Evaluation, GameState, Language, LetterResult } from './types.js';
+import { getLanguage } from './languages.js';
+import { isSolved } from './evaluator.js';
+import { evaluationKey } from './solver.js';
+import { mulberry32, stringToSeed } from './random.js';
+
+/** Configuration for creating an evil game */
+export interface EvilGameConfig {
+    /** Deals the answer list into the boards' pools, e.g. a dateKey or "practice:48213" */
+    seed: string;
+    /** Defaults to 4 */
+    boardCount?: BoardCount;
+    language?: Language;
+    /** Defaults to the language's standard length */
+    wordLength?: number;
+    /** Defaults to the language's budget, one guess more per board beyond four */
+    maxGuesses?: number;
+}
+
+/** Whether a game is played in evil mode */
+export function isEvilGame(state: GameState | EvilGameState): state is EvilGameState {
+    return (state as EvilGameState).evil === true;
+}
+
+/**
+ * Creates an evil game. Each board starts with its own share of the answer
+ * list: a seeded shuffle dealt out like cards, so pools never overlap.
+ */
+export function createEvilGame(config: EvilGameConfig): EvilGameState {
+    const language = config.language ?? 'en';
+    const boardCount = config.boardCount ?? 4;
+    const definition = getLanguage(language);
+    const wordLength = config.wordLength ?? definition.defaultWordLength;
+    const lists = definition.wordLists[wordLength];
+    if (!lists) {
+        throw new Error(`Unsupported word length for ${language}: ${wordLength}`);
+    }
+    if (lists.answerWords.length < boardCount) {
+        throw new Error(`Not enough words for language: ${language}`);
+    }
+
+    const deck = [...lists.answerWords];
+    const random = mulberry32(stringToSeed(`evil:${config.seed}:${language}:x${boardCount}:len${wordLength}`));
+    for (let i = deck.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [deck[i], deck[j]] = [deck[j], deck[i]];
+    }
+
+    const boards: EvilBoardState[] = Array.from({ length: boardCount }, (_, i) => ({
+        targetWord: null,
+        candidates: deck.filter((_, k) => k % boardCount === i),
+        guesses: [],
+        results: [],
+        solved: false,
+        solvedOnGuess: null,
+    }));
+
+    return {
+        evil: true,
+        boards,
+        currentGuess: '',
+        guessCount: 0,
+        maxGuesses: config.maxGuesses ?? definition.maxGuesses + boardCount - 4,
+        gameOver: false,
+        won: false,
+        language,
+        wordLength,
+        hardMode: false,
+        focusBoard: null,
+        sequence: false,
+        starterCount: 0,
+    };
+}
+
+function countResults(result: LetterResult[], status: LetterResult): number {
+    return result.filter((r) => r === status).length;
+}
+
+/**
+ * Orders feedback groups from most to least evil: the larger pool first, then
+ * feedback that doesn't solve the board, then fewer greens, then fewer
+ * yellows, then the pattern key, so every client picks the same group.
+ */
+function compareGroups(a: { key: string; evaluation: Evaluation; words: string[] }, b: typeof a): number {
+    return b.words.length - a.words.length
+        || Number(isSolved(a.evaluation.result)) - Number(isSolved(b.evaluation.result))
+        || countResults(a.evaluation.result, 'correct') - countResults(b.evaluation.result, 'correct')
+        || countResults(a.evaluation.result, 'present') - countResults(b.evaluation.result, 'present')
+        || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+}
+
+function applyEvilGuessToBoard(board: EvilBoardState, guess: string, guessNumber: number, language: Language): EvilBoardState {
+    if (board.solved) {
+        // Board already solved, just add the guess for display
+        const prevKoResult = board.koResults?.[board.koResults.length - 1];
+        const prevJaResult = board.jaResults?.[board.jaResults.length - 1];
+        return {
+            ...board,
+            guesses: [...board.guesses, guess],
+            results: [...board.results, board.results[board.results.length - 1]],
+            ...(prevKoResult ? { koResults: [...(board.koResults || []), prevKoResult] } : {}),
+            ...(prevJaResult ? { jaResults: [...(board.jaResults || []), prevJaResult] } : {}),
+        };
+    }
+
+    // Group the candidates by the feedback the guess would get, sub-character hints included
+    const { evaluate } = getLanguage(language);
+    const groups = new Map<string, { key: string; evaluation: Evaluation; words: string[] }>();
+    for (const candidate of board.candidates) {
+        const evaluation = evaluate(guess, candidate);
+        const key = evaluationKey(evaluation);
+        const group = groups.get(key);
+        if (group) group.words.push(candidate);
+        else groups.set(key, { key, evaluation, words: [candidate] });
+    }
+    const [{ evaluation: { result, koResult, jaResult }, words }] = [...groups.values()].sort(compareGroups);
+
+    const solved = isSolved(result);
+    return {
+        ...board,
+        targetWord: words.length === 1 ? words[0] : null,
+        candidates: words,
+        guesses: [...board.guesses, guess],
+        results: [...board.results, result],
+        ...(koResult ? { koResults: [...(board.koResults || []), koResult] } : {}),
+        ...(jaResult ? { jaResults: [...(board.jaResults || []), jaResult] } : {}),
+        solved,
+        solvedOnGuess: solved ? guessNumber : null,
+    };
+}
+
+/**
+ * Applies a normalized, already validated guess to an evil game: each unsolved
+ * board answers with the feedback that keeps the most candidates. When the game
+ * ends, boards still undecided settle on their first candidate, so every
+ * finished board has a targetWord to reveal.
+ */
+export function applyEvilGuess(state: EvilGameState, guess: string): EvilGameState {
+    if (state.gameOver) {
+        return state;
+    }
+
+    const guessCount = state.guessCount + 1;
+    let boards = state.boards.map((board) => applyEvilGuessToBoard(board, guess, guessCount, state.language));
+    const won = boards.every((b) => b.solved);
+    const gameOver = won || guessCount >= state.maxGuesses;
+    if (gameOver) {
+        boards = boards.map((board) => ({ ...board, targetWord: board.targetWord ?? board.candidates[0] }));
+    }
+
+    return {
+        ...state,
+        boards,
+        currentGuess: '',
+        guessCount,
+        gameOver,
+        won,
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Fibble mode, after the Wordle variant of the same name: on every row of a
+ * board still in play, exactly one tile shows the wrong colour.
+ *
+ * Which tile lies, and what it claims, follow from the game's seed, the board
+ * and the guess number, so a seed always tells the same lies and replaying a
+ * game (or unlocking a Sequence board) reproduces them. The row that solves a
+ * board tells the truth: the board is solved either way.
+ *
+ * Boards keep two sets of feedback. `results` is what the player was shown,
+ * so the keyboard, hard-mode checks and share grids never leak the truth;
+ * `truth` holds the real results and the lying tiles, for the solver and the
+ * post-game review. Sub-character hints (jamo, kana) are kept with the truth
+ * only, since a hint on the lying tile would give it away.
+ */
+
+import type { BoardState, GameState, GuessResult, LetterResult } from './types.js';
+import { mulberry32, stringToSeed } from './random.js';
+
+const STATUSES: readonly LetterResult[] = ['correct', 'present', 'absent'];
+
+/** Whether a game is played in Fibble mode */
+export function isFibbleGame(state: GameState): boolean {
+    return state.fibble !== undefined;
+}
+
+/**
+ * The lie a row tells: the tile that lies (0-based) and the result it shows
+ * instead of its real one.
+ *
+ * @param seed - The game's Fibble seed, e.g. "practice:48213"
+ * @param boardIndex - 0-based board
+ * @param guessNumber - 1-based guess the row belongs to
+ * @param result - The row's real result
+ */
+export function getLie(seed: string, boardIndex: number, guessNumber: number, result: GuessResult): { index: number; shown: LetterResult } {
+    const random = mulberry32(stringToSeed(`fibble:${seed}:${boardIndex}:${guessNumber}`));
+    const index = Math.floor(random() * result.length);
+    const others = STATUSES.filter((status) => status !== result[index]);
+    return { index, shown: others[Math.floor(random() * others.length)] };
+}
+
+/** A board with its real feedback in place of what the player was shown */
+export function getTrueBoard(board: BoardState): BoardState {
+    if (!board.truth) {
+        return board;
+    }
+    const { truth, ...shown } = board;
+    return {
+        ...shown,
+        results: truth.results,
+        ...(truth.koResults ? { koResults: truth.koResults } : {}),
+        ...(truth.jaResults ? { jaResults: truth.jaResults } : {}),
+    };
+}
+
+/** A game with every board's real feedback, for the solver and post-game analysis */
+export function getTrueGameState(state: GameState): GameState {
+    return isFibbleGame(state) ? { ...state, boards: state.boards.map(getTrueBoard) } : state;
+}
+
+/**
+ * Lying tiles of a board, one entry per row: the tile's index, what it showed
+ * and what it really was. Rows that told the truth are left out.
+ */
+export function getBoardLies(board: BoardState): { guessIndex: number; index: number; shown: LetterResult; actual: LetterResult }[] {
+    const { truth } = board;
+    if (!truth) {
+        return [];
+    }
+    return truth.lies.flatMap((index, guessIndex) => index === null ? [] : [{
+        guessIndex,
+        index,
+        shown: board.results[guessIndex][index],
+        actual: truth.results[guessIndex][index],
+    }]);
+}
@@ -1,59 +1,111 @@
-import type { BoardState, GameConfig, GameState, LetterResult, Language, BoardLetterStatuses } from './types.js';
-import { evaluateGuess, isSolved } from './evaluator.js';
-import { evaluateGuessKo, evaluateGuessSyllable } from './evaluatorKo.js';
+import type { BoardCount, EvilGameState, GameConfig, GameState, LetterResult, Language, BoardLetterStatuses } from './types.js';
 import { getLanguageConfig } from './languageConfig.js';
-import { decomposeHangul, isHangulSyllable } from './jamo.js';
+import { graphemeLength, splitGraphemes } from './graphemes.js';
+import { getLanguage } from './languages.js';
+import { checkHardMode } from './hardMode.js';
+import { DEFAULT_RESCUE_STARTERS, getRescueStarters } from './daily.js';
+import { applyEvilGuess, isEvilGame } from './evil.js';
+import { applyGuess, createBoardState } from './boards.js';
 
 const DEFAULT_MAX_GUESSES = 9;
+const DEFAULT_BOARD_COUNT = 4;
+
+/** Board counts accepted by createGame */
+export const SUPPORTED_BOARD_COUNTS: readonly BoardCount[] = [2, 4, 8, 16, 32];
+
+/** Check if a number is a supported board count */
+export function isSupportedBoardCount(count: number): count is BoardCount {
+    return (SUPPORTED_BOARD_COUNTS as readonly number[]).includes(count);
+}
 
 /**
- * Creates an initial board state for a single word
+ * Gets the default guess budget for a board count.
+ * The language's 4-board budget grows by one guess per extra board
+ * (Dordle 7, Quordle 9, Octordle 13, Sedecordle 21, Duotrigordle 37).
  */
-function createBoardState(targetWord: string): BoardState {
-    return {
-        targetWord: targetWord.toLowerCase(),
-        guesses: [],
-        results: [],
-        solved: false,
-        solvedOnGuess: null,
-    };
+export function getDefaultMaxGuesses(boardCount: number, language: Language = 'en'): number {
+    const base = getLanguageConfig(language).maxGuesses ?? DEFAULT_MAX_GUESSES;
+    return base + boardCount - DEFAULT_BOARD_COUNT;
 }
 
 /**
- * Creates a new Quordle game state
+ * Creates a new Quordle game state.
+ * One board is created per target word; the count must be in SUPPORTED_BOARD_COUNTS.
+ * Every target word must be `wordLength` long (the language's default when omitted).
+ * In Rescue mode the returned game already has its starter guesses submitted.
+ * In Fibble mode they lie like any other guess.
  */
 export function createGame(config: GameConfig): GameState {
     const language = config.language ?? 'en';
-    const langConfig = getLanguageConfig(language);
-    const { targetWords, maxGuesses = langConfig.maxGuesses ?? DEFAULT_MAX_GUESSES } = config;
+    const { targetWords } = config;
 
-    return {
-        boards: [
-            createBoardState(targetWords[0]),
-            createBoardState(targetWords[1]),
-            createBoardState(targetWords[2]),
-            createBoardState(targetWords[3]),
-        ],
+    if (!isSupportedBoardCount(targetWords.length)) {
+        throw new Error(`Unsupported board count: ${targetWords.length} (expected one of ${SUPPORTED_BOARD_COUNTS.join(', ')})`);
+    }
+
+    // Throws for lengths the language has no word lists for
+    const { wordLength } = getLanguageConfig(language, config.wordLength);
+    const mismatched = targetWords.find((word) => graphemeLength(word) !== wordLength);
+    if (mismatched !== undefined) {
+        throw new Error(`Target word "${mismatched}" is not ${wordLength} characters long`);
+    }
+
+    const sequence = config.sequence ?? false;
+    const focusBoard = config.focusBoard ?? null;
+    if (focusBoard !== null && !(Number.isInteger(focusBoard) && focusBoard >= 0 && focusBoard < targetWords.length)) {
+        throw new Error(`Focus board out of range: ${focusBoard}`);
+    }
+
+    const maxGuesses = config.maxGuesses ?? getDefaultMaxGuesses(targetWords.length, language);
+    const hardMode = config.hardMode ?? false;
+    // Hard mode would hold players to hints that may be lies
+    if (hardMode && config.fibble) {
+        throw new Error('Fibble games cannot use hard mode');
+    }
+
+    const game: GameState = {
+        // Sequence mode: only board 1 starts unlocked
+        boards: targetWords.map((word, i) => createBoardState(word, sequence && i > 0)),
         currentGuess: '',
         guessCount: 0,
         maxGuesses,
         gameOver: false,
         won: false,
         language,
+        wordLength,
+        hardMode,
+        focusBoard,
+        sequence,
+        starterCount: 0,
+        ...(config.fibble ? { fibble: { seed: config.fibble.seed } } : {}),
     };
+
+    if (!config.rescue) {
+        return game;
+    }
+
+    const starterCount = config.rescue.starters ?? DEFAULT_RESCUE_STARTERS;
+    if (starterCount >= maxGuesses) {
+        throw new Error(`Rescue starters (${starterCount}) must leave at least one of ${maxGuesses} guesses`);
+    }
+    const starters = getRescueStarters(config.rescue.seed, language, starterCount, wordLength, targetWords);
+    // Starters are not held to hard mode; it applies from the player's first guess
+    const seeded = starters.reduce((state, word) => submitGuess(state, word), { ...game, hardMode: false });
+    return { ...seeded, hardMode, starterCount };
 }
 
 /**
  * Validates a guess before submission
  */
-export function validateGuess(guess: string, language: Language = 'en'): { valid: boolean; error?: string } {
-    const config = getLanguageConfig(language);
-    if (guess.length !== config.wordLength) {
-        return { valid: false, error: `Guess must be ${config.wordLength} ${language === 'ko' ? 'syllables' : 'letters'}` };
+export function validateGuess(guess: string, language: Language = 'en', wordLength?: number): { valid: boolean; error?: string } {
+    const definition = getLanguage(language);
+    const config = getLanguageConfig(language, wordLength);
+    if (graphemeLength(guess) !== config.wordLength) {
+        return { valid: false, error: `Guess must be ${config.wordLength} ${definition.unit.other}` };
     }
 
     if (!config.validateCharRegex.test(guess)) {
-        return { valid: false, error: language === 'ko' ? 'Guess must contain only Korean syllables' : 'Guess must contain only letters' };
+        return { valid: false, error: definition.invalidCharactersError };
     }
 
     return { valid: true };
@@ -62,94 +114,49 @@ export function validateGuess(guess: string, language: Language = 'en'): { valid
 /**
  * Submits a guess and returns the updated game state.
  * This is a pure function - it returns a new state object.
+ * Invalid guesses (and, in hard mode, guesses that ignore a hint) leave the state unchanged.
+ * Evil games (see createEvilGame) take the same path, but their boards pick their feedback.
  */
-export function submitGuess(state: GameState, guess: string): GameState {
+export function submitGuess(state: GameState, guess: string): GameState;
+export function submitGuess(state: EvilGameState, guess: string): EvilGameState;
+export function submitGuess(state: GameState | EvilGameState, guess: string): GameState | EvilGameState {
     if (state.gameOver) {
         return state;
     }
 
     const language = state.language || 'en';
-    const validation = validateGuess(guess, language);
+    const validation = validateGuess(guess, language, state.wordLength);
     if (!validation.valid) {
         return state;
     }
 
-    const normalizedGuess = language === 'ko' ? guess : guess.toLowerCase();
-    const newBoards = state.boards.map((board) => {
-        if (board.solved) {
-            // Board already solved, just add the guess for display
-            const prevResult = board.results[board.results.length - 1];
-            const prevKoResult = board.koResults?.[board.koResults.length - 1];
-            return {
-                ...board,
-                guesses: [...board.guesses, normalizedGuess],
-                results: [...board.results, prevResult], // Repeat last result
-                ...(language === 'ko' && prevKoResult ? {
-                    koResults: [...(board.koResults || []), prevKoResult],
-                } : {}),
-            };
-        }
-
-        if (language === 'ko') {
-            // Korean: use syllable-level evaluator for main results, plus jamo hints
-            const syllableResult = evaluateGuessSyllable(normalizedGuess, board.targetWord);
-            const koResult = evaluateGuessKo(normalizedGuess, board.targetWord);
-            const solved = isSolved(syllableResult);
-            return {
-                ...board,
-                guesses: [...board.guesses, normalizedGuess],
-                results: [...board.results, syllableResult],
-                koResults: [...(board.koResults || []), koResult],
-                solved,
-                solvedOnGuess: solved ? state.guessCount + 1 : null,
-            };
-        } else {
-            // English: use standard evaluator
-            const result = evaluateGuess(normalizedGuess, board.targetWord);
-            const solved = isSolved(result);
-            return {
-                ...board,
-                guesses: [...board.guesses, normalizedGuess],
-                results: [...board.results, result],
-                solved,
-                solvedOnGuess: solved ? state.guessCount + 1 : null,
-            };
-        }
-    }) as [BoardState, BoardState, BoardState, BoardState];
+    if (isEvilGame(state)) {
+        return applyEvilGuess(state, getLanguage(language).normalize(guess));
+    }
 
-    const newGuessCount = state.guessCount + 1;
-    const allSolved = newBoards.every((b) => b.solved);
-    const outOfGuesses = newGuessCount >= state.maxGuesses;
-    const gameOver = allSolved || outOfGuesses;
+    if (state.hardMode && checkHardMode(state, guess)) {
+        return state;
+    }
 
-    return {
-        ...state,
-        boards: newBoards,
-        currentGuess: '',
-        guessCount: newGuessCount,
-        gameOver,
-        won: allSolved,
-    };
+    return applyGuess(state, getLanguage(language).normalize(guess));
 }
 
 /**
  * Updates the current guess (for typing)
  */
-export function setCurrentGuess(state: GameState, guess: string): GameState {
+export function setCurrentGuess<T extends GameState | EvilGameState>(state: T, guess: string): T {
     if (state.gameOver) {
         return state;
     }
 
     const language = state.language || 'en';
-    const config = getLanguageConfig(language);
-    let limited: string;
-
-    if (language === 'ko') {
-        // Korean: allow composed Hangul syllables, limit to wordLength syllable blocks
-        limited = guess.replace(config.filterCharRegex, '').slice(0, config.wordLength);
-    } else {
-        limited = guess.slice(0, config.wordLength).toLowerCase().replace(config.filterCharRegex, '');
-    }
+    const config = getLanguageConfig(language, state.wordLength);
+    // Normalize first (e.g. lower-case) so the filter only strips characters the language can't use
+    const filtered = getLanguage(language)
+        .normalize(guess)
+        .replace(config.filterCharRegex, '');
+    // Cut by grapheme cluster so a trailing letter keeps its combining marks
+    const limited = splitGraphemes(filtered).slice(0, config.wordLength).join('');
 
     return {
         ...state,
@@ -160,14 +167,14 @@ export function setCurrentGuess(state: GameState, guess: string): GameState {
 /**
  * Gets the number of remaining guesses
  */
-export function getRemainingGuesses(state: GameState): number {
+export function getRemainingGuesses(state: GameState | EvilGameState): number {
     return state.maxGuesses - state.guessCount;
 }
 
 /**
  * Gets the number of solved boards
  */
-export function getSolvedCount(state: GameState): number {
+export function getSolvedCount(state: GameState | EvilGameState): number {
     return state.boards.filter((b) => b.solved).length;
 }
 
@@ -180,9 +187,9 @@ export function getSolvedCount(state: GameState): number {
  * Note: Skips results for guesses made after a board was solved, since those
  * results are just repeats of the solving guess (not real evaluations).
  */
-export function computeKeyboardMap(state: GameState): Record<string, LetterResult> {
+export function computeKeyboardMap(state: GameState | EvilGameState): Record<string, LetterResult> {
     const statuses: Record<string, LetterResult> = {};
-    const language = state.language || 'en';
+    const { keyStatuses } = getLanguage(state.language || 'en');
 
     /** Apply max-precedence status update: correct > present > absent */
     const applyStatus = (key: string, status: LetterResult) => {
@@ -196,6 +203,9 @@ export function computeKeyboardMap(state: GameState): Record<string, LetterResul
     };
 
     for (const board of state.boards) {
+        // Locked Sequence boards have not evaluated anything yet
+        if (board.locked) continue;
+
         for (let guessIdx = 0; guessIdx < board.guesses.length; guessIdx++) {
             // Skip results for guesses made after this board was solved.
             // solvedOnGuess is 1-indexed, so guessIdx >= solvedOnGuess means
@@ -207,46 +217,14 @@ export function computeKeyboardMap(state: GameState): Record<string, LetterResul
             const guess = board.guesses[guessIdx];
             const result = board.results[guessIdx];
 
-            if (language === 'ko') {
-                // Korean: use jamo-level hints from koResults for precise keyboard coloring.
-                // This avoids marking a jamo as 'absent' when its syllable is absent but
-                // the individual jamo actually exists in the target word.
-                const koResults = board.koResults;
-                for (let syllIdx = 0; syllIdx < guess.length; syllIdx++) {
-                    const ch = guess[syllIdx];
-                    if (!isHangulSyllable(ch)) continue;
-                    const d = decomposeHangul(ch);
-
-                    if (koResults && koResults[guessIdx]) {
-                        const koResult = koResults[guessIdx][syllIdx];
-                        if (koResult.syllable === 'correct') {
-                            // Whole syllable correct — all jamo are correct
-                            applyStatus(d.onset, 'correct');
-                            applyStatus(d.vowel, 'correct');
-                            if (d.coda) applyStatus(d.coda, 'correct');
-                        } else if (koResult.jamoHints) {
-                            // Use individual jamo hints for precise coloring
-                            applyStatus(d.onset, koResult.jamoHints.onset);
-                            applyStatus(d.vowel, koResult.jamoHints.vowel);
-                            if (d.coda && koResult.jamoHints.coda) {
-                                applyStatus(d.coda, koResult.jamoHints.coda);
-                            }
-                        }
-                    } else {
-                        // Fallback: use syllable-level status for all jamo
-                        const tileStatus = result[syllIdx];
-                        applyStatus(d.onset, tileStatus);
-                        applyStatus(d.vowel, tileStatus);
-                        if (d.coda) applyStatus(d.coda, tileStatus);
-                    }
-                }
-            } else {
-                // English: key by letter character
-                for (let letterIdx = 0; letterIdx < guess.length; letterIdx++) {
-                    const letter = guess[letterIdx];
-                    const tileStatus = result[letterIdx];
-                    applyStatus(letter, tileStatus);
-                }
+            // The language picks the keys a guess colours (Korean: each jamo, from its hints;
+            // Japanese: the plain kana key)
+            for (const [key, status] of keyStatuses(guess, {
+                result,
+                koResult: board.koResults?.[guessIdx],
+                jaResult: board.jaResults?.[guessIdx],
+            })) {
+                applyStatus(key, status);
             }
         }
     }
@@ -255,19 +233,19 @@ export function computeKeyboardMap(state: GameState): Record<string, LetterResul
 }
 
 /**
- * Computes per-board keyboard statuses for the 2×2 board indicator on each key.
- * Returns a map from letter/jamo to a 4-tuple of per-board LetterResult | null.
+ * Computes per-board keyboard statuses for the board indicator on each key.
+ * Returns a map from letter/jamo to an array (one entry per board) of LetterResult | null.
  * Each board independently tracks the best status for each letter.
  * null means the letter hasn't been guessed on that board (or the board was already solved
  * before the guess was made).
  */
-export function computeKeyboardBoardMap(state: GameState): Record<string, BoardLetterStatuses> {
+export function computeKeyboardBoardMap(state: GameState | EvilGameState): Record<string, BoardLetterStatuses> {
     const boardStatuses: Record<string, BoardLetterStatuses> = {};
-    const language = state.language || 'en';
+    const { keyStatuses } = getLanguage(state.language || 'en');
 
     const ensure = (key: string): BoardLetterStatuses => {
         if (!boardStatuses[key]) {
-            boardStatuses[key] = [null, null, null, null];
+            boardStatuses[key] = new Array(state.boards.length).fill(null);
         }
         return boardStatuses[key];
     };
@@ -287,6 +265,8 @@ export function computeKeyboardBoardMap(state: GameState): Record<string, BoardL
 
     for (let boardIdx = 0; boardIdx < state.boards.length; boardIdx++) {
         const board = state.boards[boardIdx];
+        if (board.locked) continue;
+
         for (let guessIdx = 0; guessIdx < board.guesses.length; guessIdx++) {
             if (board.solvedOnGuess !== null && guessIdx >= board.solvedOnGuess) {
                 continue;
@@ -295,39 +275,12 @@ export function computeKeyboardBoardMap(state: GameState): Record<string, BoardL
             const guess = board.guesses[guessIdx];
             const result = board.results[guessIdx];
 
-            if (language === 'ko') {
-                const koResults = board.koResults;
-                for (let syllIdx = 0; syllIdx < guess.length; syllIdx++) {
-                    const ch = guess[syllIdx];
-                    if (!isHangulSyllable(ch)) continue;
-                    const d = decomposeHangul(ch);
-
-                    if (koResults && koResults[guessIdx]) {
-                        const koResult = koResults[guessIdx][syllIdx];
-                        if (koResult.syllable === 'correct') {
-                            applyBoardStatus(d.onset, boardIdx, 'correct');
-                            applyBoardStatus(d.vowel, boardIdx, 'correct');
-                            if (d.coda) applyBoardStatus(d.coda, boardIdx, 'correct');
-                        } else if (koResult.jamoHints) {
-                            applyBoardStatus(d.onset, boardIdx, koResult.jamoHints.onset);
-                            applyBoardStatus(d.vowel, boardIdx, koResult.jamoHints.vowel);
-                            if (d.coda && koResult.jamoHints.coda) {
-                                applyBoardStatus(d.coda, boardIdx, koResult.jamoHints.coda);
-                            }
-                        }
-                    } else {
-                        const tileStatus = result[syllIdx];
-                        applyBoardStatus(d.onset, boardIdx, tileStatus);
-                        applyBoardStatus(d.vowel, boardIdx, tileStatus);
-                        if (d.coda) applyBoardStatus(d.coda, boardIdx, tileStatus);
-                    }
-                }
-            } else {
-                for (let letterIdx = 0; letterIdx < guess.length; letterIdx++) {
-                    const letter = guess[letterIdx];
-                    const tileStatus = result[letterIdx];
-                    applyBoardStatus(letter, boardIdx, tileStatus);
-                }
+            for (const [key, status] of keyStatuses(guess, {
+                result,
+                koResult: board.koResults?.[guessIdx],
+                jaResult: board.jaResults?.[guessIdx],
+            })) {
+                applyBoardStatus(key, boardIdx, status);
             }
         }
     }
@@ -0,0 +1,38 @@
+/**
+ * Grapheme clusters: the characters a player sees as one tile.
+ *
+ * A Devanagari syllable like "हिं", a Thai consonant with its vowel mark, or a
+ * letter followed by a combining accent is several UTF-16 code units but one
+ * tile. Word lengths, evaluation and keyboard keys count clusters, never
+ * `string.length` or code points.
+ */
+
+const segmenter = typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+
+/**
+ * Characters that can join a cluster with their neighbour: combining marks,
+ * format characters (ZWJ, prepended marks), conjoining Hangul jamo, astral code
+ * points (emoji and their modifiers) and the Thai/Lao SARA AM spacing marks.
+ * Text without any of them is one cluster per code unit, which keeps the hot
+ * evaluation path cheap.
+ */
+const CLUSTERING = /[\p{M}\p{Cf}\u0E33\u0EB3\u1100-\u11FF\uA960-\uA97F\uD7B0-\uD7FF\u{10000}-\u{10FFFF}]/u;
+
+/** Without Intl.Segmenter: each code point plus the marks and joiners that follow it */
+const FALLBACK_CLUSTER = /\P{M}[\p{M}\u0E33\u0EB3\u200D]*|[\p{M}\u0E33\u0EB3\u200D]+/gsu;
+
+/** Split text into grapheme clusters, e.g. "हिंदी" → ["हिं", "दी"] */
+export function splitGraphemes(text: string): string[] {
+    if (!CLUSTERING.test(text)) return text.split('');
+    if (segmenter) {
+        return Array.from(segmenter.segment(text), ({ segment }) => segment);
+    }
+    return text.match(FALLBACK_CLUSTER) ?? [];
+}
+
+/** Number of grapheme clusters (tiles) in text */
+export function graphemeLength(text: string): number {
+    return CLUSTERING.test(text) ? splitGraphemes(text).length : text.length;
+}
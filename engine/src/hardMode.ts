@@ -0,0 +1,89 @@
+import type { BoardState, GameState, HardModeViolation } from './types.js';
+import { getLanguage } from './languages.js';
+import { splitGraphemes } from './graphemes.js';
+
+/**
+ * Gets the indices of the boards whose hints hard mode enforces.
+ * With a focus board only that board counts (and nothing once it is solved);
+ * otherwise every unsolved board does.
+ */
+export function getHardModeBoards(state: GameState): number[] {
+    if (state.focusBoard !== null && state.focusBoard !== undefined) {
+        return state.boards[state.focusBoard]?.solved === false ? [state.focusBoard] : [];
+    }
+    return state.boards.flatMap((board, i) => (board.solved ? [] : [i]));
+}
+
+/**
+ * Finds the first hint on a board that `chars` ignores.
+ * Greens must stay in place; every green or yellow letter must appear at least as
+ * many times as a single earlier guess revealed it.
+ */
+function checkBoard(board: BoardState, chars: string[]): Omit<HardModeViolation, 'boardIndex' | 'message'> | null {
+    const requiredAt = new Map<number, string>();
+    const requiredCounts = new Map<string, number>();
+
+    for (let guessIdx = 0; guessIdx < board.guesses.length; guessIdx++) {
+        const guessChars = splitGraphemes(board.guesses[guessIdx]);
+        const result = board.results[guessIdx];
+        const revealed = new Map<string, number>();
+
+        guessChars.forEach((ch, i) => {
+            if (result[i] === 'correct') {
+                requiredAt.set(i, ch);
+            }
+            if (result[i] === 'correct' || result[i] === 'present') {
+                revealed.set(ch, (revealed.get(ch) || 0) + 1);
+            }
+        });
+
+        for (const [ch, count] of revealed) {
+            requiredCounts.set(ch, Math.max(requiredCounts.get(ch) || 0, count));
+        }
+    }
+
+    for (const [position, letter] of [...requiredAt].sort((a, b) => a[0] - b[0])) {
+        if (chars[position] !== letter) {
+            return { hint: 'correct', letter, position, count: 1 };
+        }
+    }
+
+    for (const [letter, count] of requiredCounts) {
+        if (chars.filter((ch) => ch === letter).length < count) {
+            return { hint: 'present', letter, position: null, count };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks a guess against the hard-mode rule.
+ * Returns the first ignored hint as a structured violation, or null when the guess
+ * reuses every revealed green and yellow on the enforced boards.
+ * Does not check length or characters — run validateGuess for that.
+ */
+export function checkHardMode(state: GameState, guess: string): HardModeViolation | null {
+    const language = getLanguage(state.language || 'en');
+    const chars = splitGraphemes(language.normalize(guess));
+
+    for (const boardIndex of getHardModeBoards(state)) {
+        const failure = checkBoard(state.boards[boardIndex], chars);
+        if (!failure) continue;
+
+        const letter = language.display(failure.letter);
+        const requirement = failure.hint === 'correct'
+            ? `${language.unit.one} ${failure.position! + 1} must be ${letter}`
+            : failure.count > 1
+                ? `guess must contain ${letter} ${failure.count} times`
+                : `guess must contain ${letter}`;
+
+        return {
+            boardIndex,
+            ...failure,
+            message: `Board ${boardIndex + 1}: ${requirement}`,
+        };
+    }
+
+    return null;
+}
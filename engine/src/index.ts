@@ -5,11 +5,26 @@ export type {
     GuessResult,
     JamoHint,
     KoSyllableResult,
+    KanaHint,
+    JaKanaResult,
     BoardState,
+    EvilBoardState,
+    BoardTruth,
+    BoardCount,
     BoardLetterStatuses,
     GameState,
+    EvilGameState,
     GameConfig,
     LanguageConfig,
+    LanguageDefinition,
+    LanguageStrings,
+    KeyboardLayout,
+    Evaluation,
+    WordLists,
+    Definition,
+    HardModeViolation,
+    GameEvent,
+    GameEventMeta,
 } from './types.js';
 
 // Game logic
@@ -22,7 +37,62 @@ export {
     getSolvedCount,
     computeKeyboardMap,
     computeKeyboardBoardMap,
+    getDefaultMaxGuesses,
+    isSupportedBoardCount,
+    SUPPORTED_BOARD_COUNTS,
 } from './game.js';
+export { createBoardState, applyGuessToBoard, unlockSequenceBoards, applyGuess } from './boards.js';
+
+// Hard mode
+export { checkHardMode, getHardModeBoards } from './hardMode.js';
+
+// Solver
+export type { GuessSuggestion, SuggestOptions } from './solver.js';
+export {
+    getCandidates,
+    getPatternKey,
+    getGuessInformation,
+    suggestGuess,
+    FULL_POOL_THRESHOLD,
+    MAX_EVALUATIONS,
+} from './solver.js';
+
+// Post-game analysis
+export type { BoardGuessAnalysis, GuessAnalysis, GameAnalysis } from './analysis.js';
+export { analyzeGame } from './analysis.js';
+
+// Difficulty and par
+export type { DifficultyLevel, DifficultyRating } from './difficulty.js';
+export { rateDifficulty, formatParResult, DIFFICULTY_LABELS } from './difficulty.js';
+
+// Event log and replay
+export { createGuessEvent, replayGame, getGuessDurations } from './replay.js';
+
+// Share codes
+export type { ShareSource, SharedGame } from './shareCode.js';
+export { encodeShareCode, decodeShareCode, SHARE_CODE_VERSION } from './shareCode.js';
+
+// Evil mode
+export type { EvilGameConfig } from './evil.js';
+export { createEvilGame, applyEvilGuess, isEvilGame } from './evil.js';
+
+// Fibble mode
+export { getLie, getTrueBoard, getTrueGameState, getBoardLies, isFibbleGame } from './fibble.js';
+
+// Challenges
+export type { Challenge } from './challenge.js';
+export {
+    encodeChallenge,
+    decodeChallenge,
+    isChallengeToken,
+    getChallengeId,
+    CHALLENGE_TOKEN_VERSION,
+    CHALLENGE_BOARD_COUNT,
+} from './challenge.js';
+
+// Share text
+export type { ShareTextOptions } from './shareText.js';
+export { getGameName, getShareText } from './shareText.js';
 
 // Evaluator (English)
 export { evaluateGuess, isSolved } from './evaluator.js';
@@ -30,6 +100,18 @@ export { evaluateGuess, isSolved } from './evaluator.js';
 // Evaluator (Korean)
 export { evaluateGuessKo, evaluateGuessSyllable } from './evaluatorKo.js';
 
+// Evaluator (Japanese)
+export { evaluateGuessJa } from './evaluatorJa.js';
+
+// Kana utilities
+export { isHiragana, isSmallKana, kanaBase, toggleDakuten, toggleHandakuten, toggleSmallKana } from './kana.js';
+
+// Romanization (Korean)
+export { romanize, romanizeJamo } from './romanization.js';
+
+// Grapheme clusters
+export { splitGraphemes, graphemeLength } from './graphemes.js';
+
 // Jamo utilities
 export {
     decomposeHangul,
@@ -45,6 +127,9 @@ export {
     combineCodas,
     combineVowels,
     splitCompoundVowel,
+    toJamoSequence,
+    groupJamoSequence,
+    composeJamoSequence,
     ONSETS,
     VOWELS,
     CODAS,
@@ -61,13 +146,44 @@ export {
     getQuordleWords,
 } from './words.js';
 
+// Language registry
+export { registerLanguage, getLanguage, getLanguages, isLanguage, setAccentMode } from './languages.js';
+export { ENGLISH } from './languageEn.js';
+export { KOREAN } from './languageKo.js';
+export { KOREAN_JAMO } from './languageKoJamo.js';
+export { SPANISH, SPANISH_OPTIONS } from './languageEs.js';
+export { FRENCH, FRENCH_OPTIONS } from './languageFr.js';
+export { GERMAN, GERMAN_OPTIONS } from './languageDe.js';
+export { JAPANESE } from './languageJa.js';
+
+// Latin-script languages
+export type { AccentMode, LatinLanguageOptions } from './latin.js';
+export { createLatinLanguage, foldAccents } from './latin.js';
+
+// Dictionary
+export { parseDefinitions, getDefinition } from './dictionary.js';
+
 // Language config
 export {
     getLanguageConfig,
+    isSupportedWordLength,
     isValidGuessForLanguage,
     isValidWordForLanguage,
     getQuordleWordsForLanguage,
 } from './languageConfig.js';
 
 // Daily
-export { getDailyTargets } from './daily.js';
+export {
+    getDailyTargets,
+    getDailyPuzzleKey,
+    getRescueStarters,
+    DEFAULT_RESCUE_STARTERS,
+    SCHEDULE_START,
+    DEFAULT_REPEAT_WINDOW,
+    parseDailyCalendar,
+    registerDailyCalendar,
+    MAX_PRACTICE_SEED,
+    createPracticeSeed,
+    isPracticeSeed,
+    getPracticeTargets,
+} from './daily.js';
@@ -204,3 +204,83 @@ export function combineVowels(first: string, second: string): string | null {
 export function splitCompoundVowel(vowel: string): [string, string] | null {
     return COMPOUND_VOWEL_SPLIT[vowel] || null;
 }
+
+// ========== JAMO SEQUENCES ==========
+// Words spelled one jamo per tile (Korean jamo-sequence mode)
+
+/**
+ * Spell Hangul as a sequence of single jamo: compound vowels and codas are split
+ * (과 → ㄱㅗㅏ, 닭 → ㄷㅏㄹㄱ). Doubled consonants like ㄲ stay one jamo, as on the
+ * 두벌식 keyboard. Other characters pass through unchanged.
+ */
+export function toJamoSequence(text: string): string {
+    const jamo: string[] = [];
+    const pushSplit = (ch: string) => {
+        jamo.push(...(splitCompoundVowel(ch) ?? splitCompoundCoda(ch) ?? [ch]));
+    };
+    for (const ch of text) {
+        if (isHangulSyllable(ch)) {
+            const d = decomposeHangul(ch);
+            jamo.push(d.onset);
+            pushSplit(d.vowel);
+            if (d.coda) pushSplit(d.coda);
+        } else {
+            pushSplit(ch);
+        }
+    }
+    return jamo.join('');
+}
+
+/**
+ * Group a jamo sequence into syllables, undoing toJamoSequence:
+ * ㄷㅏㄹㄱㄱㅗㄱㅣ → ['ㄷㅏㄹㄱ', 'ㄱㅗ', 'ㄱㅣ'].
+ * A consonant followed by a vowel starts a syllable; a consonant that does not
+ * start the next syllable joins this one as its coda. Jamo that cannot form a
+ * syllable are groups of their own.
+ */
+export function groupJamoSequence(sequence: string): string[] {
+    const chars = Array.from(sequence);
+    const at = (i: number) => chars[i] ?? '';
+    const startsSyllable = (i: number) => canBeOnset(at(i)) && isVowel(at(i + 1));
+
+    const groups: string[] = [];
+    let i = 0;
+    while (i < chars.length) {
+        if (!startsSyllable(i)) {
+            groups.push(chars[i++]);
+            continue;
+        }
+        let group = chars[i] + chars[i + 1];
+        const vowel = chars[i + 1];
+        i += 2;
+        if (combineVowels(vowel, at(i))) {
+            group += chars[i++];
+        }
+        if (canBeCoda(at(i)) && !startsSyllable(i)) {
+            const coda = chars[i];
+            group += chars[i++];
+            if (combineCodas(coda, at(i)) && !startsSyllable(i)) {
+                group += chars[i++];
+            }
+        }
+        groups.push(group);
+    }
+    return groups;
+}
+
+/** Compose one group from groupJamoSequence into a syllable block */
+function composeJamoGroup(group: string): string {
+    const chars = Array.from(group);
+    if (chars.length < 2) return group;
+    const [onset, ...rest] = chars;
+    const vowels = rest.filter(isVowel);
+    const codas = rest.filter(isConsonant);
+    const vowel = vowels.length === 2 ? combineVowels(vowels[0], vowels[1])! : vowels[0];
+    const coda = codas.length === 2 ? combineCodas(codas[0], codas[1])! : codas[0] ?? null;
+    return composeHangul(onset, vowel, coda);
+}
+
+/** Compose a jamo sequence into Hangul syllables for display: ㄲㅗㄷㅡㄹ → 꼬들 */
+export function composeJamoSequence(sequence: string): string {
+    return groupJamoSequence(sequence).map(composeJamoGroup).join('');
+}
@@ -0,0 +1,62 @@
+/**
+ * Hiragana utilities: voicing marks (dakuten ゛ / handakuten ゜) and small kana.
+ *
+ * Voiced kana are split and rebuilt with Unicode normalization: NFD turns が
+ * into か + U+3099 and ぱ into は + U+309A, and NFC composes them back.
+ */
+
+const DAKUTEN = '\u3099';
+const HANDAKUTEN = '\u309A';
+
+/** Small kana → the full-size kana they shrink */
+const SMALL_TO_FULL: Readonly<Record<string, string>> = {
+    'ぁ': 'あ', 'ぃ': 'い', 'ぅ': 'う', 'ぇ': 'え', 'ぉ': 'お',
+    'っ': 'つ', 'ゃ': 'や', 'ゅ': 'ゆ', 'ょ': 'よ', 'ゎ': 'わ',
+    'ゕ': 'か', 'ゖ': 'け',
+};
+
+const FULL_TO_SMALL: Readonly<Record<string, string>> = Object.fromEntries(
+    Object.entries(SMALL_TO_FULL).map(([small, full]) => [full, small]),
+);
+
+/** Check if a character is a hiragana kana (ぁ–ゖ, including small and voiced kana) */
+export function isHiragana(ch: string): boolean {
+    if (ch.length !== 1) return false;
+    const code = ch.charCodeAt(0);
+    return code >= 0x3041 && code <= 0x3096;
+}
+
+/** Check if a kana is a small kana, e.g. っ or ゃ */
+export function isSmallKana(ch: string): boolean {
+    return ch in SMALL_TO_FULL;
+}
+
+/** The plain, full-size kana behind a kana: が → か, ぱ → は, っ → つ, ゔ → う */
+export function kanaBase(ch: string): string {
+    const plain = ch.normalize('NFD')[0];
+    return SMALL_TO_FULL[plain] ?? plain;
+}
+
+/** Adds `mark` to a kana, replacing any other mark, or removes it if already there */
+function toggleMark(ch: string, mark: string): string {
+    const [plain, current] = ch.normalize('NFD');
+    if (current === mark) return plain;
+    const marked = (plain + mark).normalize('NFC');
+    // Kana that cannot take the mark (e.g. あ + ゜) do not compose into one character
+    return marked.length === 1 ? marked : ch;
+}
+
+/** か ↔ が (and ぱ → ば); kana that cannot take a dakuten are returned unchanged */
+export function toggleDakuten(ch: string): string {
+    return toggleMark(ch, DAKUTEN);
+}
+
+/** は ↔ ぱ; kana that cannot take a handakuten are returned unchanged */
+export function toggleHandakuten(ch: string): string {
+    return toggleMark(ch, HANDAKUTEN);
+}
+
+/** つ ↔ っ, や ↔ ゃ, ...; kana without a small form are returned unchanged */
+export function toggleSmallKana(ch: string): string {
+    return SMALL_TO_FULL[ch] ?? FULL_TO_SMALL[ch] ?? ch;
+}
@@ -1,75 +1,206 @@
-import type { Language, LanguageConfig } from './types.js';
+import type { Language, LanguageConfig, LanguageDefinition, WordLists } from './types.js';
 import { WORD_LIST, GUESS_WORDS } from './words.js';
+import { graphemeLength } from './graphemes.js';
+import { toJamoSequence } from './jamo.js';
+import { getLanguage, registerLanguage } from './languages.js';
+import { parseDefinitions } from './dictionary.js';
+import { createPracticeSeed, getPracticeTargets, registerDailyCalendar } from './daily.js';
+import { ENGLISH } from './languageEn.js';
+import { KOREAN } from './languageKo.js';
+import { KOREAN_JAMO } from './languageKoJamo.js';
+import { SPANISH } from './languageEs.js';
+import { FRENCH } from './languageFr.js';
+import { GERMAN } from './languageDe.js';
+import { JAPANESE } from './languageJa.js';
+import enWords4Text from './enWords4.txt?raw';
+import enGuessWords4Text from './enGuessWords4.txt?raw';
+import enWords6Text from './enWords6.txt?raw';
+import enGuessWords6Text from './enGuessWords6.txt?raw';
+import enWords7Text from './enWords7.txt?raw';
+import enGuessWords7Text from './enGuessWords7.txt?raw';
 import koWordsText from './koWords.txt?raw';
 import koGuessWordsText from './koGuessWords.txt?raw';
+import koWords3Text from './koWords3.txt?raw';
+import koGuessWords3Text from './koGuessWords3.txt?raw';
+import esWordsText from './esWords.txt?raw';
+import frWordsText from './frWords.txt?raw';
+import deWordsText from './deWords.txt?raw';
+import jaWordsText from './jaWords.txt?raw';
+import enDefinitionsText from './enDefinitions.tsv?raw';
+import koDefinitionsText from './koDefinitions.tsv?raw';
+import dailyCalendarText from './dailyCalendar.txt?raw';
+
+/** Split a word-list file into trimmed (NFC) words of exactly `length` grapheme clusters matching `charRegex` */
+function parseWordList(text: string, length: number, charRegex: RegExp): string[] {
+    return text
+        .split('\n')
+        .map(w => w.trim().normalize('NFC'))
+        .filter(w => graphemeLength(w) === length && charRegex.test(w));
+}
+
+/** Build WordLists from answer + extra-guess files; answers are always valid guesses */
+function buildWordLists(answerWords: readonly string[], extraGuessWords: readonly string[]): WordLists {
+    return {
+        answerWords,
+        guessWords: new Set([...extraGuessWords, ...answerWords]),
+    };
+}
 
 // ========== KOREAN WORD LISTS ==========
-const KO_ANSWER_WORDS: readonly string[] = koWordsText
-    .split('\n')
-    .map(w => w.trim())
-    .filter(w => w.length === 2 && /^[\uAC00-\uD7A3]+$/.test(w));
+const HANGUL_REGEX = /^[\uAC00-\uD7A3]+$/;
 
-const KO_GUESS_WORDS_LIST: readonly string[] = koGuessWordsText
-    .split('\n')
-    .map(w => w.trim())
-    .filter(w => w.length === 2 && /^[\uAC00-\uD7A3]+$/.test(w));
+const KO_ANSWER_WORDS: readonly string[] = parseWordList(koWordsText, 2, HANGUL_REGEX);
+const KO_GUESS_WORDS_LIST: readonly string[] = parseWordList(koGuessWordsText, 2, HANGUL_REGEX);
 
 const koGuessWordsSet = new Set([...KO_GUESS_WORDS_LIST, ...KO_ANSWER_WORDS]);
 const koAnswerWordsSet = new Set(KO_ANSWER_WORDS);
 
-// ========== ENGLISH CONFIG ==========
+const KO_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    2: { answerWords: KO_ANSWER_WORDS, guessWords: koGuessWordsSet },
+    3: buildWordLists(parseWordList(koWords3Text, 3, HANGUL_REGEX), parseWordList(koGuessWords3Text, 3, HANGUL_REGEX)),
+};
+
+// ========== KOREAN JAMO-SEQUENCE WORD LISTS ==========
+// Spelled out from the Korean lists. Answers come from the two-syllable answers, in
+// their order (the server derives its list the same way); any Korean guess word of
+// the right jamo length is a valid guess.
+const KO_GUESS_WORDS_ALL: readonly string[] = [
+    ...KO_GUESS_WORDS_LIST,
+    ...KO_WORDS_BY_LENGTH[3].guessWords,
+];
+
+function buildJamoWordLists(length: number): WordLists {
+    const spell = (words: readonly string[]) =>
+        [...new Set(words.map(toJamoSequence))].filter((word) => word.length === length);
+    return buildWordLists(spell(KO_ANSWER_WORDS), spell(KO_GUESS_WORDS_ALL));
+}
+
+const KO_JAMO_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    5: buildJamoWordLists(5),
+    6: buildJamoWordLists(6),
+};
+
+// ========== ENGLISH WORD LISTS ==========
+const LATIN_REGEX = /^[a-z]+$/;
+
 const enGuessWordsSet = new Set([...GUESS_WORDS, ...WORD_LIST]);
 
-const EN_CONFIG: LanguageConfig = {
-    wordLength: 5,
-    maxGuesses: 9,
-    validateCharRegex: /^[a-zA-Z]+$/,
-    filterCharRegex: /[^a-z]/g,
-    answerWords: WORD_LIST,
-    guessWords: enGuessWordsSet,
+const EN_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    4: buildWordLists(parseWordList(enWords4Text, 4, LATIN_REGEX), parseWordList(enGuessWords4Text, 4, LATIN_REGEX)),
+    5: { answerWords: WORD_LIST, guessWords: enGuessWordsSet },
+    6: buildWordLists(parseWordList(enWords6Text, 6, LATIN_REGEX), parseWordList(enGuessWords6Text, 6, LATIN_REGEX)),
+    7: buildWordLists(parseWordList(enWords7Text, 7, LATIN_REGEX), parseWordList(enGuessWords7Text, 7, LATIN_REGEX)),
 };
 
-// ========== KOREAN CONFIG ==========
-const KO_CONFIG: LanguageConfig = {
-    wordLength: 2,
-    maxGuesses: 9,
-    validateCharRegex: /^[\uAC00-\uD7A3]+$/,      // composed Hangul syllables only
-    filterCharRegex: /[^\uAC00-\uD7A3]/g,           // strip non-Hangul
-    answerWords: KO_ANSWER_WORDS,
-    guessWords: koGuessWordsSet,
+// ========== SPANISH / FRENCH / GERMAN WORD LISTS ==========
+// Answers keep their accents; in accent-folding mode guesses are checked in folded form
+const ES_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    5: buildWordLists(parseWordList(esWordsText, 5, SPANISH.validateCharRegex), []),
 };
 
-// ========== LOOKUP ==========
-const LANGUAGE_CONFIGS: Record<Language, LanguageConfig> = {
-    en: EN_CONFIG,
-    ko: KO_CONFIG,
+const FR_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    5: buildWordLists(parseWordList(frWordsText, 5, FRENCH.validateCharRegex), []),
+};
+
+const DE_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    5: buildWordLists(parseWordList(deWordsText, 5, GERMAN.validateCharRegex), []),
 };
 
-export function getLanguageConfig(language: Language): LanguageConfig {
-    return LANGUAGE_CONFIGS[language];
+// ========== JAPANESE WORD LISTS ==========
+const JA_WORDS_BY_LENGTH: Readonly<Record<number, WordLists>> = {
+    3: buildWordLists(parseWordList(jaWordsText, 3, JAPANESE.validateCharRegex), []),
+};
+
+// ========== DEFINITIONS ==========
+// English covers the 5-letter answers, Korean the 2- and 3-syllable answers;
+// jamo mode looks the same entries up by their spelled-out form
+const EN_DEFINITIONS = parseDefinitions(enDefinitionsText);
+const KO_DEFINITIONS = parseDefinitions(koDefinitionsText);
+const KO_JAMO_DEFINITIONS = new Map(
+    Array.from(KO_DEFINITIONS, ([word, definition]) => [toJamoSequence(word), definition]),
+);
+
+// ========== REGISTRATION ==========
+registerLanguage({ ...ENGLISH, wordLists: EN_WORDS_BY_LENGTH, definitions: EN_DEFINITIONS });
+registerLanguage({ ...KOREAN, wordLists: KO_WORDS_BY_LENGTH, definitions: KO_DEFINITIONS });
+registerLanguage({ ...KOREAN_JAMO, wordLists: KO_JAMO_WORDS_BY_LENGTH, definitions: KO_JAMO_DEFINITIONS });
+registerLanguage({ ...SPANISH, wordLists: ES_WORDS_BY_LENGTH });
+registerLanguage({ ...FRENCH, wordLists: FR_WORDS_BY_LENGTH });
+registerLanguage({ ...GERMAN, wordLists: DE_WORDS_BY_LENGTH });
+registerLanguage({ ...JAPANESE, wordLists: JA_WORDS_BY_LENGTH });
+// Holidays and themed days; the server registers the same file
+registerDailyCalendar(dailyCalendarText);
+
+// ========== LOOKUP ==========
+
+/**
+ * Get the configuration for a registered language.
+ * When `wordLength` is given, the returned config's `wordLength`, `answerWords`
+ * and `guessWords` are those of that length.
+ */
+export function getLanguageConfig(language: Language, wordLength?: number): LanguageConfig {
+    const definition = getLanguage(language);
+    const length = wordLength ?? definition.defaultWordLength;
+    const lists = definition.wordLists[length];
+    if (!lists) {
+        throw new Error(`Unsupported word length for ${language}: ${length}`);
+    }
+    return {
+        wordLength: length,
+        supportedWordLengths: Object.keys(definition.wordLists).map(Number),
+        maxGuesses: definition.maxGuesses,
+        validateCharRegex: definition.validateCharRegex,
+        filterCharRegex: definition.filterCharRegex,
+        ...lists,
+    };
+}
+
+/** Check if a language has word lists for the given length */
+export function isSupportedWordLength(language: Language, wordLength: number): boolean {
+    return getLanguage(language).wordLists[wordLength] !== undefined;
+}
+
+/** Guess lists in the normalized form guesses are stored in, built on first use per definition and length */
+const normalizedGuessWords = new WeakMap<LanguageDefinition, Map<number, ReadonlySet<string>>>();
+
+function getNormalizedGuessWords(definition: LanguageDefinition, config: LanguageConfig): ReadonlySet<string> {
+    let byLength = normalizedGuessWords.get(definition);
+    if (!byLength) {
+        byLength = new Map();
+        normalizedGuessWords.set(definition, byLength);
+    }
+    let words = byLength.get(config.wordLength);
+    if (!words) {
+        words = new Set(Array.from(config.guessWords, (word) => definition.normalize(word)));
+        byLength.set(config.wordLength, words);
+    }
+    return words;
 }
 
-/** Validate that a guess is acceptable for the given language */
-export function isValidGuessForLanguage(word: string, language: Language): boolean {
-    const config = getLanguageConfig(language);
-    return config.guessWords.has(word);
+/**
+ * Validate that a guess is acceptable for the given language.
+ * The guess is compared in normalized form, so with folded accents "arbol" matches "árbol".
+ */
+export function isValidGuessForLanguage(word: string, language: Language, wordLength?: number): boolean {
+    const config = getLanguageConfig(language, wordLength);
+    if (config.guessWords.has(word)) return true;
+    const definition = getLanguage(language);
+    return getNormalizedGuessWords(definition, config).has(definition.normalize(word));
 }
 
 /** Validate that a word is in the answer list for the given language */
-export function isValidWordForLanguage(word: string, language: Language): boolean {
-    const config = getLanguageConfig(language);
+export function isValidWordForLanguage(word: string, language: Language, wordLength?: number): boolean {
+    const config = getLanguageConfig(language, wordLength);
     return config.answerWords.includes(word);
 }
 
-/** Get N random words for the given language (for practice mode) */
-export function getQuordleWordsForLanguage(language: Language): [string, string, string, string] {
-    const config = getLanguageConfig(language);
-    const words = config.answerWords;
-    if (words.length < 4) {
+/** Get N random words for the given language: a random numbered practice puzzle (see getPracticeTargets) */
+export function getQuordleWordsForLanguage(language: Language, count: number = 4, wordLength?: number): string[] {
+    const config = getLanguageConfig(language, wordLength);
+    if (config.answerWords.length < count) {
         throw new Error(`Not enough words for language: ${language}`);
     }
-    const shuffled = [...words].sort(() => Math.random() - 0.5);
-    return [shuffled[0], shuffled[1], shuffled[2], shuffled[3]];
+    return getPracticeTargets(createPracticeSeed(), language, count, config.wordLength);
 }
 
 // Re-export the Korean word lists for server-side use
@@ -0,0 +1,35 @@
+/**
+ * German: five-letter words on a QWERTZ keyboard. Umlauts and ß are letters of
+ * their own by default, as in German spelling; umlauts can be folded instead.
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LatinLanguageOptions } from './latin.js';
+import { createLatinLanguage } from './latin.js';
+
+export const GERMAN_OPTIONS: LatinLanguageOptions = {
+    code: 'de',
+    name: 'German',
+    flag: '🇩🇪',
+    unit: { one: 'letter', other: 'letters' },
+    defaultWordLength: 5,
+    maxGuesses: 9,
+    extraLetters: 'äöüß',
+    foldable: 'äöü',
+    accents: 'distinct',
+    keyboardRows: [
+        ['Q', 'W', 'E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Ü'],
+        ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ö', 'Ä'],
+        ['ENTER', 'Y', 'X', 'C', 'V', 'B', 'N', 'M', 'ẞ', '⌫'],
+    ],
+    strings: {
+        notInWordList: 'Nicht in der Wortliste',
+        answers: 'Lösungen',
+        guessAnalysis: 'Analyse der Versuche',
+        comeBackTomorrow: 'Komm morgen für das nächste Tagesrätsel wieder',
+        boards: 'Spielfelder',
+        guesses: 'Versuche',
+    },
+};
+
+export const GERMAN = createLatinLanguage(GERMAN_OPTIONS);
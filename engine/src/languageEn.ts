@@ -0,0 +1,43 @@
+/**
+ * English: five-letter words by default, one tile per letter.
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LanguageDefinition } from './types.js';
+import { evaluateGuess } from './evaluator.js';
+import { splitGraphemes } from './graphemes.js';
+
+export const ENGLISH: LanguageDefinition = {
+    code: 'en',
+    name: 'English',
+    flag: '🇺🇸',
+    unit: { one: 'letter', other: 'letters' },
+    defaultWordLength: 5,
+    maxGuesses: 9,
+    validateCharRegex: /^[a-zA-Z]+$/,
+    filterCharRegex: /[^a-z]/g,
+    invalidCharactersError: 'Guess must contain only letters',
+    // No suffix: English dailies predate other languages and keep their original seeds
+    dailySeedSuffix: '',
+    normalize: (text) => text.toLowerCase(),
+    display: (text) => text.toUpperCase(),
+    evaluate: (guess, target) => ({ result: evaluateGuess(guess, target) }),
+    keyStatuses: (guess, { result }) => splitGraphemes(guess).map((letter, i) => [letter, result[i]]),
+    keyboard: {
+        rows: [
+            ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+            ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+            ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', '⌫'],
+        ],
+        input: 'direct',
+    },
+    strings: {
+        notInWordList: 'Not in word list',
+        answers: 'Answers',
+        guessAnalysis: 'Guess analysis',
+        comeBackTomorrow: 'Come back tomorrow for the next Daily',
+        boards: 'Boards',
+        guesses: 'Guesses',
+    },
+    wordLists: {},
+};
@@ -0,0 +1,36 @@
+/**
+ * Spanish: five-letter words. Vowel accents fold by default (a typed "a" matches "á");
+ * ñ is a letter of its own in either mode.
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LatinLanguageOptions } from './latin.js';
+import { createLatinLanguage } from './latin.js';
+
+export const SPANISH_OPTIONS: LatinLanguageOptions = {
+    code: 'es',
+    name: 'Spanish',
+    flag: '🇪🇸',
+    unit: { one: 'letter', other: 'letters' },
+    defaultWordLength: 5,
+    maxGuesses: 9,
+    extraLetters: 'ñáéíóúü',
+    foldable: 'áéíóúü',
+    accents: 'fold',
+    keyboardRows: [
+        ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+        ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+        ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', '⌫'],
+        ['Á', 'É', 'Í', 'Ó', 'Ú', 'Ü'],
+    ],
+    strings: {
+        notInWordList: 'No está en la lista de palabras',
+        answers: 'Respuestas',
+        guessAnalysis: 'Análisis de intentos',
+        comeBackTomorrow: '¡Vuelve mañana para el próximo reto diario!',
+        boards: 'Tableros',
+        guesses: 'Intentos',
+    },
+};
+
+export const SPANISH = createLatinLanguage(SPANISH_OPTIONS);
@@ -0,0 +1,37 @@
+/**
+ * French: five-letter words on an AZERTY keyboard. Every accent, including the
+ * cedilla, folds by default (a typed "c" matches "ç").
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LatinLanguageOptions } from './latin.js';
+import { createLatinLanguage } from './latin.js';
+
+export const FRENCH_OPTIONS: LatinLanguageOptions = {
+    code: 'fr',
+    name: 'French',
+    flag: '🇫🇷',
+    unit: { one: 'letter', other: 'letters' },
+    defaultWordLength: 5,
+    maxGuesses: 9,
+    extraLetters: 'éèêëàâîïôûùç',
+    foldable: 'éèêëàâîïôûùç',
+    accents: 'fold',
+    keyboardRows: [
+        ['A', 'Z', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+        ['Q', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'M'],
+        ['ENTER', 'W', 'X', 'C', 'V', 'B', 'N', '⌫'],
+        ['É', 'È', 'Ê', 'Ë', 'À', 'Â'],
+        ['Î', 'Ï', 'Ô', 'Û', 'Ù', 'Ç'],
+    ],
+    strings: {
+        notInWordList: 'Pas dans la liste de mots',
+        answers: 'Réponses',
+        guessAnalysis: 'Analyse des essais',
+        comeBackTomorrow: 'Revenez demain pour le prochain défi quotidien',
+        boards: 'Grilles',
+        guesses: 'Essais',
+    },
+};
+
+export const FRENCH = createLatinLanguage(FRENCH_OPTIONS);
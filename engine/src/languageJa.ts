@@ -0,0 +1,65 @@
+/**
+ * Japanese: three-kana hiragana words, one tile per kana (small kana like っ and ゃ
+ * get a tile of their own), with a hint on absent kana that are only a dakuten or
+ * a size away from a kana in the answer.
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LanguageDefinition } from './types.js';
+import { evaluateGuess } from './evaluator.js';
+import { evaluateGuessJa } from './evaluatorJa.js';
+import { kanaBase, toggleDakuten, toggleHandakuten, toggleSmallKana } from './kana.js';
+
+export const JAPANESE: LanguageDefinition = {
+    code: 'ja',
+    name: 'Japanese',
+    flag: '🇯🇵',
+    unit: { one: 'kana', other: 'kana' },
+    defaultWordLength: 3,
+    maxGuesses: 9,
+    validateCharRegex: /^[ぁ-ゖ]+$/,    // hiragana, including small and voiced kana
+    filterCharRegex: /[^ぁ-ゖ]/g,       // strip non-hiragana
+    invalidCharactersError: 'Guess must contain only hiragana',
+    // Composes kana typed with a separate voicing mark (か + ゛ → が)
+    normalize: (text) => text.normalize('NFC'),
+    display: (text) => text,
+    evaluate: (guess, target) => ({
+        result: evaluateGuess(guess, target),
+        jaResult: evaluateGuessJa(guess, target),
+    }),
+    /**
+     * Keys are plain full-size kana; が, ぱ and っ colour the か, は and つ keys.
+     * A kana hint colours the key with the hint's status, since the key's family
+     * is in the answer. Older saves without hints use the kana status.
+     */
+    keyStatuses: (guess, { result, jaResult }) => Array.from(guess, (ch, i) => {
+        const hint = jaResult?.[i].kanaHint;
+        return [kanaBase(ch), hint ? hint.status : result[i]];
+    }),
+    keyboard: {
+        // Gojūon columns left to right, one row per vowel; ゛ ゜ 小 modify the last kana
+        rows: [
+            ['あ', 'か', 'さ', 'た', 'な', 'は', 'ま', 'や', 'ら', 'わ'],
+            ['い', 'き', 'し', 'ち', 'に', 'ひ', 'み', 'り'],
+            ['う', 'く', 'す', 'つ', 'ぬ', 'ふ', 'む', 'ゆ', 'る', 'ん'],
+            ['え', 'け', 'せ', 'て', 'ね', 'へ', 'め', 'れ'],
+            ['お', 'こ', 'そ', 'と', 'の', 'ほ', 'も', 'よ', 'ろ', 'を'],
+            ['ENTER', '゛', '゜', '小', '⌫'],
+        ],
+        modifiers: {
+            '゛': toggleDakuten,
+            '゜': toggleHandakuten,
+            '小': toggleSmallKana,
+        },
+        input: 'direct',
+    },
+    strings: {
+        notInWordList: '単語リストにありません',
+        answers: '答え',
+        guessAnalysis: '推測の分析',
+        comeBackTomorrow: 'また明日挑戦してください！',
+        boards: 'ボード',
+        guesses: '推測',
+    },
+    wordLists: {},
+};
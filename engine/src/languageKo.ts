@@ -0,0 +1,85 @@
+/**
+ * Korean: two-syllable words by default, one tile per Hangul syllable block,
+ * with jamo hints on every syllable that is not green.
+ * Rules only — languageConfig.ts adds the bundled word lists.
+ */
+
+import type { LanguageDefinition, LetterResult } from './types.js';
+import { evaluateGuessKo, evaluateGuessSyllable } from './evaluatorKo.js';
+import { decomposeHangul, isHangulSyllable } from './jamo.js';
+import { romanize } from './romanization.js';
+
+export const KOREAN: LanguageDefinition = {
+    code: 'ko',
+    name: 'Korean',
+    flag: '🇰🇷',
+    unit: { one: 'syllable', other: 'syllables' },
+    defaultWordLength: 2,
+    maxGuesses: 9,
+    validateCharRegex: /^[\uAC00-\uD7A3]+$/,      // composed Hangul syllables only
+    filterCharRegex: /[^\uAC00-\uD7A3]/g,           // strip non-Hangul
+    invalidCharactersError: 'Guess must contain only Korean syllables',
+    normalize: (text) => text,
+    display: (text) => text,
+    romanize,
+    evaluate: (guess, target) => ({
+        // Syllable-level results drive the tiles; jamo hints refine non-green syllables
+        result: evaluateGuessSyllable(guess, target),
+        koResult: evaluateGuessKo(guess, target),
+    }),
+    /**
+     * Keys are jamo, coloured from the jamo hints. This avoids marking a jamo absent
+     * when its syllable is absent but the jamo itself is in the target.
+     * Older saves without hints fall back to the syllable status for every jamo.
+     */
+    keyStatuses: (guess, { result, koResult }) => {
+        const statuses: [string, LetterResult][] = [];
+        Array.from(guess).forEach((ch, i) => {
+            if (!isHangulSyllable(ch)) return;
+            const { onset, vowel, coda } = decomposeHangul(ch);
+            const syllable = koResult ? koResult[i].syllable : result[i];
+            const hints = koResult?.[i].jamoHints;
+            if (syllable === 'correct' || !koResult) {
+                // Whole syllable correct (or no hints): every jamo shares its status
+                statuses.push([onset, syllable], [vowel, syllable]);
+                if (coda) statuses.push([coda, syllable]);
+            } else if (hints) {
+                statuses.push([onset, hints.onset], [vowel, hints.vowel]);
+                if (coda && hints.coda) statuses.push([coda, hints.coda]);
+            }
+        });
+        return statuses;
+    },
+    keyboard: {
+        // Standard 2-set (두벌식) layout; doubles on the fourth row (toggled via ⇧)
+        rows: [
+            ['ㅂ', 'ㅈ', 'ㄷ', 'ㄱ', 'ㅅ', 'ㅛ', 'ㅕ', 'ㅑ', 'ㅐ', 'ㅔ'],
+            ['ㅁ', 'ㄴ', 'ㅇ', 'ㄹ', 'ㅎ', 'ㅗ', 'ㅓ', 'ㅏ', 'ㅣ'],
+            ['ENTER', 'ㅋ', 'ㅌ', 'ㅊ', 'ㅍ', 'ㅠ', 'ㅜ', 'ㅡ', '⌫'],
+            ['⇧', 'ㅃ', 'ㅉ', 'ㄸ', 'ㄲ', 'ㅆ'],
+        ],
+        // QWERTY → 두벌식 so players can type Korean without switching their OS layout
+        physicalKeys: {
+            // Lowercase (unshifted)
+            'q': 'ㅂ', 'w': 'ㅈ', 'e': 'ㄷ', 'r': 'ㄱ', 't': 'ㅅ',
+            'y': 'ㅛ', 'u': 'ㅕ', 'i': 'ㅑ', 'o': 'ㅐ', 'p': 'ㅔ',
+            'a': 'ㅁ', 's': 'ㄴ', 'd': 'ㅇ', 'f': 'ㄹ', 'g': 'ㅎ',
+            'h': 'ㅗ', 'j': 'ㅓ', 'k': 'ㅏ', 'l': 'ㅣ',
+            'z': 'ㅋ', 'x': 'ㅌ', 'c': 'ㅊ', 'v': 'ㅍ',
+            'b': 'ㅠ', 'n': 'ㅜ', 'm': 'ㅡ',
+            // Uppercase (shifted) — double consonants + compound vowels
+            'Q': 'ㅃ', 'W': 'ㅉ', 'E': 'ㄸ', 'R': 'ㄲ', 'T': 'ㅆ',
+            'O': 'ㅒ', 'P': 'ㅖ',
+        },
+        input: 'hangul',
+    },
+    strings: {
+        notInWordList: '단어 목록에 없습니다',
+        answers: '정답',
+        guessAnalysis: '추측 분석',
+        comeBackTomorrow: '내일 다시 도전하세요!',
+        boards: '보드',
+        guesses: '추측',
+    },
+    wordLists: {},
+};
@@ -0,0 +1,43 @@
+/**
+ * Korean jamo-sequence mode: the answer is spelled one jamo per tile (꼬들 →
+ * ㄲㅗㄷㅡㄹ) and every jamo is scored on its own, for finer feedback than
+ * syllable tiles. Words are shown re-composed into syllables.
+ * Rules only — languageConfig.ts derives the word lists from the Korean ones.
+ */
+
+import type { LanguageDefinition } from './types.js';
+import { evaluateGuess } from './evaluator.js';
+import { composeJamoSequence, groupJamoSequence, toJamoSequence } from './jamo.js';
+import { KOREAN } from './languageKo.js';
+import { romanize } from './romanization.js';
+
+export const KOREAN_JAMO: LanguageDefinition = {
+    code: 'ko-jamo',
+    name: 'Korean (jamo)',
+    flag: '🇰🇷',
+    unit: { one: 'jamo', other: 'jamo' },
+    defaultWordLength: 6,
+    maxGuesses: 9,
+    validateCharRegex: /^[ㄱ-ㅣ]+$/,      // compatibility jamo only
+    filterCharRegex: /[^ㄱ-ㅣ]/g,           // strip everything else
+    invalidCharactersError: 'Guess must contain only Korean jamo',
+    // Syllables typed through an OS IME are spelled out, so 꼬 becomes ㄲㅗ
+    normalize: toJamoSequence,
+    display: composeJamoSequence,
+    syllables: groupJamoSequence,
+    // Reads the composed word, so ㄱㅜㄱㅁㅜㄹ is romanized like 국물 (gungmul)
+    romanize: (text) => romanize(composeJamoSequence(text)),
+    evaluate: (guess, target) => ({ result: evaluateGuess(guess, target) }),
+    keyStatuses: (guess, { result }) => Array.from(guess, (jamo, i) => [jamo, result[i]]),
+    keyboard: {
+        // 두벌식 without syllable composition; ㅒ and ㅖ join the ⇧ row since they are tiles too
+        rows: [
+            ...KOREAN.keyboard.rows.slice(0, 3),
+            ['⇧', 'ㅃ', 'ㅉ', 'ㄸ', 'ㄲ', 'ㅆ', 'ㅒ', 'ㅖ'],
+        ],
+        physicalKeys: KOREAN.keyboard.physicalKeys,
+        input: 'direct',
+    },
+    strings: KOREAN.strings,
+    wordLists: {},
+};
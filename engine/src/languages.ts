@@ -0,0 +1,79 @@
+/**
+ * Language registry. Every language the game supports is a LanguageDefinition
+ * registered here; game, server and client look languages up by code instead of
+ * branching on them.
+ *
+ * This module does not import any word-list files, so the server can use it
+ * directly. The built-in languages are registered on load without word lists;
+ * languageConfig.ts re-registers them with the bundled lists.
+ */
+
+import type { Language, LanguageDefinition } from './types.js';
+import type { AccentMode, LatinLanguageOptions } from './latin.js';
+import { createLatinLanguage } from './latin.js';
+import { ENGLISH } from './languageEn.js';
+import { KOREAN } from './languageKo.js';
+import { KOREAN_JAMO } from './languageKoJamo.js';
+import { SPANISH, SPANISH_OPTIONS } from './languageEs.js';
+import { FRENCH, FRENCH_OPTIONS } from './languageFr.js';
+import { GERMAN, GERMAN_OPTIONS } from './languageDe.js';
+import { JAPANESE } from './languageJa.js';
+
+const registry = new Map<Language, LanguageDefinition>();
+
+/** Built-in languages whose accents can fold or count as letters (see setAccentMode) */
+const LATIN_OPTIONS: Readonly<Record<Language, LatinLanguageOptions>> = {
+    es: SPANISH_OPTIONS,
+    fr: FRENCH_OPTIONS,
+    de: GERMAN_OPTIONS,
+};
+
+/**
+ * Registers a language, replacing any earlier definition with the same code
+ * (e.g. to attach different word lists). Registration order is the display order.
+ */
+export function registerLanguage(definition: LanguageDefinition): void {
+    registry.set(definition.code, definition);
+}
+
+/** Gets a registered language; throws for unknown codes */
+export function getLanguage(code: Language): LanguageDefinition {
+    const definition = registry.get(code);
+    if (!definition) {
+        throw new Error(`Unsupported language: ${code}`);
+    }
+    return definition;
+}
+
+/** Every registered language, in registration order */
+export function getLanguages(): LanguageDefinition[] {
+    return [...registry.values()];
+}
+
+/** Check if a value is the code of a registered language */
+export function isLanguage(code: unknown): code is Language {
+    return typeof code === 'string' && registry.has(code);
+}
+
+/**
+ * Switches a built-in Latin-script language between folding accents onto their
+ * base letter ('fold') and treating accented letters as letters of their own
+ * ('distinct'). The language keeps its word lists and daily calendar. Games already in progress keep
+ * their stored guesses, so switch modes between games.
+ */
+export function setAccentMode(code: Language, accents: AccentMode): void {
+    const options = LATIN_OPTIONS[code];
+    if (!options) {
+        throw new Error(`Language has no accent modes: ${code}`);
+    }
+    const { wordLists, dailyCalendar } = getLanguage(code);
+    registerLanguage({ ...createLatinLanguage({ ...options, accents }), wordLists, dailyCalendar });
+}
+
+registerLanguage(ENGLISH);
+registerLanguage(KOREAN);
+registerLanguage(KOREAN_JAMO);
+registerLanguage(SPANISH);
+registerLanguage(FRENCH);
+registerLanguage(GERMAN);
+registerLanguage(JAPANESE);
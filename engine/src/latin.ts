@@ -0,0 +1,82 @@
+/**
+ * Latin-script languages with letters beyond a–z (ñ, é, ü, ß, ...).
+ *
+ * Accented letters either fold onto their base letter — a typed "e" matches "é",
+ * and guesses are stored without the accent — or count as letters of their own.
+ * Targets always keep their accents so the answers are shown correctly.
+ */
+
+import type { LanguageDefinition } from './types.js';
+import { evaluateGuess } from './evaluator.js';
+import { splitGraphemes } from './graphemes.js';
+
+/** 'fold': accented letters match their base letter; 'distinct': they are separate letters */
+export type AccentMode = 'fold' | 'distinct';
+
+/** Everything createLatinLanguage needs beyond the shared Latin-script rules */
+export interface LatinLanguageOptions extends Pick<LanguageDefinition,
+    'code' | 'name' | 'flag' | 'unit' | 'defaultWordLength' | 'maxGuesses' | 'strings'> {
+    /** Lower-case letters beyond a–z, e.g. 'ñáéíóúü' */
+    extraLetters: string;
+    /** The extra letters that fold in 'fold' mode; the rest (e.g. Spanish ñ) always stay distinct */
+    foldable: string;
+    accents: AccentMode;
+    /** Upper-case key labels; foldable keys are left out in 'fold' mode */
+    keyboardRows: readonly (readonly string[])[];
+}
+
+const SPECIAL_KEYS = new Set(['ENTER', '⌫', '⇧']);
+
+/** Strip the accents from the `foldable` letters of `text`, e.g. "ÁRBOL" → "ARBOL" for 'á' */
+export function foldAccents(text: string, foldable: string): string {
+    return Array.from(text.normalize('NFC'), (ch) => {
+        const lower = ch.toLowerCase();
+        if (!foldable.includes(lower)) return ch;
+        // NFD splits é into e + U+0301; the base letter comes first
+        const base = lower.normalize('NFD')[0];
+        return ch === lower ? base : base.toUpperCase();
+    }).join('');
+}
+
+/** Upper-case for display, keeping ß a single letter (ẞ rather than SS) */
+function displayLatin(text: string): string {
+    return Array.from(text, (ch) => (ch === 'ß' ? 'ẞ' : ch.toUpperCase())).join('');
+}
+
+/**
+ * Builds a LanguageDefinition for a Latin-script language. Guesses are lower-cased
+ * (and folded in 'fold' mode); evaluation folds the target the same way, so a
+ * folded guess can match an accented answer. Dailies get the default `:code` seed.
+ */
+export function createLatinLanguage(options: LatinLanguageOptions): LanguageDefinition {
+    const { extraLetters, foldable, accents } = options;
+    const fold = (text: string) => (accents === 'fold' ? foldAccents(text, foldable) : text);
+    const isKeyShown = (key: string) =>
+        SPECIAL_KEYS.has(key) || accents === 'distinct' || !foldable.includes(key.toLowerCase());
+
+    return {
+        code: options.code,
+        name: options.name,
+        flag: options.flag,
+        unit: options.unit,
+        defaultWordLength: options.defaultWordLength,
+        maxGuesses: options.maxGuesses,
+        // Accented input is accepted in both modes; 'fold' mode strips the accent on normalize
+        validateCharRegex: new RegExp(`^[a-z${extraLetters}]+$`, 'iu'),
+        filterCharRegex: new RegExp(`[^a-z${extraLetters}]`, 'gu'),
+        invalidCharactersError: 'Guess must contain only letters',
+        normalize: (text) => fold(text.normalize('NFC').toLowerCase()),
+        display: displayLatin,
+        evaluate: (guess, target) => ({ result: evaluateGuess(fold(guess), fold(target)) }),
+        keyStatuses: (guess, { result }) => splitGraphemes(guess).map((letter, i) => [letter, result[i]]),
+        keyboard: {
+            rows: options.keyboardRows
+                .map((row) => row.filter(isKeyShown))
+                .filter((row) => row.some((key) => !SPECIAL_KEYS.has(key))),
+            input: 'direct',
+        },
+        strings: options.strings,
+        wordLists: {},
+    };
+}
+
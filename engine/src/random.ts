@@ -0,0 +1,40 @@
+/**
+ * Seeded randomness shared by the daily scheduler, practice puzzles and
+ * challenge tokens. Everything here is deterministic, so client and server
+ * derive the same numbers from the same seed strings.
+ */
+
+/**
+ * Converts a string (a dateKey, "practice:48213", ...) to a numeric seed.
+ * Uses a simple hash function (djb2) for consistent results.
+ *
+ * @param text - The seed string (e.g., "2026-02-07")
+ * @returns A 32-bit unsigned integer seed
+ */
+export function stringToSeed(text: string): number {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        // hash * 33 ^ charCode (djb2 algorithm)
+        hash = ((hash << 5) + hash) ^ text.charCodeAt(i);
+    }
+    // Ensure positive 32-bit integer
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 - A simple and fast 32-bit seeded PRNG.
+ * Produces deterministic pseudo-random numbers given the same seed.
+ *
+ * @param seed - The 32-bit seed value
+ * @returns A function that returns the next pseudo-random number in [0, 1)
+ */
+export function mulberry32(seed: number): () => number {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,41 @@
+/**
+ * Event-sourced games: a game is its config plus the log of accepted guesses.
+ *
+ * The log is the record of play (the server stores it beside the GameState
+ * snapshot); replaying it rebuilds the snapshot, which makes audits, per-guess
+ * timings and animated replays possible.
+ */
+
+import type { GameConfig, GameEvent, GameEventMeta, GameState } from './types.js';
+import { createGame, submitGuess } from './game.js';
+
+/** Creates the log entry for an accepted guess */
+export function createGuessEvent(guess: string, meta?: GameEventMeta, timestamp: number = Date.now()): GameEvent {
+    return meta ? { type: 'guess', guess, timestamp, meta } : { type: 'guess', guess, timestamp };
+}
+
+/**
+ * Rebuilds a game by folding its event log through submitGuess.
+ * The log only holds accepted guesses, so a guess the engine rejects means the
+ * log and the config disagree — that throws rather than being skipped.
+ */
+export function replayGame(config: GameConfig, events: readonly GameEvent[]): GameState {
+    return events.reduce((state, event, i) => {
+        const next = submitGuess(state, event.guess);
+        if (next === state) {
+            throw new Error(`Event ${i + 1} (guess "${event.guess}") was rejected on replay`);
+        }
+        return next;
+    }, createGame(config));
+}
+
+/**
+ * Milliseconds each guess took: the gap since the previous event, or since
+ * `startedAt` for the first one (null when the start is unknown).
+ */
+export function getGuessDurations(events: readonly GameEvent[], startedAt?: number): (number | null)[] {
+    return events.map((event, i) => {
+        const previous = i > 0 ? events[i - 1].timestamp : startedAt;
+        return previous === undefined ? null : event.timestamp - previous;
+    });
+}
@@ -0,0 +1,117 @@
+/**
+ * Revised Romanization of Korean (국어의 로마자 표기법), for learner aids.
+ *
+ * Words are romanized as pronounced: a coda moves onto a following silent ㅇ
+ * (음악 → eumak), obstruents nasalize before ㄴ/ㅁ (국물 → gungmul), ㄴ and ㄹ
+ * assimilate (설날 → seollal) and ㅎ aspirates a neighbouring ㄱ/ㄷ/ㅈ
+ * (좋고 → joko). As the standard allows for nouns, ㅎ after ㄱ/ㄷ/ㅂ stays an h
+ * (백합 → baekhap), and tensing is never written (학교 → hakgyo).
+ */
+
+import { decomposeHangul, isConsonant, isHangulSyllable, isVowel } from './jamo.js';
+
+const ONSET_ROMAN: Readonly<Record<string, string>> = {
+    'ㄱ': 'g', 'ㄲ': 'kk', 'ㄴ': 'n', 'ㄷ': 'd', 'ㄸ': 'tt', 'ㄹ': 'r', 'ㅁ': 'm',
+    'ㅂ': 'b', 'ㅃ': 'pp', 'ㅅ': 's', 'ㅆ': 'ss', 'ㅇ': '', 'ㅈ': 'j', 'ㅉ': 'jj',
+    'ㅊ': 'ch', 'ㅋ': 'k', 'ㅌ': 't', 'ㅍ': 'p', 'ㅎ': 'h',
+};
+
+const VOWEL_ROMAN: Readonly<Record<string, string>> = {
+    'ㅏ': 'a', 'ㅐ': 'ae', 'ㅑ': 'ya', 'ㅒ': 'yae', 'ㅓ': 'eo', 'ㅔ': 'e', 'ㅕ': 'yeo',
+    'ㅖ': 'ye', 'ㅗ': 'o', 'ㅘ': 'wa', 'ㅙ': 'wae', 'ㅚ': 'oe', 'ㅛ': 'yo', 'ㅜ': 'u',
+    'ㅝ': 'wo', 'ㅞ': 'we', 'ㅟ': 'wi', 'ㅠ': 'yu', 'ㅡ': 'eu', 'ㅢ': 'ui', 'ㅣ': 'i',
+};
+
+/** How each coda sounds before a pause or another consonant (compound codas keep one part) */
+const CODA_ROMAN: Readonly<Record<string, string>> = {
+    'ㄱ': 'k', 'ㄲ': 'k', 'ㄳ': 'k', 'ㄺ': 'k', 'ㅋ': 'k',
+    'ㄴ': 'n', 'ㄵ': 'n', 'ㄶ': 'n',
+    'ㄷ': 't', 'ㅅ': 't', 'ㅆ': 't', 'ㅈ': 't', 'ㅊ': 't', 'ㅌ': 't', 'ㅎ': 't',
+    'ㄹ': 'l', 'ㄼ': 'l', 'ㄽ': 'l', 'ㄾ': 'l', 'ㅀ': 'l',
+    'ㅁ': 'm', 'ㄻ': 'm',
+    'ㅂ': 'p', 'ㅍ': 'p', 'ㅄ': 'p', 'ㄿ': 'p',
+    'ㅇ': 'ng',
+};
+
+/** Compound codas that carry their second consonant over to a following ㅇ, e.g. 닭이 → dalgi */
+const CODA_LIAISON: Readonly<Record<string, [stays: string, moves: string]>> = {
+    'ㄳ': ['ㄱ', 'ㅅ'], 'ㄵ': ['ㄴ', 'ㅈ'], 'ㄺ': ['ㄹ', 'ㄱ'], 'ㄻ': ['ㄹ', 'ㅁ'],
+    'ㄼ': ['ㄹ', 'ㅂ'], 'ㄽ': ['ㄹ', 'ㅅ'], 'ㄾ': ['ㄹ', 'ㅌ'], 'ㄿ': ['ㄹ', 'ㅍ'], 'ㅄ': ['ㅂ', 'ㅅ'],
+};
+
+/** Nasal a k/t/p coda becomes before ㄴ, ㅁ or ㄹ */
+const NASALIZED: Readonly<Record<string, string>> = { k: 'ng', t: 'n', p: 'm' };
+
+/** Aspirated onset a ㄱ/ㄷ/ㅈ becomes after ㅎ */
+const ASPIRATED: Readonly<Record<string, string>> = { 'ㄱ': 'k', 'ㄷ': 't', 'ㅈ': 'ch' };
+
+/**
+ * Romanizes one jamo, as shown on a keyboard key: a vowel by its sound and a
+ * consonant by its onset sound, except ㅇ, which is silent as an onset and
+ * written as its coda sound 'ng'. Other characters are returned unchanged.
+ */
+export function romanizeJamo(jamo: string): string {
+    if (isVowel(jamo)) return VOWEL_ROMAN[jamo] ?? jamo;
+    if (jamo === 'ㅇ') return 'ng';
+    if (isConsonant(jamo)) return ONSET_ROMAN[jamo] ?? CODA_ROMAN[jamo] ?? jamo;
+    return jamo;
+}
+
+/**
+ * The romanized coda and next onset across a syllable boundary, with the sound
+ * changes between them applied.
+ */
+function romanizeBoundary(coda: string | null, onset: string, vowel: string): [string, string] {
+    if (!coda) return ['', ONSET_ROMAN[onset]];
+
+    if (onset === 'ㅇ') {
+        // Liaison: the coda is pronounced as the next syllable's onset
+        if (coda === 'ㅇ') return ['ng', ''];
+        if (coda === 'ㅎ') return ['', ''];
+        if (coda === 'ㄶ' || coda === 'ㅀ') return ['', coda === 'ㄶ' ? 'n' : 'r'];
+        const split = CODA_LIAISON[coda];
+        if (split) return [CODA_ROMAN[split[0]], ONSET_ROMAN[split[1]]];
+        // Palatalization: 같이 → gachi, 굳이 → guji
+        if (vowel === 'ㅣ' && (coda === 'ㄷ' || coda === 'ㅌ')) return ['', coda === 'ㄷ' ? 'j' : 'ch'];
+        return ['', ONSET_ROMAN[coda]];
+    }
+
+    if (coda === 'ㅎ' || coda === 'ㄶ' || coda === 'ㅀ') {
+        const kept = coda === 'ㅎ' ? '' : CODA_ROMAN[coda];
+        if (ASPIRATED[onset]) return [kept, ASPIRATED[onset]];
+        if (onset === 'ㄴ') return [kept || 'n', coda === 'ㅀ' ? 'l' : 'n'];
+        if (onset === 'ㅅ') return [kept, 's'];
+    }
+
+    const final = CODA_ROMAN[coda];
+    if (onset === 'ㄹ') {
+        // ㄴ and ㄹ assimilate to ll; after other consonants ㄹ is pronounced ㄴ
+        if (final === 'n' || final === 'l') return ['l', 'l'];
+        return [NASALIZED[final] ?? final, 'n'];
+    }
+    if (onset === 'ㄴ' || onset === 'ㅁ') {
+        if (final === 'l' && onset === 'ㄴ') return ['l', 'l'];
+        return [NASALIZED[final] ?? final, ONSET_ROMAN[onset]];
+    }
+    return [final, ONSET_ROMAN[onset]];
+}
+
+/**
+ * Romanizes Korean text as pronounced, e.g. 사과 → sagwa, 설날 → seollal.
+ * Each run of Hangul syllables is read as one word; a lone jamo is romanized
+ * with romanizeJamo, and any other character is kept as it is.
+ */
+export function romanize(text: string): string {
+    const chars = Array.from(text);
+    const syllables = chars.map((ch) => (isHangulSyllable(ch) ? decomposeHangul(ch) : null));
+    return chars.map((ch, i) => {
+        const syllable = syllables[i];
+        if (!syllable) return romanizeJamo(ch);
+        const { onset, vowel, coda } = syllable;
+        const previous = syllables[i - 1];
+        const next = syllables[i + 1];
+        const onsetRoman = previous ? romanizeBoundary(previous.coda, onset, vowel)[1] : ONSET_ROMAN[onset];
+        const codaRoman = next ? romanizeBoundary(coda, next.onset, next.vowel)[0] : coda ? CODA_ROMAN[coda] : '';
+        return onsetRoman + VOWEL_ROMAN[vowel] + codaRoman;
+    }).join('');
+}
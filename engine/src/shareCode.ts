@@ -0,0 +1,169 @@
+/**
+ * Share codes: a finished game serialised into a short, URL-safe string.
+ *
+ * A code records how to rebuild the puzzle (language, word length, board count,
+ * variant, and the daily date or the target words) plus the player's guesses.
+ * Decoding never trusts the boards: it re-creates the game and replays every
+ * guess through submitGuess, so results and Korean jamo hints are recomputed.
+ *
+ * Format: `<version>.<base64url(UTF-8 JSON array)>`. Bump SHARE_CODE_VERSION and
+ * keep a decoder for old versions whenever the payload layout changes.
+ */
+
+import type { GameState, Language } from './types.js';
+import { createGame, submitGuess } from './game.js';
+import { getDailyTargets } from './daily.js';
+import { isValidGuessForLanguage } from './languageConfig.js';
+import { getLanguage, isLanguage } from './languages.js';
+import { splitGraphemes } from './graphemes.js';
+import { fromBase64Url, toBase64Url, utf8Decode, utf8Encode } from './base64url.js';
+
+export const SHARE_CODE_VERSION = 1;
+
+/** Where a shared game's target words come from */
+export type ShareSource =
+    | { type: 'daily'; dateKey: string }
+    /** Target words are embedded in the code (e.g. practice games) */
+    | { type: 'targets' };
+
+/** A decoded, verified share code */
+export interface SharedGame {
+    state: GameState;
+    source: ShareSource;
+}
+
+/** Version 1 payload, in array order */
+type PayloadV1 = [
+    language: Language,
+    wordLength: number,
+    boardCount: number,
+    /** bit 0: hard mode, bit 1: sequence */
+    flags: number,
+    focusBoard: number | null,
+    maxGuesses: number,
+    /** 'd' + dateKey, or 't' + the target words concatenated */
+    source: string,
+    /** Rescue: [seed, starter count], or null */
+    rescue: [string, number] | null,
+    /** The player's guesses (after any Rescue starters), concatenated */
+    guesses: string,
+];
+
+/** Split concatenated words of equal length (by grapheme cluster, so Hangul and combining marks are safe) */
+function splitWords(joined: string, wordLength: number): string[] {
+    const chars = splitGraphemes(joined);
+    if (chars.length % wordLength !== 0) {
+        throw new Error('Share code word list has the wrong length');
+    }
+    const words: string[] = [];
+    for (let i = 0; i < chars.length; i += wordLength) {
+        words.push(chars.slice(i, i + wordLength).join(''));
+    }
+    return words;
+}
+
+/**
+ * Encodes a finished game as a share code.
+ * Rescue games must pass the seed they were created with, since GameState only
+ * keeps the starter count.
+ */
+export function encodeShareCode(state: GameState, source: ShareSource, rescueSeed?: string): string {
+    if (!state.gameOver) {
+        throw new Error('Only finished games can be shared');
+    }
+    const starterCount = state.starterCount || 0;
+    if (starterCount > 0 && rescueSeed === undefined) {
+        throw new Error('Rescue games need their seed to be shared');
+    }
+    if (state.fibble) {
+        throw new Error('Fibble games cannot be shared');
+    }
+
+    const playerGuesses = state.boards[0].guesses.slice(starterCount);
+    const payload: PayloadV1 = [
+        state.language,
+        state.wordLength,
+        state.boards.length,
+        (state.hardMode ? 1 : 0) | (state.sequence ? 2 : 0),
+        state.focusBoard ?? null,
+        state.maxGuesses,
+        source.type === 'daily' ? `d${source.dateKey}` : `t${state.boards.map((b) => b.targetWord).join('')}`,
+        starterCount > 0 ? [rescueSeed!, starterCount] : null,
+        playerGuesses.join(''),
+    ];
+
+    return `${SHARE_CODE_VERSION}.${toBase64Url(utf8Encode(JSON.stringify(payload)))}`;
+}
+
+/**
+ * Decodes a share code and rebuilds the game by replaying its guesses.
+ * Throws if the code is malformed, from an unknown version, or describes a
+ * game that does not replay to a finished state.
+ */
+export function decodeShareCode(code: string): SharedGame {
+    const trimmed = code.trim();
+    const dot = trimmed.indexOf('.');
+    if (dot === -1 || Number(trimmed.slice(0, dot)) !== SHARE_CODE_VERSION) {
+        throw new Error(`Unsupported share code version: ${dot === -1 ? trimmed : trimmed.slice(0, dot)}`);
+    }
+
+    let payload: PayloadV1;
+    try {
+        payload = JSON.parse(utf8Decode(fromBase64Url(trimmed.slice(dot + 1))));
+    } catch {
+        throw new Error('Malformed share code');
+    }
+    if (!Array.isArray(payload) || payload.length !== 9
+        || typeof payload[6] !== 'string' || typeof payload[8] !== 'string') {
+        throw new Error('Malformed share code');
+    }
+
+    const [language, wordLength, boardCount, flags, focusBoard, maxGuesses, sourceField, rescue, guessField] = payload;
+    if (!isLanguage(language)) {
+        throw new Error(`Unsupported share code language: ${language}`);
+    }
+
+    let source: ShareSource;
+    let targetWords: string[];
+    if (sourceField.startsWith('d')) {
+        source = { type: 'daily', dateKey: sourceField.slice(1) };
+        targetWords = getDailyTargets(source.dateKey, language, boardCount, wordLength);
+    } else if (sourceField.startsWith('t')) {
+        source = { type: 'targets' };
+        targetWords = splitWords(sourceField.slice(1), wordLength);
+        // Embedded targets end up in the page, so only answer words are accepted
+        const answerWords = getLanguage(language).wordLists[wordLength]?.answerWords ?? [];
+        const unknown = targetWords.find((word) => !answerWords.includes(word));
+        if (unknown !== undefined) {
+            throw new Error(`Share code contains a target that is not an answer word: ${unknown}`);
+        }
+    } else {
+        throw new Error('Malformed share code');
+    }
+
+    let state = createGame({
+        targetWords,
+        language,
+        wordLength,
+        maxGuesses,
+        hardMode: (flags & 1) !== 0,
+        sequence: (flags & 2) !== 0,
+        focusBoard,
+        ...(rescue ? { rescue: { seed: rescue[0], starters: rescue[1] } } : {}),
+    });
+
+    for (const guess of splitWords(guessField, wordLength)) {
+        // submitGuess only checks the shape of a guess; the client also requires a dictionary word
+        const next = isValidGuessForLanguage(guess, language, wordLength) ? submitGuess(state, guess) : state;
+        if (next === state) {
+            throw new Error(`Share code contains a guess the game rejects: ${guess}`);
+        }
+        state = next;
+    }
+
+    if (!state.gameOver) {
+        throw new Error('Share code does not describe a finished game');
+    }
+
+    return { state, source };
+}
@@ -0,0 +1,129 @@
+/**
+ * Emoji share text: the familiar Quordle summary of a game, with a solve number
+ * (or a red square) per board and optional colour grids.
+ *
+ * Imports no word lists, so the server and bot can use it.
+ */
+
+import type { EvilGameState, GameState, Language, LetterResult } from './types.js';
+import { isLanguage, getLanguage } from './languages.js';
+import { isEvilGame } from './evil.js';
+
+/** Options for getShareText */
+export interface ShareTextOptions {
+    /** Daily date shown in the header; without one the game is labelled as practice */
+    dateKey?: string;
+    /** Numbered practice puzzle shown in the header, e.g. "Practice Quordle #48213" */
+    practiceSeed?: number;
+    /** Append every board's colour grid below the summary */
+    grids?: boolean;
+    /**
+     * Spoiler-free: wrap the colour grids in Discord spoiler tags so they stay hidden
+     * until clicked, for posting while others are still playing
+     */
+    spoilerFree?: boolean;
+    /** Boards per row; defaults to 2, or 4 for 8 or more boards */
+    columns?: number;
+}
+
+/** Flag and name of a language, e.g. "🇺🇸 English"; unknown codes are shown as-is */
+function getLanguageLabel(code: Language): string {
+    if (!isLanguage(code)) return code;
+    const { flag, name } = getLanguage(code);
+    return `${flag} ${name}`;
+}
+
+/** Game name per board count */
+const BOARD_COUNT_NAMES: Record<number, string> = {
+    2: 'Dordle',
+    4: 'Quordle',
+    8: 'Octordle',
+    16: 'Sedecordle',
+    32: 'Duotrigordle',
+};
+
+/** Name of the game for a board count, e.g. "Octordle" for 8 */
+export function getGameName(boardCount: number): string {
+    return BOARD_COUNT_NAMES[boardCount] ?? `${boardCount}-board Quordle`;
+}
+
+const RESULT_SQUARES: Record<LetterResult, string> = {
+    correct: '🟩',
+    present: '🟨',
+    absent: '⬛',
+};
+
+const KEYCAP_DIGITS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣'];
+const UNSOLVED = '🟥';
+/** Fills grid rows after a board was solved, so boards side by side stay aligned */
+const FILLER = '⬜';
+
+/** Keycap emoji for a solve number, e.g. 7 → 7️⃣, 10 → 🔟, 13 → 1️⃣3️⃣ */
+function solveNumberEmoji(guessNumber: number): string {
+    if (guessNumber === 10) return '🔟';
+    return String(guessNumber).split('').map((d) => KEYCAP_DIGITS[Number(d)]).join('');
+}
+
+/** Consecutive chunks of `size` elements */
+function chunk<T>(items: readonly T[], size: number): T[][] {
+    const rows: T[][] = [];
+    for (let i = 0; i < items.length; i += size) {
+        rows.push(items.slice(i, i + size));
+    }
+    return rows;
+}
+
+/** One board's colour grid, one line per guess up to the one that solved it */
+function boardGrid(state: GameState | EvilGameState, boardIndex: number): string[] {
+    const board = state.boards[boardIndex];
+    const rows = board.solvedOnGuess ?? board.results.length;
+    return board.results.slice(0, rows).map((result) => result.map((r) => RESULT_SQUARES[r]).join(''));
+}
+
+/**
+ * Builds the share text for a game, e.g.
+ *
+ *     Daily Quordle 2026-02-07
+ *     🇺🇸 English · 8/9
+ *     5️⃣7️⃣
+ *     🟥8️⃣
+ */
+export function getShareText(state: GameState | EvilGameState, options: ShareTextOptions = {}): string {
+    const boardCount = state.boards.length;
+    const columns = options.columns ?? (boardCount >= 8 ? 4 : 2);
+    const name = getGameName(boardCount);
+    const variants = [
+        state.sequence && 'Sequence',
+        state.starterCount > 0 && 'Rescue',
+        isEvilGame(state) && 'Evil',
+        state.fibble && 'Fibble',
+    ].filter(Boolean);
+
+    const practiceNumber = options.practiceSeed !== undefined ? ` #${options.practiceSeed}` : '';
+    const title = options.dateKey ? `Daily ${name} ${options.dateKey}` : `Practice ${name}${practiceNumber}`;
+    const score = state.won ? `${state.guessCount}/${state.maxGuesses}` : `X/${state.maxGuesses}`;
+    const details = [getLanguageLabel(state.language), ...variants, score].join(' · ');
+    const lines = [title, `${details}${state.hardMode ? ' 🔥' : ''}`];
+
+    const boardIndices = state.boards.map((_, i) => i);
+    for (const row of chunk(boardIndices, columns)) {
+        lines.push(row.map((i) => {
+            const solvedOn = state.boards[i].solvedOnGuess;
+            return solvedOn !== null ? solveNumberEmoji(solvedOn) : UNSOLVED;
+        }).join(''));
+    }
+
+    if (options.grids) {
+        const blocks = chunk(boardIndices, columns).map((row) => {
+            const grids = row.map((i) => boardGrid(state, i));
+            const height = Math.max(...grids.map((g) => g.length));
+            const filler = FILLER.repeat(state.wordLength);
+            return Array.from({ length: height }, (_, line) =>
+                grids.map((g) => g[line] ?? filler).join(' ')).join('\n');
+        });
+        const gridText = blocks.join('\n\n');
+        lines.push('', options.spoilerFree ? `||${gridText}||` : gridText);
+    }
+
+    return lines.join('\n');
+}
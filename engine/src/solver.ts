@@ -0,0 +1,205 @@
+/**
+ * Candidate solver: which answers are still possible on a board, and which
+ * guess best splits the candidates across the unsolved boards.
+ *
+ * Consistency is decided by re-running the language's own evaluator (see
+ * LanguageDefinition.evaluate), so the solver applies exactly the duplicate-letter
+ * and jamo rules the player saw.
+ */
+
+import type { BoardState, Evaluation, GuessResult, JaKanaResult, KoSyllableResult, Language, WordLists } from './types.js';
+import { getLanguage } from './languages.js';
+import { graphemeLength } from './graphemes.js';
+
+/** Best guess found by suggestGuess */
+export interface GuessSuggestion {
+    guess: string;
+    /** Expected information in bits, summed over the unsolved boards */
+    bits: number;
+    /** Whether the guess is itself a remaining candidate on some board (so it could win one) */
+    isCandidate: boolean;
+}
+
+/** Options for suggestGuess */
+export interface SuggestOptions {
+    /** Words to consider as guesses; defaults as described on suggestGuess */
+    guessPool?: Iterable<string>;
+    /** Evaluation budget for thinning the default pool; defaults to MAX_EVALUATIONS */
+    maxEvaluations?: number;
+}
+
+/**
+ * When every board together has at most this many candidates, suggestGuess also
+ * tries the full guess list — cheap at that size, and non-answers often split better.
+ */
+export const FULL_POOL_THRESHOLD = 24;
+
+/**
+ * Default upper bound on evaluations (pool size × distinct candidates) per suggestGuess call.
+ * Early in a game the default pool is thinned to an evenly spaced subset to stay under it.
+ */
+export const MAX_EVALUATIONS = 2_000_000;
+
+/** Every n-th element, so that at most `limit` elements remain (deterministic) */
+function thin<T>(items: readonly T[], limit: number): T[] {
+    if (items.length <= limit) return [...items];
+    const stride = items.length / limit;
+    return Array.from({ length: limit }, (_, i) => items[Math.floor(i * stride)]);
+}
+
+/** Compact string for a per-character result, e.g. "cpaac" */
+function resultKey(result: GuessResult): string {
+    return result.map((r) => r[0]).join('');
+}
+
+/** Compact string for a Korean result: syllable status plus jamo hint statuses */
+function koResultKey(result: KoSyllableResult[]): string {
+    return result
+        .map(({ syllable, jamoHints }) => jamoHints
+            ? `${syllable[0]}${jamoHints.onset[0]}${jamoHints.vowel[0]}${jamoHints.coda?.[0] ?? '-'}`
+            : syllable[0])
+        .join('|');
+}
+
+/** Compact string for a Japanese result: kana status plus kana hint */
+function jaResultKey(result: JaKanaResult[]): string {
+    return result
+        .map(({ kana, kanaHint }) => kanaHint ? `${kana[0]}${kanaHint.status[0]}${kanaHint.variant[0]}` : kana[0])
+        .join('|');
+}
+
+/**
+ * Key identifying the feedback `guess` would get against `target`.
+ * Two targets share a key exactly when the player could not tell them apart.
+ */
+export function getPatternKey(guess: string, target: string, language: Language = 'en'): string {
+    return evaluationKey(getLanguage(language).evaluate(guess, target));
+}
+
+/** Key of an evaluation: its sub-character hints when it has them, else its result */
+export function evaluationKey({ result, koResult, jaResult }: Evaluation): string {
+    if (koResult) return koResultKey(koResult);
+    return jaResult ? jaResultKey(jaResult) : resultKey(result);
+}
+
+/** Key of the feedback the board actually showed for its `guessIdx`-th guess */
+function boardPatternKey(board: BoardState, guessIdx: number): string {
+    return evaluationKey({
+        result: board.results[guessIdx],
+        koResult: board.koResults?.[guessIdx],
+        jaResult: board.jaResults?.[guessIdx],
+    });
+}
+
+/**
+ * Gets the answer words still consistent with every evaluated guess on a board.
+ * Guesses made after the board was solved are repeats and are ignored; a locked
+ * Sequence board has no evaluations, so every answer is still possible.
+ */
+export function getCandidates(board: BoardState, lists: WordLists, language: Language = 'en'): string[] {
+    const evaluated = board.solvedOnGuess ?? board.guesses.length;
+    const { evaluate } = getLanguage(language);
+    const constraints: { guess: string; key: string; resultOnly: boolean }[] = [];
+    for (let i = 0; i < evaluated; i++) {
+        constraints.push({
+            guess: board.guesses[i],
+            key: boardPatternKey(board, i),
+            // Older Korean saves without jamo hints only constrain the syllable layer
+            resultOnly: !board.koResults?.[i] && !board.jaResults?.[i],
+        });
+    }
+
+    const length = graphemeLength(board.targetWord);
+    return lists.answerWords.filter((word) => {
+        if (graphemeLength(word) !== length) return false;
+        return constraints.every(({ guess, key, resultOnly }) => {
+            const evaluation = evaluate(guess, word);
+            const actual = resultOnly ? resultKey(evaluation.result) : evaluationKey(evaluation);
+            return actual === key;
+        });
+    });
+}
+
+/**
+ * Expected information (in bits) that `guess` reveals about one board's candidates:
+ * the entropy of the distribution of feedback patterns it would produce.
+ */
+export function getGuessInformation(guess: string, candidates: readonly string[], language: Language = 'en'): number {
+    if (candidates.length <= 1) return 0;
+
+    const buckets = new Map<string, number>();
+    for (const target of candidates) {
+        const key = getPatternKey(guess, target, language);
+        buckets.set(key, (buckets.get(key) || 0) + 1);
+    }
+
+    let bits = 0;
+    for (const count of buckets.values()) {
+        const p = count / candidates.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+/**
+ * Suggests the guess that best splits the remaining candidates across all unsolved boards,
+ * maximising the total expected information. Ties go to guesses that are still candidates
+ * (they might solve a board), then alphabetically.
+ *
+ * By default the pool is every remaining candidate (thinned to respect MAX_EVALUATIONS),
+ * plus the full guess list once the boards are down to FULL_POOL_THRESHOLD candidates
+ * in total. Returns null when every board is solved.
+ */
+export function suggestGuess(
+    boards: readonly BoardState[],
+    lists: WordLists,
+    language: Language = 'en',
+    options: SuggestOptions = {},
+): GuessSuggestion | null {
+    const candidateSets = boards
+        .filter((board) => !board.solved)
+        .map((board) => getCandidates(board, lists, language));
+    if (candidateSets.length === 0) return null;
+
+    // Boards with identical candidates (e.g. before the first guess) are scored once and weighted
+    const groups = new Map<string, { candidates: string[]; weight: number }>();
+    for (const candidates of candidateSets) {
+        const key = candidates.join(',');
+        const group = groups.get(key);
+        if (group) group.weight++;
+        else groups.set(key, { candidates, weight: 1 });
+    }
+
+    const candidateWords = new Set(candidateSets.flat());
+    const totalCandidates = [...groups.values()].reduce((sum, group) => sum + group.candidates.length, 0);
+    const maxEvaluations = options.maxEvaluations ?? MAX_EVALUATIONS;
+
+    let pool: Iterable<string>;
+    if (options.guessPool) {
+        pool = options.guessPool;
+    } else if (totalCandidates <= FULL_POOL_THRESHOLD) {
+        pool = new Set([...candidateWords, ...lists.guessWords]);
+    } else {
+        pool = thin([...candidateWords], Math.max(1, Math.floor(maxEvaluations / totalCandidates)));
+    }
+
+    const wordLength = graphemeLength(boards[0].targetWord);
+    let best: GuessSuggestion | null = null;
+    for (const guess of pool) {
+        if (graphemeLength(guess) !== wordLength) continue;
+        let bits = 0;
+        for (const { candidates, weight } of groups.values()) {
+            bits += weight * getGuessInformation(guess, candidates, language);
+        }
+        const isCandidate = candidateWords.has(guess);
+        const better = best === null
+            || bits > best.bits + 1e-9
+            || (Math.abs(bits - best.bits) <= 1e-9
+                && (isCandidate !== best.isCandidate ? isCandidate : guess < best.guess));
+        if (better) {
+            best = { guess, bits, isCandidate };
+        }
+    }
+
+    return best;
+}
@@ -1,5 +1,5 @@
-/** Supported languages */
-export type Language = 'en' | 'ko';
+/** A registered language code, e.g. 'en' or 'ko' (see registerLanguage) */
+export type Language = string;
 
 /** Result of evaluating a single letter in a guess */
 export type LetterResult = 'correct' | 'present' | 'absent';
@@ -20,6 +20,23 @@ export interface KoSyllableResult {
     jamoHints: JamoHint | null;   // Layer 2: only populated for non-correct syllables
 }
 
+/**
+ * Second-layer hint for a non-green kana that differs from a target kana only by
+ * its voicing mark (か/が/ぱ) or its size (つ/っ) (Japanese only)
+ */
+export interface KanaHint {
+    /** 'correct': the near-match is at this position; 'present': elsewhere in the target */
+    status: 'correct' | 'present';
+    /** 'dakuten': differs by dakuten or handakuten; 'size': small vs full-size kana */
+    variant: 'dakuten' | 'size';
+}
+
+/** Extended result for Japanese evaluation — kana-level + optional kana hint */
+export interface JaKanaResult {
+    kana: LetterResult;           // Layer 1: whole kana comparison
+    kanaHint: KanaHint | null;    // Layer 2: only populated for absent kana
+}
+
 /** State of a single board in Quordle */
 export interface BoardState {
     targetWord: string;
@@ -27,41 +44,244 @@ export interface BoardState {
     results: GuessResult[];
     /** Korean jamo hints per guess — only present when language is 'ko' */
     koResults?: KoSyllableResult[][];
+    /** Japanese kana hints per guess — only present when language is 'ja' */
+    jaResults?: JaKanaResult[][];
     solved: boolean;
     solvedOnGuess: number | null;
+    /**
+     * Sequence mode only: the board is waiting for the previous board to be solved.
+     * A locked board has no guesses; on unlock every earlier guess is replayed onto it.
+     */
+    locked?: boolean;
+    /** Fibble mode only: the real feedback behind `results`, which include one lying tile per row */
+    truth?: BoardTruth;
 }
 
-/** Full game state for Quordle (4 boards) */
+/**
+ * What a Fibble board really said (see fibble.ts). The board's own `results`
+ * hold what the player was shown.
+ */
+export interface BoardTruth {
+    results: GuessResult[];
+    /** Korean jamo hints; Fibble boards only show them after the game */
+    koResults?: KoSyllableResult[][];
+    /** Japanese kana hints; Fibble boards only show them after the game */
+    jaResults?: JaKanaResult[][];
+    /** 0-based lying tile of each row; null for the solving row and the repeats after it */
+    lies: (number | null)[];
+}
+
+/**
+ * State of a board in evil mode. No answer is picked up front: the board keeps
+ * every answer that fits its results, and each guess gets the feedback that
+ * leaves the most of them (see applyEvilGuess).
+ */
+export interface EvilBoardState extends Omit<BoardState, 'targetWord'> {
+    /** Fixed once a single candidate remains, or when the game ends; null until then */
+    targetWord: string | null;
+    /** Answers consistent with every result on this board so far */
+    candidates: string[];
+}
+
+/** Supported board counts: Dordle, Quordle, Octordle, Sedecordle, Duotrigordle */
+export type BoardCount = 2 | 4 | 8 | 16 | 32;
+
+/** Full game state for Quordle (4 boards by default, any BoardCount allowed) */
 export interface GameState {
-    boards: [BoardState, BoardState, BoardState, BoardState];
+    boards: BoardState[];
     currentGuess: string;
     guessCount: number;
     maxGuesses: number;
     gameOver: boolean;
     won: boolean;
     language: Language;
+    /** Tiles per word: letters, syllables or kana, counted as grapheme clusters */
+    wordLength: number;
+    /** Hard mode: every guess must reuse the revealed hints (see checkHardMode) */
+    hardMode: boolean;
+    /** Hard mode only: restrict the rule to this board (0-based); null means every unsolved board */
+    focusBoard: number | null;
+    /** Sequence mode: boards unlock one at a time, each after the previous one is solved */
+    sequence: boolean;
+    /** Rescue mode: the first `starterCount` guesses were pre-filled (0 otherwise) */
+    starterCount: number;
+    /** Fibble mode: one tile per row lies, picked from `seed` (see fibble.ts); absent otherwise */
+    fibble?: { seed: string };
+}
+
+/**
+ * Game state in evil mode: boards dodge the player's guesses instead of hiding
+ * fixed answers. Hard, Sequence and Rescue mode are off.
+ */
+export interface EvilGameState extends Omit<GameState, 'boards'> {
+    evil: true;
+    boards: EvilBoardState[];
 }
 
 /** Configuration for creating a new game */
 export interface GameConfig {
-    targetWords: [string, string, string, string];
+    /** One target word per board — the array length sets the board count */
+    targetWords: string[];
     maxGuesses?: number;
     language?: Language;
+    /** Defaults to the language's standard length (5 letters / 2 syllables) */
+    wordLength?: number;
+    hardMode?: boolean;
+    /** Board index (0-based) whose hints hard mode enforces; defaults to every unsolved board */
+    focusBoard?: number | null;
+    sequence?: boolean;
+    /**
+     * Rescue mode: pre-fill deterministic starter guesses picked from `seed`
+     * (shared by everyone in a room). They count against `maxGuesses`.
+     */
+    rescue?: {
+        seed: string;
+        /** Defaults to DEFAULT_RESCUE_STARTERS */
+        starters?: number;
+    };
+    /**
+     * Fibble mode: one tile on every row of an unsolved board shows the wrong
+     * colour, picked from `seed`. Can't be combined with hard mode.
+     */
+    fibble?: { seed: string };
+}
+
+/** A revealed hint that a hard-mode guess failed to reuse */
+export interface HardModeViolation {
+    /** Board whose hint was ignored (0-based) */
+    boardIndex: number;
+    /** 'correct': `letter` must stay at `position`; 'present': `letter` must appear at least `count` times */
+    hint: 'correct' | 'present';
+    letter: string;
+    /** 0-based position for 'correct' hints, null for 'present' hints */
+    position: number | null;
+    count: number;
+    /** Human-readable explanation, e.g. "Board 2: letter 3 must be R" */
+    message: string;
+}
+
+/** Client context recorded with a game event, e.g. { transport: 'ws', client: 'web' } */
+export type GameEventMeta = Record<string, string | number | boolean>;
+
+/**
+ * One entry in a game's append-only event log. Folding the log through
+ * submitGuess (see replayGame) rebuilds the GameState.
+ */
+export interface GameEvent {
+    type: 'guess';
+    guess: string;
+    /** When the guess was accepted, in milliseconds since the epoch */
+    timestamp: number;
+    meta?: GameEventMeta;
 }
 
 /**
- * Per-board letter status for the keyboard 2×2 board indicator.
- * Index 0–3 corresponds to boards 0–3.
+ * Per-board letter status for the keyboard board indicator.
+ * Index i corresponds to board i; the array has one entry per board.
  * null means the letter has not been evaluated on that board (or board was already solved).
  */
-export type BoardLetterStatuses = [LetterResult | null, LetterResult | null, LetterResult | null, LetterResult | null];
+export type BoardLetterStatuses = (LetterResult | null)[];
 
-/** Language-specific configuration */
-export interface LanguageConfig {
+/** Answer and guess lists for a single word length */
+export interface WordLists {
+    answerWords: readonly string[];
+    guessWords: ReadonlySet<string>;
+}
+
+/** One guess evaluated against one target by a language's evaluator */
+export interface Evaluation {
+    /** Per-character result (letters, or syllable blocks for Korean) */
+    result: GuessResult;
+    /** Sub-character hints (Korean jamo), stored in BoardState.koResults */
+    koResult?: KoSyllableResult[];
+    /** Sub-character hints (Japanese dakuten / small kana), stored in BoardState.jaResults */
+    jaResult?: JaKanaResult[];
+}
+
+/** On-screen and physical keyboard for a language */
+export interface KeyboardLayout {
+    /** Rows of key labels; 'ENTER', '⌫' and '⇧' are the special keys */
+    rows: readonly (readonly string[])[];
+    /** Physical key → on-screen key, e.g. QWERTY → jamo */
+    physicalKeys?: Readonly<Record<string, string>>;
+    /** Keys that change the last typed character instead of adding one, e.g. ゛ (か → が) */
+    modifiers?: Readonly<Record<string, (ch: string) => string>>;
+    /** 'direct': each key is a character; 'hangul': keys are jamo composed into syllables */
+    input: 'direct' | 'hangul';
+}
+
+/** Player-facing strings in the language itself */
+export interface LanguageStrings {
+    notInWordList: string;
+    answers: string;
+    guessAnalysis: string;
+    comeBackTomorrow: string;
+    boards: string;
+    guesses: string;
+}
+
+/** Everything the game needs to know about a language; see registerLanguage */
+export interface LanguageDefinition {
+    code: Language;
+    /** English name, e.g. 'Korean' */
+    name: string;
+    flag: string;
+    /** What one character of a word is called, e.g. { one: 'syllable', other: 'syllables' } */
+    unit: { one: string; other: string };
+    defaultWordLength: number;
+    maxGuesses: number;
+    /** Every character of a valid guess matches this (anchored) */
+    validateCharRegex: RegExp;
+    /** Matches the characters stripped while typing (global) */
+    filterCharRegex: RegExp;
+    /** validateGuess error for a guess with characters outside validateCharRegex */
+    invalidCharactersError: string;
+    /**
+     * Appended to the dateKey when seeding dailies so each language gets its own
+     * puzzles; defaults to `:${code}`
+     */
+    dailySeedSuffix?: string;
+    /** Days before a daily answer may come back; defaults to DEFAULT_REPEAT_WINDOW (see daily.ts) */
+    dailyRepeatWindow?: number;
+    /** Fixed daily answers keyed by dateKey, from the daily calendar; see registerDailyCalendar */
+    dailyCalendar?: ReadonlyMap<string, readonly string[]>;
+    /** Canonical form of a guess, e.g. lower-case */
+    normalize(text: string): string;
+    /** How words and letters are shown to players, e.g. upper-case */
+    display(text: string): string;
+    /** Groups a word's tiles into syllables so the client can space them, e.g. ㄲㅗㄷㅡㄹ → ['ㄲㅗ', 'ㄷㅡㄹ'] */
+    syllables?(text: string): string[];
+    /** Latin-alphabet reading of a word, tile or key for learners, e.g. 사과 → sagwa */
+    romanize?(text: string): string;
+    evaluate(guess: string, target: string): Evaluation;
+    /** The keyboard keys an evaluated guess colours, e.g. every jamo of a Hangul syllable */
+    keyStatuses(guess: string, evaluation: Evaluation): [key: string, status: LetterResult][];
+    keyboard: KeyboardLayout;
+    strings: LanguageStrings;
+    /** Answer and guess lists keyed by word length; its keys are the supported lengths */
+    wordLists: Readonly<Record<number, WordLists>>;
+    /** Offline definitions keyed by answer word in its stored form; see getDefinition */
+    definitions?: ReadonlyMap<string, Definition>;
+}
+
+/** A dictionary entry shown with the answers after a game */
+export interface Definition {
+    /** Short definition in the language itself */
+    definition: string;
+    /** English translation, for languages other than English */
+    gloss?: string;
+}
+
+/**
+ * Language-specific configuration.
+ * `answerWords` and `guessWords` are the lists for `wordLength`; ask
+ * getLanguageConfig for another supported length to get its lists.
+ */
+export interface LanguageConfig extends WordLists {
     wordLength: number;
+    /** Every word length this language has lists for */
+    supportedWordLengths: readonly number[];
     maxGuesses: number;
     validateCharRegex: RegExp;
     filterCharRegex: RegExp;
-    answerWords: readonly string[];
-    guessWords: ReadonlySet<string>;
 }
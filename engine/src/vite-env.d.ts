@@ -3,3 +3,8 @@ declare module '*.txt?raw' {
     const content: string;
     export default content;
 }
+
+declare module '*.tsv?raw' {
+    const content: string;
+    export default content;
+}
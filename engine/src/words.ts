@@ -324,7 +324,12 @@ export function getRandomWords(count: number): string[] {
         throw new Error(`Cannot get ${count} unique words from list of ${WORD_LIST.length}`);
     }
 
-    const shuffled = [...WORD_LIST].sort(() => Math.random() - 0.5);
+    // Partial Fisher-Yates: every selection is equally likely (sorting with a random comparator is not)
+    const shuffled = [...WORD_LIST];
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(Math.random() * (shuffled.length - i));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
     return shuffled.slice(0, count);
 }
 
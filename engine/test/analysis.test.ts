@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { analyzeGame } from '../src/analysis.js';
+import type { WordLists } from '../src/types.js';
+
+const LISTS: WordLists = {
+    answerWords: ['apple', 'ample', 'angle', 'ankle', 'beach', 'peach', 'reach', 'teach'],
+    guessWords: new Set(['apple', 'ample', 'angle', 'ankle', 'beach', 'peach', 'reach', 'teach', 'plant']),
+};
+
+describe('analyzeGame', () => {
+    it('reports candidates before and after each guess per board', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'angle');
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        const { guesses } = analyzeGame(game, LISTS);
+        expect(guesses).toHaveLength(3);
+
+        const [first] = guesses;
+        expect(first.guess).toBe('angle');
+        expect(first.boards.map((b) => b.candidatesBefore)).toEqual([8, 8]);
+        // ANGLE vs apple leaves apple and ample; vs beach it leaves the four -each words
+        expect(first.boards[0].candidatesAfter).toBe(2);
+        expect(first.boards[1].candidatesAfter).toBe(4);
+        expect(first.boards[0].actualBits).toBeCloseTo(2);
+        expect(first.boards[1].actualBits).toBeCloseTo(1);
+    });
+
+    it('drops boards once they are solved', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        const { guesses } = analyzeGame(game, LISTS);
+        expect(guesses[0].boards.map((b) => b.boardIndex)).toEqual([0, 1]);
+        expect(guesses[1].boards.map((b) => b.boardIndex)).toEqual([1]);
+        expect(guesses[1].boards[0].candidatesAfter).toBe(1);
+    });
+
+    it('compares each guess with the best available guess', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        for (const g of analyzeGame(game, LISTS).guesses) {
+            expect(g.bestExpectedBits).toBeGreaterThanOrEqual(g.expectedBits);
+            expect(g.skill).toBeGreaterThan(0);
+            expect(g.skill).toBeLessThanOrEqual(1);
+            expect(g.luck).toBeCloseTo(g.actualBits - g.expectedBits);
+        }
+    });
+
+    it('summarises skill and luck over the player\'s own guesses', () => {
+        let game = createGame({ targetWords: ['apple', 'beach', 'chair', 'dance'], rescue: { seed: '2026-02-07', starters: 2 } });
+        game = submitGuess(game, 'apple');
+
+        const analysis = analyzeGame(game);
+        expect(analysis.guesses.map((g) => g.isStarter)).toEqual([true, true, false]);
+        expect(analysis.skill).toBeCloseTo(analysis.guesses[2].skill);
+        expect(analysis.luck).toBeCloseTo(analysis.guesses[2].luck);
+    });
+
+    it('works for Korean games', () => {
+        let game = createGame({ targetWords: ['바다', '하늘', '나무', '사과'], language: 'ko' });
+        game = submitGuess(game, '바지');
+
+        const [first] = analyzeGame(game).guesses;
+        expect(first.boards).toHaveLength(4);
+        for (const board of first.boards) {
+            expect(board.candidatesAfter).toBeGreaterThanOrEqual(1);
+            expect(board.candidatesAfter).toBeLessThanOrEqual(board.candidatesBefore);
+        }
+    });
+
+    it('only counts Sequence boards once they are unlocked', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'], sequence: true });
+        game = submitGuess(game, 'angle');
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        const { guesses } = analyzeGame(game, LISTS);
+        expect(guesses.map((g) => g.boards.map((b) => b.boardIndex))).toEqual([[0], [0], [1]]);
+        // Board 2 unlocked with both earlier guesses replayed onto it: APPLE rules out peach
+        expect(guesses[2].boards[0].candidatesBefore).toBe(3);
+    });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { applyGuess, applyGuessToBoard, createBoardState, unlockSequenceBoards } from '../src/boards.js';
+import '../src/languageConfig.js';
+
+const TARGETS = ['apple', 'beach', 'chair', 'dance'];
+
+describe('applyGuess', () => {
+    it('plays normalized guesses like submitGuess in Sequence and Fibble games', () => {
+        let submitted = createGame({ targetWords: TARGETS, sequence: true, fibble: { seed: '2026-10-19' } });
+        let applied = submitted;
+        for (const guess of ['crane', 'apple', 'beach', 'moist']) {
+            submitted = submitGuess(submitted, guess);
+            applied = applyGuess(applied, guess);
+        }
+        expect(applied).toEqual(submitted);
+        expect(applied.boards.map((board) => board.locked ?? false)).toEqual([false, false, false, true]);
+    });
+
+    it('ends the game when every board is solved', () => {
+        const game = TARGETS.reduce(applyGuess, createGame({ targetWords: TARGETS }));
+        expect(game.gameOver).toBe(true);
+        expect(game.won).toBe(true);
+        expect(game.boards.map((board) => board.solvedOnGuess)).toEqual([1, 2, 3, 4]);
+    });
+});
+
+describe('applyGuessToBoard', () => {
+    it('repeats the last result on a solved board', () => {
+        const solved = applyGuessToBoard(createBoardState('APPLE'), 'apple', 1, 'en');
+        const board = applyGuessToBoard(solved, 'crane', 2, 'en');
+        expect(board.guesses).toEqual(['apple', 'crane']);
+        expect(board.results[1]).toEqual(board.results[0]);
+        expect(board.solvedOnGuess).toBe(1);
+    });
+});
+
+describe('unlockSequenceBoards', () => {
+    it('replays earlier guesses onto the unlocked board, which may solve it outright', () => {
+        const boards = [
+            applyGuessToBoard(applyGuessToBoard(createBoardState('beach'), 'apple', 1, 'en'), 'beach', 2, 'en'),
+            createBoardState('apple', true),
+            createBoardState('chair', true),
+        ];
+        const unlocked = unlockSequenceBoards(boards, 'en');
+        expect(unlocked[1]).toMatchObject({ locked: false, solved: true, solvedOnGuess: 1, guesses: ['apple', 'beach'] });
+        expect(unlocked[2]).toMatchObject({ locked: false, solved: false, guesses: ['apple', 'beach'] });
+    });
+});
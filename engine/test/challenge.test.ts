@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import {
+    CHALLENGE_TOKEN_VERSION,
+    decodeChallenge,
+    encodeChallenge,
+    getChallengeId,
+    isChallengeToken,
+} from '../src/challenge.js';
+import { fromBase64Url, toBase64Url } from '../src/base64url.js';
+import '../src/languageConfig.js';
+
+const WORDS = ['merry', 'jolly', 'bells', 'angel'];
+
+describe('challenge tokens', () => {
+    it('round-trips the picked words into a playable game', () => {
+        const token = encodeChallenge(WORDS);
+        expect(token).toMatch(new RegExp(`^c${CHALLENGE_TOKEN_VERSION}\\.[A-Za-z0-9_-]+$`));
+        expect(isChallengeToken(token)).toBe(true);
+
+        const challenge = decodeChallenge(token);
+        expect(challenge).toEqual({ language: 'en', wordLength: 5, targetWords: WORDS });
+
+        let game = createGame(challenge);
+        for (const word of WORDS) game = submitGuess(game, word);
+        expect(game.won).toBe(true);
+    });
+
+    it('keeps the words out of the token', () => {
+        const token = encodeChallenge(WORDS);
+        const text = String.fromCharCode(...fromBase64Url(token.slice(token.indexOf('.') + 1)));
+        for (const word of WORDS) expect(text).not.toContain(word);
+        // A new salt each time, so the same words never give the same token
+        expect(encodeChallenge(WORDS)).not.toBe(token);
+        expect(encodeChallenge(WORDS, 'en', () => 0.5)).toBe(encodeChallenge(WORDS, 'en', () => 0.5));
+    });
+
+    it('matches words as typed to the answer list', () => {
+        expect(decodeChallenge(encodeChallenge([' Merry', 'JOLLY', 'bells', 'angel'])).targetWords).toEqual(WORDS);
+        // Folded Spanish accents and Korean syllables typed for jamo tiles
+        expect(decodeChallenge(encodeChallenge(['avion', 'araña', 'bahia', 'arbol'], 'es')).targetWords)
+            .toEqual(['avión', 'araña', 'bahía', 'árbol']);
+        const jamo = decodeChallenge(encodeChallenge(['강물', '결혼', '공항', '건강'], 'ko-jamo'));
+        expect(jamo.targetWords[0]).toBe('ㄱㅏㅇㅁㅜㄹ');
+    });
+
+    it('rejects words that are not four different answers', () => {
+        expect(() => encodeChallenge(['merry', 'jolly', 'bells'])).toThrow('needs 4 different words');
+        expect(() => encodeChallenge(['merry', 'merry', 'bells', 'angel'])).toThrow('needs 4 different words');
+        expect(() => encodeChallenge(['merry', 'jolly', 'bells', 'zzzzz'])).toThrow('Not an answer word: zzzzz');
+        expect(() => encodeChallenge(['me', 'jo', 'be', 'an'])).toThrow('Unsupported word length for en: 2');
+    });
+
+    it('rejects malformed and tampered tokens', () => {
+        const token = encodeChallenge(WORDS);
+        const bytes = fromBase64Url(token.slice(3));
+        bytes[bytes.length - 1] ^= 1;
+        expect(() => decodeChallenge(`c1.${toBase64Url(bytes)}`)).toThrow('Malformed challenge token');
+        expect(() => decodeChallenge(token.slice(0, 12))).toThrow('Malformed challenge token');
+        expect(() => decodeChallenge('c1.!!!')).toThrow('Malformed challenge token');
+        expect(() => decodeChallenge('c9.abc')).toThrow('Unsupported challenge token version: c9.');
+        expect(isChallengeToken('1.abc')).toBe(false);
+    });
+
+    it('gives each token its own id', () => {
+        const token = encodeChallenge(WORDS);
+        expect(getChallengeId(` ${token} `)).toBe(getChallengeId(token));
+        expect(getChallengeId(encodeChallenge(WORDS))).not.toBe(getChallengeId(token));
+    });
+});
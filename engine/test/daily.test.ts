@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest';
+import { getLanguage, registerLanguage } from '../src/languages.js';
+import { ENGLISH } from '../src/languageEn.js';
+import '../src/languageConfig.js';
+import {
+    DEFAULT_REPEAT_WINDOW,
+    MAX_PRACTICE_SEED,
+    SCHEDULE_START,
+    createPracticeSeed,
+    getDailyPuzzleKey,
+    getDailyTargets,
+    getPracticeTargets,
+    isPracticeSeed,
+    parseDailyCalendar,
+    registerDailyCalendar,
+} from '../src/daily.js';
+import { getQuordleWordsForLanguage } from '../src/languageConfig.js';
+
+/** 48 made-up answers: a cycle of 12 days, so the repeat window is capped at 4 days */
+const ANSWERS = Array.from({ length: 48 }, (_, i) =>
+    `q${String.fromCharCode(97 + Math.floor(i / 26))}${String.fromCharCode(97 + (i % 26))}`);
+const CYCLE_DAYS = 12;
+const WINDOW = 4;
+
+registerLanguage({
+    ...ENGLISH,
+    code: 'qq',
+    name: 'Schedule test',
+    defaultWordLength: 3,
+    dailySeedSuffix: undefined,
+    wordLists: {
+        3: { answerWords: ANSWERS, guessWords: new Set(ANSWERS) },
+    },
+});
+
+/** The dateKey `days` days after SCHEDULE_START */
+function scheduleDate(days: number): string {
+    return new Date(Date.parse(SCHEDULE_START) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** Dailies of the first `count` scheduled days */
+function schedule(language: string, count: number): string[][] {
+    return Array.from({ length: count }, (_, day) => getDailyTargets(scheduleDate(day), language));
+}
+
+/** Days on which a word came back `window` days or fewer after it was last an answer */
+function findRepeats(days: string[][], window: number): string[] {
+    const lastSeen = new Map<string, number>();
+    const repeats: string[] = [];
+    days.forEach((words, day) => {
+        for (const word of words) {
+            const seen = lastSeen.get(word);
+            if (seen !== undefined && day - seen <= window) repeats.push(`${word} on days ${seen} and ${day}`);
+            lastSeen.set(word, day);
+        }
+    });
+    return repeats;
+}
+
+describe('daily scheduler', () => {
+    it('deals every answer once per cycle', () => {
+        const days = schedule('qq', 3 * CYCLE_DAYS);
+        for (let cycle = 0; cycle < 3; cycle++) {
+            const words = days.slice(cycle * CYCLE_DAYS, (cycle + 1) * CYCLE_DAYS).flat();
+            expect(new Set(words).size).toBe(ANSWERS.length);
+        }
+    });
+
+    it('never repeats an answer within the repeat window, across cycles', () => {
+        expect(findRepeats(schedule('qq', 6 * CYCLE_DAYS), WINDOW)).toEqual([]);
+        // Real lists use the full default window
+        expect(findRepeats(schedule('en', 400), DEFAULT_REPEAT_WINDOW)).toEqual([]);
+        expect(findRepeats(schedule('ko', 400), DEFAULT_REPEAT_WINDOW)).toEqual([]);
+    });
+
+    it('is deterministic and gives each language its own words', () => {
+        const date = scheduleDate(40);
+        expect(getDailyTargets(date)).toEqual(getDailyTargets(date));
+        expect(new Set(getDailyTargets(date)).size).toBe(4);
+        expect(getDailyTargets(date, 'ko')).not.toEqual(getDailyTargets(date));
+        // Octordles and other lengths are scheduled on their own
+        const octo = getDailyTargets(date, 'en', 8);
+        expect(new Set(octo).size).toBe(8);
+        expect(octo.slice(0, 4)).not.toEqual(getDailyTargets(date));
+        expect(getDailyTargets(date, 'en', 4, 6).every((word) => word.length === 6)).toBe(true);
+    });
+
+    it('keeps the independent picks for dates before the schedule', () => {
+        expect(getDailyTargets('2026-10-31')).toEqual(['fruit', 'these', 'basic', 'dryer']);
+        expect(getDailyTargets('2026-10-31', 'ko')).toEqual(['복사', '왕자', '기억', '범위']);
+        expect(getDailyTargets('2026-10-31', 'en', 8)).toEqual(['arbor', 'proxy', 'guess', 'truth', 'rough', 'sound', 'cruet', 'lease']);
+        expect(getDailyTargets('2026-11-01')).not.toEqual(['fangs', 'there', 'panic', 'alike']);
+    });
+
+    it('keys each variant daily apart, keeping the language code for the standard one', () => {
+        expect(getDailyPuzzleKey('en')).toBe('en');
+        expect(getDailyPuzzleKey('en', 4, 5)).toBe('en');
+        expect(getDailyPuzzleKey('en', 8)).toBe('en:x8');
+        expect(getDailyPuzzleKey('ko', 4, 3)).toBe('ko:len3');
+        expect(getDailyPuzzleKey('en', 2, 7)).toBe('en:x2:len7');
+    });
+});
+
+describe('daily calendar', () => {
+    it('parses dates, languages and normalized words', () => {
+        const calendar = parseDailyCalendar('# date\tlanguage\twords\n\n2026-12-25\ten\tMerry Jolly  bells angel\n');
+        expect(calendar.get('en')?.get('2026-12-25')).toEqual(['merry', 'jolly', 'bells', 'angel']);
+        expect(() => parseDailyCalendar('christmas\ten\tmerry jolly bells angel')).toThrow('Malformed calendar line');
+        expect(() => parseDailyCalendar('2026-12-25\ten')).toThrow('Malformed calendar line');
+    });
+
+    it('fixes the answers of bundled calendar days', () => {
+        expect(getDailyTargets('2026-12-25')).toEqual(['merry', 'jolly', 'bells', 'angel']);
+        expect(getDailyTargets('2026-12-25', 'ko')).toEqual(['선물', '겨울', '촛불', '축하']);
+        // Only the standard daily follows the calendar
+        expect(getDailyTargets('2026-12-25', 'en', 8).slice(0, 4)).not.toEqual(['merry', 'jolly', 'bells', 'angel']);
+    });
+
+    it('moves calendar words out of the rest of their cycle', () => {
+        const before = schedule('qq', CYCLE_DAYS);
+        const fixed = [before[2][0], before[8][1], before[8][2], before[5][3]];
+        registerDailyCalendar(`${scheduleDate(5)}\tqq\t${fixed.join(' ')}`);
+
+        const after = schedule('qq', 3 * CYCLE_DAYS);
+        expect(after[5]).toEqual(fixed);
+        expect(new Set(after.slice(0, CYCLE_DAYS).flat()).size).toBe(ANSWERS.length);
+        expect(findRepeats(after, WINDOW)).toEqual([]);
+        // Days without calendar words are untouched
+        expect(after[0]).toEqual(before[0]);
+    });
+
+    it('rejects calendar entries that are not four answers', () => {
+        registerLanguage({ ...getLanguage('qq'), dailyCalendar: new Map([[scheduleDate(1), ['qaa', 'qab', 'zzz', 'qac']]]) });
+        expect(() => getDailyTargets(scheduleDate(1), 'qq')).toThrow('is not an answer: zzz');
+        registerLanguage({ ...getLanguage('qq'), dailyCalendar: new Map([[scheduleDate(1), ['qaa', 'qab']]]) });
+        expect(() => getDailyTargets(scheduleDate(1), 'qq')).toThrow('needs 4 distinct words');
+    });
+});
+
+describe('practice seeds', () => {
+    it('gives everyone the same words for a seed', () => {
+        const targets = getPracticeTargets(48213);
+        expect(new Set(targets).size).toBe(4);
+        expect(getPracticeTargets(48213)).toEqual(targets);
+        expect(getPracticeTargets(48214)).not.toEqual(targets);
+        // Each language, board count and length gets its own puzzle
+        expect(getPracticeTargets(48213, 'ko')).not.toEqual(getPracticeTargets(48213, 'ko-jamo'));
+        expect(getPracticeTargets(48213, 'en', 8)).toHaveLength(8);
+        expect(getPracticeTargets(48213, 'en', 4, 6).every((word) => word.length === 6)).toBe(true);
+    });
+
+    it('rejects seeds outside the range', () => {
+        expect(() => getPracticeTargets(0)).toThrow('Invalid practice seed: 0');
+        expect(() => getPracticeTargets(MAX_PRACTICE_SEED + 1)).toThrow('Invalid practice seed');
+    });
+
+    it('creates and checks seeds', () => {
+        expect(createPracticeSeed(() => 0)).toBe(1);
+        expect(createPracticeSeed(() => 0.999999999)).toBe(MAX_PRACTICE_SEED);
+        expect(isPracticeSeed(48213)).toBe(true);
+        expect(isPracticeSeed(1.5)).toBe(false);
+        expect(isPracticeSeed('48213')).toBe(false);
+        expect(isPracticeSeed(Number('abc'))).toBe(false);
+    });
+
+    it('deals random practice words from a random seed', () => {
+        const words = getQuordleWordsForLanguage('es', 4);
+        expect(new Set(words).size).toBe(4);
+        expect(() => getQuordleWordsForLanguage('ja', 500)).toThrow('Not enough words for language: ja');
+    });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { getAnswerBlocks, getDefinition, parseDefinitions } from '../src/dictionary.js';
+import { getDailyTargets } from '../src/daily.js';
+import { getLanguageConfig } from '../src/languageConfig.js';
+import { toJamoSequence } from '../src/jamo.js';
+
+describe('parseDefinitions', () => {
+    it('reads tab-separated words, definitions and optional glosses', () => {
+        const definitions = parseDefinitions('# word\tdefinition\n\napple\ta round fruit\n사과\t둥글고 붉은 과일\tapple\n');
+        expect([...definitions.keys()]).toEqual(['apple', '사과']);
+        expect(definitions.get('apple')).toEqual({ definition: 'a round fruit' });
+        expect(definitions.get('사과')).toEqual({ definition: '둥글고 붉은 과일', gloss: 'apple' });
+    });
+
+    it('throws on a line without a definition', () => {
+        expect(() => parseDefinitions('apple\n')).toThrow('Malformed definition line: apple');
+    });
+});
+
+describe('getDefinition', () => {
+    it('defines every English and Korean answer', () => {
+        const lists: [string, number][] = [['en', 5], ['ko', 2], ['ko', 3], ['ko-jamo', 5], ['ko-jamo', 6]];
+        for (const [language, length] of lists) {
+            const missing = getLanguageConfig(language, length).answerWords
+                .filter((word) => !getDefinition(word, language));
+            expect(missing, `${language} ${length}`).toEqual([]);
+        }
+    });
+
+    it('glosses Korean definitions in English, also in jamo mode', () => {
+        expect(getDefinition('고양이', 'ko')).toEqual({ definition: '집에서 기르는 작은 동물', gloss: 'cat' });
+        expect(getDefinition(toJamoSequence('사과'), 'ko-jamo')?.gloss).toBe('apple; apology');
+        expect(getDefinition('crane', 'en')?.gloss).toBeUndefined();
+    });
+
+    it('returns undefined for words and languages without definitions', () => {
+        expect(getDefinition('zzzzz', 'en')).toBeUndefined();
+        expect(getDefinition('perro', 'es')).toBeUndefined();
+    });
+});
+
+describe('getAnswerBlocks', () => {
+    it('spoiler-tags each answer with its definition', () => {
+        expect(getAnswerBlocks(['사과'], 'ko')).toEqual(['||사과|| — 둥글고 붉은 과일; 잘못을 빎 (apple; apology)']);
+    });
+
+    it('splits the answers of 32 boards into blocks that fit an embed field', () => {
+        for (const language of ['en', 'ko']) {
+            const answers = getDailyTargets('2026-10-19', language, 32);
+            const blocks = getAnswerBlocks(answers, language);
+            expect(blocks.length, language).toBeGreaterThan(1);
+            for (const block of blocks) expect(block.length, language).toBeLessThanOrEqual(1024);
+            expect(blocks.join('\n').split('\n'), language).toHaveLength(32);
+        }
+    });
+
+    it('keeps only the answer when its line would not fit a block', () => {
+        expect(getAnswerBlocks(['apple', 'beach'], 'en', 12)).toEqual(['||APPLE||', '||BEACH||']);
+    });
+});
+
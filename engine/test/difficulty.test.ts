@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { registerLanguage } from '../src/languages.js';
+import { ENGLISH } from '../src/languageEn.js';
+import { getDailyTargets } from '../src/daily.js';
+import { formatParResult, rateDifficulty } from '../src/difficulty.js';
+import '../src/languageConfig.js';
+
+const ANSWERS = [
+    'cat', 'cot', 'cut', 'bat', 'bit', 'but', 'hat', 'hit', 'hot', 'hut',
+    'pat', 'pit', 'pot', 'rat', 'rot', 'rut', 'zax', 'jug', 'fez', 'wok',
+];
+
+/** A made-up language of three-letter words, small enough to solve quickly */
+registerLanguage({
+    ...ENGLISH,
+    code: 'dd',
+    name: 'Difficulty test',
+    defaultWordLength: 3,
+    wordLists: {
+        3: { answerWords: ANSWERS, guessWords: new Set(ANSWERS) },
+    },
+});
+
+describe('rateDifficulty', () => {
+    it('rates a puzzle with a par inside the guess budget', () => {
+        const rating = rateDifficulty(['cat', 'hit', 'pot', 'rut'], 'dd');
+        expect(rating.score).toBeGreaterThanOrEqual(0);
+        expect(rating.score).toBeLessThanOrEqual(1);
+        expect(rating.par).toBeGreaterThanOrEqual(5);
+        expect(rating.par).toBeLessThanOrEqual(ENGLISH.maxGuesses);
+        expect(rating.solverGuesses).toBeGreaterThanOrEqual(4);
+        // Cached: rating again returns the same object
+        expect(rateDifficulty(['cat', 'hit', 'pot', 'rut'], 'dd')).toBe(rating);
+    });
+
+    it('rates answers with rare letters as rarer', () => {
+        const common = rateDifficulty(['cat', 'bat', 'hat', 'pat'], 'dd');
+        const rare = rateDifficulty(['zax', 'jug', 'fez', 'wok'], 'dd');
+        expect(rare.rarity).toBeGreaterThan(common.rarity);
+    });
+
+    it('measures the letters the answers share', () => {
+        // Only a and t are in more than one answer
+        expect(rateDifficulty(['cat', 'bat', 'hat', 'pat'], 'dd').overlap).toBeCloseTo(2 / 6);
+        // Only z is shared, by zax and fez
+        expect(rateDifficulty(['zax', 'jug', 'fez', 'wok'], 'dd').overlap).toBeCloseTo(1 / 11);
+    });
+
+    it('counts Korean letters by jamo', () => {
+        // Only the syllable 가 is shared, but ㄱ, ㅏ, ㅅ and ㅗ are each in two words or more
+        expect(rateDifficulty(['가방', '가수', '사과', '가족'], 'ko').overlap).toBe(4 / 8);
+    });
+
+    it('rates the English daily', () => {
+        const targets = getDailyTargets('2026-12-01');
+        const rating = rateDifficulty(targets);
+        expect(['easy', 'medium', 'hard', 'expert']).toContain(rating.level);
+        expect(rating.par).toBeGreaterThanOrEqual(5);
+        expect(rating.par).toBeLessThanOrEqual(9);
+    });
+
+    it('rejects word lengths without lists', () => {
+        expect(() => rateDifficulty(['ab', 'cd'], 'dd')).toThrow('Unsupported word length for dd: 2');
+    });
+});
+
+describe('formatParResult', () => {
+    it('scores guess counts against par, golf style', () => {
+        expect(formatParResult(7, 7)).toBe('E');
+        expect(formatParResult(5, 7)).toBe('-2');
+        expect(formatParResult(8, 7)).toBe('+1');
+    });
+});
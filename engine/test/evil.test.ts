@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { registerLanguage } from '../src/languages.js';
+import { ENGLISH } from '../src/languageEn.js';
+import { submitGuess } from '../src/game.js';
+import { applyEvilGuess, createEvilGame, isEvilGame } from '../src/evil.js';
+import { getPatternKey } from '../src/solver.js';
+import type { EvilGameState } from '../src/types.js';
+import '../src/languageConfig.js';
+
+const ANSWERS = [
+    'cat', 'cot', 'cut', 'bat', 'bit', 'but', 'hat', 'hit', 'hot', 'hut',
+    'pat', 'pit', 'pot', 'rat', 'rot', 'rut', 'zax', 'jug', 'fez', 'wok',
+];
+
+/** A made-up language of three-letter words, small enough to dodge through by hand */
+registerLanguage({
+    ...ENGLISH,
+    code: 'ee',
+    name: 'Evil test',
+    defaultWordLength: 3,
+    wordLists: {
+        3: { answerWords: ANSWERS, guessWords: new Set(ANSWERS) },
+    },
+});
+
+/** Size of the largest group of `candidates` that share feedback for `guess` */
+function largestGroup(guess: string, candidates: readonly string[]): number {
+    const sizes = new Map<string, number>();
+    for (const word of candidates) {
+        const key = getPatternKey(guess, word, 'ee');
+        sizes.set(key, (sizes.get(key) ?? 0) + 1);
+    }
+    return Math.max(...sizes.values());
+}
+
+/** Guesses each board's first candidate until the game ends */
+function playOut(game: EvilGameState): EvilGameState {
+    while (!game.gameOver) {
+        game = submitGuess(game, game.boards.find((board) => !board.solved)!.candidates[0]);
+    }
+    return game;
+}
+
+describe('evil mode', () => {
+    it('deals every answer into exactly one board pool', () => {
+        const game = createEvilGame({ seed: 'test', language: 'ee' });
+        expect(isEvilGame(game)).toBe(true);
+        expect(game.boards.every((board) => board.targetWord === null)).toBe(true);
+        expect(game.boards.flatMap((board) => board.candidates).sort()).toEqual([...ANSWERS].sort());
+        // Same seed, same pools; another seed deals them differently
+        expect(createEvilGame({ seed: 'test', language: 'ee' })).toEqual(game);
+        expect(createEvilGame({ seed: 'other', language: 'ee' }).boards[0].candidates).not.toEqual(game.boards[0].candidates);
+    });
+
+    it('answers each guess with the feedback that keeps the most candidates', () => {
+        const game = createEvilGame({ seed: 'test', language: 'ee' });
+        const next = submitGuess(game, 'hat');
+        game.boards.forEach((board, i) => {
+            const after = next.boards[i];
+            expect(after.candidates).toHaveLength(largestGroup('hat', board.candidates));
+            for (const word of after.candidates) {
+                expect(getPatternKey('hat', word, 'ee')).toBe(getPatternKey('hat', after.candidates[0], 'ee'));
+            }
+            expect(after.targetWord).toBe(after.candidates.length === 1 ? after.candidates[0] : null);
+        });
+    });
+
+    it('only lets a board be solved once a single candidate is left', () => {
+        const game = playOut(createEvilGame({ seed: 'test', language: 'ee', boardCount: 2, maxGuesses: 40 }));
+        expect(game.won).toBe(true);
+        for (const board of game.boards) {
+            const solving = board.solvedOnGuess! - 1;
+            expect(board.guesses[solving]).toBe(board.targetWord);
+            // Its pool had narrowed to that word alone
+            expect(board.candidates).toEqual([board.targetWord]);
+        }
+        expect(game.boards[0].targetWord).not.toBe(game.boards[1].targetWord);
+    });
+
+    it('settles undecided boards when the guesses run out', () => {
+        let game = createEvilGame({ seed: 'test', language: 'ee', maxGuesses: 1 });
+        game = submitGuess(game, 'zax');
+        expect(game.gameOver).toBe(true);
+        for (const board of game.boards) {
+            expect(board.targetWord).toBe(board.candidates[0]);
+        }
+        expect(applyEvilGuess(game, 'cat')).toBe(game);
+    });
+
+    it('rejects guesses of the wrong shape', () => {
+        const game = createEvilGame({ seed: 'test', language: 'ee' });
+        expect(submitGuess(game, 'cats')).toBe(game);
+        expect(() => createEvilGame({ seed: 'test', language: 'ee', wordLength: 4 })).toThrow('Unsupported word length for ee: 4');
+    });
+
+    it('plays English with real word lists', () => {
+        const game = submitGuess(createEvilGame({ seed: '2026-12-01' }), 'CRANE');
+        expect(game.boards[0].guesses).toEqual(['crane']);
+        expect(game.boards.every((board) => !board.solved && board.candidates.length > 1)).toBe(true);
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { computeKeyboardMap, createGame, submitGuess } from '../src/game.js';
+import { getBoardLies, getLie, getTrueBoard, getTrueGameState, isFibbleGame } from '../src/fibble.js';
+import { analyzeGame } from '../src/analysis.js';
+import { getCandidates } from '../src/solver.js';
+import { encodeShareCode } from '../src/shareCode.js';
+import { getLanguageConfig } from '../src/languageConfig.js';
+import { evaluateGuess } from '../src/evaluator.js';
+import '../src/languageConfig.js';
+
+const TARGETS = ['apple', 'beach', 'chair', 'dance'];
+const FIBBLE = { seed: 'practice:48213' };
+
+/** How many tiles of two results differ */
+function countDifferences(a: readonly string[], b: readonly string[]): number {
+    return a.filter((status, i) => status !== b[i]).length;
+}
+
+describe('fibble mode', () => {
+    it('makes exactly one tile lie on every row of an unsolved board', () => {
+        let game = createGame({ targetWords: TARGETS, fibble: FIBBLE });
+        expect(isFibbleGame(game)).toBe(true);
+        for (const guess of ['crane', 'moist', 'lucky']) game = submitGuess(game, guess);
+
+        game.boards.forEach((board, boardIndex) => {
+            board.guesses.forEach((guess, i) => {
+                const actual = evaluateGuess(guess, board.targetWord);
+                expect(board.truth!.results[i]).toEqual(actual);
+                expect(countDifferences(board.results[i], actual)).toBe(1);
+                const lie = getLie(FIBBLE.seed, boardIndex, i + 1, actual);
+                expect(board.truth!.lies[i]).toBe(lie.index);
+                expect(board.results[i][lie.index]).toBe(lie.shown);
+            });
+        });
+    });
+
+    it('tells the same lies for the same seed and others for another', () => {
+        const play = (seed: string) => submitGuess(createGame({ targetWords: TARGETS, fibble: { seed } }), 'crane');
+        expect(play(FIBBLE.seed)).toEqual(play(FIBBLE.seed));
+        const lies = (seed: string) => play(seed).boards.map((board) => board.results[0].join());
+        expect(lies('practice:1')).not.toEqual(lies('practice:2'));
+    });
+
+    it('tells the truth on the solving row and after it', () => {
+        let game = createGame({ targetWords: TARGETS, fibble: FIBBLE });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'crane');
+        const [board] = game.boards;
+        expect(board.solvedOnGuess).toBe(1);
+        expect(board.results).toEqual(board.truth!.results);
+        expect(board.truth!.lies).toEqual([null, null]);
+        expect(getBoardLies(board)).toEqual([]);
+        expect(getBoardLies(game.boards[1])).toHaveLength(2);
+    });
+
+    it('keeps the truth out of the keyboard but gives it to the solver and analysis', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'], fibble: FIBBLE });
+        game = submitGuess(game, 'crane');
+        const plain = submitGuess(createGame({ targetWords: ['apple', 'beach'] }), 'crane');
+        expect(computeKeyboardMap(game)).not.toEqual(computeKeyboardMap(plain));
+
+        const lists = getLanguageConfig('en');
+        const truthful = getTrueGameState(game);
+        expect(truthful.boards[0].truth).toBeUndefined();
+        expect(getCandidates(getTrueBoard(game.boards[0]), lists)).toEqual(getCandidates(plain.boards[0], lists));
+        expect(getCandidates(game.boards[0], lists)).not.toContain('apple');
+
+        expect(analyzeGame(game).guesses[0].boards).toEqual(analyzeGame(plain).guesses[0].boards);
+    });
+
+    it('lies on Korean syllables and keeps the jamo hints with the truth', () => {
+        const game = submitGuess(createGame({ targetWords: ['사과', '바다', '하늘', '나무'], language: 'ko', fibble: FIBBLE }), '사랑');
+        for (const board of game.boards) {
+            expect(board.koResults).toBeUndefined();
+            expect(board.truth!.koResults).toHaveLength(1);
+            expect(countDifferences(board.results[0], board.truth!.results[0])).toBe(1);
+        }
+    });
+
+    it('replays lies onto unlocked Sequence boards', () => {
+        let sequence = createGame({ targetWords: TARGETS, sequence: true, fibble: FIBBLE });
+        let open = createGame({ targetWords: TARGETS, fibble: FIBBLE });
+        for (const guess of ['crane', 'apple']) {
+            sequence = submitGuess(sequence, guess);
+            open = submitGuess(open, guess);
+        }
+        expect(sequence.boards[1].results).toEqual(open.boards[1].results);
+    });
+
+    it('rejects hard mode and share codes', () => {
+        expect(() => createGame({ targetWords: TARGETS, hardMode: true, fibble: FIBBLE })).toThrow('Fibble games cannot use hard mode');
+        let game = createGame({ targetWords: ['apple', 'beach'], fibble: FIBBLE });
+        game = submitGuess(submitGuess(game, 'apple'), 'beach');
+        expect(game.won).toBe(true);
+        expect(() => encodeShareCode(game, { type: 'targets' })).toThrow('Fibble games cannot be shared');
+    });
+});
@@ -8,7 +8,9 @@ import {
     getSolvedCount,
     computeKeyboardMap,
     computeKeyboardBoardMap,
+    getDefaultMaxGuesses,
 } from '../src/game.js';
+import { getDailyTargets, getRescueStarters } from '../src/daily.js';
 
 describe('createGame', () => {
     it('creates a game with 4 boards', () => {
@@ -375,3 +377,215 @@ describe('computeKeyboardBoardMap', () => {
         expect(boardMap['b'][3]).toBe('correct');
     });
 });
+
+describe('board count', () => {
+    const OCTO_TARGETS = ['apple', 'beach', 'chair', 'dance', 'eagle', 'flame', 'grape', 'house'];
+
+    it('creates one board per target word', () => {
+        const dordle = createGame({ targetWords: ['apple', 'beach'] });
+        const octordle = createGame({ targetWords: OCTO_TARGETS });
+
+        expect(dordle.boards).toHaveLength(2);
+        expect(octordle.boards).toHaveLength(8);
+        expect(octordle.boards[7].targetWord).toBe('house');
+    });
+
+    it('scales default max guesses with the board count', () => {
+        expect(getDefaultMaxGuesses(2)).toBe(7);
+        expect(getDefaultMaxGuesses(4)).toBe(9);
+        expect(getDefaultMaxGuesses(8)).toBe(13);
+        expect(getDefaultMaxGuesses(16)).toBe(21);
+        expect(getDefaultMaxGuesses(32)).toBe(37);
+        expect(createGame({ targetWords: OCTO_TARGETS }).maxGuesses).toBe(13);
+    });
+
+    it('still honours an explicit max guesses', () => {
+        const game = createGame({ targetWords: OCTO_TARGETS, maxGuesses: 10 });
+        expect(game.maxGuesses).toBe(10);
+    });
+
+    it('rejects unsupported board counts', () => {
+        expect(() => createGame({ targetWords: ['apple', 'beach', 'chair'] })).toThrow();
+        expect(() => createGame({ targetWords: [] })).toThrow();
+    });
+
+    it('wins only when every board is solved', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        expect(game.gameOver).toBe(false);
+
+        game = submitGuess(game, 'beach');
+        expect(game.gameOver).toBe(true);
+        expect(game.won).toBe(true);
+    });
+
+    it('returns one keyboard board status per board', () => {
+        let game = createGame({ targetWords: OCTO_TARGETS });
+        game = submitGuess(game, 'apple');
+        const boardMap = computeKeyboardBoardMap(game);
+
+        expect(boardMap['a']).toHaveLength(8);
+        expect(boardMap['a'][0]).toBe('correct');
+    });
+
+    it('picks distinct daily targets for the requested board count', () => {
+        const octo = getDailyTargets('2026-02-07', 'en', 8);
+        expect(octo).toHaveLength(8);
+        expect(new Set(octo).size).toBe(8);
+        expect(getDailyTargets('2026-02-07', 'en', 8)).toEqual(octo);
+        // Quordle dailies keep their existing seed
+        expect(getDailyTargets('2026-02-07', 'en', 4)).toEqual(getDailyTargets('2026-02-07'));
+    });
+});
+
+describe('word length', () => {
+    const SIX_LETTER_TARGETS = ['planet', 'garden', 'castle', 'silver'];
+
+    it('defaults to the language word length', () => {
+        expect(createGame({ targetWords: ['apple', 'beach', 'chair', 'dance'] }).wordLength).toBe(5);
+    });
+
+    it('plays a 6-letter game', () => {
+        let game = createGame({ targetWords: SIX_LETTER_TARGETS, wordLength: 6 });
+        expect(game.wordLength).toBe(6);
+
+        game = submitGuess(game, 'planet');
+        expect(game.guessCount).toBe(1);
+        expect(game.boards[0].solved).toBe(true);
+        expect(game.boards[1].results[0]).toHaveLength(6);
+
+        // 5-letter guesses are rejected in a 6-letter game
+        expect(submitGuess(game, 'apple')).toBe(game);
+    });
+
+    it('limits the current guess to the game word length', () => {
+        const game = createGame({ targetWords: SIX_LETTER_TARGETS, wordLength: 6 });
+        expect(setCurrentGuess(game, 'gardens').currentGuess).toBe('garden');
+    });
+
+    it('validates guesses against the requested length', () => {
+        expect(validateGuess('garden', 'en', 6)).toEqual({ valid: true });
+        expect(validateGuess('apple', 'en', 6)).toEqual({ valid: false, error: 'Guess must be 6 letters' });
+    });
+
+    it('rejects unsupported lengths and mismatched target words', () => {
+        expect(() => createGame({ targetWords: SIX_LETTER_TARGETS, wordLength: 9 })).toThrow('Unsupported word length');
+        expect(() => createGame({ targetWords: ['planet', 'garden', 'castle', 'apple'], wordLength: 6 })).toThrow('"apple"');
+    });
+
+    it('gives each word length its own daily targets', () => {
+        const seven = getDailyTargets('2026-02-07', 'en', 4, 7);
+        expect(seven).toHaveLength(4);
+        for (const word of seven) {
+            expect(word).toHaveLength(7);
+        }
+        expect(getDailyTargets('2026-02-07', 'en', 4, 7)).toEqual(seven);
+        // Passing the default length keeps the standard daily
+        expect(getDailyTargets('2026-02-07', 'en', 4, 5)).toEqual(getDailyTargets('2026-02-07'));
+    });
+});
+
+describe('sequence mode', () => {
+    const TARGETS = ['apple', 'beach', 'chair', 'dance'];
+
+    it('starts with only board 1 unlocked', () => {
+        const game = createGame({ targetWords: TARGETS, sequence: true });
+        expect(game.sequence).toBe(true);
+        expect(game.boards.map((b) => !!b.locked)).toEqual([false, true, true, true]);
+    });
+
+    it('does not evaluate guesses on locked boards', () => {
+        let game = createGame({ targetWords: TARGETS, sequence: true });
+        game = submitGuess(game, 'crane');
+
+        expect(game.boards[0].guesses).toEqual(['crane']);
+        expect(game.boards[1].guesses).toEqual([]);
+        expect(game.boards[1].results).toEqual([]);
+    });
+
+    it('replays earlier guesses onto a board when it unlocks', () => {
+        let game = createGame({ targetWords: TARGETS, sequence: true });
+        game = submitGuess(game, 'crane');
+        game = submitGuess(game, 'apple');
+
+        const board = game.boards[1];
+        expect(board.locked).toBe(false);
+        expect(board.guesses).toEqual(['crane', 'apple']);
+        expect(board.results).toHaveLength(2);
+        expect(game.boards[2].locked).toBe(true);
+    });
+
+    it('solves an unlocked board retroactively and cascades', () => {
+        let game = createGame({ targetWords: TARGETS, sequence: true });
+        game = submitGuess(game, 'beach');
+        game = submitGuess(game, 'apple');
+
+        // BEACH was guessed before board 2 unlocked, so it is solved on guess 1
+        expect(game.boards[1].solved).toBe(true);
+        expect(game.boards[1].solvedOnGuess).toBe(1);
+        expect(game.boards[2].locked).toBe(false);
+        expect(game.boards[2].guesses).toEqual(['beach', 'apple']);
+        expect(game.boards[3].locked).toBe(true);
+    });
+
+    it('wins once the last board is solved', () => {
+        let game = createGame({ targetWords: TARGETS, sequence: true });
+        for (const word of TARGETS) {
+            game = submitGuess(game, word);
+        }
+        expect(game.won).toBe(true);
+        expect(game.guessCount).toBe(4);
+    });
+
+    it('leaves locked boards out of the keyboard maps', () => {
+        let game = createGame({ targetWords: TARGETS, sequence: true });
+        game = submitGuess(game, 'crane');
+
+        // 'c' is in chair (board 3) but that board is still locked
+        expect(computeKeyboardMap(game)['c']).toBe('absent');
+        expect(computeKeyboardBoardMap(game)['c']).toEqual(['absent', null, null, null]);
+    });
+});
+
+describe('rescue mode', () => {
+    const TARGETS = ['apple', 'beach', 'chair', 'dance'];
+
+    it('pre-fills starter guesses on every board', () => {
+        const game = createGame({ targetWords: TARGETS, rescue: { seed: '2026-02-07' } });
+
+        expect(game.starterCount).toBe(3);
+        expect(game.guessCount).toBe(3);
+        for (const board of game.boards) {
+            expect(board.guesses).toHaveLength(3);
+            expect(board.results).toHaveLength(3);
+        }
+        expect(getRemainingGuesses(game)).toBe(6);
+    });
+
+    it('gives everyone with the same seed the same starters', () => {
+        const a = createGame({ targetWords: TARGETS, rescue: { seed: 'room-1:2026-02-07', starters: 2 } });
+        const b = createGame({ targetWords: TARGETS, rescue: { seed: 'room-1:2026-02-07', starters: 2 } });
+        const c = createGame({ targetWords: TARGETS, rescue: { seed: 'room-2:2026-02-07', starters: 2 } });
+
+        expect(a.boards[0].guesses).toEqual(b.boards[0].guesses);
+        expect(a.boards[0].guesses).not.toEqual(c.boards[0].guesses);
+    });
+
+    it('never picks a target as a starter', () => {
+        const starters = getRescueStarters('2026-02-07', 'en', 50, undefined, TARGETS);
+        expect(new Set(starters).size).toBe(50);
+        for (const word of TARGETS) {
+            expect(starters).not.toContain(word);
+        }
+    });
+
+    it('does not hold starters to hard mode', () => {
+        const game = createGame({ targetWords: TARGETS, hardMode: true, rescue: { seed: '2026-02-07' } });
+        expect(game.guessCount).toBe(3);
+        expect(game.hardMode).toBe(true);
+    });
+
+    it('rejects starters that use up the whole budget', () => {
+        expect(() => createGame({ targetWords: TARGETS, rescue: { seed: 'x', starters: 9 } })).toThrow('Rescue starters');
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { splitGraphemes, graphemeLength } from '../src/graphemes.js';
+import { evaluateGuess } from '../src/evaluator.js';
+import { registerLanguage } from '../src/languages.js';
+import { ENGLISH } from '../src/languageEn.js';
+import { createGame, submitGuess, setCurrentGuess, validateGuess, computeKeyboardMap } from '../src/game.js';
+import { checkHardMode } from '../src/hardMode.js';
+import { decodeShareCode, encodeShareCode } from '../src/shareCode.js';
+
+const ANSWERS = ['हिंदी', 'पानी', 'दिन', 'घर'];
+
+/** A made-up Hindi mode: two-cluster Devanagari words */
+registerLanguage({
+    ...ENGLISH,
+    code: 'hi',
+    name: 'Hindi',
+    flag: '🇮🇳',
+    unit: { one: 'character', other: 'characters' },
+    defaultWordLength: 2,
+    dailySeedSuffix: undefined,
+    validateCharRegex: /^[ऀ-ॿ]+$/,
+    filterCharRegex: /[^ऀ-ॿ]/g,
+    invalidCharactersError: 'Guess must contain only Devanagari',
+    normalize: (text) => text.normalize('NFC'),
+    display: (text) => text,
+    wordLists: {
+        2: { answerWords: ANSWERS, guessWords: new Set([...ANSWERS, 'दीदी']) },
+    },
+});
+
+describe('splitGraphemes', () => {
+    it('keeps combining marks with their letter', () => {
+        expect(splitGraphemes('हिंदी')).toEqual(['हिं', 'दी']);
+        expect(splitGraphemes('สวัสดี')).toEqual(['ส', 'วั', 'ส', 'ดี']);
+        expect(splitGraphemes('café')).toEqual(['c', 'a', 'f', 'é']);
+        expect(splitGraphemes('👍🏽a')).toEqual(['👍🏽', 'a']);
+    });
+
+    it('splits plain text into code units', () => {
+        expect(splitGraphemes('crane')).toEqual(['c', 'r', 'a', 'n', 'e']);
+        expect(splitGraphemes('바다')).toEqual(['바', '다']);
+        expect(splitGraphemes('')).toEqual([]);
+    });
+
+    it('counts clusters, not code units', () => {
+        expect('हिंदी'.length).toBe(5);
+        expect(graphemeLength('हिंदी')).toBe(2);
+        expect(graphemeLength('apple')).toBe(5);
+    });
+});
+
+describe('evaluateGuess with grapheme clusters', () => {
+    it('scores one result per cluster', () => {
+        expect(evaluateGuess('हिंदी', 'हिंदी')).toEqual(['correct', 'correct']);
+        expect(evaluateGuess('दीदी', 'हिंदी')).toEqual(['absent', 'correct']);
+        expect(evaluateGuess('दीहिं', 'हिंदी')).toEqual(['present', 'present']);
+    });
+
+    it('treats a letter with a different mark as a different letter', () => {
+        expect(evaluateGuess('कमल', 'किमल')).toEqual(['absent', 'correct', 'correct']);
+    });
+});
+
+describe('a grapheme-cluster language', () => {
+    it('validates lengths in clusters', () => {
+        expect(validateGuess('हिंदी', 'hi')).toEqual({ valid: true });
+        expect(validateGuess('हिं', 'hi')).toEqual({ valid: false, error: 'Guess must be 2 characters' });
+    });
+
+    it('cuts the current guess by cluster', () => {
+        const state = createGame({ targetWords: ['हिंदी', 'पानी'], language: 'hi' });
+        expect(setCurrentGuess(state, 'पानीदी').currentGuess).toBe('पानी');
+        expect(setCurrentGuess(state, 'हिंदीदी').currentGuess).toBe('हिंदी');
+    });
+
+    it('plays, colours whole clusters on the keyboard and checks hard mode by cluster', () => {
+        let state = createGame({ targetWords: ['हिंदी', 'पानी'], language: 'hi', hardMode: true });
+        state = submitGuess(state, 'दीदी');
+        expect(state.boards[0].results[0]).toEqual(['absent', 'correct']);
+        expect(computeKeyboardMap(state)['दी']).toBe('correct');
+        expect(checkHardMode(state, 'पानी')?.message).toBe('Board 1: character 2 must be दी');
+
+        state = submitGuess(state, 'हिंदी');
+        state = submitGuess(state, 'पानी');
+        expect(state.won).toBe(true);
+        expect(decodeShareCode(encodeShareCode(state, { type: 'targets' })).state).toEqual(state);
+    });
+});
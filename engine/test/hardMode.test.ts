@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { checkHardMode, getHardModeBoards } from '../src/hardMode.js';
+
+const TARGETS = ['apple', 'beach', 'chair', 'dance'];
+
+describe('checkHardMode', () => {
+    it('allows any guess before hints are revealed', () => {
+        const game = createGame({ targetWords: TARGETS, hardMode: true });
+        expect(checkHardMode(game, 'zesty')).toBeNull();
+    });
+
+    it('requires greens to stay in place', () => {
+        let game = createGame({ targetWords: TARGETS, hardMode: true });
+        // CRANE vs apple: A yellow, E green
+        game = submitGuess(game, 'crane');
+
+        const violation = checkHardMode(game, 'march');
+        expect(violation).toEqual({
+            boardIndex: 0,
+            hint: 'correct',
+            letter: 'e',
+            position: 4,
+            count: 1,
+            message: 'Board 1: letter 5 must be E',
+        });
+    });
+
+    it('requires yellows to be reused', () => {
+        let game = createGame({ targetWords: TARGETS, hardMode: true, focusBoard: 0 });
+        // STALE vs apple: A yellow, L and E green
+        game = submitGuess(game, 'stale');
+
+        const violation = checkHardMode(game, 'smile');
+        expect(violation?.hint).toBe('present');
+        expect(violation?.message).toBe('Board 1: guess must contain A');
+        expect(checkHardMode(game, 'ample')).toBeNull();
+    });
+
+    it('counts repeated letters', () => {
+        let game = createGame({ targetWords: ['sassy', 'beach', 'chair', 'dance'], hardMode: true, focusBoard: 0 });
+        // GLASS vs sassy: A yellow, first S green, second S yellow
+        game = submitGuess(game, 'glass');
+
+        expect(checkHardMode(game, 'bassy')).toBeNull();
+        expect(checkHardMode(game, 'beast')?.message).toBe('Board 1: guess must contain S 2 times');
+    });
+
+    it('ignores solved boards', () => {
+        let game = createGame({ targetWords: TARGETS, hardMode: true });
+        game = submitGuess(game, 'apple');
+        expect(getHardModeBoards(game)).toEqual([1, 2, 3]);
+    });
+
+    it('only enforces the focus board when one is chosen', () => {
+        let game = createGame({ targetWords: TARGETS, hardMode: true, focusBoard: 1 });
+        game = submitGuess(game, 'crane');
+        // Board 3 (chair) revealed a green C, but only board 2 (beach) is enforced
+        expect(getHardModeBoards(game)).toEqual([1]);
+        expect(checkHardMode(game, 'peach')).toBeNull();
+        expect(checkHardMode(game, 'pouty')?.boardIndex).toBe(1);
+    });
+
+    it('names syllables for Korean games', () => {
+        let game = createGame({ targetWords: ['바다', '하늘', '나무', '사과'], language: 'ko', hardMode: true, focusBoard: 0 });
+        game = submitGuess(game, '바지');
+        expect(checkHardMode(game, '하늘')?.message).toBe('Board 1: syllable 1 must be 바');
+    });
+});
+
+describe('hard mode in submitGuess', () => {
+    it('rejects guesses that ignore a hint', () => {
+        let game = createGame({ targetWords: TARGETS, hardMode: true });
+        game = submitGuess(game, 'crane');
+        expect(submitGuess(game, 'march')).toBe(game);
+    });
+
+    it('accepts the same guess outside hard mode', () => {
+        let game = createGame({ targetWords: TARGETS });
+        game = submitGuess(game, 'crane');
+        expect(submitGuess(game, 'march').guessCount).toBe(2);
+    });
+
+    it('rejects an out-of-range focus board', () => {
+        expect(() => createGame({ targetWords: TARGETS, hardMode: true, focusBoard: 4 })).toThrow('Focus board');
+    });
+});
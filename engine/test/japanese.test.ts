@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { isHiragana, isSmallKana, kanaBase, toggleDakuten, toggleHandakuten, toggleSmallKana } from '../src/kana.js';
+import { evaluateGuessJa } from '../src/evaluatorJa.js';
+import { createGame, submitGuess, setCurrentGuess, validateGuess, computeKeyboardMap } from '../src/game.js';
+import { getCandidates } from '../src/solver.js';
+import { getLanguageConfig, isValidGuessForLanguage } from '../src/languageConfig.js';
+import { getDailyTargets } from '../src/daily.js';
+
+// ============================================================================
+// Kana utilities
+// ============================================================================
+
+describe('kana: classification', () => {
+    it('recognises hiragana, including small and voiced kana', () => {
+        expect(isHiragana('か')).toBe(true);
+        expect(isHiragana('が')).toBe(true);
+        expect(isHiragana('っ')).toBe(true);
+        expect(isHiragana('カ')).toBe(false);
+        expect(isHiragana('a')).toBe(false);
+        expect(isSmallKana('ゃ')).toBe(true);
+        expect(isSmallKana('や')).toBe(false);
+    });
+
+    it('finds the plain full-size kana behind a kana', () => {
+        expect(kanaBase('が')).toBe('か');
+        expect(kanaBase('ぱ')).toBe('は');
+        expect(kanaBase('ば')).toBe('は');
+        expect(kanaBase('っ')).toBe('つ');
+        expect(kanaBase('づ')).toBe('つ');
+        expect(kanaBase('あ')).toBe('あ');
+    });
+});
+
+describe('kana: modifiers', () => {
+    it('toggles the dakuten', () => {
+        expect(toggleDakuten('か')).toBe('が');
+        expect(toggleDakuten('が')).toBe('か');
+        expect(toggleDakuten('ぱ')).toBe('ば');
+        expect(toggleDakuten('あ')).toBe('あ');
+    });
+
+    it('toggles the handakuten', () => {
+        expect(toggleHandakuten('は')).toBe('ぱ');
+        expect(toggleHandakuten('ば')).toBe('ぱ');
+        expect(toggleHandakuten('ぱ')).toBe('は');
+        expect(toggleHandakuten('か')).toBe('か');
+    });
+
+    it('toggles small kana', () => {
+        expect(toggleSmallKana('つ')).toBe('っ');
+        expect(toggleSmallKana('ょ')).toBe('よ');
+        expect(toggleSmallKana('か')).toBe('ゕ');
+        expect(toggleSmallKana('さ')).toBe('さ');
+    });
+});
+
+// ============================================================================
+// Evaluator
+// ============================================================================
+
+describe('evaluateGuessJa', () => {
+    it('gives no hints for an exact match', () => {
+        expect(evaluateGuessJa('さくら', 'さくら')).toEqual([
+            { kana: 'correct', kanaHint: null },
+            { kana: 'correct', kanaHint: null },
+            { kana: 'correct', kanaHint: null },
+        ]);
+    });
+
+    it('hints a dakuten difference at the same position', () => {
+        const result = evaluateGuessJa('かんこ', 'がんこ');
+        expect(result[0]).toEqual({ kana: 'absent', kanaHint: { status: 'correct', variant: 'dakuten' } });
+        expect(result[1].kana).toBe('correct');
+    });
+
+    it('hints a handakuten difference', () => {
+        expect(evaluateGuessJa('ばんだ', 'ぱんだ')[0].kanaHint).toEqual({ status: 'correct', variant: 'dakuten' });
+    });
+
+    it('hints a size difference', () => {
+        expect(evaluateGuessJa('きつぷ', 'きっぷ')[1]).toEqual({
+            kana: 'absent',
+            kanaHint: { status: 'correct', variant: 'size' },
+        });
+    });
+
+    it('hints a near-match elsewhere in the target', () => {
+        const result = evaluateGuessJa('がいこ', 'いるか');
+        expect(result[0]).toEqual({ kana: 'absent', kanaHint: { status: 'present', variant: 'dakuten' } });
+        expect(result[1]).toEqual({ kana: 'present', kanaHint: null });
+        expect(result[2]).toEqual({ kana: 'absent', kanaHint: null });
+    });
+
+    it('does not hint kana already matched in layer 1', () => {
+        // The target's only か is green, so が gets no hint
+        const result = evaluateGuessJa('かがみ', 'かすみ');
+        expect(result[1]).toEqual({ kana: 'absent', kanaHint: null });
+    });
+
+    it('backs each hint with a different target kana', () => {
+        const result = evaluateGuessJa('ががが', 'かいろ');
+        expect(result[0].kanaHint).toEqual({ status: 'correct', variant: 'dakuten' });
+        expect(result[1].kanaHint).toBeNull();
+        expect(result[2].kanaHint).toBeNull();
+    });
+});
+
+// ============================================================================
+// Game
+// ============================================================================
+
+describe('Japanese game', () => {
+    it('uses three-kana words and its own word list', () => {
+        const config = getLanguageConfig('ja');
+        expect(config.wordLength).toBe(3);
+        expect(config.answerWords).toContain('さくら');
+        expect(isValidGuessForLanguage('きっぷ', 'ja')).toBe(true);
+        expect(isValidGuessForLanguage('さくぱ', 'ja')).toBe(false);
+    });
+
+    it('validates kana guesses', () => {
+        expect(validateGuess('さくら', 'ja')).toEqual({ valid: true });
+        expect(validateGuess('さく', 'ja')).toEqual({ valid: false, error: 'Guess must be 3 kana' });
+        expect(validateGuess('サクラ', 'ja')).toEqual({ valid: false, error: 'Guess must contain only hiragana' });
+    });
+
+    it('composes a separately typed dakuten', () => {
+        const state = createGame({ targetWords: ['がんこ', 'さくら'], language: 'ja' });
+        expect(setCurrentGuess(state, 'がんこ').currentGuess).toBe('がんこ');
+    });
+
+    it('stores kana hints and colours the plain kana keys', () => {
+        let state = createGame({ targetWords: ['がんこ', 'さくら'], language: 'ja' });
+        state = submitGuess(state, 'かんじ');
+
+        expect(state.boards[0].jaResults?.[0][0].kanaHint).toEqual({ status: 'correct', variant: 'dakuten' });
+        const keys = computeKeyboardMap(state);
+        expect(keys['か']).toBe('correct');
+        expect(keys['ん']).toBe('correct');
+        expect(keys['し']).toBe('absent');
+    });
+
+    it('narrows solver candidates with the kana hints', () => {
+        let state = createGame({ targetWords: ['ぱんだ', 'さくら'], language: 'ja' });
+        state = submitGuess(state, 'はなび');
+        const candidates = getCandidates(state.boards[0], getLanguageConfig('ja'), 'ja');
+        expect(candidates).toContain('ぱんだ');
+        expect(candidates.every((word) => word[0] === 'ば' || word[0] === 'ぱ')).toBe(true);
+    });
+
+    it('gets its own daily puzzles', () => {
+        const ja = getDailyTargets('2026-03-01', 'ja');
+        expect(ja).toEqual(getDailyTargets('2026-03-01', 'ja'));
+        expect(ja.every((word) => getLanguageConfig('ja').answerWords.includes(word))).toBe(true);
+    });
+});
@@ -11,10 +11,14 @@ import {
     combineCodas,
     combineVowels,
     splitCompoundVowel,
+    toJamoSequence,
+    groupJamoSequence,
+    composeJamoSequence,
 } from '../src/jamo.js';
 import { evaluateGuessSyllable, evaluateGuessKo } from '../src/evaluatorKo.js';
 import { validateGuess, createGame, submitGuess, setCurrentGuess, computeKeyboardMap, computeKeyboardBoardMap } from '../src/game.js';
 import { getDailyTargets } from '../src/daily.js';
+import { getLanguageConfig, isValidGuessForLanguage } from '../src/languageConfig.js';
 
 // ============================================================================
 // Jamo utilities
@@ -526,3 +530,120 @@ describe('getDailyTargets: Korean', () => {
         expect(targets).toEqual(targetsDefault);
     });
 });
+
+describe('Korean word lists', () => {
+    const { answerWords, guessWords } = getLanguageConfig('ko', 2);
+
+    it('leaves out truncated fragments and proper nouns', () => {
+        for (const word of ['강아', '고양', '참기', '초콜', '서울', '한강']) {
+            expect(answerWords).not.toContain(word);
+        }
+        for (const word of ['강아', '참기', '초콜', '서울']) {
+            expect(guessWords.has(word)).toBe(false);
+        }
+    });
+
+    it('keeps rare dictionary words as guesses only', () => {
+        expect(answerWords).not.toContain('고양');
+        expect(guessWords.has('고양')).toBe(true);
+    });
+
+    it('lists answers once, in sorted order', () => {
+        expect(new Set(answerWords).size).toBe(answerWords.length);
+        expect([...answerWords].sort()).toEqual(answerWords);
+    });
+});
+
+describe('Korean game: three syllables', () => {
+    const TARGETS = ['자동차', '컴퓨터', '도서관', '고양이'];
+
+    it('creates and plays a 3-syllable game', () => {
+        let game = createGame({ targetWords: TARGETS, language: 'ko', wordLength: 3 });
+        game = submitGuess(game, '강아지');
+        expect(game.guessCount).toBe(1);
+        expect(game.boards[3].results[0]).toEqual(['absent', 'absent', 'absent']);
+        expect(game.boards[3].koResults![0]).toHaveLength(3);
+
+        game = submitGuess(game, '도서관');
+        expect(game.boards[2].solved).toBe(true);
+    });
+
+    it('gives jamo hints across all three positions', () => {
+        // 고양이 vs 강아지: onsets match in 1 and 2, 양's coda ㅇ is 강's, ㅣ matches in 3
+        const result = evaluateGuessKo('고양이', '강아지');
+        expect(result.map((r) => r.syllable)).toEqual(['absent', 'absent', 'absent']);
+        expect(result[0].jamoHints).toEqual({ onset: 'correct', vowel: 'absent', coda: 'absent' });
+        expect(result[1].jamoHints).toEqual({ onset: 'correct', vowel: 'absent', coda: 'present' });
+        expect(result[2].jamoHints).toEqual({ onset: 'absent', vowel: 'correct', coda: null });
+    });
+
+    it('limits the current guess to 3 syllables', () => {
+        const game = createGame({ targetWords: TARGETS, language: 'ko', wordLength: 3 });
+        expect(setCurrentGuess(game, '자동차가').currentGuess).toBe('자동차');
+    });
+
+    it('returns 3-syllable daily targets', () => {
+        const targets = getDailyTargets('2025-01-01', 'ko', 4, 3);
+        for (const word of targets) {
+            expect(word).toHaveLength(3);
+        }
+    });
+});
+
+// ============================================================================
+// Jamo-sequence mode
+// ============================================================================
+
+describe('jamo: sequences', () => {
+    it('spells syllables one jamo at a time, splitting compounds', () => {
+        expect(toJamoSequence('꼬들')).toBe('ㄲㅗㄷㅡㄹ');
+        expect(toJamoSequence('과일')).toBe('ㄱㅗㅏㅇㅣㄹ');
+        expect(toJamoSequence('닭')).toBe('ㄷㅏㄹㄱ');
+        expect(toJamoSequence('ㄱㅘ')).toBe('ㄱㅗㅏ');
+    });
+
+    it('groups a sequence back into syllables', () => {
+        expect(groupJamoSequence('ㄲㅗㄷㅡㄹ')).toEqual(['ㄲㅗ', 'ㄷㅡㄹ']);
+        expect(groupJamoSequence('ㄷㅏㄹㄱㄱㅗㄱㅣ')).toEqual(['ㄷㅏㄹㄱ', 'ㄱㅗ', 'ㄱㅣ']);
+        expect(groupJamoSequence('ㄱㅏㄴ')).toEqual(['ㄱㅏㄴ']);
+        expect(groupJamoSequence('ㄱㄴㅏ')).toEqual(['ㄱ', 'ㄴㅏ']);
+    });
+
+    it('composes a sequence for display', () => {
+        for (const word of ['꼬들', '과일', '닭고기', '읽다', '의사', '값']) {
+            expect(composeJamoSequence(toJamoSequence(word))).toBe(word);
+        }
+        expect(composeJamoSequence('ㄱㅏㄴㄷ')).toBe('간ㄷ');
+    });
+});
+
+describe('Korean jamo-sequence game', () => {
+    it('derives six-jamo answers from the Korean word lists', () => {
+        const config = getLanguageConfig('ko-jamo');
+        expect(config.wordLength).toBe(6);
+        expect(config.supportedWordLengths).toEqual([5, 6]);
+        expect(config.answerWords.length).toBeGreaterThan(100);
+        expect(config.answerWords.every((word) => word.length === 6 && /^[ㄱ-ㅣ]+$/.test(word))).toBe(true);
+        expect(isValidGuessForLanguage('ㄱㅗㅏㅇㅣㄹ', 'ko-jamo')).toBe(true);
+    });
+
+    it('scores each jamo tile on its own', () => {
+        let game = createGame({ targetWords: ['ㄱㅗㅏㅇㅣㄹ', 'ㅅㅓㄴㅁㅜㄹ'], language: 'ko-jamo' });
+        game = submitGuess(game, 'ㄱㅣㄹㅇㅣㄹ');
+        expect(game.boards[0].results[0]).toEqual(['correct', 'absent', 'absent', 'correct', 'correct', 'correct']);
+        expect(game.boards[0].koResults).toBeUndefined();
+        expect(computeKeyboardMap(game)).toMatchObject({ 'ㄱ': 'correct', 'ㅣ': 'correct' });
+    });
+
+    it('spells out syllables typed into the guess', () => {
+        const game = createGame({ targetWords: ['ㄱㅗㅏㅇㅣㄹ', 'ㅅㅓㄴㅁㅜㄹ'], language: 'ko-jamo' });
+        expect(setCurrentGuess(game, '과일').currentGuess).toBe('ㄱㅗㅏㅇㅣㄹ');
+        expect(validateGuess('ㄱㅗㅏㅇㅣ', 'ko-jamo')).toEqual({ valid: false, error: 'Guess must be 6 jamo' });
+    });
+
+    it('gets its own dailies', () => {
+        const targets = getDailyTargets('2025-01-01', 'ko-jamo');
+        expect(targets).toHaveLength(4);
+        targets.forEach((word) => expect(getLanguageConfig('ko-jamo').answerWords).toContain(word));
+    });
+});
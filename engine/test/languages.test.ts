@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { registerLanguage, getLanguage, getLanguages, isLanguage } from '../src/languages.js';
+import { ENGLISH } from '../src/languageEn.js';
+import { createGame, submitGuess, validateGuess, computeKeyboardMap } from '../src/game.js';
+import { getLanguageConfig, isSupportedWordLength } from '../src/languageConfig.js';
+import { getDailyTargets } from '../src/daily.js';
+import { checkHardMode } from '../src/hardMode.js';
+import { getShareText } from '../src/shareText.js';
+import { decodeShareCode, encodeShareCode } from '../src/shareCode.js';
+
+const ANSWERS = ['cat', 'dog', 'owl', 'bee', 'elk', 'ant'];
+
+/** A made-up language: three-letter animals, shown in lower case */
+registerLanguage({
+    ...ENGLISH,
+    code: 'zz',
+    name: 'Animal',
+    flag: '🐾',
+    defaultWordLength: 3,
+    maxGuesses: 6,
+    dailySeedSuffix: undefined,
+    display: (text) => text.toLowerCase(),
+    wordLists: {
+        3: { answerWords: ANSWERS, guessWords: new Set([...ANSWERS, 'cab']) },
+    },
+});
+
+describe('language registry', () => {
+    it('looks up registered languages in registration order', () => {
+        expect(getLanguages().map((language) => language.code)).toEqual(['en', 'ko', 'ko-jamo', 'es', 'fr', 'de', 'ja', 'zz']);
+        expect(getLanguage('ko').name).toBe('Korean');
+        expect(isLanguage('zz')).toBe(true);
+        expect(isLanguage('xx')).toBe(false);
+        expect(isLanguage(42)).toBe(false);
+    });
+
+    it('throws for unknown languages', () => {
+        expect(() => getLanguage('xx')).toThrow('Unsupported language: xx');
+        expect(() => createGame({ targetWords: ['abc', 'def'], language: 'xx' })).toThrow('Unsupported language: xx');
+    });
+
+    it('replaces a definition registered under the same code', () => {
+        registerLanguage({ ...getLanguage('zz'), maxGuesses: 7 });
+        expect(getLanguage('zz').maxGuesses).toBe(7);
+        expect(getLanguages()).toHaveLength(8);
+        registerLanguage({ ...getLanguage('zz'), maxGuesses: 6 });
+    });
+});
+
+describe('a registered language', () => {
+    it('derives its config from the definition', () => {
+        const config = getLanguageConfig('zz');
+        expect(config.wordLength).toBe(3);
+        expect(config.supportedWordLengths).toEqual([3]);
+        expect(isSupportedWordLength('zz', 5)).toBe(false);
+        expect(() => getLanguageConfig('zz', 5)).toThrow('Unsupported word length for zz: 5');
+    });
+
+    it('plays through the game with its own rules', () => {
+        let game = createGame({ targetWords: ['cat', 'dog'], language: 'zz' });
+        expect(game.maxGuesses).toBe(4);
+
+        game = submitGuess(game, 'CAB');
+        expect(game.boards[0].guesses).toEqual(['cab']);
+        expect(game.boards[0].results[0]).toEqual(['correct', 'correct', 'absent']);
+        expect(computeKeyboardMap(game)).toMatchObject({ c: 'correct', b: 'absent' });
+
+        game = submitGuess(game, 'cat');
+        game = submitGuess(game, 'dog');
+        expect(game.won).toBe(true);
+    });
+
+    it('words messages with its unit and display form', () => {
+        expect(validateGuess('ab', 'zz')).toEqual({ valid: false, error: 'Guess must be 3 letters' });
+
+        let game = createGame({ targetWords: ['cat', 'dog'], language: 'zz', hardMode: true });
+        game = submitGuess(game, 'cab');
+        expect(checkHardMode(game, 'dog')?.message).toBe('Board 1: letter 1 must be c');
+    });
+
+    it('gets its own dailies, seeded with its code', () => {
+        const targets = getDailyTargets('2026-02-07', 'zz', 2);
+        expect(targets).toEqual(getDailyTargets('2026-02-07', 'zz', 2));
+        targets.forEach((word) => expect(ANSWERS).toContain(word));
+    });
+
+    it('is labelled in share text and round-trips through share codes', () => {
+        let game = createGame({ targetWords: ['cat', 'dog'], language: 'zz' });
+        game = submitGuess(game, 'cat');
+        game = submitGuess(game, 'dog');
+
+        expect(getShareText(game).split('\n')[1]).toBe('🐾 Animal · 2/4');
+        expect(decodeShareCode(encodeShareCode(game, { type: 'targets' })).state).toEqual(game);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { foldAccents } from '../src/latin.js';
+import { getLanguage, setAccentMode } from '../src/languages.js';
+import { createGame, submitGuess, setCurrentGuess, computeKeyboardMap } from '../src/game.js';
+import { isValidGuessForLanguage, getLanguageConfig } from '../src/languageConfig.js';
+import { getDailyTargets } from '../src/daily.js';
+import { getCandidates } from '../src/solver.js';
+
+afterEach(() => {
+    setAccentMode('es', 'fold');
+    setAccentMode('de', 'distinct');
+});
+
+describe('foldAccents', () => {
+    it('folds only the given letters and keeps their case', () => {
+        expect(foldAccents('Árbol', 'áéíóú')).toBe('Arbol');
+        expect(foldAccents('niño', 'áéíóú')).toBe('niño');
+        expect(foldAccents('façon', 'ç')).toBe('facon');
+        // Decomposed input (e + combining acute) is composed before folding
+        expect(foldAccents('época', 'é')).toBe('epoca');
+    });
+});
+
+describe('accent folding (Spanish default)', () => {
+    it('lets a typed base letter match an accented target', () => {
+        let game = createGame({ targetWords: ['árbol', 'limón'], language: 'es' });
+        game = submitGuess(game, 'arbol');
+        expect(game.boards[0].solved).toBe(true);
+        expect(game.boards[0].targetWord).toBe('árbol');
+
+        game = submitGuess(game, 'LIMÓN');
+        expect(game.boards[1].guesses[1]).toBe('limon');
+        expect(game.won).toBe(true);
+    });
+
+    it('keeps ñ a letter of its own', () => {
+        let game = createGame({ targetWords: ['araña', 'señor'], language: 'es' });
+        game = submitGuess(game, 'arana');
+        expect(game.boards[0].results[0]).toEqual(['correct', 'correct', 'correct', 'absent', 'correct']);
+        expect(isValidGuessForLanguage('arana', 'es')).toBe(false);
+        expect(isValidGuessForLanguage('araña', 'es')).toBe(true);
+    });
+
+    it('accepts folded spellings of listed words', () => {
+        expect(isValidGuessForLanguage('avion', 'es')).toBe(true);
+        expect(isValidGuessForLanguage('avión', 'es')).toBe(true);
+        expect(isValidGuessForLanguage('zzzzz', 'es')).toBe(false);
+    });
+
+    it('types and colours folded letters', () => {
+        let game = createGame({ targetWords: ['árbol', 'limón'], language: 'es' });
+        expect(setCurrentGuess(game, 'Ñandú').currentGuess).toBe('ñandu');
+
+        game = submitGuess(game, 'ratón');
+        expect(computeKeyboardMap(game)).toMatchObject({ o: 'correct', r: 'present' });
+        expect(computeKeyboardMap(game)).not.toHaveProperty('ó');
+    });
+
+    it('leaves folded keys off the keyboard', () => {
+        const keys = getLanguage('es').keyboard.rows.flat();
+        expect(keys).toContain('Ñ');
+        expect(keys).not.toContain('Á');
+    });
+
+    it('solves over accented candidates', () => {
+        let game = createGame({ targetWords: ['árbol', 'limón'], language: 'es' });
+        game = submitGuess(game, 'limon');
+        expect(getCandidates(game.boards[1], getLanguageConfig('es'), 'es')).toEqual(['limón']);
+    });
+});
+
+describe('distinct accents', () => {
+    it('treats umlauts and ß as letters of their own in German', () => {
+        let game = createGame({ targetWords: ['größe', 'hände'], language: 'de' });
+        game = submitGuess(game, 'hande');
+        expect(game.boards[1].results[0]).toEqual(['correct', 'absent', 'correct', 'correct', 'correct']);
+        expect(getLanguage('de').display('größe')).toBe('GRÖẞE');
+        expect(getLanguage('de').keyboard.rows.flat()).toEqual(expect.arrayContaining(['Ä', 'Ö', 'Ü', 'ẞ']));
+    });
+
+    it('can be switched per language without losing the word lists', () => {
+        setAccentMode('es', 'distinct');
+        let game = createGame({ targetWords: ['árbol', 'limón'], language: 'es' });
+        game = submitGuess(game, 'arbol');
+        expect(game.boards[0].results[0][0]).toBe('absent');
+        expect(isValidGuessForLanguage('avion', 'es')).toBe(false);
+        expect(getLanguage('es').keyboard.rows.flat()).toContain('Á');
+
+        setAccentMode('de', 'fold');
+        expect(getLanguage('de').normalize('Hände')).toBe('hande');
+        expect(getLanguageConfig('de').answerWords).toContain('hände');
+        expect(() => setAccentMode('ko', 'fold')).toThrow('Language has no accent modes: ko');
+    });
+});
+
+describe('daily seeds', () => {
+    it('gives each language its own dailies from its own list', () => {
+        const es = getDailyTargets('2026-02-07', 'es');
+        const fr = getDailyTargets('2026-02-07', 'fr');
+        expect(es).toEqual(getDailyTargets('2026-02-07', 'es'));
+        es.forEach((word) => expect(getLanguageConfig('es').answerWords).toContain(word));
+        fr.forEach((word) => expect(getLanguageConfig('fr').answerWords).toContain(word));
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { createGuessEvent, replayGame, getGuessDurations } from '../src/replay.js';
+import type { GameConfig } from '../src/types.js';
+
+const CONFIG: GameConfig = { targetWords: ['apple', 'beach', 'chair', 'dance'] };
+
+describe('replayGame', () => {
+    it('rebuilds the same state as playing the guesses live', () => {
+        let live = createGame(CONFIG);
+        const events = ['crane', 'apple', 'beach'].map((guess, i) => {
+            live = submitGuess(live, guess);
+            return createGuessEvent(guess, { transport: 'ws' }, 1000 * (i + 1));
+        });
+
+        expect(replayGame(CONFIG, events)).toEqual(live);
+    });
+
+    it('replays variants from the config, including Korean jamo hints', () => {
+        const config: GameConfig = { targetWords: ['바다', '하늘'], language: 'ko', sequence: true };
+        const events = [createGuessEvent('가슴'), createGuessEvent('바다')];
+
+        const state = replayGame(config, events);
+        expect(state.guessCount).toBe(2);
+        expect(state.boards[0].solved).toBe(true);
+        expect(state.boards[1].koResults).toHaveLength(2);
+    });
+
+    it('returns a fresh game for an empty log', () => {
+        expect(replayGame(CONFIG, [])).toEqual(createGame(CONFIG));
+    });
+
+    it('throws when the log holds a guess the engine rejects', () => {
+        const events = [createGuessEvent('apple'), createGuessEvent('toolong')];
+        expect(() => replayGame(CONFIG, events)).toThrow('Event 2 (guess "toolong") was rejected on replay');
+
+        const hard: GameConfig = { ...CONFIG, hardMode: true };
+        expect(() => replayGame(hard, [createGuessEvent('apple'), createGuessEvent('crown')])).toThrow('Event 2');
+    });
+});
+
+describe('createGuessEvent', () => {
+    it('omits meta when none is given', () => {
+        expect(createGuessEvent('apple', undefined, 5)).toEqual({ type: 'guess', guess: 'apple', timestamp: 5 });
+    });
+});
+
+describe('getGuessDurations', () => {
+    it('measures the gap before each guess', () => {
+        const events = [1500, 4000, 4500].map((t) => createGuessEvent('apple', undefined, t));
+        expect(getGuessDurations(events)).toEqual([null, 2500, 500]);
+        expect(getGuessDurations(events, 1000)).toEqual([500, 2500, 500]);
+    });
+});
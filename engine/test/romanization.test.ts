@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { romanize, romanizeJamo } from '../src/romanization.js';
+import { getLanguage } from '../src/languages.js';
+
+describe('romanize', () => {
+    it('romanizes syllables by their onset, vowel and coda', () => {
+        expect(romanize('사과')).toBe('sagwa');
+        expect(romanize('한글')).toBe('hangeul');
+        expect(romanize('김치')).toBe('gimchi');
+        expect(romanize('의자')).toBe('uija');
+        expect(romanize('빵')).toBe('ppang');
+    });
+
+    it('carries a coda over to a following silent ㅇ', () => {
+        expect(romanize('음악')).toBe('eumak');
+        expect(romanize('놀이')).toBe('nori');
+        expect(romanize('떡볶이')).toBe('tteokbokki');
+        expect(romanize('닭이')).toBe('dalgi');
+        expect(romanize('좋아')).toBe('joa');
+        expect(romanize('같이')).toBe('gachi');
+    });
+
+    it('writes nasalization, ㄹ assimilation and aspiration as pronounced', () => {
+        expect(romanize('국물')).toBe('gungmul');
+        expect(romanize('설날')).toBe('seollal');
+        expect(romanize('신라')).toBe('silla');
+        expect(romanize('종로')).toBe('jongno');
+        expect(romanize('독립')).toBe('dongnip');
+        expect(romanize('좋고')).toBe('joko');
+    });
+
+    it('keeps ㅎ after ㄱ/ㄷ/ㅂ and does not write tensing', () => {
+        expect(romanize('백합')).toBe('baekhap');
+        expect(romanize('학교')).toBe('hakgyo');
+        expect(romanize('눈사람')).toBe('nunsaram');
+    });
+
+    it('romanizes each run of syllables on its own and lone jamo with romanizeJamo', () => {
+        expect(romanize('밥 이')).toBe('bap i');
+        expect(romanize('ㄱ')).toBe('g');
+        expect(romanize('quordle')).toBe('quordle');
+    });
+});
+
+describe('romanizeJamo', () => {
+    it('labels consonants by their onset sound and ㅇ as ng', () => {
+        expect(['ㄱ', 'ㄹ', 'ㅉ', 'ㅊ', 'ㅇ'].map(romanizeJamo)).toEqual(['g', 'r', 'jj', 'ch', 'ng']);
+    });
+
+    it('labels vowels by their sound', () => {
+        expect(['ㅓ', 'ㅢ', 'ㅒ', 'ㅡ'].map(romanizeJamo)).toEqual(['eo', 'ui', 'yae', 'eu']);
+    });
+});
+
+describe('Korean languages', () => {
+    it('romanize words, tiles and keys', () => {
+        expect(getLanguage('ko').romanize?.('국물')).toBe('gungmul');
+        expect(getLanguage('ko-jamo').romanize?.('ㄱㅜㄱㅁㅜㄹ')).toBe('gungmul');
+        expect(getLanguage('ko-jamo').romanize?.('ㅓ')).toBe('eo');
+        expect(getLanguage('en').romanize).toBeUndefined();
+    });
+});
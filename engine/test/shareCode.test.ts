@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { getDailyTargets } from '../src/daily.js';
+import { encodeShareCode, decodeShareCode, SHARE_CODE_VERSION } from '../src/shareCode.js';
+import type { GameState } from '../src/types.js';
+
+/** Plays the targets in order, finishing the game */
+function solveInOrder(game: GameState): GameState {
+    for (const board of game.boards) {
+        if (!game.gameOver && !board.solved) game = submitGuess(game, board.targetWord);
+    }
+    return game;
+}
+
+describe('share codes', () => {
+    it('round-trips a daily game through its date', () => {
+        const targets = getDailyTargets('2026-02-07');
+        let game = createGame({ targetWords: targets });
+        game = submitGuess(game, 'crane');
+        game = solveInOrder(game);
+
+        const code = encodeShareCode(game, { type: 'daily', dateKey: '2026-02-07' });
+        expect(code).toMatch(new RegExp(`^${SHARE_CODE_VERSION}\\.[A-Za-z0-9_-]+$`));
+
+        const { state, source } = decodeShareCode(code);
+        expect(source).toEqual({ type: 'daily', dateKey: '2026-02-07' });
+        expect(state.boards).toEqual(game.boards);
+        expect(state.won).toBe(true);
+    });
+
+    it('embeds target words for games without a date', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'], hardMode: true, focusBoard: 1 });
+        game = solveInOrder(game);
+
+        const { state, source } = decodeShareCode(encodeShareCode(game, { type: 'targets' }));
+        expect(source).toEqual({ type: 'targets' });
+        expect(state.boards.map((b) => b.targetWord)).toEqual(['apple', 'beach']);
+        expect(state.hardMode).toBe(true);
+        expect(state.focusBoard).toBe(1);
+    });
+
+    it('rebuilds Korean games with their jamo hints', () => {
+        let game = createGame({ targetWords: ['바다', '하늘', '나무', '사과'], language: 'ko' });
+        game = submitGuess(game, '가슴');
+        game = solveInOrder(game);
+
+        const { state } = decodeShareCode(encodeShareCode(game, { type: 'targets' }));
+        expect(state.language).toBe('ko');
+        expect(state.boards[0].koResults).toEqual(game.boards[0].koResults);
+        expect(state.boards).toEqual(game.boards);
+    });
+
+    it('keeps variants: sequence, rescue and lost games', () => {
+        let game = createGame({
+            targetWords: ['apple', 'beach', 'chair', 'dance'],
+            sequence: true,
+            rescue: { seed: 'room:2026-02-07', starters: 2 },
+            maxGuesses: 4,
+        });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+        expect(game.gameOver).toBe(true);
+        expect(game.won).toBe(false);
+
+        const { state } = decodeShareCode(encodeShareCode(game, { type: 'targets' }, 'room:2026-02-07'));
+        expect(state.sequence).toBe(true);
+        expect(state.starterCount).toBe(2);
+        expect(state.boards).toEqual(game.boards);
+        expect(state.won).toBe(false);
+    });
+
+    it('refuses to encode unfinished games or Rescue games without a seed', () => {
+        const game = createGame({ targetWords: ['apple', 'beach'] });
+        expect(() => encodeShareCode(game, { type: 'targets' })).toThrow('Only finished games');
+
+        let rescue = createGame({ targetWords: ['apple', 'beach'], rescue: { seed: 's', starters: 1 } });
+        rescue = solveInOrder(rescue);
+        expect(() => encodeShareCode(rescue, { type: 'targets' })).toThrow('seed');
+    });
+
+    it('rejects unknown versions and malformed codes', () => {
+        expect(() => decodeShareCode('9.abc')).toThrow('Unsupported share code version');
+        expect(() => decodeShareCode('nonsense')).toThrow('Unsupported share code version');
+        expect(() => decodeShareCode('1.!!!')).toThrow('Malformed share code');
+    });
+
+    it('verifies guesses instead of trusting them', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = solveInOrder(game);
+        const code = encodeShareCode(game, { type: 'targets' });
+
+        // Swap the embedded targets so the replayed guesses no longer finish the game
+        const payload = JSON.parse(Buffer.from(code.slice(2), 'base64url').toString('utf8'));
+        payload[6] = 'tchairdance';
+        const tampered = `1.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+        expect(() => decodeShareCode(tampered)).toThrow('finished game');
+
+        payload[8] = 'qxqxqapple';
+        const invalid = `1.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+        expect(() => decodeShareCode(invalid)).toThrow('rejects: qxqxq');
+    });
+
+    it('rejects embedded targets that are not answer words', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = solveInOrder(game);
+        const payload = JSON.parse(Buffer.from(encodeShareCode(game, { type: 'targets' }).slice(2), 'base64url').toString('utf8'));
+        const withTargets = (targets: string[]) => {
+            const tampered = [...payload];
+            tampered[6] = `t${targets.join('')}`;
+            tampered[8] = targets.join('');
+            return `1.${Buffer.from(JSON.stringify(tampered)).toString('base64url')}`;
+        };
+
+        expect(() => decodeShareCode(withTargets(['qxqxq', 'beach']))).toThrow('not an answer word: qxqxq');
+        expect(() => decodeShareCode(withTargets(['<b>x<', 'i>y<u']))).toThrow('not an answer word: <b>x<');
+    });
+});
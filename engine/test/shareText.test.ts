@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { getShareText } from '../src/shareText.js';
+import { createEvilGame } from '../src/evil.js';
+
+describe('getShareText', () => {
+    it('summarises solve numbers per board in a 2×2 layout', () => {
+        let game = createGame({ targetWords: ['apple', 'beach', 'chair', 'dance'], maxGuesses: 4 });
+        game = submitGuess(game, 'beach');
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'dance');
+        game = submitGuess(game, 'crane');
+
+        expect(getShareText(game, { dateKey: '2026-02-07' })).toBe([
+            'Daily Quordle 2026-02-07',
+            '🇺🇸 English · X/4',
+            '2️⃣1️⃣',
+            '🟥3️⃣',
+        ].join('\n'));
+    });
+
+    it('labels practice, Korean, variants and hard mode', () => {
+        let game = createGame({ targetWords: ['바다', '하늘'], language: 'ko', hardMode: true, sequence: true });
+        game = submitGuess(game, '바다');
+        game = submitGuess(game, '하늘');
+
+        const [title, details, summary] = getShareText(game).split('\n');
+        expect(title).toBe('Practice Dordle');
+        expect(details).toBe('🇰🇷 Korean · Sequence · 2/7 🔥');
+        expect(summary).toBe('1️⃣2️⃣');
+    });
+
+    it('numbers a replayed Sequence solve by the row that made it', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'], sequence: true });
+        game = submitGuess(game, 'beach');
+        game = submitGuess(game, 'apple');
+
+        // BEACH solved board 2 on guess 1, before APPLE unlocked it on guess 2
+        const lines = getShareText(game, { grids: true }).split('\n');
+        expect(lines[1]).toBe('🇺🇸 English · Sequence · 2/7');
+        expect(lines[2]).toBe('2️⃣1️⃣');
+        expect(lines.slice(4)).toEqual([
+            '⬛🟨🟨⬛⬛ 🟩🟩🟩🟩🟩',
+            '🟩🟩🟩🟩🟩 ⬜⬜⬜⬜⬜',
+        ]);
+    });
+
+    it('labels evil games', () => {
+        let game = createEvilGame({ seed: 'practice:48213', boardCount: 2 });
+        game = submitGuess(game, 'crane');
+        expect(getShareText(game).split('\n')[1]).toBe('🇺🇸 English · Evil · X/7');
+    });
+
+    it('labels Fibble games', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'], fibble: { seed: 'practice:48213' } });
+        game = submitGuess(submitGuess(game, 'apple'), 'beach');
+        expect(getShareText(game).split('\n')[1]).toBe('🇺🇸 English · Fibble · 2/7');
+    });
+
+    it('numbers seeded practice games', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+        expect(getShareText(game, { practiceSeed: 48213 }).split('\n')[0]).toBe('Practice Dordle #48213');
+    });
+
+    it('appends colour grids side by side, padded after a board is solved', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'peach');
+        game = submitGuess(game, 'beach');
+
+        const text = getShareText(game, { grids: true });
+        expect(text.split('\n').slice(3)).toEqual([
+            '',
+            '🟩🟩🟩🟩🟩 🟨⬛⬛⬛🟨',
+            '⬜⬜⬜⬜⬜ ⬛🟩🟩🟩🟩',
+            '⬜⬜⬜⬜⬜ 🟩🟩🟩🟩🟩',
+        ]);
+    });
+
+    it('hides the grids behind spoiler tags in spoiler-free mode', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        const text = getShareText(game, { grids: true, spoilerFree: true });
+        expect(text).toMatch(/\n\n\|\|🟩[^|]+🟩\|\|$/);
+        expect(getShareText(game, { spoilerFree: true })).not.toContain('||');
+    });
+
+    it('uses two-digit solve numbers and wider rows for big games', () => {
+        const targets = ['apple', 'beach', 'chair', 'dance', 'eagle', 'flame', 'grape', 'house'];
+        let game = createGame({ targetWords: targets, maxGuesses: 17 });
+        for (const word of ['crane', 'stone', 'pious', 'dumpy', 'lucky', 'wrist', 'might', 'vodka', 'jolly', ...targets]) {
+            game = submitGuess(game, word);
+        }
+
+        const rows = getShareText(game).split('\n');
+        expect(rows[0]).toBe('Practice Octordle');
+        expect(rows[2]).toBe('🔟1️⃣1️⃣1️⃣2️⃣1️⃣3️⃣');
+        expect(rows).toHaveLength(4);
+    });
+});
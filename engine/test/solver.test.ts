@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { createGame, submitGuess } from '../src/game.js';
+import { getCandidates, getGuessInformation, getPatternKey, suggestGuess } from '../src/solver.js';
+import { getLanguageConfig } from '../src/languageConfig.js';
+import type { WordLists } from '../src/types.js';
+
+function makeLists(answers: string[], extraGuesses: string[] = []): WordLists {
+    return { answerWords: answers, guessWords: new Set([...answers, ...extraGuesses]) };
+}
+
+describe('getCandidates', () => {
+    it('keeps only words consistent with every guess', () => {
+        const lists = makeLists(['apple', 'ample', 'angle', 'beach', 'chair']);
+        let game = createGame({ targetWords: ['apple', 'beach', 'chair', 'angle'] });
+        game = submitGuess(game, 'ample');
+
+        // AMPLE vs apple: A, L, E green; P yellow (apple has two Ps), M grey
+        expect(getCandidates(game.boards[0], lists)).toEqual(['apple']);
+        // AMPLE vs angle: A, L, E green, M and P grey
+        expect(getCandidates(game.boards[3], lists)).toEqual(['angle']);
+    });
+
+    it('applies the duplicate-letter rules of evaluateGuess', () => {
+        // SPEED vs abide: one E yellow, the second E grey — so the target has exactly one E
+        const lists = makeLists(['abide', 'eerie', 'elide', 'beach']);
+        let game = createGame({ targetWords: ['abide', 'beach', 'eerie', 'elide'] });
+        game = submitGuess(game, 'speed');
+
+        expect(getCandidates(game.boards[0], lists)).toEqual(['abide']);
+    });
+
+    it('returns every answer for a board without guesses', () => {
+        const lists = makeLists(['apple', 'beach']);
+        const game = createGame({ targetWords: ['apple', 'beach'] });
+        expect(getCandidates(game.boards[0], lists)).toEqual(['apple', 'beach']);
+    });
+
+    it('ignores repeat results after a board is solved', () => {
+        let game = createGame({ targetWords: ['apple', 'beach', 'chair', 'dance'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+
+        expect(getCandidates(game.boards[0], getLanguageConfig('en'))).toEqual(['apple']);
+    });
+
+    it('always contains the target on the real word lists', () => {
+        let game = createGame({ targetWords: ['apple', 'beach', 'chair', 'dance'] });
+        game = submitGuess(game, 'crane');
+        game = submitGuess(game, 'moist');
+
+        for (const board of game.boards) {
+            expect(getCandidates(board, getLanguageConfig('en'))).toContain(board.targetWord);
+        }
+    });
+
+    it('uses jamo hints for Korean boards', () => {
+        // 바지 vs 바다: 바 green, 지 grey but its vowel hint differs between 바다 and 바람
+        const lists = makeLists(['바다', '바람', '바위']);
+        let game = createGame({ targetWords: ['바다', '하늘', '나무', '사과'], language: 'ko' });
+        game = submitGuess(game, '바지');
+
+        const candidates = getCandidates(game.boards[0], lists, 'ko');
+        expect(candidates).toContain('바다');
+        for (const word of candidates) {
+            expect(getPatternKey('바지', word, 'ko')).toBe(getPatternKey('바지', '바다', 'ko'));
+        }
+    });
+});
+
+describe('getGuessInformation', () => {
+    it('is zero when the guess cannot split the candidates', () => {
+        expect(getGuessInformation('zzzzz', ['apple', 'ample'])).toBe(0);
+        expect(getGuessInformation('apple', ['apple'])).toBe(0);
+    });
+
+    it('is one bit for an even two-way split', () => {
+        expect(getGuessInformation('apple', ['apple', 'ample'])).toBeCloseTo(1);
+    });
+});
+
+describe('suggestGuess', () => {
+    it('returns null when every board is solved', () => {
+        let game = createGame({ targetWords: ['apple', 'beach'] });
+        game = submitGuess(game, 'apple');
+        game = submitGuess(game, 'beach');
+        expect(suggestGuess(game.boards, getLanguageConfig('en'))).toBeNull();
+    });
+
+    it('prefers a guess that splits candidates on every board', () => {
+        const lists = makeLists(['mount', 'count', 'fount', 'mints', 'hints', 'pints'], ['champ']);
+        const game = createGame({ targetWords: ['mount', 'mints'] });
+
+        // 'champ' tells c/m/f apart on board 1 and m/h/p apart on board 2
+        const suggestion = suggestGuess(game.boards, lists, 'en', { guessPool: ['count', 'mints', 'champ'] });
+        expect(suggestion?.guess).toBe('champ');
+        expect(suggestion?.isCandidate).toBe(false);
+    });
+
+    it('prefers candidates when the split is equal', () => {
+        const lists = makeLists(['apple', 'ample']);
+        const game = createGame({ targetWords: ['apple', 'ample'] });
+        const suggestion = suggestGuess(game.boards, lists, 'en', { guessPool: ['apple', 'ample'] });
+        expect(suggestion).toEqual({ guess: 'ample', bits: 2, isCandidate: true });
+    });
+});
@@ -2,6 +2,13 @@ import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuil
 import dotenv from "dotenv";
 import Redis from "ioredis";
 import cron from "node-cron";
+import { readFileSync } from "fs";
+import { getGameName, getShareText } from "@quordle/engine/shareText";
+import { getLanguage, getLanguages, isLanguage, registerLanguage } from "@quordle/engine/languages";
+import { getAnswerBlocks, parseDefinitions } from "@quordle/engine/dictionary";
+import { DIFFICULTY_LABELS, formatParResult } from "@quordle/engine/difficulty";
+import { getDailyTargets } from "@quordle/engine/daily";
+import "./wordLists.js"; // Registers the answer lists the summary reveals the day's answers from
 
 // Load .env from parent directory in dev, or current directory in production
 dotenv.config({ path: "../.env" });
@@ -22,6 +29,13 @@ if (!DISCORD_BOT_TOKEN) {
     process.exit(1);
 }
 
+// ========== DEFINITIONS ==========
+// The end-of-day summary defines the answers from the engine's offline dictionary
+for (const [lang, file] of [['en', 'enDefinitions.tsv'], ['ko', 'koDefinitions.tsv']]) {
+    const text = readFileSync(new URL(`../engine/src/${file}`, import.meta.url), "utf8");
+    registerLanguage({ ...getLanguage(lang), definitions: parseDefinitions(text) });
+}
+
 // ========== REDIS CLIENT ==========
 let redis = null;
 let redisErrorLogged = false; // Prevent spam
@@ -156,26 +170,26 @@ async function getActiveChannels() {
 }
 
 // ========== COMPLETION DEDUP ==========
-// Key: dailyFinish:{guildId}:{channelId}:{dateKey}:{userId}
+// Key: dailyFinish:{guildId}:{channelId}:{dateKey}:{puzzle}:{userId}
 
-function makeCompletionDedupeKey(guildId, channelId, dateKey, userId, language = 'en') {
-    return `dailyFinish:${guildId}:${channelId}:${dateKey}:${language}:${userId}`;
+function makeCompletionDedupeKey(guildId, channelId, dateKey, userId, puzzle = 'en') {
+    return `dailyFinish:${guildId}:${channelId}:${dateKey}:${puzzle}:${userId}`;
 }
 
-async function hasCompletionBeenPosted(guildId, channelId, dateKey, userId, language = 'en') {
+async function hasCompletionBeenPosted(guildId, channelId, dateKey, userId, puzzle = 'en') {
     if (!redis) return false;
     try {
-        const val = await redis.get(makeCompletionDedupeKey(guildId, channelId, dateKey, userId, language));
+        const val = await redis.get(makeCompletionDedupeKey(guildId, channelId, dateKey, userId, puzzle));
         return !!val;
     } catch (err) {
         return false;
     }
 }
 
-async function markCompletionPosted(guildId, channelId, dateKey, userId, language = 'en') {
+async function markCompletionPosted(guildId, channelId, dateKey, userId, puzzle = 'en') {
     if (!redis) return;
     try {
-        await redis.setex(makeCompletionDedupeKey(guildId, channelId, dateKey, userId, language), DEDUP_TTL_SECONDS, "1");
+        await redis.setex(makeCompletionDedupeKey(guildId, channelId, dateKey, userId, puzzle), DEDUP_TTL_SECONDS, "1");
     } catch (err) {
         console.error("[Bot] Failed to mark completion posted:", err.message);
     }
@@ -353,24 +367,52 @@ function buildLaunchButton() {
 
 // ========== COMPLETION ANNOUNCEMENT ==========
 
+/** " · 6 letters" for a daily of a non-default word length, or nothing */
+function formatWordLength(definition, wordLength) {
+    return wordLength && wordLength !== definition.defaultWordLength ? ` · ${wordLength} ${definition.unit.other}` : "";
+}
+
+// Discord rejects embeds whose description is longer than this
+const EMBED_DESCRIPTION_LIMIT = 4096;
+
+/** Text cut to at most `max` characters, ending in an ellipsis when cut */
+function truncate(text, max) {
+    return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
 function buildCompletionEmbed(event) {
-    const { displayName, avatarUrl, dateKey, won, guessCount, solvedBoards, totalBoards, language } = event;
-    const isKorean = language === 'ko';
+    const { displayName, avatarUrl, dateKey, won, guessCount, solvedBoards, totalBoards, language, gameState, difficulty } = event;
+    const definition = getLanguage(isLanguage(language) ? language : 'en');
     const resultEmoji = won ? "🏆" : "😔";
     const resultText = won ? "won" : "lost";
     const color = won ? 0x2ecc71 : 0xe74c3c; // green or red
-    const gameLabel = isKorean ? "Daily Quordle 🇰🇷" : "Daily Quordle";
+    // English is the unmarked default; other languages carry their flag
+    const gameName = `${getGameName(totalBoards ?? 4)}${formatWordLength(definition, gameState?.wordLength)}`;
+    const gameLabel = definition.code === 'en' ? `Daily ${gameName}` : `Daily ${gameName} ${definition.flag}`;
+    // Same emoji summary as the client's "Copy results"; grids stay spoilered while others play.
+    // A Duotrigordle's grids do not fit a description, so big games fall back to the summary alone.
+    const intro = `**${displayName}** ${resultText} today's ${gameLabel}!`;
+    const withGrids = gameState ? `${intro}\n\n${getShareText(gameState, { dateKey, grids: true, spoilerFree: true })}` : intro;
+    const description = withGrids.length <= EMBED_DESCRIPTION_LIMIT
+        ? withGrids
+        : `${intro}\n\n${getShareText(gameState, { dateKey, spoilerFree: true })}`;
 
     const embed = new EmbedBuilder()
         .setColor(color)
         .setTitle(`${resultEmoji} ${gameLabel} — ${dateKey}`)
-        .setDescription(`**${displayName}** ${resultText} today's ${gameLabel}!`)
+        .setDescription(truncate(description, EMBED_DESCRIPTION_LIMIT))
         .addFields(
-            { name: isKorean ? "보드" : "Boards", value: `${solvedBoards}/${totalBoards}`, inline: true },
-            { name: isKorean ? "추측" : "Guesses", value: `${guessCount}`, inline: true }
+            { name: definition.strings.boards, value: `${solvedBoards}/${totalBoards}`, inline: true },
+            { name: definition.strings.guesses, value: `${guessCount}`, inline: true }
         )
         .setTimestamp();
 
+    // Wins are scored against the day's par, e.g. "7 (-1)"
+    if (difficulty) {
+        const parResult = won ? ` (${formatParResult(guessCount, difficulty.par)})` : "";
+        embed.addFields({ name: "Par", value: `${difficulty.par}${parResult}`, inline: true });
+    }
+
     if (avatarUrl) {
         embed.setThumbnail(avatarUrl);
     }
@@ -379,8 +421,9 @@ function buildCompletionEmbed(event) {
 }
 
 async function handleDailyFinished(event) {
-    const { guildId, channelId, dateKey, visibleUserId, displayName, language } = event;
-    const lang = language || 'en';
+    const { guildId, channelId, dateKey, visibleUserId, displayName, language, puzzle } = event;
+    // Events from before variant dailies only name their language
+    const lang = puzzle || language || 'en';
 
     if (!guildId || !channelId) {
         console.log(`[Bot] DAILY_FINISHED missing guildId/channelId, skipping announcement`);
@@ -390,7 +433,7 @@ async function handleDailyFinished(event) {
     // Track this channel as active (for daily reset broadcasts)
     await trackActiveChannel(guildId, channelId);
 
-    // Dedup check (language-aware so en and ko completions are tracked separately)
+    // Dedup check (puzzle-aware so en, ko and en Octordle completions are tracked separately)
     const alreadyPosted = await hasCompletionBeenPosted(guildId, channelId, dateKey, visibleUserId, lang);
     if (alreadyPosted) {
         console.log(`[Bot] Already posted completion for ${displayName} in ${channelId} on ${dateKey} (${lang})`);
@@ -417,20 +460,27 @@ async function handleDailyFinished(event) {
 
 // ========== END-OF-DAY LEADERBOARD SUMMARY ==========
 
-/** Fetch leaderboard for a channel (roomId === channelId) from Redis */
+/**
+ * Fetch leaderboard for a channel (roomId === channelId) from Redis: every
+ * language's standard daily, plus the variant dailies (other board counts)
+ * the server indexed under roomPuzzles.
+ */
 async function fetchLeaderboardForChannel(channelId, dateKey) {
     if (!redis) return [];
 
+    const variantPuzzles = await redis.smembers(`roomPuzzles:${channelId}:${dateKey}`).catch(() => []);
+    const puzzles = new Set([...getLanguages().map(({ code }) => code), ...variantPuzzles]);
+
     const entries = [];
-    for (const language of ["en", "ko"]) {
+    for (const puzzle of puzzles) {
         try {
-            const setKey = `roomPlayers:${channelId}:${dateKey}:${language}`;
+            const setKey = `roomPlayers:${channelId}:${dateKey}:${puzzle}`;
             const visibleUserIds = await redis.smembers(setKey);
             if (!visibleUserIds || visibleUserIds.length === 0) continue;
 
             // Load all player states in parallel
             const playerPromises = visibleUserIds.map(async (uid) => {
-                const key = `player:${channelId}:${dateKey}:${language}:${uid}`;
+                const key = `player:${channelId}:${dateKey}:${puzzle}:${uid}`;
                 const data = await redis.get(key);
                 return data ? JSON.parse(data) : null;
             });
@@ -449,11 +499,21 @@ async function fetchLeaderboardForChannel(channelId, dateKey) {
                     gameOver: gs.gameOver,
                     won: gs.won,
                     finishedAt: player.finishedAt,
-                    language,
+                    hardMode: !!gs.hardMode,
+                    evil: !!gs.evil,
+                    sequence: !!gs.sequence,
+                    rescue: gs.starterCount > 0,
+                    fibble: !!gs.fibble,
+                    language: player.language || puzzle,
+                    puzzle,
+                    boardCount: gs.boards.length,
+                    wordLength: gs.wordLength ?? null,
+                    // Par is the daily's; evil boards have answers of their own
+                    difficulty: gs.evil ? null : player.difficulty ?? null,
                 });
             }
         } catch (err) {
-            console.error(`[Bot] Failed to fetch leaderboard for ${channelId}/${dateKey}/${language}:`, err.message);
+            console.error(`[Bot] Failed to fetch leaderboard for ${channelId}/${dateKey}/${puzzle}:`, err.message);
         }
     }
 
@@ -469,25 +529,34 @@ async function fetchLeaderboardForChannel(channelId, dateKey) {
     return entries;
 }
 
-function buildLeaderboardSummaryEmbed(dateKey, leaderboard, language = 'en') {
+function buildLeaderboardSummaryEmbed(dateKey, leaderboard, language = 'en', { revealAnswers = false } = {}) {
     const displayDate = formatDateForDisplay(dateKey);
     const rankEmojis = ["\uD83E\uDD47", "\uD83E\uDD48", "\uD83E\uDD49"]; // 🥇🥈🥉
-    const langLabel = language === 'ko' ? '🇰🇷 Korean' : '🇺🇸 English';
+    const definition = getLanguage(language);
+    // Every entry of an embed plays the same puzzle
+    const boardCount = leaderboard[0]?.boardCount ?? 4;
+    const langLabel = `${definition.flag} ${definition.name}${formatWordLength(definition, leaderboard[0]?.wordLength)}`;
 
     let description = "";
     for (let i = 0; i < leaderboard.length; i++) {
         const entry = leaderboard[i];
         const rank = i < 3 ? rankEmojis[i] : `**${i + 1}.**`;
         const statusEmoji = entry.won ? "\u2705" : entry.gameOver ? "\u274C" : "\u23F3"; // ✅ ❌ ⏳
-        description += `${rank} **${entry.displayName}** — ${entry.solvedCount}/4 boards, ${entry.guessCount} guesses ${statusEmoji}\n`;
+        const hardTag = entry.hardMode ? " \uD83D\uDD25" : ""; // 🔥
+        const evilTag = entry.evil ? " \uD83D\uDE08" : ""; // 😈
+        const sequenceTag = entry.sequence ? " \u26D3\uFE0F" : ""; // ⛓️
+        const rescueTag = entry.rescue ? " \uD83D\uDEDF" : ""; // 🛟
+        const fibbleTag = entry.fibble ? " \uD83E\uDD25" : ""; // 🤥
+        const parTag = entry.won && entry.difficulty ? ` (${formatParResult(entry.guessCount, entry.difficulty.par)})` : "";
+        description += `${rank} **${entry.displayName}**${hardTag}${evilTag}${sequenceTag}${rescueTag}${fibbleTag} — ${entry.solvedCount}/${entry.boardCount} boards, ${entry.guessCount} guesses${parTag} ${statusEmoji}\n`;
     }
 
     const totalPlayers = leaderboard.length;
     const winners = leaderboard.filter(e => e.won).length;
 
-    return new EmbedBuilder()
+    const embed = new EmbedBuilder()
         .setColor(0xf1c40f) // Gold
-        .setTitle(`\uD83D\uDCCA Daily Quordle Results — ${langLabel} — ${displayDate}`)
+        .setTitle(`\uD83D\uDCCA Daily ${getGameName(boardCount)} Results — ${langLabel} — ${displayDate}`)
         .setDescription(description.trim())
         .addFields(
             { name: "Players", value: `${totalPlayers}`, inline: true },
@@ -495,6 +564,46 @@ function buildLeaderboardSummaryEmbed(dateKey, leaderboard, language = 'en') {
         )
         .setFooter({ text: "Final standings \u2022 Resets at midnight (America/Chicago)" })
         .setTimestamp();
+
+    // Players who joined before dailies were rated have no difficulty
+    const difficulty = leaderboard.find(e => e.difficulty)?.difficulty;
+    if (difficulty) {
+        embed.addFields({ name: "Difficulty", value: `${DIFFICULTY_LABELS[difficulty.level]} (par ${difficulty.par})`, inline: true });
+    }
+
+    // The puzzle's answers, unless everyone played evil boards, which dodged them
+    if (revealAnswers && leaderboard.some(e => !e.evil)) {
+        const answers = getDailyTargets(dateKey, language, boardCount, leaderboard[0].wordLength ?? undefined);
+        // Spoiler-tagged for players in other time zones, split over fields of at most 1024 characters
+        getAnswerBlocks(answers, language).forEach((value, i) => {
+            embed.addFields({ name: i === 0 ? definition.strings.answers : "\u200b", value });
+        });
+    }
+
+    return embed;
+}
+
+/**
+ * One summary embed per puzzle: languages in registry order, each language's
+ * standard daily before its other board counts and word lengths.
+ */
+function buildLeaderboardSummaryEmbeds(dateKey, leaderboard, options = {}) {
+    const byPuzzle = new Map();
+    for (const entry of leaderboard) {
+        const puzzle = entry.puzzle || entry.language || 'en';
+        if (!byPuzzle.has(puzzle)) byPuzzle.set(puzzle, []);
+        byPuzzle.get(puzzle).push(entry);
+    }
+
+    const languageOrder = getLanguages().map(({ code }) => code);
+    const rank = ([puzzle, entries]) => [languageOrder.indexOf(entries[0].language), puzzle === entries[0].language ? 0 : 1, entries[0].boardCount, entries[0].wordLength ?? 0];
+    return [...byPuzzle]
+        .sort((a, b) => {
+            const rankA = rank(a);
+            const rankB = rank(b);
+            return rankA.map((value, i) => value - rankB[i]).find((diff) => diff !== 0) ?? 0;
+        })
+        .map(([, entries]) => buildLeaderboardSummaryEmbed(dateKey, entries, entries[0].language, options));
 }
 
 async function announceLeaderboardSummaryToChannel(guildId, channelId, dateKey) {
@@ -518,24 +627,12 @@ async function announceLeaderboardSummaryToChannel(guildId, channelId, dateKey)
 
         const components = [buildPlayButton()];
 
-        // Group entries by language and send a separate embed per language
-        const byLanguage = {};
-        for (const entry of leaderboard) {
-            const lang = entry.language || 'en';
-            if (!byLanguage[lang]) byLanguage[lang] = [];
-            byLanguage[lang].push(entry);
-        }
-
-        const embeds = [];
-        for (const lang of ['en', 'ko']) {
-            if (byLanguage[lang] && byLanguage[lang].length > 0) {
-                embeds.push(buildLeaderboardSummaryEmbed(dateKey, byLanguage[lang], lang));
-            }
-        }
+        // A separate embed per language and board count
+        const embeds = buildLeaderboardSummaryEmbeds(dateKey, leaderboard, { revealAnswers: true });
 
         await channel.send({ embeds, components });
         await markSummaryPosted(guildId, channelId, dateKey);
-        console.log(`[Bot] Posted leaderboard summary in ${guildId}/${channelId} for ${dateKey} (${leaderboard.length} players, ${embeds.length} language(s))`);
+        console.log(`[Bot] Posted leaderboard summary in ${guildId}/${channelId} for ${dateKey} (${leaderboard.length} players, ${embeds.length} puzzle(s))`);
     } catch (err) {
         console.error(`[Bot] Failed to post leaderboard summary in ${channelId}:`, err.message);
         await markSummaryPosted(guildId, channelId, dateKey);
@@ -745,24 +842,12 @@ async function handleResultsCommand(interaction) {
             return;
         }
 
-        // Group entries by language and build a separate embed per language
-        const byLanguage = {};
-        for (const entry of leaderboard) {
-            const lang = entry.language || 'en';
-            if (!byLanguage[lang]) byLanguage[lang] = [];
-            byLanguage[lang].push(entry);
-        }
-
-        const embeds = [];
-        for (const lang of ['en', 'ko']) {
-            if (byLanguage[lang] && byLanguage[lang].length > 0) {
-                embeds.push(buildLeaderboardSummaryEmbed(dateKey, byLanguage[lang], lang));
-            }
-        }
+        // A separate embed per language and board count
+        const embeds = buildLeaderboardSummaryEmbeds(dateKey, leaderboard);
 
         const components = [buildPlayButton()];
         await interaction.editReply({ embeds, components });
-        console.log(`[Bot] /quordle results in ${guildId}/${channelId} for ${dateKey} (${leaderboard.length} players, ${embeds.length} language(s))`);
+        console.log(`[Bot] /quordle results in ${guildId}/${channelId} for ${dateKey} (${leaderboard.length} players, ${embeds.length} puzzle(s))`);
     } catch (err) {
         console.error("[Bot] Failed to handle results command:", err);
         await interaction.editReply({
@@ -798,15 +883,16 @@ function buildWasPlayingEmbed(profile, gameState) {
 
     // Add game result if available
     if (gameState) {
-        const { solvedCount, guessCount, gameOver, won } = gameState;
+        // Clients from before other board counts only played Quordles
+        const { solvedCount, guessCount, gameOver, won, totalBoards = 4 } = gameState;
         if (gameOver) {
             if (won) {
-                description += `\n🏆 Solved all 4 in ${guessCount} guesses!`;
+                description += `\n🏆 Solved all ${totalBoards} in ${guessCount} guesses!`;
             } else {
-                description += `\n📊 Solved ${solvedCount}/4 boards`;
+                description += `\n📊 Solved ${solvedCount}/${totalBoards} boards`;
             }
         } else if (guessCount > 0) {
-            description += `\n📊 ${solvedCount}/4 boards • ${guessCount} guesses`;
+            description += `\n📊 ${solvedCount}/${totalBoards} boards • ${guessCount} guesses`;
         }
     }
 
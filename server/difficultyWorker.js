@@ -0,0 +1,19 @@
+/**
+ * Rates dailies off the server's event loop: rating a 32-board daily plays the
+ * solver through it, which takes a second or two. The server posts
+ * { id, dateKey, language, boardCount, wordLength } and gets back
+ * { id, difficulty: { level, par } } or { id, error }.
+ */
+import { parentPort } from "worker_threads";
+import { rateDifficulty } from "@quordle/engine/difficulty";
+import { getDailyTargets } from "@quordle/engine/daily";
+import "./wordLists.js"; // Same answer lists and calendar as the server, so the targets match
+
+parentPort.on("message", ({ id, dateKey, language, boardCount, wordLength }) => {
+  try {
+    const { level, par } = rateDifficulty(getDailyTargets(dateKey, language, boardCount, wordLength), language, wordLength);
+    parentPort.postMessage({ id, difficulty: { level, par } });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -6,8 +6,16 @@ import { WebSocketServer, WebSocket } from "ws";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
+import { Worker } from "worker_threads";
 import Redis from "ioredis";
-import { evaluateGuessKo } from "@quordle/engine/evaluatorKo";
+import { checkHardMode } from "@quordle/engine/hardMode";
+import { getLanguage, getLanguages, isLanguage } from "@quordle/engine/languages";
+import { graphemeLength } from "@quordle/engine/graphemes";
+import { DEFAULT_RESCUE_STARTERS, getDailyPuzzleKey, getDailyTargets, getRescueStarters } from "@quordle/engine/daily";
+import { decodeChallenge, getChallengeId } from "@quordle/engine/challenge";
+import { applyEvilGuess, createEvilGame } from "@quordle/engine/evil";
+import { applyGuess, createBoardState } from "@quordle/engine/boards";
+import "./wordLists.js"; // Registers the answer lists and calendar the dailies are dealt from
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,15 +50,36 @@ if (process.env.REDIS_URL) {
 }
 
 // ========== REDIS KEY HELPERS ==========
-// Keys: player:{roomId}:{dateKey}:{language}:{visibleUserId} for PlayerState
-// Keys: roomPlayers:{roomId}:{dateKey}:{language} (Set) for leaderboard index
+// Keys: player:{roomId}:{dateKey}:{puzzle}:{visibleUserId} for PlayerState
+// Keys: roomPlayers:{roomId}:{dateKey}:{puzzle} (Set) for leaderboard index
+// Keys: events:{roomId}:{dateKey}:{puzzle}:{visibleUserId} (List) for the GameEvent log beside each PlayerState
+// Keys: roomPuzzles:{roomId}:{dateKey} (Set) of the puzzles played in a room, for the bot's summaries
+// A puzzle is the engine's getDailyPuzzleKey: the language code for the standard daily, e.g. "en:x8" for an Octordle
+// Keys: challenge:{challengeId} (Hash of visibleUserId -> result) for challenge results, apart from the dailies
+
+function makePlayerRedisKey(roomId, dateKey, visibleUserId, puzzle = 'en') {
+  return `player:${roomId}:${dateKey}:${puzzle}:${visibleUserId}`;
+}
+
+function makeRoomPlayersSetKey(roomId, dateKey, puzzle = 'en') {
+  return `roomPlayers:${roomId}:${dateKey}:${puzzle}`;
+}
+
+function makeEventsRedisKey(roomId, dateKey, visibleUserId, puzzle = 'en') {
+  return `events:${roomId}:${dateKey}:${puzzle}:${visibleUserId}`;
+}
+
+function makeRoomPuzzlesSetKey(roomId, dateKey) {
+  return `roomPuzzles:${roomId}:${dateKey}`;
+}
 
-function makePlayerRedisKey(roomId, dateKey, visibleUserId, language = 'en') {
-  return `player:${roomId}:${dateKey}:${language}:${visibleUserId}`;
+/** Puzzle key of a player's daily; states saved before variant dailies only have their language */
+function getPlayerPuzzle(playerState) {
+  return playerState.puzzle || playerState.language || 'en';
 }
 
-function makeRoomPlayersSetKey(roomId, dateKey, language = 'en') {
-  return `roomPlayers:${roomId}:${dateKey}:${language}`;
+function makeChallengeRedisKey(challengeId) {
+  return `challenge:${challengeId}`;
 }
 
 const app = express();
@@ -79,14 +108,17 @@ const roomGuildMap = new Map();
 /** @type {Map<string, Set<{ws: WebSocket, visibleUserId: string, roomId: string, dateKey: string}>>} */
 const wsConnectionsByRoom = new Map();
 
-function makeRoomKey(roomId, dateKey, language = 'en') {
-  return `${roomId}:${dateKey}:${language}`;
+function makeRoomKey(roomId, dateKey, puzzle = 'en') {
+  return `${roomId}:${dateKey}:${puzzle}`;
 }
 
-function makePlayerKey(roomId, dateKey, visibleUserId, language = 'en') {
-  return `${roomId}:${dateKey}:${language}:${visibleUserId}`;
+function makePlayerKey(roomId, dateKey, visibleUserId, puzzle = 'en') {
+  return `${roomId}:${dateKey}:${puzzle}:${visibleUserId}`;
 }
 
+/** @type {Map<string, { dateKey: string, events: Array<object> }>} playerKey -> GameEvent log (cache; Redis lists are the source of truth) */
+const gameEventLog = new Map();
+
 // ========== REDIS PERSISTENCE HELPERS ==========
 // Redis is source of truth for player state; in-memory Maps are cache
 
@@ -96,9 +128,10 @@ async function persistPlayerToRedis(playerState) {
     console.log('[Redis] Skipping persist - no Redis connection');
     return;
   }
-  const language = playerState.language || 'en';
-  const key = makePlayerRedisKey(playerState.roomId, playerState.dateKey, playerState.visibleUserId, language);
-  const setKey = makeRoomPlayersSetKey(playerState.roomId, playerState.dateKey, language);
+  const puzzle = getPlayerPuzzle(playerState);
+  const key = makePlayerRedisKey(playerState.roomId, playerState.dateKey, playerState.visibleUserId, puzzle);
+  const setKey = makeRoomPlayersSetKey(playerState.roomId, playerState.dateKey, puzzle);
+  const puzzlesKey = makeRoomPuzzlesSetKey(playerState.roomId, playerState.dateKey);
 
   // Log what we're about to save
   const guessCount = playerState.gameState?.guessCount || 0;
@@ -112,6 +145,8 @@ async function persistPlayerToRedis(playerState) {
     pipeline.setex(key, REDIS_TTL_SECONDS, serialized);
     pipeline.sadd(setKey, playerState.visibleUserId);
     pipeline.expire(setKey, REDIS_TTL_SECONDS);
+    pipeline.sadd(puzzlesKey, puzzle);
+    pipeline.expire(puzzlesKey, REDIS_TTL_SECONDS);
     const results = await pipeline.exec();
     // Check for errors in pipeline results
     const errors = results?.filter(r => r[0] !== null) || [];
@@ -125,14 +160,54 @@ async function persistPlayerToRedis(playerState) {
   }
 }
 
+/** Keep only small, flat client metadata values for the event log */
+function sanitizeEventMeta(meta) {
+  if (!meta || typeof meta !== 'object') return {};
+  const clean = {};
+  for (const [key, value] of Object.entries(meta).slice(0, 8)) {
+    if (typeof value === 'number' || typeof value === 'boolean') clean[key] = value;
+    else if (typeof value === 'string') clean[key] = value.slice(0, 64);
+  }
+  return clean;
+}
+
+/** Append an accepted guess to the player's GameEvent log (memory + Redis list with TTL) */
+function appendGameEvent(roomId, dateKey, visibleUserId, puzzle, event) {
+  const key = makePlayerKey(roomId, dateKey, visibleUserId, puzzle);
+  const log = gameEventLog.get(key) || { dateKey, events: [] };
+  log.events.push(event);
+  gameEventLog.set(key, log);
+
+  if (!redis) return;
+  const eventsKey = makeEventsRedisKey(roomId, dateKey, visibleUserId, puzzle);
+  redis.pipeline()
+    .rpush(eventsKey, JSON.stringify(event))
+    .expire(eventsKey, REDIS_TTL_SECONDS)
+    .exec()
+    .catch(err => console.error('[Redis] Failed to append game event:', err.message));
+}
+
+/** Load a player's GameEvent log (Redis first, then the in-memory cache) */
+async function loadGameEvents(roomId, dateKey, visibleUserId, puzzle = 'en') {
+  if (redis) {
+    try {
+      const entries = await redis.lrange(makeEventsRedisKey(roomId, dateKey, visibleUserId, puzzle), 0, -1);
+      if (entries.length > 0) return entries.map(e => JSON.parse(e));
+    } catch (err) {
+      console.error('[Redis] Failed to load game events:', err.message);
+    }
+  }
+  return gameEventLog.get(makePlayerKey(roomId, dateKey, visibleUserId, puzzle))?.events || [];
+}
+
 /** Load a single player state from Redis */
-async function loadPlayerFromRedis(roomId, dateKey, visibleUserId, language = 'en') {
+async function loadPlayerFromRedis(roomId, dateKey, visibleUserId, puzzle = 'en') {
   if (!redis) {
     console.log('[Redis] Skipping load - no Redis connection');
     return null;
   }
   try {
-    const key = makePlayerRedisKey(roomId, dateKey, visibleUserId, language);
+    const key = makePlayerRedisKey(roomId, dateKey, visibleUserId, puzzle);
     console.log('[Redis LOAD] Attempting to load:', key);
     const data = await redis.get(key);
     if (data) {
@@ -151,22 +226,22 @@ async function loadPlayerFromRedis(roomId, dateKey, visibleUserId, language = 'e
 }
 
 /** Rebuild leaderboard from Redis by loading all players in the roomPlayers set */
-async function rebuildLeaderboardFromRedis(roomId, dateKey, language = 'en') {
+async function rebuildLeaderboardFromRedis(roomId, dateKey, puzzle = 'en') {
   if (!redis) {
     console.log('[Redis] Cannot rebuild leaderboard - no Redis connection');
     return null;
   }
   try {
-    const setKey = makeRoomPlayersSetKey(roomId, dateKey, language);
+    const setKey = makeRoomPlayersSetKey(roomId, dateKey, puzzle);
     const visibleUserIds = await redis.smembers(setKey);
     console.log('[Redis] Rebuilding leaderboard for', setKey, '- found', visibleUserIds?.length || 0, 'players');
     if (!visibleUserIds || visibleUserIds.length === 0) return null;
 
-    const room = getOrCreateRoom(roomId, dateKey, language);
+    const room = getOrCreateRoom(roomId, dateKey, puzzle);
 
     // Load all players in parallel
     const playerPromises = visibleUserIds.map(async (visibleUserId) => {
-      const key = makePlayerRedisKey(roomId, dateKey, visibleUserId, language);
+      const key = makePlayerRedisKey(roomId, dateKey, visibleUserId, puzzle);
       const data = await redis.get(key);
       return data ? JSON.parse(data) : null;
     });
@@ -193,13 +268,13 @@ async function rebuildLeaderboardFromRedis(roomId, dateKey, language = 'en') {
 }
 
 /** Get or create room state (rebuilds from Redis if cache empty) */
-async function getOrCreateRoomAsync(roomId, dateKey, language = 'en') {
-  const key = makeRoomKey(roomId, dateKey, language);
+async function getOrCreateRoomAsync(roomId, dateKey, puzzle = 'en') {
+  const key = makeRoomKey(roomId, dateKey, puzzle);
   let room = roomStateStore.get(key);
 
   // If room exists in memory but is empty, try to rebuild from Redis
   if ((!room || room.players.size === 0) && redis) {
-    const rebuilt = await rebuildLeaderboardFromRedis(roomId, dateKey, language);
+    const rebuilt = await rebuildLeaderboardFromRedis(roomId, dateKey, puzzle);
     if (rebuilt && rebuilt.players.size > 0) {
       return rebuilt;
     }
@@ -219,8 +294,8 @@ async function getOrCreateRoomAsync(roomId, dateKey, language = 'en') {
 }
 
 /** Get or create room state (sync version for non-async contexts) */
-function getOrCreateRoom(roomId, dateKey, language = 'en') {
-  const key = makeRoomKey(roomId, dateKey, language);
+function getOrCreateRoom(roomId, dateKey, puzzle = 'en') {
+  const key = makeRoomKey(roomId, dateKey, puzzle);
   let room = roomStateStore.get(key);
   if (!room) {
     room = {
@@ -236,9 +311,9 @@ function getOrCreateRoom(roomId, dateKey, language = 'en') {
 }
 
 /** Get player state from room (checks Redis first) */
-async function getPlayerAsync(roomId, dateKey, visibleUserId, language = 'en') {
+async function getPlayerAsync(roomId, dateKey, visibleUserId, puzzle = 'en') {
   // First check in-memory cache
-  const room = roomStateStore.get(makeRoomKey(roomId, dateKey, language));
+  const room = roomStateStore.get(makeRoomKey(roomId, dateKey, puzzle));
   const cachedPlayer = room?.players.get(visibleUserId);
   if (cachedPlayer) {
     console.log('[getPlayerAsync] Found in cache:', visibleUserId, 'guesses:', cachedPlayer.gameState?.guessCount || 0);
@@ -247,10 +322,10 @@ async function getPlayerAsync(roomId, dateKey, visibleUserId, language = 'en') {
 
   // Try to load from Redis
   console.log('[getPlayerAsync] Not in cache, trying Redis for:', visibleUserId);
-  const redisPlayer = await loadPlayerFromRedis(roomId, dateKey, visibleUserId, language);
+  const redisPlayer = await loadPlayerFromRedis(roomId, dateKey, visibleUserId, puzzle);
   if (redisPlayer) {
     // Cache in memory
-    const r = getOrCreateRoom(roomId, dateKey, language);
+    const r = getOrCreateRoom(roomId, dateKey, puzzle);
     r.players.set(visibleUserId, redisPlayer);
     updateLeaderboard(r);
     console.log('[getPlayerAsync] Cached from Redis:', visibleUserId);
@@ -261,15 +336,14 @@ async function getPlayerAsync(roomId, dateKey, visibleUserId, language = 'en') {
 }
 
 /** Get player state from room (sync) */
-function getPlayer(roomId, dateKey, visibleUserId, language = 'en') {
-  const room = roomStateStore.get(makeRoomKey(roomId, dateKey, language));
+function getPlayer(roomId, dateKey, visibleUserId, puzzle = 'en') {
+  const room = roomStateStore.get(makeRoomKey(roomId, dateKey, puzzle));
   return room?.players.get(visibleUserId) ?? null;
 }
 
 /** Set player state in room (also persists to Redis) */
 function setPlayer(playerState) {
-  const language = playerState.language || 'en';
-  const room = getOrCreateRoom(playerState.roomId, playerState.dateKey, language);
+  const room = getOrCreateRoom(playerState.roomId, playerState.dateKey, getPlayerPuzzle(playerState));
   room.players.set(playerState.visibleUserId, playerState);
   updateLeaderboard(room);
   // Fire-and-forget Redis persistence of individual player
@@ -290,6 +364,15 @@ function toLeaderboardEntry(player) {
     finishedAt: player.finishedAt,
     updatedAt: player.updatedAt,
     status: gs.gameOver ? (gs.won ? 'won' : 'lost') : 'playing',
+    boardCount: gs.boards.length,
+    wordLength: getGameWordLength(gs),
+    hardMode: !!gs.hardMode,
+    evil: !!gs.evil,
+    sequence: !!gs.sequence,
+    rescue: gs.starterCount > 0,
+    fibble: !!gs.fibble,
+    // Par is the daily's; evil boards have answers of their own
+    par: gs.evil ? null : player.difficulty?.par ?? null,
   };
 }
 
@@ -316,17 +399,22 @@ function updateLeaderboard(room) {
   room.lastBroadcastAt = Date.now();
 }
 
-/** Create new player state */
+/** Create new player state, in the room of the daily its game was dealt from */
 function createPlayerState(roomId, dateKey, visibleUserId, gameState, profile = { displayName: visibleUserId, avatarUrl: null }, language = 'en') {
   const now = Date.now();
+  const boardCount = gameState.boards.length;
+  const wordLength = getGameWordLength(gameState);
   return {
     visibleUserId,
     roomId,
     dateKey,
     mode: 'daily',
     language,
+    puzzle: getDailyPuzzleKey(language, boardCount, wordLength),
     profile,
     gameState,
+    // Today's difficulty, so the bot and leaderboards can rank results against par; set on JOIN (see getDailyDifficulty)
+    difficulty: null,
     createdAt: now,
     updatedAt: now,
     finishedAt: null,
@@ -338,28 +426,28 @@ const gameStateStore = {
   /** @type {Map<string, object>} */
   _store: new Map(),
 
-  _makeKey(roomId, dateKey, userId) {
-    return `${roomId}:${dateKey}:${userId}`;
+  _makeKey(roomId, dateKey, userId, puzzle = 'en') {
+    return `${roomId}:${dateKey}:${puzzle}:${userId}`;
   },
 
-  async get(roomId, dateKey, userId) {
+  async get(roomId, dateKey, userId, puzzle = 'en') {
     // First check new room store
-    const player = getPlayer(roomId, dateKey, userId);
+    const player = getPlayer(roomId, dateKey, userId, puzzle);
     if (player) {
       return { gameState: player.gameState, gameMode: player.mode, dateKey: player.dateKey };
     }
     // Fallback to legacy store
-    const key = this._makeKey(roomId, dateKey, userId);
+    const key = this._makeKey(roomId, dateKey, userId, puzzle);
     return this._store.get(key) || null;
   },
 
-  async set(roomId, dateKey, userId, state) {
-    const key = this._makeKey(roomId, dateKey, userId);
+  async set(roomId, dateKey, userId, state, puzzle = 'en') {
+    const key = this._makeKey(roomId, dateKey, userId, puzzle);
     this._store.set(key, state);
   },
 
-  async delete(roomId, dateKey, userId) {
-    const key = this._makeKey(roomId, dateKey, userId);
+  async delete(roomId, dateKey, userId, puzzle = 'en') {
+    const key = this._makeKey(roomId, dateKey, userId, puzzle);
     this._store.delete(key);
   },
 };
@@ -376,6 +464,7 @@ wss.on("connection", (ws, req) => {
   let currentRoomId = null;
   let currentDateKey = null;
   let currentLanguage = 'en';
+  let currentPuzzle = 'en';
 
   ws.on("message", async (data) => {
     try {
@@ -384,12 +473,16 @@ wss.on("connection", (ws, req) => {
       switch (message.type) {
         // ===== NEW PROTOCOL =====
         case "JOIN": {
-          const { roomId, dateKey, visibleUserId, profile, guildId, language: msgLanguage } = message;
-          const language = (msgLanguage === 'ko') ? 'ko' : 'en';
+          const { roomId, dateKey, visibleUserId, profile, guildId, hardMode, focusBoard, evil, sequence, rescue, fibble } = message;
+          const { language, boardCount, wordLength, puzzle } = parsePuzzle(message);
           if (!roomId || !dateKey || !visibleUserId) {
             ws.send(JSON.stringify({ type: 'ERROR', code: 'INVALID_MESSAGE', message: 'Missing required fields' }));
             return;
           }
+          if (!isDateKey(dateKey)) {
+            ws.send(JSON.stringify({ type: 'ERROR', code: 'INVALID_MESSAGE', message: 'dateKey must be YYYY-MM-DD' }));
+            return;
+          }
 
           // Validate and sanitize profile
           const cleanProfile = {
@@ -397,9 +490,9 @@ wss.on("connection", (ws, req) => {
             avatarUrl: (profile?.avatarUrl || null),
           };
 
-          const newRoomKey = makeRoomKey(roomId, dateKey, language);
+          const newRoomKey = makeRoomKey(roomId, dateKey, puzzle);
 
-          // If switching languages (or rooms), remove ws from old room's connection set
+          // If switching puzzles (or rooms), remove ws from old room's connection set
           if (currentRoomKey && currentRoomKey !== newRoomKey) {
             const oldConns = wsConnectionsByRoom.get(currentRoomKey);
             if (oldConns) {
@@ -420,6 +513,7 @@ wss.on("connection", (ws, req) => {
           currentRoomId = roomId;
           currentDateKey = dateKey;
           currentLanguage = language;
+          currentPuzzle = puzzle;
 
           // Track guildId for this room (needed for announcements)
           if (guildId) {
@@ -441,19 +535,32 @@ wss.on("connection", (ws, req) => {
           }
 
           // Get or create player state (checks Redis first)
-          let playerState = await getPlayerAsync(roomId, dateKey, visibleUserId, language);
+          let playerState = await getPlayerAsync(roomId, dateKey, visibleUserId, puzzle);
           if (!playerState) {
             // Create new daily game
-            console.log('[JOIN] Creating new player state for:', visibleUserId, 'language:', language);
-            const targetWords = getDailyTargets(dateKey, language);
-            const gameState = createGameState(targetWords, undefined, language);
+            console.log('[JOIN] Creating new player state for:', visibleUserId, 'puzzle:', puzzle);
+            const gameState = createDailyGameState(dateKey, language, { boardCount, wordLength, hardMode, focusBoard, evil, sequence, rescue, fibble });
             playerState = createPlayerState(roomId, dateKey, visibleUserId, gameState, cleanProfile, language);
           } else {
             // Update existing player's profile (in case they changed their display name)
             console.log('[JOIN] Loaded existing player state for:', visibleUserId, 'guesses:', playerState.gameState?.guessCount || 0);
             playerState.profile = cleanProfile;
             playerState.updatedAt = Date.now();
+            // Evil, Sequence, Rescue and Fibble games are dealt differently, so they too can only be switched before the first guess
+            const variants = { evil, sequence, rescue, fibble };
+            if (!hasPlayerGuessed(playerState.gameState) && isOtherVariant(playerState.gameState, variants)) {
+              playerState.gameState = createDailyGameState(dateKey, language, { boardCount, wordLength, hardMode, focusBoard, ...variants });
+            }
+            // Hard mode can still be switched before the first guess (evil and Fibble games have none)
+            if (hardMode !== undefined && !hasPlayerGuessed(playerState.gameState) && !playerState.gameState.evil && !playerState.gameState.fibble) {
+              playerState.gameState = {
+                ...playerState.gameState,
+                ...getHardModeOptions(playerState.gameState.boards.length, { hardMode, focusBoard }),
+              };
+            }
           }
+          // New players, and players who joined before dailies were rated
+          playerState.difficulty ??= await getDailyDifficulty(dateKey, language, boardCount, wordLength);
           // Always (re-)add player to room to ensure leaderboard is updated
           setPlayer(playerState);
 
@@ -461,7 +568,7 @@ wss.on("connection", (ws, req) => {
           ws.send(JSON.stringify({ type: 'STATE', playerState }));
 
           // Broadcast LEADERBOARD to ALL players in room (rebuilds from Redis if cache empty)
-          const room = await getOrCreateRoomAsync(roomId, dateKey, language);
+          const room = await getOrCreateRoomAsync(roomId, dateKey, puzzle);
           if (DEBUG_WS) {
             console.log('[WS JOIN] Broadcasting leaderboard, players in room:', room.players.size);
           }
@@ -470,7 +577,7 @@ wss.on("connection", (ws, req) => {
             console.log('[LEADERBOARD DEBUG] leaderboard payload length:', room.leaderboard.length);
             console.log('[LEADERBOARD DEBUG] leaderboard:', JSON.stringify(room.leaderboard));
           }
-          broadcastToRoomByKey(currentRoomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language });
+          broadcastToRoomByKey(currentRoomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language, puzzle });
 
           // Broadcast ROOM_EVENT join to everyone in room (including joiner)
           broadcastToRoomByKey(currentRoomKey, { type: 'ROOM_EVENT', event: 'join', visibleUserId });
@@ -478,14 +585,14 @@ wss.on("connection", (ws, req) => {
         }
 
         case "GUESS": {
-          const { roomId, dateKey, visibleUserId, guess, language: guessLanguage } = message;
-          const language = (guessLanguage === 'ko') ? 'ko' : 'en';
+          const { roomId, dateKey, visibleUserId, guess } = message;
+          const { language, puzzle } = parsePuzzle(message);
           if (!roomId || !dateKey || !visibleUserId || !guess) {
             ws.send(JSON.stringify({ type: 'ERROR', code: 'INVALID_MESSAGE', message: 'Missing required fields' }));
             return;
           }
 
-          const playerState = getPlayer(roomId, dateKey, visibleUserId, language);
+          const playerState = getPlayer(roomId, dateKey, visibleUserId, puzzle);
           if (!playerState) {
             ws.send(JSON.stringify({ type: 'ERROR', code: 'PLAYER_NOT_FOUND', message: 'Player not found. Send JOIN first.' }));
             return;
@@ -497,53 +604,25 @@ wss.on("connection", (ws, req) => {
           }
 
           // Validate guess
-          const normalizedGuess = language === 'ko' ? guess : guess.toLowerCase();
-          if (!isValidGuessFormat(normalizedGuess, language)) {
-            const expectedLen = getWordLengthForLanguage(language);
-            ws.send(JSON.stringify({ type: 'ERROR', code: 'INVALID_GUESS', message: `Guess must be ${expectedLen} ${language === 'ko' ? 'syllables' : 'letters'}` }));
+          const normalizedGuess = getLanguage(language).normalize(guess);
+          const expectedLen = getGameWordLength(playerState.gameState);
+          if (!isValidGuessFormat(normalizedGuess, language, expectedLen)) {
+            ws.send(JSON.stringify({ type: 'ERROR', code: 'INVALID_GUESS', message: `Guess must be ${expectedLen} ${getLanguage(language).unit.other}` }));
             return;
           }
 
-          // Apply guess to game state
-          const oldGameState = playerState.gameState;
-          const newBoards = oldGameState.boards.map((board) => {
-            if (board.solved) {
-              const prevKoResult = board.koResults?.[board.koResults.length - 1];
-              return {
-                ...board,
-                guesses: [...board.guesses, normalizedGuess],
-                results: [...board.results, board.results[board.results.length - 1] || []],
-                ...(language === 'ko' && prevKoResult ? {
-                  koResults: [...(board.koResults || []), prevKoResult],
-                } : {}),
-              };
+          // Hard mode: every revealed hint must be reused
+          if (playerState.gameState.hardMode) {
+            const violation = checkHardMode(playerState.gameState, normalizedGuess);
+            if (violation) {
+              ws.send(JSON.stringify({ type: 'ERROR', code: 'HARD_MODE_VIOLATION', message: violation.message, violation }));
+              return;
             }
-            const result = evaluateGuess(normalizedGuess, board.targetWord);
-            const solved = result.every(r => r === 'correct');
-            const koResult = language === 'ko' ? evaluateGuessKo(normalizedGuess, board.targetWord) : undefined;
-            return {
-              ...board,
-              guesses: [...board.guesses, normalizedGuess],
-              results: [...board.results, result],
-              ...(koResult ? { koResults: [...(board.koResults || []), koResult] } : {}),
-              solved,
-              solvedOnGuess: solved ? oldGameState.guessCount + 1 : board.solvedOnGuess,
-            };
-          });
+          }
 
-          const newGuessCount = oldGameState.guessCount + 1;
-          const allSolved = newBoards.every(b => b.solved);
-          const outOfGuesses = newGuessCount >= oldGameState.maxGuesses;
-          const newGameOver = allSolved || outOfGuesses;
-
-          const newGameState = {
-            ...oldGameState,
-            boards: newBoards,
-            currentGuess: '',
-            guessCount: newGuessCount,
-            gameOver: newGameOver,
-            won: allSolved,
-          };
+          // Apply guess to game state
+          const newGameState = applyGuessToGameState(playerState.gameState, normalizedGuess);
+          const { boards: newBoards, guessCount: newGuessCount, gameOver: newGameOver, won: allSolved } = newGameState;
 
           // Update player state
           const now = Date.now();
@@ -555,6 +634,12 @@ wss.on("connection", (ws, req) => {
           };
           console.log('[GUESS] Updating player:', visibleUserId, 'guessCount:', newGuessCount, 'boards:', newBoards.map(b => b.guesses.length));
           setPlayer(updatedPlayerState);
+          appendGameEvent(roomId, dateKey, visibleUserId, puzzle, {
+            type: 'guess',
+            guess: normalizedGuess,
+            timestamp: now,
+            meta: { ...sanitizeEventMeta(message.meta), transport: 'ws' },
+          });
 
           // Publish DAILY_FINISHED event if game just ended
           if (newGameOver && redis) {
@@ -573,22 +658,25 @@ wss.on("connection", (ws, req) => {
               won: allSolved,
               guessCount: newGuessCount,
               solvedBoards: solvedCount,
-              totalBoards: 4,
+              totalBoards: newBoards.length,
               language,
+              puzzle,
+              difficulty: newGameState.evil ? null : playerState.difficulty ?? null,
+              gameState: newGameState, // For the bot's emoji share grid
               timestamp: Date.now(),
             });
             redis.publish('activity:events', finishEvent).catch(err => {
               console.error('[Activity] Failed to publish DAILY_FINISHED:', err.message);
             });
-            console.log(`[Activity] Published DAILY_FINISHED for ${visibleUserId} in ${roomId} lang=${language} (${allSolved ? 'won' : 'lost'})`);
+            console.log(`[Activity] Published DAILY_FINISHED for ${visibleUserId} in ${roomId} puzzle=${puzzle} (${allSolved ? 'won' : 'lost'})`);
           }
 
           // Send updated STATE to player
           ws.send(JSON.stringify({ type: 'STATE', playerState: updatedPlayerState }));
 
           // Broadcast updated LEADERBOARD to room
-          const room = getOrCreateRoom(roomId, dateKey, language);
-          const roomKey = makeRoomKey(roomId, dateKey, language);
+          const room = getOrCreateRoom(roomId, dateKey, puzzle);
+          const roomKey = makeRoomKey(roomId, dateKey, puzzle);
           if (DEBUG_WS) {
             console.log('[WS GUESS] Broadcasting leaderboard, players in room:', room.players.size);
           }
@@ -597,17 +685,18 @@ wss.on("connection", (ws, req) => {
             console.log('[LEADERBOARD DEBUG] GUESS - room.players.size:', room.players.size);
             console.log('[LEADERBOARD DEBUG] GUESS - leaderboard payload length:', room.leaderboard.length);
           }
-          broadcastToRoomByKey(roomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language });
+          broadcastToRoomByKey(roomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language, puzzle });
           break;
         }
 
         case "LEAVE": {
-          const { roomId, dateKey, visibleUserId, language: leaveLang } = message;
+          const { roomId, dateKey, visibleUserId } = message;
           if (!roomId || !dateKey || !visibleUserId) {
             return;
           }
-          const leaveLanguage = (leaveLang === 'ko') ? 'ko' : currentLanguage;
-          handleLeave(roomId, dateKey, visibleUserId, ws, leaveLanguage);
+          // Without a language the player leaves the puzzle they joined
+          const leave = message.language === undefined ? { language: currentLanguage, puzzle: currentPuzzle } : parsePuzzle(message);
+          handleLeave(roomId, dateKey, visibleUserId, ws, leave.language, leave.puzzle);
           break;
         }
 
@@ -667,7 +756,7 @@ wss.on("connection", (ws, req) => {
   ws.on("close", () => {
     // Handle new protocol disconnect
     if (currentRoomKey && currentVisibleUserId) {
-      handleLeave(currentRoomId, currentDateKey, currentVisibleUserId, ws, currentLanguage);
+      handleLeave(currentRoomId, currentDateKey, currentVisibleUserId, ws, currentLanguage, currentPuzzle);
     }
 
     // Handle legacy protocol disconnect
@@ -700,8 +789,8 @@ wss.on("connection", (ws, req) => {
 });
 
 /** Handle player leaving (LEAVE message or disconnect) */
-function handleLeave(roomId, dateKey, visibleUserId, ws, language = 'en') {
-  const roomKey = makeRoomKey(roomId, dateKey, language);
+function handleLeave(roomId, dateKey, visibleUserId, ws, language = 'en', puzzle = language) {
+  const roomKey = makeRoomKey(roomId, dateKey, puzzle);
   const connections = wsConnectionsByRoom.get(roomKey);
   if (connections) {
     for (const client of connections) {
@@ -726,7 +815,7 @@ function handleLeave(roomId, dateKey, visibleUserId, ws, language = 'en') {
       console.log('[LEADERBOARD DEBUG] LEAVE - room.players.size:', room.players.size);
       console.log('[LEADERBOARD DEBUG] LEAVE - leaderboard payload length:', room.leaderboard.length);
     }
-    broadcastToRoomByKey(roomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language });
+    broadcastToRoomByKey(roomKey, { type: 'LEADERBOARD', leaderboard: room.leaderboard, language, puzzle });
   }
 }
 
@@ -756,179 +845,234 @@ function broadcastToRoom(roomId, message, excludeWs = null) {
 }
 
 // ========== DAILY TARGETS GENERATION ==========
-// Duplicated from engine for server-side use (avoids complex bundling)
-const WORD_LIST = [
-  'apple', 'beach', 'chair', 'dance', 'eagle',
-  'flame', 'grape', 'house', 'image', 'juice',
-  'knife', 'lemon', 'mouse', 'night', 'ocean',
-  'piano', 'queen', 'river', 'stone', 'table',
-  'ultra', 'vivid', 'water', 'xenon', 'youth',
-  'zebra', 'brave', 'crane', 'dream', 'frost',
-  'ghost', 'heart', 'index', 'joker', 'karma',
-  'laser', 'metal', 'noble', 'orbit', 'pearl',
-  'quest', 'radar', 'solar', 'train', 'unity',
-  'voice', 'whale', 'xerox', 'yield', 'zones',
-  'about', 'above', 'abuse', 'actor', 'acute',
-  'admit', 'adopt', 'adult', 'after', 'again',
-  'agent', 'agree', 'ahead', 'alarm', 'album',
-  'alert', 'alike', 'alive', 'allow', 'alone',
-  'along', 'alter', 'amino', 'among', 'angel',
-  'anger', 'angle', 'angry', 'apart', 'arena',
-  'argue', 'arise', 'armor', 'aroma', 'array',
-  'arrow', 'asset', 'avoid', 'award', 'aware',
-  'bacon', 'badge', 'basic', 'basin', 'batch',
-  'began', 'begin', 'being', 'below', 'bench',
-  'berry', 'black', 'blade', 'blame', 'blank',
-  'blast', 'blaze', 'blend', 'bless', 'blind',
-  'block', 'bloom', 'board', 'bonus', 'boost',
-  'brain', 'brand', 'bread', 'break', 'breed',
-  'brick', 'brief', 'bring', 'broad', 'brook',
-  'brown', 'brush', 'build', 'bunch', 'burst',
-  'cabin', 'cable', 'candy', 'cargo', 'carry',
-  'catch', 'cause', 'chain', 'chalk', 'champ',
-  'charm', 'chase', 'cheap', 'check', 'chess',
-  'chest', 'child', 'china', 'chunk', 'civic',
-  'civil', 'claim', 'clash', 'class', 'clean',
-  'clear', 'clerk', 'click', 'cliff', 'climb',
-  'clock', 'close', 'cloth', 'cloud', 'coach',
-  'coast', 'could', 'count', 'court', 'cover',
-  'craft', 'crash', 'crawl', 'crazy', 'cream',
-  'creek', 'creep', 'crime', 'crisp', 'cross',
-  'crowd', 'crown', 'crude', 'cruel', 'crush',
-  'curve', 'cycle', 'dairy', 'dealt', 'death',
-  'debut', 'decay', 'delta', 'dense', 'depot',
-  'depth', 'dirty', 'disco', 'doubt', 'dough',
-];
-
-// Korean 3-syllable answer word list
-const KO_WORD_LIST = [
-  '가격', '가뭄', '가방', '가벼', '가상', '가수', '가슴', '가을', '가장', '가족',
-  '가죽', '가치', '각주', '간장', '간호', '갈등', '갈색', '감각', '감기', '감독',
-  '감동', '감사', '감옥', '감자', '감초', '강등', '강물', '강변', '강아', '강의',
-  '같은', '개미', '개발', '개요', '객석', '거리', '거미', '거북', '거실', '거울',
-  '거장', '거짓', '거품', '걱정', '건강', '건설', '건축', '걸음', '검도', '검색',
-  '검정', '검진', '게살', '게임', '겨울', '격려', '결과', '결론', '결말', '결승',
-  '결정', '결혼', '겸손', '경계', '경기', '경력', '경쟁', '경제', '계곡', '계단',
-  '계란', '계피', '계획', '고기', '고래', '고모', '고무', '고소', '고양', '고정',
-  '고추', '고향', '골목', '골프', '곰팡', '공간', '공감', '공로', '공부', '공상',
-  '공원', '공지', '공포', '공항', '공헌', '과거', '과자', '과장', '과학', '관객',
-  '관계', '관광', '관세', '관점', '관찰', '광고', '광장', '괴짜', '교대', '교실',
-  '교외', '교육', '교환', '교회', '구급', '구름', '구리', '구매', '구멍', '구석',
-  '구이', '구조', '국내', '국밥', '국방', '국어', '국화', '권한', '귀걸', '귀뚜',
-  '귀밑', '규모', '규정', '규칙', '균형', '그래', '그램', '그릇', '그리', '그림',
-  '극대', '극소', '극장', '근교', '근육', '금괴', '금리', '금색', '금생', '금속',
-  '급등', '급락', '기간', '기계', '기관', '기권', '기념', '기록', '기린', '기본',
-  '기부', '기분', '기쁘', '기쁨', '기사', '기압', '기억', '기여', '기온', '기인',
-  '기일', '기준', '기차', '기침', '기타', '기한', '기호', '긴장', '길다', '길이',
-  '김밥', '김치', '깊은', '깊이', '까마', '까치', '깨끗', '꼭대', '꽃잎', '꿈속',
-  '끈기', '나눔', '나라', '나무', '나비', '나이', '나침', '나트', '낙선', '난초',
-  '날씨', '남색', '남자', '남쪽', '납성', '낮은', '내년', '내부', '내세', '내일',
-  '냄비', '냄새', '냉장', '넓은', '넓이', '넥타', '노랑', '노래', '노력', '노을',
-  '노인', '노화', '녹용', '녹차', '논문', '논쟁', '놀라', '농구', '농담', '농장',
-  '높은', '높이', '누나', '눈동', '눈물', '눈썹', '눈이', '눈치', '뉴스', '느끼',
-  '느낌', '느린', '늙은', '다락', '다른', '다리', '다이', '단면', '단백', '단서',
-  '단위', '단체', '단풍', '달리', '달빛', '달성', '달인', '달콤', '달팽', '닭고',
-  '담백', '담보', '당귀', '당근', '당선', '당직', '당황', '대가', '대나', '대답',
-  '대륙', '대리', '대출', '대표', '대행', '대화', '대회', '댄서', '더러', '더위',
-  '데이', '도덕', '도마', '도서', '도시', '도심', '도씨', '도움', '도전', '도표',
-  '독감', '독서', '독수', '돌고', '돌봄', '동굴', '동료', '동생', '동아', '동전',
-];
+/** A registered language code from client input, or `fallback` for anything else */
+function parseLanguage(value, fallback = 'en') {
+  return isLanguage(value) ? value : fallback;
+}
+
+/** Board counts the engine's createGame accepts (Dordle through Duotrigordle) */
+const SUPPORTED_BOARD_COUNTS = [2, 4, 8, 16, 32];
+
+/** A supported board count from client input, or the standard 4 for anything else */
+function parseBoardCount(value) {
+  return SUPPORTED_BOARD_COUNTS.includes(value) ? value : 4;
+}
+
+/** A word length the language has lists for, or its default for anything else */
+function parseWordLength(language, value) {
+  return Number.isInteger(value) && getLanguage(language).wordLists[value] ? value : getWordLengthForLanguage(language);
+}
+
+/**
+ * The daily puzzle a client message or request body asks for: its language, board
+ * count and word length, and the puzzle key its room, players and events are stored under.
+ */
+function parsePuzzle({ language: value, boardCount: boards, wordLength: length } = {}) {
+  const language = parseLanguage(value);
+  const boardCount = parseBoardCount(boards);
+  const wordLength = parseWordLength(language, length);
+  return { language, boardCount, wordLength, puzzle: getDailyPuzzleKey(language, boardCount, wordLength) };
+}
 
 /** Get word list for a given language */
 function getWordListForLanguage(language) {
-  return language === 'ko' ? KO_WORD_LIST : WORD_LIST;
+  const definition = getLanguage(language);
+  return definition.wordLists[definition.defaultWordLength]?.answerWords ?? [];
 }
 
 /** Get expected word length for a given language */
 function getWordLengthForLanguage(language) {
-  return language === 'ko' ? 2 : 5;
+  return getLanguage(language).defaultWordLength;
 }
 
-/** Get max guesses for a given language */
-function getMaxGuessesForLanguage(language) {
-  return language === 'ko' ? 9 : 9;
+/** Get max guesses for a given language: its 4-board budget, one guess more per extra board, like the engine */
+function getMaxGuessesForLanguage(language, boardCount = 4) {
+  return getLanguage(language).maxGuesses + boardCount - 4;
 }
 
-/** Validate guess format for a given language */
-function isValidGuessFormat(guess, language) {
-  if (language === 'ko') {
-    return guess.length === 2 && /^[\uAC00-\uD7A3]+$/.test(guess);
-  }
-  return guess.length === 5 && /^[a-z]+$/.test(guess);
+/** Get the word length of a game, falling back to its target words for states saved before wordLength existed */
+function getGameWordLength(gameState) {
+  return gameState.wordLength ?? (gameState.boards[0] ? graphemeLength(gameState.boards[0].targetWord) : getWordLengthForLanguage(gameState.language));
 }
 
-function dateKeyToSeed(dateKey) {
-  let hash = 5381;
-  for (let i = 0; i < dateKey.length; i++) {
-    hash = ((hash << 5) + hash) ^ dateKey.charCodeAt(i);
-  }
-  return hash >>> 0;
+/** Validate guess format for a given language and word length */
+function isValidGuessFormat(guess, language, wordLength = getWordLengthForLanguage(language)) {
+  return graphemeLength(guess) === wordLength && getLanguage(language).validateCharRegex.test(guess);
 }
 
-function mulberry32(seed) {
-  let state = seed >>> 0;
-  return () => {
-    state = (state + 0x6d2b79f5) >>> 0;
-    let t = state;
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+// Daily ratings by "dateKey:puzzle", as promises so joins waiting on the same daily share one rating
+const dailyDifficultyCache = new Map();
+// Ratings posted to the worker and not answered yet, by id
+const pendingRatings = new Map();
+let nextRatingId = 0;
+let difficultyWorker = null;
+
+/** The worker that rates dailies (see difficultyWorker.js), started on first use and after a crash */
+function getDifficultyWorker() {
+  if (difficultyWorker) return difficultyWorker;
+  difficultyWorker = new Worker(new URL("./difficultyWorker.js", import.meta.url));
+  difficultyWorker.on("message", ({ id, difficulty, error }) => {
+    const pending = pendingRatings.get(id);
+    pendingRatings.delete(id);
+    if (error) pending?.reject(new Error(error));
+    else pending?.resolve(difficulty);
+  });
+  difficultyWorker.on("error", (err) => {
+    console.error("[Difficulty] Worker failed:", err.message);
+    difficultyWorker = null;
+    for (const pending of pendingRatings.values()) pending.reject(err);
+    pendingRatings.clear();
+  });
+  // Pending ratings alone should not keep the process alive
+  difficultyWorker.unref();
+  return difficultyWorker;
 }
 
-function getDailyTargets(dateKey, language = 'en') {
-  // Korean uses a different seed to guarantee independent daily puzzles
-  const seedInput = language === 'ko' ? `${dateKey}:ko` : dateKey;
-  const seed = dateKeyToSeed(seedInput);
-  const random = mulberry32(seed);
-  const wordList = getWordListForLanguage(language);
-  const indices = [];
-  const used = new Set();
-  for (let i = 0; i < 4; i++) {
-    let idx;
-    do {
-      idx = Math.floor(random() * wordList.length);
-    } while (used.has(idx));
-    used.add(idx);
-    indices.push(idx);
+/**
+ * The daily's difficulty level and par, or null for dates more than a day from today.
+ * Rating a 32-board daily takes a second or two, so it runs in a worker instead of
+ * blocking every room; each daily is rated once and recent ones ahead of time
+ * (see warmDailyDifficulties).
+ */
+function getDailyDifficulty(dateKey, language = 'en', boardCount = 4, wordLength) {
+  if (!isRecentDateKey(dateKey)) return Promise.resolve(null);
+  const key = `${dateKey}:${getDailyPuzzleKey(language, boardCount, wordLength)}`;
+  let rating = dailyDifficultyCache.get(key);
+  if (!rating) {
+    rating = new Promise((resolve, reject) => {
+      const id = nextRatingId++;
+      pendingRatings.set(id, { resolve, reject });
+      getDifficultyWorker().postMessage({ id, dateKey, language, boardCount, wordLength });
+    }).catch((err) => {
+      console.error(`[Difficulty] Failed to rate ${key}:`, err.message);
+      // Rated again by the next join
+      dailyDifficultyCache.delete(key);
+      return null;
+    });
+    dailyDifficultyCache.set(key, rating);
   }
-  return [wordList[indices[0]], wordList[indices[1]], wordList[indices[2]], wordList[indices[3]]];
+  return rating;
 }
 
-function createBoardState(targetWord) {
+/**
+ * Rate the standard dailies (every language, four boards) from yesterday to tomorrow
+ * before anyone joins them, and forget ratings of dates no longer recent.
+ */
+function warmDailyDifficulties() {
+  for (const key of dailyDifficultyCache.keys()) {
+    if (!isRecentDateKey(key.slice(0, 10))) dailyDifficultyCache.delete(key);
+  }
+  const today = Date.parse(getTodayDateKey());
+  for (const offset of [0, 1, -1]) {
+    const dateKey = new Date(today + offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const { code } of getLanguages()) {
+      getDailyDifficulty(dateKey, code);
+    }
+  }
+}
+
+/** Sanitize client-provided hard mode options; an invalid focus board falls back to every board */
+function getHardModeOptions(boardCount, { hardMode, focusBoard } = {}) {
+  const validFocus = Number.isInteger(focusBoard) && focusBoard >= 0 && focusBoard < boardCount;
   return {
-    targetWord: targetWord.toLowerCase(),
-    guesses: [],
-    results: [],
-    solved: false,
-    solvedOnGuess: null,
+    hardMode: hardMode === true,
+    focusBoard: hardMode === true && validFocus ? focusBoard : null,
   };
 }
 
-function createGameState(targetWords, maxGuesses, language = 'en') {
+function createGameState(targetWords, maxGuesses, language = 'en', options = {}) {
   if (maxGuesses === undefined || maxGuesses === null) {
-    maxGuesses = getMaxGuessesForLanguage(language);
+    maxGuesses = getMaxGuessesForLanguage(language, targetWords.length);
   }
+  const sequence = options.sequence === true;
+  const { fibble } = options;
   return {
-    boards: [
-      createBoardState(targetWords[0]),
-      createBoardState(targetWords[1]),
-      createBoardState(targetWords[2]),
-      createBoardState(targetWords[3]),
-    ],
+    // Sequence mode: only board 1 starts unlocked
+    boards: targetWords.map((word, i) => createBoardState(word, sequence && i > 0)),
     currentGuess: '',
     guessCount: 0,
     maxGuesses,
     gameOver: false,
     won: false,
     language,
+    wordLength: targetWords[0] ? graphemeLength(targetWords[0]) : getWordLengthForLanguage(language),
+    // Hard mode would hold Fibble players to hints that may be lies
+    ...getHardModeOptions(targetWords.length, fibble ? {} : options),
+    sequence,
+    starterCount: 0,
+    ...(fibble ? { fibble: { seed: fibble.seed } } : {}),
   };
 }
 
+/**
+ * Today's game for a player: the daily's targets for the board count and word length, or
+ * in evil mode boards dealt from the date that dodge every guess (hard mode, Sequence,
+ * Rescue and Fibble do not apply to those). Fibble dailies lie from the date.
+ */
+function createDailyGameState(dateKey, language, { boardCount = 4, wordLength, hardMode, focusBoard, evil, sequence, rescue, fibble } = {}) {
+  if (evil === true) {
+    return createEvilGame({ seed: dateKey, language, boardCount, wordLength });
+  }
+  const gameState = createGameState(getDailyTargets(dateKey, language, boardCount, wordLength), undefined, language, {
+    hardMode,
+    focusBoard,
+    sequence,
+    fibble: fibble === true ? { seed: dateKey } : undefined,
+  });
+  return rescue === true ? addRescueStarters(gameState, dateKey) : gameState;
+}
+
+/**
+ * Rescue mode: submit the starter guesses the engine picks from `seed`, as the client's
+ * createGame does. They are not held to hard mode, which applies from the player's first guess.
+ */
+function addRescueStarters(gameState, seed) {
+  const { normalize } = getLanguage(gameState.language);
+  const targetWords = gameState.boards.map(board => board.targetWord);
+  const starters = getRescueStarters(seed, gameState.language, DEFAULT_RESCUE_STARTERS, gameState.wordLength, targetWords);
+  const seeded = starters.reduce((state, word) => applyGuessToGameState(state, normalize(word)), gameState);
+  return { ...seeded, starterCount: starters.length };
+}
+
+/** Whether the player has made a guess of their own (Rescue starters don't count) */
+function hasPlayerGuessed(gameState) {
+  return gameState.guessCount > (gameState.starterCount || 0);
+}
+
+/** Whether a JOIN asks for a variant other than the one the player's game was dealt with */
+function isOtherVariant(gameState, { evil, sequence, rescue, fibble }) {
+  const differs = (requested, current) => requested !== undefined && (requested === true) !== current;
+  return differs(evil, !!gameState.evil)
+    || differs(sequence, !!gameState.sequence)
+    || differs(rescue, gameState.starterCount > 0)
+    || differs(fibble, !!gameState.fibble);
+}
+
+/**
+ * Apply a validated, normalized guess to every board in play, with the engine's rules
+ * for Sequence and Fibble games. Evil boards pick their own feedback in the engine.
+ */
+function applyGuessToGameState(gameState, normalizedGuess) {
+  return gameState.evil ? applyEvilGuess(gameState, normalizedGuess) : applyGuess(gameState, normalizedGuess);
+}
+
 function getTodayDateKey() {
   return new Date().toISOString().slice(0, 10);
 }
 
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Whether a client's "YYYY-MM-DD" dateKey is well-formed */
+function isDateKey(value) {
+  return typeof value === 'string' && DATE_KEY_REGEX.test(value);
+}
+
+/** Whether a dateKey is within a day of the server's (UTC) today, which covers every player's time zone */
+function isRecentDateKey(dateKey) {
+  const days = Math.abs(Date.parse(dateKey) - Date.parse(getTodayDateKey())) / (24 * 60 * 60 * 1000);
+  return days <= 1;
+}
+
 // ========== API ENDPOINTS ==========
 
 // Health check for deployment platforms
@@ -972,14 +1116,14 @@ app.post("/api/activity/leave", async (req, res) => {
 // GET leaderboard for a room (rebuilds from Redis if cache empty)
 app.get("/api/room/:roomId/:dateKey/leaderboard", async (req, res) => {
   const { roomId, dateKey } = req.params;
-  const language = (req.query.language === 'ko') ? 'ko' : 'en';
+  const { language, puzzle } = parsePuzzle({ language: req.query.language, boardCount: Number(req.query.boards), wordLength: Number(req.query.length) });
   if (!roomId || !dateKey) {
     return res.status(400).json({ error: "roomId and dateKey required" });
   }
 
   // Try to rebuild from Redis if room not in memory
-  const room = await getOrCreateRoomAsync(roomId, dateKey, language);
-  res.json({ leaderboard: room.leaderboard });
+  const room = await getOrCreateRoomAsync(roomId, dateKey, puzzle);
+  res.json({ leaderboard: room.leaderboard, language, puzzle });
 });
 
 // GET players in a room (from Redis roomPlayers set)
@@ -1065,6 +1209,18 @@ app.get("/api/room/:roomId/:dateKey/player/:visibleUserId", (req, res) => {
   res.json({ playerState });
 });
 
+// GET a player's event log (accepted guesses with timestamps), for audits and replays
+app.get("/api/room/:roomId/:dateKey/player/:visibleUserId/events", async (req, res) => {
+  const { roomId, dateKey, visibleUserId } = req.params;
+  const { puzzle } = parsePuzzle({ language: req.query.language, boardCount: Number(req.query.boards), wordLength: Number(req.query.length) });
+  if (!roomId || !dateKey || !visibleUserId) {
+    return res.status(400).json({ error: "roomId, dateKey, and visibleUserId required" });
+  }
+
+  const events = await loadGameEvents(roomId, dateKey, visibleUserId, puzzle);
+  res.json({ events });
+});
+
 // Debug endpoint to verify Redis persistence
 app.get("/api/debug/persist", async (req, res) => {
   const { roomId, dateKey, visibleUserId } = req.query;
@@ -1172,28 +1328,29 @@ app.post("/api/token", async (req, res) => {
 // JOIN: Get or create game state for a player in a room
 app.post("/api/game/join", async (req, res) => {
   try {
-    const { roomId, userId, dateKey: clientDateKey, language: reqLanguage } = req.body;
-    const language = (reqLanguage === 'ko') ? 'ko' : 'en';
+    const { roomId, userId, dateKey: clientDateKey, hardMode, focusBoard, evil, sequence, rescue, fibble } = req.body;
+    const { language, boardCount, wordLength, puzzle } = parsePuzzle(req.body);
     if (!roomId || !userId) {
       return res.status(400).json({ error: "roomId and userId required" });
     }
 
     // Use client-provided dateKey if valid, otherwise compute on server
-    const dateKey = (clientDateKey && /^\d{4}-\d{2}-\d{2}$/.test(clientDateKey))
+    const dateKey = isDateKey(clientDateKey)
       ? clientDateKey
       : getTodayDateKey();
-    let state = await gameStateStore.get(roomId, dateKey, userId);
+    let state = await gameStateStore.get(roomId, dateKey, userId, puzzle);
 
     if (!state) {
       // Create new daily game
-      const targetWords = getDailyTargets(dateKey, language);
       state = {
-        gameState: createGameState(targetWords, undefined, language),
+        gameState: createDailyGameState(dateKey, language, { boardCount, wordLength, hardMode, focusBoard, evil, sequence, rescue, fibble }),
         gameMode: "daily",
         dateKey,
         language,
+        puzzle,
+        difficulty: await getDailyDifficulty(dateKey, language, boardCount, wordLength),
       };
-      await gameStateStore.set(roomId, dateKey, userId, state);
+      await gameStateStore.set(roomId, dateKey, userId, state, puzzle);
     }
 
     res.json(state);
@@ -1206,17 +1363,17 @@ app.post("/api/game/join", async (req, res) => {
 // GUESS: Submit a guess and get updated state
 app.post("/api/game/guess", async (req, res) => {
   try {
-    const { roomId, userId, guess, dateKey: clientDateKey, language: reqLanguage } = req.body;
-    const language = (reqLanguage === 'ko') ? 'ko' : 'en';
+    const { roomId, userId, guess, dateKey: clientDateKey, meta } = req.body;
+    const { language, puzzle } = parsePuzzle(req.body);
     if (!roomId || !userId || !guess) {
       return res.status(400).json({ error: "roomId, userId, and guess required" });
     }
 
     // Use client-provided dateKey if valid, otherwise compute on server
-    const dateKey = (clientDateKey && /^\d{4}-\d{2}-\d{2}$/.test(clientDateKey))
+    const dateKey = isDateKey(clientDateKey)
       ? clientDateKey
       : getTodayDateKey();
-    let state = await gameStateStore.get(roomId, dateKey, userId);
+    let state = await gameStateStore.get(roomId, dateKey, userId, puzzle);
 
     if (!state) {
       return res.status(404).json({ error: "No game found. Call /api/game/join first." });
@@ -1228,55 +1385,27 @@ app.post("/api/game/guess", async (req, res) => {
     }
 
     // Validate guess format (language-aware)
-    const normalizedGuess = language === 'ko' ? guess : guess.toLowerCase();
-    if (!isValidGuessFormat(normalizedGuess, language)) {
+    const normalizedGuess = getLanguage(language).normalize(guess);
+    if (!isValidGuessFormat(normalizedGuess, language, getGameWordLength(gameState))) {
       return res.status(400).json({ error: "Invalid guess format" });
     }
 
-    // Apply guess to all boards
-    const newBoards = gameState.boards.map((board) => {
-      if (board.solved) {
-        const prevKoResult = board.koResults?.[board.koResults.length - 1];
-        return {
-          ...board,
-          guesses: [...board.guesses, normalizedGuess],
-          results: [...board.results, board.results[board.results.length - 1]],
-          ...(language === 'ko' && prevKoResult ? {
-            koResults: [...(board.koResults || []), prevKoResult],
-          } : {}),
-        };
+    if (gameState.hardMode) {
+      const violation = checkHardMode(gameState, normalizedGuess);
+      if (violation) {
+        return res.status(400).json({ error: violation.message, violation });
       }
+    }
 
-      const result = evaluateGuess(normalizedGuess, board.targetWord);
-      const solved = result.every(r => r === 'correct');
-      const koResult = language === 'ko' ? evaluateGuessKo(normalizedGuess, board.targetWord) : undefined;
-
-      return {
-        ...board,
-        guesses: [...board.guesses, normalizedGuess],
-        results: [...board.results, result],
-        ...(koResult ? { koResults: [...(board.koResults || []), koResult] } : {}),
-        solved,
-        solvedOnGuess: solved ? gameState.guessCount + 1 : null,
-      };
-    });
-
-    const newGuessCount = gameState.guessCount + 1;
-    const allSolved = newBoards.every(b => b.solved);
-    const outOfGuesses = newGuessCount >= gameState.maxGuesses;
-    const newGameOver = allSolved || outOfGuesses;
-
-    const newGameState = {
-      ...gameState,
-      boards: newBoards,
-      currentGuess: '',
-      guessCount: newGuessCount,
-      gameOver: newGameOver,
-      won: allSolved,
-    };
-
+    const newGameState = applyGuessToGameState(gameState, normalizedGuess);
     state = { ...state, gameState: newGameState };
-    await gameStateStore.set(roomId, dateKey, userId, state);
+    await gameStateStore.set(roomId, dateKey, userId, state, puzzle);
+    appendGameEvent(roomId, dateKey, userId, puzzle, {
+      type: 'guess',
+      guess: normalizedGuess,
+      timestamp: Date.now(),
+      meta: { ...sanitizeEventMeta(meta), transport: 'rest' },
+    });
 
     res.json(state);
   } catch (err) {
@@ -1285,37 +1414,114 @@ app.post("/api/game/guess", async (req, res) => {
   }
 });
 
-// Evaluate a guess against a target word (server-side version)
-// Works for both English (5 chars) and Korean (3 syllable blocks)
-function evaluateGuess(guess, target) {
-  const len = target.length;
-  const result = new Array(len).fill('absent');
-  const targetLetterCounts = new Map();
+// ========== CHALLENGES ==========
+// Player-picked puzzles shared as tokens. Results are kept per challenge, never in a
+// room's daily leaderboard, and only a player's first finished game counts.
+
+/** Challenges stay open longer than dailies */
+const CHALLENGE_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+/** Challenges whose results are kept without Redis; the ones with the oldest last result go first */
+const MAX_CHALLENGES_IN_MEMORY = 10000;
+
+/**
+ * challengeId -> { results: visibleUserId -> result, expiresAt } (used without Redis).
+ * Like the Redis hash, a challenge expires CHALLENGE_TTL_SECONDS after its last result;
+ * entries are ordered by last result.
+ * @type {Map<string, { results: Map<string, object>, expiresAt: number }>}
+ */
+const challengeResultsStore = new Map();
 
-  for (const letter of target) {
-    targetLetterCounts.set(letter, (targetLetterCounts.get(letter) || 0) + 1);
+async function loadChallengeResults(challengeId) {
+  if (!redis) {
+    const entry = challengeResultsStore.get(challengeId);
+    if (!entry || entry.expiresAt <= Date.now()) return [];
+    return [...entry.results.values()];
   }
+  const entries = await redis.hvals(makeChallengeRedisKey(challengeId));
+  return entries.map((data) => JSON.parse(data));
+}
 
-  // First pass: correct letters
-  for (let i = 0; i < len; i++) {
-    if (guess[i] === target[i]) {
-      result[i] = 'correct';
-      targetLetterCounts.set(guess[i], targetLetterCounts.get(guess[i]) - 1);
+/** Store a player's result unless they already have one; returns false for a repeat */
+async function saveChallengeResult(challengeId, result) {
+  if (!redis) {
+    const entry = challengeResultsStore.get(challengeId);
+    const results = entry && entry.expiresAt > Date.now() ? entry.results : new Map();
+    if (results.has(result.visibleUserId)) return false;
+    results.set(result.visibleUserId, result);
+    // Re-inserted so the store stays ordered by last result
+    challengeResultsStore.delete(challengeId);
+    challengeResultsStore.set(challengeId, { results, expiresAt: Date.now() + CHALLENGE_TTL_SECONDS * 1000 });
+    for (const oldestId of challengeResultsStore.keys()) {
+      if (challengeResultsStore.size <= MAX_CHALLENGES_IN_MEMORY) break;
+      challengeResultsStore.delete(oldestId);
     }
+    return true;
   }
+  const key = makeChallengeRedisKey(challengeId);
+  const added = await redis.hsetnx(key, result.visibleUserId, JSON.stringify(result));
+  await redis.expire(key, CHALLENGE_TTL_SECONDS);
+  return added === 1;
+}
+
+async function getChallengeLeaderboard(challengeId) {
+  return sortLeaderboard(await loadChallengeResults(challengeId));
+}
+
+// RESULT: Record a finished challenge game. The guesses are replayed against the
+// token's words, so results can't be made up.
+app.post("/api/challenge/result", async (req, res) => {
+  try {
+    const { token, userId, profile, guesses, hardMode, focusBoard } = req.body;
+    if (typeof token !== 'string' || !userId || !Array.isArray(guesses)) {
+      return res.status(400).json({ error: "token, userId, and guesses required" });
+    }
 
-  // Second pass: present letters
-  for (let i = 0; i < len; i++) {
-    if (result[i] === 'correct') continue;
-    const remaining = targetLetterCounts.get(guess[i]) || 0;
-    if (remaining > 0) {
-      result[i] = 'present';
-      targetLetterCounts.set(guess[i], remaining - 1);
+    let challenge;
+    try {
+      challenge = decodeChallenge(token);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
     }
+
+    const { language, wordLength, targetWords } = challenge;
+    let gameState = createGameState(targetWords, undefined, language, { hardMode, focusBoard });
+    for (const guess of guesses) {
+      const normalizedGuess = typeof guess === 'string' ? getLanguage(language).normalize(guess) : '';
+      if (gameState.gameOver || !isValidGuessFormat(normalizedGuess, language, wordLength)
+        || (gameState.hardMode && checkHardMode(gameState, normalizedGuess))) {
+        return res.status(400).json({ error: "Invalid guesses" });
+      }
+      gameState = applyGuessToGameState(gameState, normalizedGuess);
+    }
+    if (!gameState.gameOver) {
+      return res.status(400).json({ error: "Challenge is not finished" });
+    }
+
+    const challengeId = getChallengeId(token);
+    const now = Date.now();
+    const recorded = await saveChallengeResult(challengeId, toLeaderboardEntry({
+      visibleUserId: userId,
+      profile: profile || { displayName: userId, avatarUrl: null },
+      gameState,
+      finishedAt: now,
+      updatedAt: now,
+    }));
+    res.json({ challengeId, recorded, leaderboard: await getChallengeLeaderboard(challengeId) });
+  } catch (err) {
+    console.error("CHALLENGE RESULT error:", err);
+    res.status(500).json({ error: "Internal server error" });
   }
+});
 
-  return result;
-}
+app.get("/api/challenge/:challengeId/leaderboard", async (req, res) => {
+  try {
+    res.json({ leaderboard: await getChallengeLeaderboard(req.params.challengeId) });
+  } catch (err) {
+    console.error("CHALLENGE LEADERBOARD error:", err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
 // ========== STATIC FILE SERVING ==========
 // Serve built client files from public folder
@@ -1379,11 +1585,33 @@ function cleanupOldRoomStates() {
     }
   }
 
-  if (cleanedCount > 0) {
-    console.log(`[Cleanup] Removed ${cleanedCount} room states older than ${cutoffDateKey}`);
+  // Event logs are kept per player and day, like the rooms they were played in
+  let cleanedLogs = 0;
+  for (const [playerKey, log] of gameEventLog.entries()) {
+    if (log.dateKey < cutoffDateKey) {
+      gameEventLog.delete(playerKey);
+      cleanedLogs++;
+    }
+  }
+
+  // Challenges last longer than dailies and expire on their own clock
+  let cleanedChallenges = 0;
+  for (const [challengeId, entry] of challengeResultsStore.entries()) {
+    if (entry.expiresAt <= now.getTime()) {
+      challengeResultsStore.delete(challengeId);
+      cleanedChallenges++;
+    }
+  }
+
+  if (cleanedCount > 0 || cleanedLogs > 0 || cleanedChallenges > 0) {
+    console.log(`[Cleanup] Removed ${cleanedCount} room states and ${cleanedLogs} event logs older than ${cutoffDateKey}, and ${cleanedChallenges} expired challenges`);
   }
 }
 
 // Run cleanup on startup and then periodically
 cleanupOldRoomStates();
 setInterval(cleanupOldRoomStates, CLEANUP_INTERVAL_MS);
+
+// Rate the days around today ahead of their first joins, hourly so a new day is rated before it starts
+warmDailyDifficulties();
+setInterval(warmDailyDifficulties, CLEANUP_INTERVAL_MS);
@@ -1,11 +1,11 @@
-import type { BoardState, GameState } from '@quordle/engine';
+import type { DifficultyRating, EvilGameState, GameEvent, GameEventMeta, GameState, HardModeViolation } from '@quordle/engine';
 
 // ============================================================================
 // Keys
 // ============================================================================
 
-/** Supported languages */
-export type Language = 'en' | 'ko';
+/** A registered language code, e.g. 'en' or 'ko' (see registerLanguage in @quordle/engine) */
+export type Language = string;
 
 /** Unique identifier for a Discord Activity instance (room) */
 export type RoomId = string;
@@ -51,13 +51,24 @@ export interface UserProfile {
 export interface LeaderboardEntry {
     visibleUserId: VisibleUserId;
     profile: UserProfile;
-    solvedCount: number;       // 0-4 boards solved
+    solvedCount: number;       // 0..boards.length boards solved
     guessCount: number;        // total guesses made
     gameOver: boolean;
     won: boolean;
     finishedAt: number | null; // timestamp when game completed (for tiebreaker)
+    boardCount: number;        // boards in the player's daily (4 for Quordle)
+    wordLength: number;        // tiles per word
+    hardMode: boolean;         // played with hard mode enforced
+    sequence: boolean;         // boards unlocked one at a time
+    rescue: boolean;           // started from the daily's pre-filled starter guesses
+    evil: boolean;             // boards dodged guesses (see createEvilGame)
+    fibble: boolean;           // one tile per row lied (see getLie)
+    par: number | null;        // the daily's par, or null when it was not rated or the game was evil
 }
 
+/** The part of rateDifficulty's rating the server keeps for a daily */
+export type DailyDifficulty = Pick<DifficultyRating, 'level' | 'par'>;
+
 /** Server-authoritative state for a single player */
 export interface PlayerState {
     visibleUserId: VisibleUserId;
@@ -65,13 +76,24 @@ export interface PlayerState {
     dateKey: DateKey;
     mode: GameMode;
     language: Language;
+    puzzle: string;            // getDailyPuzzleKey: the language, or e.g. "en:x8" or "ko:len3" otherwise
     profile: UserProfile;
-    gameState: GameState;
+    gameState: GameState | EvilGameState;
+    difficulty: DailyDifficulty | null; // only dailies within a day of today are rated
     createdAt: number;         // timestamp
     updatedAt: number;         // timestamp
     finishedAt: number | null; // timestamp when game completed
 }
 
+/**
+ * A player's GameEvent log, stored in Redis beside PlayerState and served by
+ * GET /api/room/:roomId/:dateKey/player/:visibleUserId/events.
+ * Replaying it with replayGame rebuilds gameState.
+ */
+export interface PlayerEventLog {
+    events: GameEvent[];       // accepted guesses, oldest first
+}
+
 /** Room-wide state containing all players */
 export interface RoomState {
     roomId: RoomId;
@@ -92,6 +114,14 @@ export interface JoinMessage {
     visibleUserId: VisibleUserId;
     profile: UserProfile;
     language?: Language;
+    boardCount?: number;       // 2, 4, 8, 16 or 32; defaults to 4
+    wordLength?: number;       // one of the language's word lengths; defaults to its usual one
+    hardMode?: boolean;        // only applied to new games or before the first guess
+    focusBoard?: number;       // hard mode only: enforce hints on this board (0-based)
+    sequence?: boolean;        // play the Sequence daily; only applied before the first guess
+    rescue?: boolean;          // play the Rescue daily; only applied before the first guess
+    evil?: boolean;            // play the evil daily; only applied before the first guess
+    fibble?: boolean;          // play the Fibble daily; only applied before the first guess
 }
 
 export interface GuessMessage {
@@ -101,6 +131,7 @@ export interface GuessMessage {
     visibleUserId: VisibleUserId;
     guess: string;
     language?: Language;
+    meta?: GameEventMeta;      // client context recorded in the event log (e.g. { client: 'web' })
 }
 
 export interface LeaveMessage {
@@ -141,6 +172,7 @@ export interface ErrorMessage {
     type: 'ERROR';
     code: string;
     message: string;
+    violation?: HardModeViolation; // present when code is HARD_MODE_VIOLATION
 }
 
 /** Union of all server-to-client messages */
@@ -156,6 +188,7 @@ export type ServerMessageType = ServerMessage['type'];
 export const ErrorCodes = {
     INVALID_MESSAGE: 'INVALID_MESSAGE',
     INVALID_GUESS: 'INVALID_GUESS',
+    HARD_MODE_VIOLATION: 'HARD_MODE_VIOLATION',
     GAME_OVER: 'GAME_OVER',
     ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
     PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
@@ -293,7 +326,8 @@ export function parseRoomKey(key: string): RoomKey | null {
 /** Convert PlayerState to LeaderboardEntry */
 export function toLeaderboardEntry(player: PlayerState): LeaderboardEntry {
     const gs = player.gameState;
-    const solvedCount = gs.boards.filter((b: BoardState) => b.solved).length;
+    const evil = 'evil' in gs && gs.evil;
+    const solvedCount = gs.boards.filter((b) => b.solved).length;
     return {
         visibleUserId: player.visibleUserId,
         profile: player.profile,
@@ -302,6 +336,15 @@ export function toLeaderboardEntry(player: PlayerState): LeaderboardEntry {
         gameOver: gs.gameOver,
         won: gs.won,
         finishedAt: player.finishedAt,
+        boardCount: gs.boards.length,
+        wordLength: gs.wordLength,
+        hardMode: !!gs.hardMode,
+        sequence: !!gs.sequence,
+        rescue: gs.starterCount > 0,
+        evil,
+        fibble: !!gs.fibble,
+        // Par is the daily's; evil boards have answers of their own
+        par: evil ? null : player.difficulty?.par ?? null,
     };
 }
 
@@ -15,6 +15,7 @@ import {
     sortLeaderboard,
 } from './protocol.js';
 import type { GameState } from '@quordle/engine';
+import { getDailyPuzzleKey } from '@quordle/engine/daily';
 
 // ============================================================================
 // In-Memory Storage
@@ -128,8 +129,10 @@ export function createPlayerState(
         dateKey,
         mode,
         language,
+        puzzle: getDailyPuzzleKey(language, gameState.boards.length, gameState.wordLength),
         profile,
         gameState,
+        difficulty: null,
         createdAt: now,
         updatedAt: now,
         finishedAt: null,
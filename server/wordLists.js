@@ -0,0 +1,540 @@
+/**
+ * The answer lists and daily calendar the server and bot deal dailies from,
+ * registered with the engine on import. The engine's own lists are bundled
+ * by the client from its .txt files, which Node cannot import.
+ */
+import { readFileSync } from "fs";
+import { getLanguage, registerLanguage } from "@quordle/engine/languages";
+import { graphemeLength } from "@quordle/engine/graphemes";
+import { registerDailyCalendar } from "@quordle/engine/daily";
+
+// English answer word list (same order as WORD_LIST in engine/src/words.ts, so dailies match the client)
+const WORD_LIST = [
+  'apple', 'beach', 'chair', 'dance', 'eagle',
+  'flame', 'grape', 'house', 'image', 'juice',
+  'knife', 'lemon', 'mouse', 'night', 'ocean',
+  'piano', 'queen', 'river', 'stone', 'table',
+  'ultra', 'vivid', 'water', 'xenon', 'youth',
+  'zebra', 'brave', 'crane', 'dream', 'frost',
+  'ghost', 'heart', 'index', 'joker', 'karma',
+  'laser', 'metal', 'noble', 'orbit', 'pearl',
+  'quest', 'radar', 'solar', 'train', 'unity',
+  'voice', 'whale', 'xerox', 'yield', 'zones',
+  'about', 'above', 'abuse', 'actor', 'acute',
+  'admit', 'adopt', 'adult', 'after', 'again',
+  'agent', 'agree', 'ahead', 'alarm', 'album',
+  'alert', 'alike', 'alive', 'allow', 'alone',
+  'along', 'alter', 'amino', 'among', 'angel',
+  'anger', 'angle', 'angry', 'apart', 'arena',
+  'argue', 'arise', 'armor', 'aroma', 'array',
+  'arrow', 'asset', 'avoid', 'award', 'aware',
+  'bacon', 'badge', 'basic', 'basin', 'batch',
+  'began', 'begin', 'being', 'below', 'bench',
+  'berry', 'black', 'blade', 'blame', 'blank',
+  'blast', 'blaze', 'blend', 'bless', 'blind',
+  'block', 'bloom', 'board', 'bonus', 'boost',
+  'brain', 'brand', 'bread', 'break', 'breed',
+  'brick', 'brief', 'bring', 'broad', 'brook',
+  'brown', 'brush', 'build', 'bunch', 'burst',
+  'cabin', 'cable', 'candy', 'cargo', 'carry',
+  'catch', 'cause', 'chain', 'chalk', 'champ',
+  'charm', 'chase', 'cheap', 'check', 'chess',
+  'chest', 'child', 'china', 'chunk', 'civic',
+  'civil', 'claim', 'clash', 'class', 'clean',
+  'clear', 'clerk', 'click', 'cliff', 'climb',
+  'clock', 'close', 'cloth', 'cloud', 'coach',
+  'coast', 'could', 'count', 'court', 'cover',
+  'craft', 'crash', 'crawl', 'crazy', 'cream',
+  'creek', 'creep', 'crime', 'crisp', 'cross',
+  'crowd', 'crown', 'crude', 'cruel', 'crush',
+  'curve', 'cycle', 'dairy', 'dealt', 'death',
+  'debut', 'decay', 'delta', 'dense', 'depot',
+  'depth', 'dirty', 'disco', 'doubt', 'dough',
+  'draft', 'drain', 'drama', 'drawn', 'dress',
+  'dried', 'drill', 'drink', 'drive', 'drown',
+  'drugs', 'drunk', 'dying', 'eager', 'early',
+  'earth', 'eight', 'elect', 'elite', 'email',
+  'empty', 'enemy', 'enjoy', 'enter', 'entry',
+  'equal', 'error', 'essay', 'ethic', 'event',
+  'every', 'exact', 'exile', 'exist', 'extra',
+  'faint', 'faith', 'false', 'fancy', 'fatal',
+  'fatty', 'fault', 'favor', 'feast', 'fiber',
+  'field', 'fiery', 'fifth', 'fifty', 'fight',
+  'final', 'first', 'fixed', 'flash', 'fleet',
+  'flesh', 'float', 'flood', 'floor', 'flour',
+  'fluid', 'flush', 'focus', 'foggy', 'force',
+  'forge', 'forth', 'forty', 'forum', 'found',
+  'frame', 'frank', 'fraud', 'fresh', 'fried',
+  'front', 'fruit', 'fully', 'funny', 'giant',
+  'given', 'glass', 'globe', 'glory', 'glove',
+  'going', 'goods', 'grace', 'grade', 'grain',
+  'grand', 'grant', 'grass', 'grave', 'great',
+  'green', 'grief', 'gross', 'group', 'grove',
+  'grown', 'guard', 'guess', 'guest', 'guide',
+  'guilt', 'habit', 'happy', 'harsh', 'haven',
+  'heavy', 'hello', 'hence', 'herbs', 'hinge',
+  'hobby', 'honey', 'honor', 'hoped', 'horse',
+  'hotel', 'hours', 'human', 'humor', 'hurry',
+  'ideal', 'imply', 'inbox', 'inner', 'input',
+  'inter', 'issue', 'items', 'ivory', 'jelly',
+  'jewel', 'joint', 'jolly', 'judge', 'jumbo',
+  'kayak', 'kebab', 'keeps', 'knock', 'known',
+  'label', 'labor', 'large', 'later', 'laugh',
+  'layer', 'learn', 'lease', 'least', 'leave',
+  'legal', 'level', 'lever', 'light', 'likes',
+  'limit', 'linen', 'liner', 'links', 'lions',
+  'lists', 'liver', 'lives', 'lobby', 'local',
+  'lodge', 'logic', 'looks', 'loose', 'lorry',
+  'lotus', 'loved', 'lover', 'lower', 'loyal',
+  'lucky', 'lunch', 'lymph', 'lyric', 'macro',
+  'magic', 'major', 'maker', 'manor', 'maple',
+  'march', 'marry', 'marsh', 'match', 'maybe',
+  'mayor', 'means', 'meant', 'media', 'melon',
+  'mercy', 'merge', 'merit', 'merry', 'metro',
+  'micro', 'midst', 'might', 'minor', 'minus',
+  'mixed', 'model', 'moist', 'money', 'month',
+  'moral', 'motor', 'motto', 'mount', 'mouth',
+  'moved', 'movie', 'muddy', 'music', 'naive',
+  'naked', 'nasty', 'naval', 'needs', 'nerve',
+  'never', 'newly', 'niece', 'ninth', 'noise',
+  'north', 'notch', 'noted', 'novel', 'nurse',
+  'occur', 'offer', 'often', 'olive', 'onion',
+  'onset', 'opera', 'optic', 'order', 'organ',
+  'other', 'ought', 'outer', 'owing', 'owner',
+  'oxide', 'ozone', 'paint', 'panel', 'panic',
+  'paper', 'party', 'pasta', 'paste', 'patch',
+  'pause', 'peace', 'peach', 'penny', 'perch',
+  'phase', 'phone', 'photo', 'piece', 'pilot',
+  'pinch', 'pitch', 'pizza', 'place', 'plain',
+  'plane', 'plant', 'plate', 'plaza', 'plead',
+  'pluck', 'point', 'poise', 'polar', 'polio',
+  'polls', 'pools', 'pound', 'power', 'press',
+  'price', 'pride', 'prime', 'print', 'prior',
+  'prize', 'probe', 'proof', 'proud', 'prove',
+  'proxy', 'psalm', 'punch', 'pupil', 'puppy',
+  'purse', 'quake', 'qualm', 'quill', 'query',
+  'quick', 'quiet', 'quilt', 'quirk', 'quota',
+  'quote', 'rabbi', 'racer', 'radio', 'rainy',
+  'raise', 'rally', 'ranch', 'range', 'rapid',
+  'ratio', 'rayon', 'reach', 'react', 'ready',
+  'realm', 'rebel', 'refer', 'reign', 'relax',
+  'relay', 'renal', 'renew', 'reply', 'reset',
+  'rhino', 'rider', 'ridge', 'rifle', 'right',
+  'rigid', 'risky', 'rival', 'roast', 'robot',
+  'rocky', 'roman', 'rooms', 'roots', 'rough',
+  'round', 'route', 'royal', 'rugby', 'ruins',
+  'ruler', 'rural', 'sadly', 'saint', 'salad',
+  'sales', 'sandy', 'sauce', 'saved', 'scale',
+  'scare', 'scarf', 'scene', 'scent', 'scope',
+  'score', 'scout', 'seize', 'sense', 'serve',
+  'setup', 'seven', 'sewer', 'shade', 'shake',
+  'shall', 'shame', 'shape', 'share', 'shark',
+  'sharp', 'sheep', 'sheer', 'sheet', 'shelf',
+  'shell', 'shift', 'shine', 'shirt', 'shock',
+  'shoot', 'shore', 'short', 'shout', 'shown',
+  'sight', 'sigma', 'silks', 'silly', 'since',
+  'sixth', 'sixty', 'sized', 'skill', 'skull',
+  'slave', 'sleep', 'slice', 'slide', 'slope',
+  'small', 'smart', 'smell', 'smile', 'smoke',
+  'snake', 'solid', 'solve', 'sorry', 'sound',
+  'south', 'space', 'spare', 'spark', 'speak',
+  'speed', 'spell', 'spend', 'spice', 'spine',
+  'split', 'spoke', 'sport', 'spray', 'squad',
+  'stack', 'staff', 'stage', 'stain', 'stair',
+  'stake', 'stamp', 'stand', 'start', 'state',
+  'steak', 'steam', 'steel', 'steep', 'steer',
+  'stick', 'still', 'stock', 'stole', 'storm',
+  'story', 'stove', 'strap', 'straw', 'strip',
+  'stuck', 'study', 'stuff', 'style', 'sugar',
+  'suite', 'sunny', 'super', 'surge', 'swamp',
+  'swear', 'sweat', 'sweet', 'swept', 'swift',
+  'swing', 'sword', 'teach', 'teeth', 'tempo',
+  'tense', 'tenth', 'terms', 'thank', 'theft',
+  'their', 'theme', 'there', 'these', 'thick',
+  'thief', 'thing', 'think', 'third', 'those',
+  'three', 'threw', 'throw', 'thumb', 'tiger',
+  'tight', 'timer', 'tired', 'title', 'today',
+  'token', 'topic', 'torch', 'total', 'touch',
+  'tough', 'towel', 'tower', 'toxic', 'trace',
+  'track', 'trade', 'trail', 'trait', 'trash',
+  'treat', 'trend', 'trial', 'tribe', 'trick',
+  'tried', 'troop', 'truck', 'truly', 'trunk',
+  'trust', 'truth', 'tumor', 'tuner', 'twice',
+  'twist', 'tying', 'under', 'union', 'unite',
+  'until', 'upper', 'upset', 'urban', 'usage',
+  'usual', 'valid', 'value', 'valve', 'vapor',
+  'vault', 'venue', 'verse', 'video', 'villa',
+  'vinyl', 'viral', 'virus', 'visit', 'vital',
+  'vocal', 'vodka', 'vogue', 'voter', 'wagon',
+  'waist', 'waste', 'watch', 'waved', 'waves',
+  'weary', 'weigh', 'weird', 'wells', 'wheat',
+  'wheel', 'where', 'which', 'while', 'white',
+  'whole', 'whose', 'widow', 'width', 'wired',
+  'witch', 'woman', 'woods', 'world', 'worry',
+  'worse', 'worst', 'worth', 'would', 'wound',
+  'wrist', 'write', 'wrong', 'wrote', 'yacht',
+  'young', 'yours', 'yummy', 'zilch', 'zonal',
+  'abase', 'abate', 'abbey', 'abbot', 'abhor',
+  'abide', 'abler', 'abode', 'abort', 'ached',
+  'abyss', 'acorn', 'acres', 'acted', 'adapt',
+  'added', 'adept', 'admin', 'adore', 'adorn',
+  'aegis', 'afoot', 'aging', 'agile', 'agony',
+  'aided', 'aimed', 'aired', 'aisle', 'algae',
+  'alibi', 'alien', 'align', 'allay', 'alley',
+  'allot', 'alloy', 'aloft', 'alpha', 'altar',
+  'amber', 'amble', 'amend', 'amiss', 'ample',
+  'amuse', 'anime', 'ankle', 'annex', 'anvil',
+  'aorta', 'apnea', 'arced', 'apply', 'aptly',
+  'arbor', 'ardor', 'arose', 'aside', 'asked',
+  'atone', 'attic', 'audio', 'audit', 'augur',
+  'aunts', 'avian', 'avows', 'await', 'awake',
+  'awful', 'axial', 'axiom', 'azure', 'babel',
+  'baked', 'badly', 'bagel', 'balls', 'balmy',
+  'bands', 'banjo', 'banks', 'baron', 'barge',
+  'bases', 'basil', 'basis', 'baste', 'batty',
+  'bayou', 'beads', 'beans', 'beast', 'beats',
+  'beech', 'begot', 'begun', 'beige', 'bells',
+  'belly', 'belts', 'berth', 'beset', 'bible',
+  'bikes', 'bills', 'birch', 'birds', 'birth',
+  'bliss', 'blitz', 'bloat', 'bloke', 'blond',
+  'blood', 'blown', 'blues', 'bluff', 'blunt',
+  'blurt', 'blush', 'bolts', 'bombs', 'bonds',
+  'bones', 'books', 'booth', 'boots', 'bored',
+  'borne', 'bosom', 'bossy', 'botch', 'bound',
+  'bowed', 'bowel', 'boxer', 'brace', 'braid',
+  'brake', 'brash', 'brass', 'bravo', 'brawl',
+  'brawn', 'braze', 'bride', 'brine', 'brink',
+  'brisk', 'broil', 'broke', 'brood', 'broom',
+  'broth', 'brunt', 'budge', 'buggy', 'built',
+  'bulge', 'bulky', 'bully', 'bumpy', 'bunny',
+  'burns', 'burps', 'buses', 'buyer', 'bylaw',
+  'cabal', 'cache', 'cadet', 'camel', 'cameo',
+  'camps', 'canal', 'canny', 'canon', 'caper',
+  'cards', 'cared', 'caret', 'carve', 'cases',
+  'caste', 'caves', 'cedar', 'cells', 'cents',
+  'chaos', 'chant', 'chaps', 'chart', 'chasm',
+  'cheek', 'cheer', 'chefs', 'chick', 'chief',
+  'chill', 'chimp', 'chips', 'choir', 'choke',
+  'chord', 'chore', 'chose', 'cited', 'clamp',
+  'clang', 'clank', 'claps', 'clasp', 'claws',
+  'clone', 'clout', 'clown', 'clubs', 'clues',
+  'clung', 'clunk', 'coals', 'coats', 'cocoa',
+  'coded', 'coils', 'coins', 'comet', 'comic',
+  'comma', 'conch', 'condo', 'cones', 'coral',
+  'cords', 'corps', 'couch', 'cough', 'coupe',
+  'cramp', 'crank', 'crass', 'crate', 'crave',
+  'creak', 'crest', 'crews', 'cribs', 'cried',
+  'cries', 'crops', 'cruet', 'crumb', 'cubic',
+  'cuffs', 'curly', 'curry', 'curse', 'curvy',
+  'cyber', 'darts', 'dated', 'dates', 'datum',
+  'deals', 'debts', 'decal', 'decor', 'decoy',
+  'decry', 'deeds', 'defer', 'deity', 'delay',
+  'delve', 'demon', 'denim', 'derby', 'desks',
+  'detox', 'deuce', 'devot', 'diary', 'digit',
+  'diner', 'dingy', 'diode', 'dirge', 'dizzy',
+  'dodge', 'doing', 'donor', 'donut', 'doses',
+  'dowdy', 'downs', 'dowry', 'dozed', 'dozen',
+  'drape', 'drawl', 'dread', 'drier', 'drift',
+  'drone', 'drool', 'droop', 'drops', 'drove',
+  'drums', 'dryer', 'dryly', 'ducal', 'ducks',
+  'duels', 'duets', 'dummy', 'dumps', 'dunce',
+  'dunes', 'dunks', 'dusky', 'dusty', 'dwarf',
+  'dwell', 'eaten', 'eaves', 'ebbed', 'ebony',
+  'edged', 'edges', 'edict', 'eerie', 'elbow',
+  'elder', 'elfin', 'elate', 'elope', 'elude',
+  'ember', 'embed', 'emcee', 'emoji', 'emote',
+  'endow', 'enema', 'ended', 'envoy', 'epoch',
+  'equip', 'erode', 'erupt', 'ether', 'evade',
+  'evens', 'exalt', 'excel', 'exert', 'expat',
+  'expel', 'exude', 'exult', 'fable', 'facet',
+  'facts', 'faded', 'fails', 'fairy', 'falls',
+  'famed', 'fangs', 'farce', 'farms', 'fated',
+  'fatso', 'fauna', 'fears', 'feats', 'feeds',
+  'feign', 'feint', 'fella', 'felon', 'femur',
+  'fence', 'fends', 'ferry', 'fetch', 'fetid',
+  'fetus', 'feuds', 'fever', 'fewer', 'films',
+  'filth', 'finch', 'finds', 'finer', 'fires',
+  'firms', 'flair', 'flake', 'flaky', 'flank',
+  'flaps', 'flare', 'flask', 'flats', 'flaws',
+  'fleas', 'fleck', 'flees', 'flick', 'flier',
+  'fling', 'flint', 'flips', 'flirt', 'flock',
+  'floss', 'flout', 'flows', 'fluff', 'fluke',
+  'flung', 'flunk', 'flute', 'flyby', 'focal',
+  'foamy', 'foils', 'folds', 'folks', 'folly',
+  'fonts', 'foods', 'foray', 'forgo', 'forks',
+  'forms', 'forte', 'forts', 'fosse', 'fount',
+  'fouls', 'foxes', 'foyer', 'frail', 'franc',
+  'frays', 'freed', 'freer', 'frees', 'friar',
+  'frill', 'frisk', 'fritz', 'frizz', 'frogs',
+  'froze', 'frump', 'fuels', 'fumed', 'funds',
+  'fungi', 'funky', 'furor', 'furry', 'fused',
+  'fussy', 'fusty', 'fuzzy', 'gains', 'gaits',
+  'galas', 'gales', 'gamma', 'gamer', 'games',
+  'gangs', 'gases', 'gates', 'gauge', 'gaunt',
+  'gauze', 'gavel', 'gawky', 'gears', 'geese',
+  'genes', 'genre', 'germs', 'gilts', 'gizmo',
+  'gland', 'glare', 'gleam',
+];
+
+// Korean 2-syllable answer word list, written by engine/scripts/generate-ko-2syl.cjs in the order of
+// engine/src/koWords.txt so dailies match the client (3-syllable games are practice-only, from the engine's lists)
+const KO_WORD_LIST = [
+  '가격', '가루', '가뭄', '가방', '가상', '가수', '가슴', '가위', '가을', '가족',
+  '가죽', '가짜', '가치', '간장', '간호', '갈등', '갈비', '갈색', '감각', '감기',
+  '감독', '감동', '감사', '감옥', '감자', '감초', '강물', '강변', '강의', '개미',
+  '개발', '객석', '거리', '거미', '거북', '거실', '거울', '거짓', '거품', '걱정',
+  '건강', '건설', '건축', '걸음', '검도', '검색', '검정', '검진', '게임', '겨울',
+  '격려', '결과', '결론', '결말', '결승', '결정', '결혼', '겸손', '경계', '경기',
+  '경력', '경쟁', '경제', '경찰', '계곡', '계단', '계란', '계피', '계획', '고기',
+  '고래', '고모', '고무', '고정', '고추', '고향', '골목', '골프', '공간', '공감',
+  '공기', '공부', '공원', '공주', '공포', '공항', '과거', '과일', '과자', '과장',
+  '과학', '관객', '관계', '관광', '관심', '관점', '관찰', '광고', '광장', '괴짜',
+  '교대', '교실', '교외', '교육', '교통', '교환', '교회', '구름', '구리', '구매',
+  '구멍', '구석', '구이', '구조', '국내', '국밥', '국방', '국수', '국어', '국화',
+  '군대', '권한', '규모', '규정', '규칙', '균형', '그늘', '그램', '그릇', '그림',
+  '극장', '근육', '금리', '금색', '금속', '기간', '기계', '기관', '기념', '기록',
+  '기름', '기린', '기본', '기부', '기분', '기쁨', '기사', '기억', '기여', '기온',
+  '기준', '기차', '기침', '기타', '기한', '기호', '긴장', '길이', '김밥', '김치',
+  '깊이', '까치', '꼬리', '꽃잎', '꿈속', '끈기', '나눔', '나라', '나무', '나비',
+  '나이', '난초', '날씨', '남자', '남쪽', '내년', '내부', '내일', '냄비', '냄새',
+  '넓이', '노랑', '노래', '노력', '노을', '노인', '노트', '노화', '녹차', '논문',
+  '논쟁', '놀이', '농구', '농담', '농부', '농장', '높이', '누나', '눈물', '눈썹',
+  '눈치', '뉴스', '느낌', '다락', '다리', '단서', '단위', '단체', '단추', '단풍',
+  '달걀', '달빛', '달성', '달인', '담배', '담보', '당근', '당선', '당황', '대가',
+  '대답', '대륙', '대리', '대출', '대표', '대화', '대회', '댄서', '더위', '도덕',
+  '도마', '도서', '도시', '도심', '도움', '도전', '도표', '독감', '독서', '동굴',
+  '동료', '동물', '동생', '동전', '동쪽', '동화', '돼지', '된장', '두부', '두통',
+  '뒤쪽', '드럼', '드론', '들판', '등록', '등산', '딸기', '떡국', '라면', '로봇',
+  '로켓', '리터', '링크', '마감', '마늘', '마당', '마루', '마을', '마음', '마찰',
+  '만두', '만화', '말씀', '매년', '매달', '매일', '매주', '매화', '맥주', '머리',
+  '메달', '메모', '면적', '면접', '멸치', '모국', '모기', '모델', '모래', '모레',
+  '모습', '모임', '모자', '모텔', '모험', '목욕', '목장', '목적', '목차', '몸짓',
+  '무게', '무기', '무대', '무릎', '문어', '문자', '문장', '문제', '문화', '물가',
+  '물건', '물결', '물리', '미래', '미소', '미술', '미터', '믹서', '민박', '바깥',
+  '바늘', '바다', '바닥', '바람', '바위', '바지', '반대', '반전', '반지', '발견',
+  '발레', '발명', '발목', '발전', '발표', '방문', '방법', '방송', '방학', '방향',
+  '배경', '배구', '배꼽', '배려', '배우', '배추', '배치', '백신', '백합', '버스',
+  '버터', '번개', '번역', '번호', '벌레', '벌집', '범위', '범인', '법률', '벚꽃',
+  '벨트', '벽돌', '변경', '변동', '변화', '별빛', '병원', '보고', '보드', '보라',
+  '보물', '보석', '보쌈', '보완', '보증', '보통', '보험', '복귀', '복사', '복습',
+  '복지', '복통', '볶음', '본능', '본질', '봄날', '봉사', '봉투', '부모', '부부',
+  '부엌', '부장', '부채', '부피', '부활', '북쪽', '분노', '분리', '분석', '분야',
+  '분홍', '불꽃', '불안', '붕대', '비교', '비밀', '비상', '비용', '비유', '비행',
+  '빈틈', '빙수', '빙하', '빨강', '빨래', '빵집', '뼈대', '사건', '사격', '사고',
+  '사과', '사람', '사랑', '사막', '사무', '사슴', '사원', '사자', '사진', '사탕',
+  '사회', '삭제', '산길', '산소', '삼촌', '상금', '상어', '상자', '상장', '상처',
+  '상추', '상태', '새끼', '새벽', '새우', '생각', '생강', '생물', '생산', '생선',
+  '생일', '서리', '서버', '서양', '서재', '서쪽', '선거', '선물', '선배', '선생',
+  '선택', '설계', '설날', '설명', '설정', '설탕', '섬유', '성공', '성실', '성장',
+  '성취', '세계', '세금', '세월', '세탁', '센스', '셔츠', '소금', '소녀', '소독',
+  '소득', '소리', '소비', '소설', '소스', '소식', '소재', '소주', '소통', '소파',
+  '소포', '소풍', '소화', '속담', '속도', '속옷', '손목', '손자', '손짓', '손해',
+  '수건', '수도', '수리', '수박', '수색', '수소', '수술', '수업', '수영', '수입',
+  '수정', '수필', '수학', '수행', '숙박', '숙제', '순간', '순대', '순서', '숫자',
+  '숲길', '스키', '슬픔', '습관', '습도', '승리', '승진', '시간', '시계', '시골',
+  '시대', '시작', '시장', '시절', '시집', '시험', '식당', '식물', '식초', '신뢰',
+  '신맛', '신문', '신발', '신용', '신입', '신장', '실내', '실습', '실외', '실전',
+  '실제', '실패', '실행', '실험', '심장', '아기', '아들', '아래', '아빠', '아이',
+  '아침', '악기', '악어', '안개', '안경', '안내', '안심', '안정', '안쪽', '암기',
+  '암호', '압력', '앞쪽', '야구', '야근', '야외', '약국', '약속', '양궁', '양념',
+  '양말', '양파', '어깨', '어른', '어묵', '어제', '어촌', '언니', '언덕', '얼굴',
+  '얼룩', '얼음', '엄마', '업적', '여름', '여자', '여행', '역사', '연결', '연구',
+  '연극', '연금', '연못', '연습', '연필', '연휴', '열대', '열쇠', '열정', '영양',
+  '영어', '영역', '영웅', '영원', '영혼', '영화', '예보', '예산', '예선', '예술',
+  '예습', '예약', '오늘', '오리', '오븐', '오빠', '오전', '오해', '오후', '옥상',
+  '온도', '올해', '옷장', '완성', '왕자', '외교', '외국', '외부', '왼쪽', '요가',
+  '요약', '요트', '용기', '우박', '우산', '우승', '우유', '우주', '운동', '웃음',
+  '원인', '원칙', '월급', '웹툰', '위기', '위로', '위쪽', '위험', '유도', '유리',
+  '유머', '유형', '육아', '윤리', '은색', '은행', '음식', '음악', '응급', '응용',
+  '응원', '의견', '의무', '의미', '의사', '의식', '의자', '이끼', '이론', '이름',
+  '이마', '이모', '이불', '이사', '이상', '이슬', '이웃', '이유', '이익', '이자',
+  '이해', '인내', '인물', '인삼', '인상', '인용', '인턴', '인형', '일기', '임금',
+  '임원', '입술', '입원', '입장', '입학', '자갈', '자동', '자랑', '자료', '자매',
+  '자석', '자세', '자연', '자원', '자유', '자정', '작가', '작년', '잠수', '잠옷',
+  '잡지', '잡채', '장갑', '장례', '장마', '장면', '장미', '장인', '재미', '재산',
+  '재치', '재킷', '재판', '저녁', '저축', '저항', '적용', '전기', '전류', '전문',
+  '전자', '전쟁', '전통', '전화', '절망', '절벽', '절정', '점심', '점프', '접시',
+  '정면', '정보', '정신', '정오', '정원', '정의', '정직', '정치', '제도', '제목',
+  '제작', '젤리', '조각', '조개', '조끼', '조사', '조약', '조정', '조직', '조카',
+  '조화', '족발', '존경', '졸업', '졸음', '종교', '종류', '종이', '주말', '주먹',
+  '주사', '주소', '주스', '주식', '주제', '주황', '죽음', '준비', '중심', '중앙',
+  '증거', '증오', '지갑', '지구', '지도', '지방', '지붕', '지식', '지원', '지진',
+  '지출', '지폐', '지하', '직업', '직장', '진도', '진료', '진실', '진주', '질문',
+  '질병', '집안', '집중', '찌개', '찜닭', '착각', '찬성', '참고', '참새', '참여',
+  '참외', '참조', '창고', '창문', '창조', '책상', '책임', '처방', '천둥', '천사',
+  '천장', '천재', '철학', '청소', '체계', '체온', '체육', '체조', '초기', '초록',
+  '초보', '초원', '촉감', '촛불', '최고', '최대', '최소', '최저', '추가', '추석',
+  '추억', '추위', '축구', '축제', '축하', '출근', '출산', '출장', '충돌', '충전',
+  '취소', '취업', '측면', '측정', '치료', '치마', '치즈', '치통', '친구', '친절',
+  '침대', '침실', '칼날', '캠핑', '커피', '케첩', '코드', '코딩', '코트', '클럽',
+  '키위', '킬로', '탁구', '탄생', '탈출', '태도', '태양', '태풍', '택배', '택시',
+  '터널', '토끼', '토론', '통계', '통역', '통증', '통합', '퇴근', '퇴원', '퇴직',
+  '투자', '투표', '튀김', '튤립', '트럭', '틈새', '팀원', '파괴', '파도', '파랑',
+  '파이', '파일', '파티', '판단', '판매', '펜션', '펭귄', '편견', '편지', '평가',
+  '평균', '평야', '평일', '평화', '포도', '폭설', '폭포', '폴더', '표면', '표정',
+  '표준', '풀잎', '품질', '풍경', '풍선', '풍속', '피곤', '피부', '피자', '피해',
+  '필기', '하늘', '하마', '하양', '하품', '학교', '학생', '학습', '한계', '한낮',
+  '한복', '한숨', '한약', '한파', '합의', '항구', '항목', '해결', '해고', '해변',
+  '해설', '해외', '해일', '해제', '해킹', '핵심', '햇살', '행복', '행사', '향기',
+  '향수', '허리', '헌법', '헬스', '혁신', '현관', '현실', '현재', '혈관', '협력',
+  '협조', '형제', '형태', '호떡', '호수', '호텔', '홍보', '홍수', '홍차', '화가',
+  '화산', '화장', '화학', '확률', '환상', '환율', '활용', '황사', '회복', '회사',
+  '회색', '회원', '회의', '회장', '후배', '후원', '후추', '휴일', '휴지', '흑백',
+  '희망', '흰색',
+];
+
+// Spanish answer word list (same order as engine/src/esWords.txt, so dailies match the client)
+const ES_WORD_LIST = [
+  'abeja', 'abril', 'acero', 'actor', 'agudo', 'ahora', 'ajeno', 'alado', 'altar', 'amigo',
+  'ancho', 'andar', 'antes', 'apoyo', 'araña', 'arena', 'arroz', 'asado', 'atlas', 'avena',
+  'avión', 'ayuda', 'bahía', 'bajar', 'balón', 'banco', 'barco', 'barro', 'beber', 'bello',
+  'besar', 'bolsa', 'bravo', 'brazo', 'breve', 'broma', 'bruja', 'bueno', 'burro', 'cable',
+  'cabra', 'cacao', 'calle', 'calma', 'calor', 'campo', 'canal', 'canto', 'carne', 'carta',
+  'casco', 'cazar', 'caída', 'cebra', 'cerca', 'cerdo', 'cesta', 'chico', 'cielo', 'cinco',
+  'cinta', 'cisne', 'claro', 'clase', 'clave', 'clima', 'cobre', 'coche', 'color', 'comer',
+  'común', 'conde', 'copia', 'coral', 'corto', 'costa', 'crema', 'cuero', 'cueva', 'culpa',
+  'curso', 'danza', 'dardo', 'deber', 'decir', 'deseo', 'dicha', 'dieta', 'digno', 'disco',
+  'doble', 'dolor', 'drama', 'ducha', 'dueño', 'dulce', 'duque', 'error', 'espía', 'etapa',
+  'falda', 'falso', 'fango', 'farol', 'fecha', 'feliz', 'feria', 'fibra', 'fiera', 'firme',
+  'flaco', 'fondo', 'forma', 'fruta', 'fuego', 'fuera', 'gallo', 'ganso', 'garra', 'gente',
+  'globo', 'golpe', 'gordo', 'gorra', 'grado', 'grano', 'grave', 'gripe', 'grupo', 'guapo',
+  'guiso', 'gusto', 'habla', 'hacer', 'hacha', 'hielo', 'hogar', 'hongo', 'horno', 'hotel',
+  'huevo', 'humor', 'igual', 'joven', 'juego', 'jugar', 'julio', 'junio', 'junto', 'labio',
+  'largo', 'latón', 'leche', 'lecho', 'lejos', 'lento', 'libro', 'limón', 'lindo', 'llama',
+  'llave', 'lleno', 'local', 'lucha', 'luego', 'lugar', 'lápiz', 'madre', 'magia', 'manga',
+  'mango', 'manta', 'marca', 'marzo', 'mayor', 'mecha', 'medio', 'mejor', 'menta', 'metro',
+  'miedo', 'mismo', 'mitad', 'monte', 'moral', 'morir', 'mosca', 'mover', 'mucho', 'mujer',
+  'mundo', 'museo', 'nadar', 'nariz', 'negro', 'nieve', 'noche', 'norte', 'novio', 'nuevo',
+  'nunca', 'ocaso', 'oeste', 'oliva', 'orden', 'oreja', 'otoño', 'padre', 'palma', 'panal',
+  'papel', 'pardo', 'parte', 'pasta', 'patio', 'pausa', 'pecho', 'pedir', 'peine', 'perro',
+  'pesca', 'piano', 'pieza', 'pinta', 'pisar', 'plano', 'plata', 'playa', 'plaza', 'plomo',
+  'pluma', 'pobre', 'poeta', 'pollo', 'poner', 'prado', 'prisa', 'prosa', 'pulpo', 'punto',
+  'queso', 'radio', 'rampa', 'ratón', 'razón', 'recto', 'regla', 'reina', 'reloj', 'remar',
+  'resto', 'ritmo', 'robar', 'roble', 'rocío', 'rodeo', 'rubio', 'rueda', 'ruido', 'sabio',
+  'sabor', 'sacar', 'salsa', 'salto', 'salud', 'santo', 'sauce', 'secar', 'selva', 'senda',
+  'serio', 'señal', 'señor', 'siglo', 'silla', 'sitio', 'sobre', 'socio', 'suave', 'sucio',
+  'suelo', 'sueño', 'tabla', 'talla', 'tanto', 'tarde', 'tarea', 'techo', 'tecla', 'tejer',
+  'tenis', 'terco', 'tigre', 'tinta', 'tirar', 'tomar', 'tonto', 'torre', 'trago', 'traje',
+  'trece', 'tribu', 'trigo', 'turno', 'valle', 'vapor', 'veloz', 'venta', 'verde', 'viaje',
+  'viejo', 'vigor', 'villa', 'vista', 'vivir', 'volar', 'yerno', 'zorro', 'zurdo', 'ángel',
+  'ánimo', 'árbol', 'época', 'éxito', 'ópera', 'único',
+];
+
+// French answer word list (same order as engine/src/frWords.txt, so dailies match the client)
+const FR_WORD_LIST = [
+  'amour', 'ancre', 'année', 'appel', 'arbre', 'arche', 'asile', 'atout', 'avion', 'balai',
+  'bande', 'barbe', 'belle', 'biche', 'blanc', 'blond', 'bonne', 'boule', 'boîte', 'bruit',
+  'brume', 'bulle', 'bâton', 'bûche', 'cadre', 'calme', 'canal', 'canne', 'carte', 'cause',
+  'champ', 'chant', 'chaud', 'chien', 'chose', 'chêne', 'cidre', 'colle', 'conte', 'corde',
+  'corps', 'coton', 'coupe', 'cours', 'court', 'crabe', 'craie', 'crâne', 'crème', 'crêpe',
+  'cygne', 'danse', 'doigt', 'douce', 'doute', 'drame', 'droit', 'début', 'désir', 'dîner',
+  'fable', 'faute', 'façon', 'femme', 'ferme', 'fille', 'fleur', 'flûte', 'foire', 'force',
+  'forme', 'forêt', 'fouet', 'fruit', 'frère', 'fumée', 'garde', 'genou', 'givre', 'glace',
+  'gomme', 'grain', 'grand', 'grâce', 'grève', 'guide', 'herbe', 'heure', 'hiver', 'homme',
+  'huile', 'hôtel', 'image', 'jambe', 'jaune', 'jeudi', 'jouer', 'juste', 'lampe', 'lapin',
+  'large', 'larme', 'leçon', 'linge', 'litre', 'livre', 'loupe', 'lourd', 'lundi', 'lycée',
+  'lèvre', 'magie', 'marin', 'marée', 'matin', 'mauve', 'maçon', 'melon', 'merci', 'merle',
+  'mince', 'monde', 'morue', 'moule', 'mètre', 'métal', 'naïve', 'neige', 'noire', 'nuage',
+  'oncle', 'ongle', 'orage', 'ordre', 'otage', 'ouest', 'outil', 'paire', 'patte', 'pause',
+  'peine', 'pelle', 'perle', 'piano', 'pièce', 'plage', 'pluie', 'plume', 'poche', 'poids',
+  'poire', 'pomme', 'porte', 'poste', 'pouce', 'poule', 'poème', 'prune', 'quête', 'radis',
+  'reine', 'rhume', 'rouge', 'route', 'ruche', 'règle', 'rêver', 'sable', 'sabot', 'sauce',
+  'sauge', 'scène', 'seize', 'selle', 'singe', 'siège', 'soupe', 'stylo', 'sucre', 'table',
+  'tante', 'tasse', 'terre', 'tigre', 'titre', 'tombe', 'train', 'trêve', 'tuile', 'usine',
+  'vache', 'vague', 'valse', 'veste', 'vieux', 'ville', 'vitre', 'vivre', 'voile', 'zèbre',
+  'école', 'écran', 'élève', 'épice', 'épine', 'étage',
+];
+
+// German answer word list (same order as engine/src/deWords.txt, so dailies match the client)
+const DE_WORD_LIST = [
+  'abend', 'acker', 'adler', 'angst', 'apfel', 'bauch', 'bauer', 'beere', 'birne', 'blatt',
+  'blume', 'boden', 'bogen', 'brief', 'brust', 'buche', 'bühne', 'decke', 'draht', 'dunst',
+  'durst', 'eiche', 'eimer', 'engel', 'ernte', 'essen', 'fabel', 'faden', 'farbe', 'feder',
+  'feier', 'feind', 'ferne', 'feuer', 'figur', 'fisch', 'fleiß', 'fluss', 'flöte', 'frage',
+  'frost', 'fuchs', 'gabel', 'geist', 'glanz', 'glück', 'grube', 'größe', 'gurke', 'hafen',
+  'hagel', 'halle', 'haupt', 'hecke', 'heide', 'herde', 'hitze', 'honig', 'hotel', 'hände',
+  'höhle', 'hölle', 'hören', 'hügel', 'hütte', 'insel', 'jacke', 'jäger', 'kabel', 'kamel',
+  'kampf', 'kanne', 'karte', 'katze', 'kerze', 'kette', 'kiste', 'klang', 'kleid', 'knabe',
+  'knopf', 'kohle', 'krach', 'kraft', 'kranz', 'kreis', 'krieg', 'krone', 'kugel', 'kunst',
+  'käfer', 'käfig', 'könig', 'küche', 'lampe', 'leben', 'leder', 'lehre', 'licht', 'liebe',
+  'linde', 'liste', 'länge', 'lösen', 'lücke', 'macht', 'magen', 'mauer', 'milch', 'musik',
+  'mühle', 'mütze', 'nacht', 'nadel', 'nebel', 'neffe', 'nudel', 'onkel', 'orgel', 'paket',
+  'pferd', 'platz', 'preis', 'quark', 'rasen', 'regen', 'reise', 'sache', 'schaf', 'schuh',
+  'schön', 'seele', 'segel', 'seife', 'sonne', 'spiel', 'stadt', 'stein', 'stern', 'stirn',
+  'stoff', 'strom', 'stuhl', 'sturm', 'säule', 'sünde', 'tafel', 'tanne', 'tasse', 'taube',
+  'teich', 'tiger', 'tisch', 'traum', 'treue', 'tulpe', 'vater', 'vogel', 'waage', 'wagen',
+  'wange', 'watte', 'weide', 'welle', 'wiese', 'wolke', 'wolle', 'wunde', 'wurst', 'würde',
+  'würze', 'zange', 'zeile', 'zunge', 'zweig', 'zügel', 'ärger', 'übung',
+];
+
+// Japanese answer word list (same order as engine/src/jaWords.txt, so dailies match the client)
+const JA_WORD_LIST = [
+  'あかり', 'あさひ', 'あさり', 'あした', 'あたま', 'あなた', 'あひる', 'あやめ', 'あらし', 'あられ',
+  'いくら', 'いしゃ', 'いずみ', 'いちご', 'いなか', 'いのち', 'いもり', 'いるか', 'うさぎ', 'うたげ',
+  'うちわ', 'うどん', 'うなぎ', 'えいが', 'えがお', 'えほん', 'おかね', 'おちゃ', 'おてら', 'おでん',
+  'おとこ', 'おとな', 'おどり', 'おなか', 'おもち', 'おんな', 'かいこ', 'かえる', 'かがみ', 'かしゅ',
+  'かぞく', 'かたち', 'かたな', 'かっぱ', 'かつお', 'かばん', 'かぶと', 'かもめ', 'からす', 'からだ',
+  'がっき', 'きかい', 'きしゃ', 'きせつ', 'きって', 'きっぷ', 'きつね', 'きのう', 'きのこ', 'きもの',
+  'きょう', 'きりん', 'ぎんが', 'くじら', 'くすり', 'くもり', 'くらげ', 'くるま', 'けむり', 'げんき',
+  'こあら', 'こいぬ', 'こおり', 'こころ', 'こぜに', 'こたつ', 'ことば', 'ことり', 'こども', 'こねこ',
+  'こんぶ', 'ごはん', 'ごぼう', 'ごりら', 'さいふ', 'さかな', 'さくら', 'さざえ', 'さとう', 'さんご',
+  'さんま', 'ざっし', 'しあい', 'しごと', 'しずく', 'しゃち', 'じかん', 'じてん', 'じゃま', 'すいか',
+  'すずめ', 'すみれ', 'すもも', 'せかい', 'せなか', 'せんす', 'そうじ', 'たいこ', 'たから', 'たたみ',
+  'たぬき', 'たまご', 'たらこ', 'たんぼ', 'だんご', 'ちから', 'ちょう', 'つくえ', 'つなみ', 'つばき',
+  'つばめ', 'つらら', 'てがみ', 'てくび', 'でんき', 'でんわ', 'とかげ', 'とけい', 'とびら', 'とまと',
+  'とんぼ', 'なだれ', 'なまえ', 'なまこ', 'なみだ', 'にもつ', 'ねずみ', 'はかま', 'はさみ', 'はしご',
+  'はしら', 'はたけ', 'はなび', 'はなみ', 'はやし', 'ばった', 'ぱずる', 'ぱんだ', 'ひかげ', 'ひかり',
+  'ひがし', 'ひつじ', 'ひとで', 'ひなた', 'ひばり', 'ひゃく', 'ひよこ', 'ひらめ', 'ぴあの', 'ふくろ',
+  'ふとん', 'ふもと', 'ぶどう', 'へいわ', 'ほたる', 'ほのお', 'ほんや', 'ぼうし', 'まくら', 'まぐろ',
+  'まっち', 'まつり', 'まひる', 'まんが', 'みかん', 'みさき', 'みぞれ', 'みどり', 'みなと', 'みなみ',
+  'みみず', 'みやこ', 'むすこ', 'むすめ', 'めがね', 'めだか', 'もぐら', 'もなか', 'もみじ', 'もやし',
+  'やかん', 'やさい', 'やすみ', 'やもり', 'ゆうき', 'ゆうひ', 'ゆうべ', 'ゆかた', 'ゆびわ', 'よあけ',
+  'よぞら', 'よろい', 'らくだ', 'らっぱ', 'りんご', 'わかめ', 'わたし',
+];
+
+// Korean jamo-sequence answers: the Korean words spelled one jamo per tile, as the engine derives them
+const KO_JAMO = getLanguage('ko-jamo');
+
+/** The Korean words spelled one jamo per tile, keeping those `length` jamo long */
+function spellJamoWords(words, length) {
+  return [...new Set(words.map(KO_JAMO.normalize))].filter((word) => word.length === length);
+}
+
+const KO_JAMO_WORD_LIST = spellJamoWords(KO_WORD_LIST, KO_JAMO.defaultWordLength);
+
+/**
+ * Answers of a non-default word length, from the engine's list file the client bundles,
+ * parsed like the engine does: trimmed, NFC, `length` graphemes matching `charRegex`.
+ */
+function readWordListFile(file, length, charRegex) {
+  return readFileSync(new URL(`../engine/src/${file}`, import.meta.url), "utf8")
+    .split('\n')
+    .map((word) => word.trim().normalize('NFC'))
+    .filter((word) => graphemeLength(word) === length && charRegex.test(word));
+}
+
+const LATIN_REGEX = /^[a-z]+$/;
+const HANGUL_REGEX = /^[\uAC00-\uD7A3]+$/;
+
+// The engine's language rules, with the server's own answer lists by word length (the server only checks guess format)
+const SERVER_WORD_LISTS = [
+  ['en', {
+    5: WORD_LIST,
+    4: readWordListFile('enWords4.txt', 4, LATIN_REGEX),
+    6: readWordListFile('enWords6.txt', 6, LATIN_REGEX),
+    7: readWordListFile('enWords7.txt', 7, LATIN_REGEX),
+  }],
+  ['ko', { 2: KO_WORD_LIST, 3: readWordListFile('koWords3.txt', 3, HANGUL_REGEX) }],
+  ['ko-jamo', { 6: KO_JAMO_WORD_LIST, 5: spellJamoWords(KO_WORD_LIST, 5) }],
+  ['es', { 5: ES_WORD_LIST }],
+  ['fr', { 5: FR_WORD_LIST }],
+  ['de', { 5: DE_WORD_LIST }],
+  ['ja', { 3: JA_WORD_LIST }],
+];
+for (const [language, listsByLength] of SERVER_WORD_LISTS) {
+  const wordLists = Object.fromEntries(Object.entries(listsByLength)
+    .map(([length, words]) => [length, { answerWords: words, guessWords: new Set(words) }]));
+  registerLanguage({ ...getLanguage(language), wordLists });
+}
+// Holidays and themed days, from the file the client bundles; dailies come from the engine's scheduler
+registerDailyCalendar(readFileSync(new URL("../engine/src/dailyCalendar.txt", import.meta.url), "utf8"));